@@ -3,7 +3,7 @@ class PixelArtManager {
     constructor() {
         this.images = [];
         this.folders = [
-            { id: 'root', name: 'All Images', parent: null }
+            { id: 'root', name: 'All Images', parent: null, path: '' }
         ];
         this.selectedImage = null;
         this.selectedImages = []; // Multi-select support
@@ -17,6 +17,13 @@ class PixelArtManager {
         this.masterPalette = [];
         this.loadedPalette = [];
         this.paletteColorNames = new Map(); // Map hex to color name
+        this.distanceSettings = this.loadDistanceSettings();
+        this.paletteMatchCache = null;
+        this.importRules = PixelAnalysis.normalizeRules(); // Replaced by project-settings.json from the server
+        this.levelFilePattern = 'Paint_Lv{N}.png'; // Name batch rename gives level files, {N} = level
+        this.progressionRules = LevelProgression.normalizeRules(); // Checked between consecutive levels
+        this.quarantine = this.loadQuarantine(); // Files rejected by the import rules
+        this.author = localStorage.getItem('pixelVoxelAuthor') || ''; // Name stored with saved revisions
         
         this.loadFromStorage();
         this.loadMasterPalette();
@@ -36,20 +43,10 @@ class PixelArtManager {
                 const response = await fetch('/master-palette.txt');
                 if (response.ok) {
                     const text = await response.text();
-                    const lines = text.split('\n').map(line => line.trim()).filter(line => line);
+                    const { colors, names } = PixelAnalysis.parsePalette(text);
                     
-                    this.loadedPalette = [];
-                    this.paletteColorNames.clear();
-                    
-                    for (const line of lines) {
-                        const parts = line.split(/\s+/);
-                        if (parts.length >= 2) {
-                            const name = parts[0];
-                            const hex = parts[1].toUpperCase();
-                            this.loadedPalette.push(hex);
-                            this.paletteColorNames.set(hex, name);
-                        }
-                    }
+                    this.loadedPalette = colors;
+                    this.paletteColorNames = names;
                     
                     localStorage.setItem('pixelVoxelMasterPalette', JSON.stringify(this.loadedPalette));
                     localStorage.setItem('pixelVoxelPaletteNames', JSON.stringify([...this.paletteColorNames]));
@@ -61,6 +58,141 @@ class PixelArtManager {
         }
     }
 
+    // Default metric + threshold per tool (thresholds in the metric's units).
+    // Import quantization also has a mode: median-cut, k-means or palette.
+    getDefaultDistanceSettings() {
+        return {
+            quantize: { mode: 'median-cut', metric: 'rgb', threshold: ColorDistance.METRICS.rgb.thresholds.quantize },
+            match: { metric: 'rgb', threshold: ColorDistance.METRICS.rgb.thresholds.match },
+            snap: { metric: 'deltaE2000', threshold: ColorDistance.METRICS.deltaE2000.thresholds.snap }
+        };
+    }
+
+    // Load color distance settings, ignoring unknown metrics and modes
+    loadDistanceSettings() {
+        const settings = this.getDefaultDistanceSettings();
+        const stored = localStorage.getItem('pixelVoxelDistanceSettings');
+        if (!stored) return settings;
+
+        try {
+            const data = JSON.parse(stored);
+            for (const tool of Object.keys(settings)) {
+                const entry = data[tool];
+                if (entry && ColorDistance.hasMetric(entry.metric) && typeof entry.threshold === 'number') {
+                    settings[tool] = { ...settings[tool], metric: entry.metric, threshold: entry.threshold };
+                }
+            }
+            if (data.quantize && PaletteQuantizer.MODES.includes(data.quantize.mode)) {
+                settings.quantize.mode = data.quantize.mode;
+            }
+        } catch (error) {
+            console.error('Error reading color distance settings:', error);
+        }
+        return settings;
+    }
+
+    saveDistanceSettings(settings) {
+        this.distanceSettings = settings;
+        localStorage.setItem('pixelVoxelDistanceSettings', JSON.stringify(settings));
+    }
+
+    setAuthor(name) {
+        this.author = name.trim();
+        localStorage.setItem('pixelVoxelAuthor', this.author);
+    }
+
+    // Load the project import rules from the server (defaults when offline)
+    async loadProjectSettings() {
+        try {
+            const response = await fetch('/api/settings');
+            const result = await response.json();
+            if (result.success) {
+                this.importRules = PixelAnalysis.normalizeRules(result.settings.importRules);
+                this.levelFilePattern = result.settings.levelFilePattern || this.levelFilePattern;
+                this.progressionRules = LevelProgression.normalizeRules(result.settings.progressionRules);
+            }
+        } catch (error) {
+            console.log('Project settings not available, using default import rules');
+        }
+        return this.importRules;
+    }
+
+    // File name that belongs to a level (Paint_Lv5.png)
+    levelFileName(level) {
+        return this.levelFilePattern.replace('{N}', level);
+    }
+
+    // Store new import rules in project-settings.json (throws on server errors)
+    async saveProjectSettings(rules) {
+        const response = await fetch('/api/settings', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ importRules: rules })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+
+        this.importRules = PixelAnalysis.normalizeRules(result.settings.importRules);
+        return result;
+    }
+
+    // Store new level progression rules in project-settings.json
+    async saveProgressionRules(rules) {
+        const response = await fetch('/api/settings', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ progressionRules: rules })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+
+        this.progressionRules = LevelProgression.normalizeRules(result.settings.progressionRules);
+        return this.progressionRules;
+    }
+
+    // ===== Quarantine =====
+    // Entries: { id, name, source ('file', 'folder' or 'catalog'), path,
+    //            reasons, width, height, colorCount, date }
+
+    loadQuarantine() {
+        try {
+            return JSON.parse(localStorage.getItem('pixelVoxelQuarantine')) || [];
+        } catch (error) {
+            console.error('Error reading quarantine:', error);
+            return [];
+        }
+    }
+
+    saveQuarantine() {
+        localStorage.setItem('pixelVoxelQuarantine', JSON.stringify(this.quarantine));
+    }
+
+    // Quarantine a rejected file; a newer rejection of the same file replaces the old one
+    addToQuarantine(entry) {
+        this.quarantine = this.quarantine.filter(q => !(q.source === entry.source && q.path === entry.path));
+        this.quarantine.push({
+            id: Date.now() + Math.random(),
+            date: new Date().toISOString(),
+            ...entry
+        });
+        this.saveQuarantine();
+    }
+
+    removeFromQuarantine(id) {
+        this.quarantine = this.quarantine.filter(q => q.id !== id);
+        this.saveQuarantine();
+    }
+
+    // Drop entries of one source (all entries without a source)
+    clearQuarantine(source) {
+        this.quarantine = source ? this.quarantine.filter(q => q.source !== source) : [];
+        this.saveQuarantine();
+    }
+
     // Load data from localStorage
     loadFromStorage() {
         const stored = localStorage.getItem('pixelVoxelData');
@@ -77,13 +209,22 @@ class PixelArtManager {
             
             this.folders = data.folders || this.folders;
             this.masterPalette = data.masterPalette || [];
+            
+            // Folders saved before nesting had no path, they all sat at the top
+            this.folders.forEach(folder => {
+                if (folder.path === undefined) {
+                    folder.path = folder.id === 'root' ? '' : folder.name;
+                }
+            });
         }
     }
 
     // Save data to localStorage
     saveToStorage() {
+        // Images backed by the server catalog (they have a path) live on the
+        // server, only local imports are kept here.
         // Convert colorMap from Map to object for JSON serialization
-        const imagesToSave = this.images.map(img => ({
+        const imagesToSave = this.images.filter(img => !img.path).map(img => ({
             ...img,
             colorMap: img.colorMap instanceof Map ? Object.fromEntries(img.colorMap) : img.colorMap
         }));
@@ -116,6 +257,7 @@ class PixelArtManager {
             colorCount: imageData.colors.length,
             palette: imageData.colors,
             colorMap: colorMap, // Store pixel count per color
+            difficulty: imageData.difficulty || null,
             folder: this.currentFolder,
             createdAt: new Date().toISOString()
         };
@@ -126,6 +268,58 @@ class PixelArtManager {
         return image;
     }
 
+    // Image by an id read back from the page (data attributes, drag data):
+    // catalog ids are strings, ids of local imports numbers
+    findImage(id) {
+        return this.images.find(img => String(img.id) === String(id)) || null;
+    }
+
+    // Add an image record loaded from the server catalog (no save, caller batches)
+    addCatalogImage(record, folderId) {
+        const image = {
+            id: record.id,
+            path: record.path,
+            name: record.name,
+            dataUrl: record.src, // Normalized PNG served by the catalog
+            width: record.width,
+            height: record.height,
+            colors: record.colors,
+            colorCount: record.colorCount,
+            palette: record.colors,
+            colorMap: new Map(Object.entries(record.colorMap || {})),
+            tags: record.tags || [],
+            contentHash: record.contentHash, // Version sent back with saves
+            difficulty: record.difficulty || null, // Estimated by difficulty-estimator.js
+            folder: folderId,
+            createdAt: record.createdAt
+        };
+        
+        this.images.push(image);
+        record.colors.forEach(color => {
+            if (!this.masterPalette.includes(color)) {
+                this.masterPalette.push(color);
+            }
+        });
+        return image;
+    }
+
+    // Update image tags in the server catalog
+    async updateImageTags(image, tags) {
+        const response = await fetch(`/api/catalog/images/${image.id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ tags })
+        });
+        const result = await response.json();
+        
+        if (!result.success) {
+            throw new Error(result.message);
+        }
+        
+        image.tags = result.image.tags;
+        return image.tags;
+    }
+
     // Update master palette with new colors
     updateMasterPalette(colors) {
         colors.forEach(color => {
@@ -142,7 +336,7 @@ class PixelArtManager {
 
         // Filter by folder
         if (this.currentFolder !== 'root') {
-            filtered = filtered.filter(img => img.folder === this.currentFolder);
+            filtered = filtered.filter(img => String(img.folder) === String(this.currentFolder));
         }
 
         // Filter by color count
@@ -176,7 +370,8 @@ class PixelArtManager {
         if (this.searchQuery) {
             const query = this.searchQuery.toLowerCase();
             filtered = filtered.filter(img => 
-                img.name.toLowerCase().includes(query)
+                img.name.toLowerCase().includes(query) ||
+                (img.tags || []).some(tag => tag.includes(query))
             );
         }
 
@@ -213,57 +408,136 @@ class PixelArtManager {
     calculatePaletteMatch(imagePalette) {
         if (this.loadedPalette.length === 0) return 0;
         
-        let matches = 0;
-        for (const color of imagePalette) {
-            // Check exact match
-            if (this.loadedPalette.includes(color.toUpperCase())) {
-                matches++;
-            } else {
-                // Check similar colors (within threshold)
-                const imgRgb = hexToRgb(color);
-                const hasSimilar = this.loadedPalette.some(paletteColor => {
-                    const palRgb = hexToRgb(paletteColor);
-                    return colorDistance(imgRgb, palRgb) < 20;
-                });
-                if (hasSimilar) matches++;
-            }
-        }
-        
+        const matches = imagePalette.filter(color => this.isNearPalette(color)).length;
         return Math.round((matches / imagePalette.length) * 100);
     }
 
-    // Check if image is ready to dev (all pixel counts divisible by 10)
-    isReadyToDev(img) {
-        if (!img.colorMap || (img.colorMap instanceof Map && img.colorMap.size === 0)) {
-            return false;
-        }
-        
-        let colorMap = img.colorMap;
-        
-        // Ensure colorMap is a Map
-        if (colorMap && typeof colorMap === 'object' && !(colorMap instanceof Map)) {
-            colorMap = new Map(Object.entries(colorMap));
+    // Check if a color is in the master palette or within the match threshold
+    isNearPalette(color) {
+        const colorUpper = color.toUpperCase();
+        if (this.loadedPalette.includes(colorUpper)) return true;
+        
+        // Convert the palette once per palette/settings and remember results
+        const settings = this.distanceSettings.match;
+        const metric = ColorDistance.getMetric(settings.metric);
+        let cache = this.paletteMatchCache;
+        if (!cache || cache.palette !== this.loadedPalette || cache.settings !== settings) {
+            cache = this.paletteMatchCache = {
+                palette: this.loadedPalette,
+                settings: settings,
+                converted: this.loadedPalette.map(c => metric.toSpace(hexToRgb(c))),
+                results: new Map()
+            };
         }
         
-        // Check if all pixel counts are divisible by 10
-        for (const [color, count] of colorMap.entries()) {
-            if (count % 10 !== 0) {
-                return false;
-            }
+        if (!cache.results.has(colorUpper)) {
+            const value = metric.toSpace(hexToRgb(colorUpper));
+            cache.results.set(colorUpper, cache.converted.some(p => metric.compare(value, p) < settings.threshold));
         }
-        
-        return colorMap.size > 0; // Must have at least one color
+        return cache.results.get(colorUpper);
+    }
+
+    // Check if image is ready to dev (all pixel counts divisible by 10)
+    isReadyToDev(img) {
+        return PixelAnalysis.isReadyToDev(img.colorMap);
     }
 
-    // Add new folder
+    // Add new folder (parent: id of the parent folder, null = top level)
     addFolder(name, parent = null) {
         const id = Date.now() + Math.random();
-        const folder = { id, name, parent };
+        const parentPath = this.folderPath(parent);
+        const folder = {
+            id,
+            name,
+            parent: parentPath ? parent : null,
+            path: parentPath ? `${parentPath}/${name}` : name
+        };
         this.folders.push(folder);
         this.saveToStorage();
         return folder;
     }
 
+    // Folder for a path inside PixelAssets ('' = root), created with its
+    // parents when missing. Returns the folder id.
+    ensureFolderPath(folderPath) {
+        if (!folderPath) return 'root';
+
+        const existing = this.folders.find(f => f.path === folderPath);
+        if (existing) return existing.id;
+
+        const parts = folderPath.split('/');
+        const parent = parts.length > 1 ? this.ensureFolderPath(parts.slice(0, -1).join('/')) : null;
+        return this.addFolder(parts[parts.length - 1], parent).id;
+    }
+
+    // Path of a folder inside PixelAssets ('' for root or unknown folders)
+    folderPath(folderId) {
+        const folder = this.getFolder(folderId);
+        return folder ? folder.path : '';
+    }
+
+    // Folder of an image inside PixelAssets, from its file path when it has one
+    imageFolderPath(img) {
+        if (img.path) {
+            return img.path.includes('/') ? img.path.slice(0, img.path.lastIndexOf('/')) : '';
+        }
+        return this.folderPath(img.folder);
+    }
+
+    // Folders in tree order (parents before their children), with depth
+    getFolderTree() {
+        const tree = [];
+        const addChildren = (parentPath, depth) => {
+            this.folders
+                .filter(f => f.id !== 'root' && (f.path.includes('/') ? f.path.slice(0, f.path.lastIndexOf('/')) : '') === parentPath)
+                .sort((a, b) => a.name.localeCompare(b.name))
+                .forEach(folder => {
+                    tree.push({ folder, depth });
+                    addChildren(folder.path, depth + 1);
+                });
+        };
+
+        tree.push({ folder: this.getFolder('root'), depth: 0 });
+        addChildren('', 1);
+        return tree;
+    }
+
+    // A folder (and everything below it) moved from one path to another
+    moveFolderPath(fromPath, toPath) {
+        const isUnder = itemPath => itemPath === fromPath || itemPath.startsWith(fromPath + '/');
+        const rebase = itemPath => toPath + itemPath.slice(fromPath.length);
+
+        this.folders.filter(f => f.id !== 'root' && isUnder(f.path)).forEach(folder => {
+            folder.path = rebase(folder.path);
+            folder.name = folder.path.split('/').pop();
+        });
+        this.folders.filter(f => f.id !== 'root').forEach(folder => {
+            const parentPath = folder.path.includes('/') ? folder.path.slice(0, folder.path.lastIndexOf('/')) : '';
+            folder.parent = parentPath ? this.ensureFolderPath(parentPath) : null;
+        });
+        this.images.filter(img => img.path && isUnder(img.path)).forEach(img => {
+            img.path = rebase(img.path);
+        });
+        this.saveToStorage();
+    }
+
+    // Drop a folder and its sub folders. Their library files went to the
+    // server trash; local imports (not on disk) move to the top level.
+    removeFolderPath(folderPath) {
+        const isUnder = itemPath => itemPath === folderPath || itemPath.startsWith(folderPath + '/');
+        const removed = this.folders.filter(f => f.id !== 'root' && isUnder(f.path)).map(f => f.id);
+
+        this.images = this.images.filter(img => !(img.path && isUnder(img.path)));
+        this.images.filter(img => removed.includes(img.folder)).forEach(img => {
+            img.folder = 'root';
+        });
+        this.folders = this.folders.filter(f => !removed.includes(f.id));
+        if (removed.includes(this.currentFolder)) {
+            this.currentFolder = 'root';
+        }
+        this.saveToStorage();
+    }
+
     // Move image to folder
     moveImage(imageId, folderId) {
         const image = this.images.find(img => img.id === imageId);
@@ -279,9 +553,9 @@ class PixelArtManager {
         this.saveToStorage();
     }
 
-    // Get folder by id
+    // Get folder by id (ids read back from data attributes are strings)
     getFolder(id) {
-        return this.folders.find(f => f.id === id);
+        return this.folders.find(f => f.id === id || String(f.id) === String(id));
     }
 
     // Get image count for folder
@@ -289,12 +563,19 @@ class PixelArtManager {
         if (folderId === 'root') {
             return this.images.length;
         }
-        return this.images.filter(img => img.folder === folderId).length;
+        return this.images.filter(img => String(img.folder) === String(folderId)).length;
     }
 }
 
 // ===== Color Analysis =====
-function analyzeImage(imageElement, quantize = false, threshold = 30) {
+// Pure helpers are shared with server.js through image-analysis.js
+const { hexToRgb, rgbToHex } = PixelAnalysis;
+
+// settings: { mode, metric, threshold, palette, maxColors } for PaletteQuantizer
+// (threshold in the units of the chosen color distance metric).
+// When quantized, dataUrl holds the rewritten pixels and must be stored
+// instead of the source image.
+function analyzeImage(imageElement, quantize = false, settings = {}) {
     return new Promise((resolve) => {
         const canvas = document.createElement('canvas');
         const ctx = canvas.getContext('2d');
@@ -304,110 +585,89 @@ function analyzeImage(imageElement, quantize = false, threshold = 30) {
         ctx.drawImage(imageElement, 0, 0);
         
         const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-        const pixels = imageData.data;
-        const colorMap = new Map(); // Map of color -> pixel count
+        const colorMap = PixelAnalysis.countColors(imageData); // Map of color -> pixel count
         
-        // Extract colors with frequency
-        for (let i = 0; i < pixels.length; i += 4) {
-            const r = pixels[i];
-            const g = pixels[i + 1];
-            const b = pixels[i + 2];
-            const a = pixels[i + 3];
-            
-            // Skip transparent pixels
-            if (a < 128) continue;
-            
-            const hex = rgbToHex(r, g, b);
-            colorMap.set(hex, (colorMap.get(hex) || 0) + 1);
-        }
-        
-        let colors = Array.from(colorMap.keys());
+        const maxColors = settings.maxColors || PixelAnalysis.MAX_COLORS;
         
-        // If too many colors and quantize is enabled, merge similar colors
-        if (quantize && colors.length > 15) {
-            colors = quantizeColors(colorMap, threshold);
+        // If too many colors and quantize is enabled, reduce the palette and rewrite the pixels
+        if (quantize && colorMap.size > maxColors) {
+            let mode = settings.mode;
+            if (mode === 'palette' && !(settings.palette && settings.palette.length > 0)) {
+                console.warn('⚠️ No master palette loaded, quantizing with median cut');
+                mode = 'median-cut';
+            }
+
+            const result = PaletteQuantizer.quantizeImage(imageData, colorMap, {
+                mode: mode,
+                maxColors: maxColors,
+                metric: settings.metric,
+                threshold: settings.threshold,
+                palette: settings.palette
+            });
+            ctx.putImageData(new ImageData(result.image.data, canvas.width, canvas.height), 0, 0);
+
+            resolve({
+                width: canvas.width,
+                height: canvas.height,
+                colors: result.colors,
+                colorMap: result.colorMap,
+                originalColorCount: colorMap.size,
+                transparentPixels: PixelAnalysis.alphaStats(result.image).transparentPixels,
+                difficulty: DifficultyEstimator.estimateDifficulty(result.image),
+                dataUrl: canvas.toDataURL('image/png')
+            });
+            return;
         }
         
         resolve({
             width: canvas.width,
             height: canvas.height,
-            colors: colors,
+            colors: Array.from(colorMap.keys()),
             colorMap: colorMap, // Include pixel counts for each color
-            originalColorCount: colorMap.size
+            originalColorCount: colorMap.size,
+            transparentPixels: PixelAnalysis.alphaStats(imageData).transparentPixels,
+            difficulty: DifficultyEstimator.estimateDifficulty(imageData)
         });
     });
 }
 
-// Quantize colors by merging similar ones
-function quantizeColors(colorMap, threshold) {
-    const colors = Array.from(colorMap.entries())
-        .sort((a, b) => b[1] - a[1]); // Sort by frequency
-    
-    const palette = [];
-    const used = new Set();
-    
-    for (const [color, count] of colors) {
-        if (used.has(color)) continue;
-        
-        // Find similar colors and merge
-        const rgb = hexToRgb(color);
-        const similar = [color];
-        
-        for (const [otherColor] of colors) {
-            if (used.has(otherColor) || color === otherColor) continue;
-            
-            const otherRgb = hexToRgb(otherColor);
-            const distance = colorDistance(rgb, otherRgb);
-            
-            if (distance < threshold) {
-                similar.push(otherColor);
-                used.add(otherColor);
-            }
-        }
-        
-        palette.push(color);
-        used.add(color);
-        
-        if (palette.length >= 15) break;
-    }
-    
-    return palette;
-}
-
-// Calculate color distance (Euclidean)
-function colorDistance(rgb1, rgb2) {
-    return Math.sqrt(
-        Math.pow(rgb1.r - rgb2.r, 2) +
-        Math.pow(rgb1.g - rgb2.g, 2) +
-        Math.pow(rgb1.b - rgb2.b, 2)
-    );
-}
-
-// Convert HEX to RGB
-function hexToRgb(hex) {
-    const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-    return result ? {
-        r: parseInt(result[1], 16),
-        g: parseInt(result[2], 16),
-        b: parseInt(result[3], 16)
-    } : null;
-}
-
-// Convert RGB to HEX
-function rgbToHex(r, g, b) {
-    return '#' + [r, g, b].map(x => {
-        const hex = x.toString(16);
-        return hex.length === 1 ? '0' + hex : hex;
-    }).join('');
+// Undo upscaling with the shared grid detector (any integer scale, grid
+// offsets and cropped borders) under the project import rules. Returns the
+// image to import as { dataUrl, width, height, grid, partialAlphaPixels }
+// (semi-transparent pixels are counted before downscaling snaps alpha).
+function normalizeUpscaledImage(imageElement, dataUrl, rules) {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    canvas.width = imageElement.width;
+    canvas.height = imageElement.height;
+    ctx.drawImage(imageElement, 0, 0);
+
+    const source = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const grid = PixelAnalysis.detectGrid(source, rules);
+    const { partialAlphaPixels } = PixelAnalysis.alphaStats(source);
+    if (grid.scale === 1) {
+        return { dataUrl, width: canvas.width, height: canvas.height, grid, partialAlphaPixels };
+    }
+
+    canvas.width = grid.image.width;
+    canvas.height = grid.image.height;
+    ctx.putImageData(new ImageData(grid.image.data, grid.image.width, grid.image.height), 0, 0);
+
+    return { dataUrl: canvas.toDataURL('image/png'), width: canvas.width, height: canvas.height, grid, partialAlphaPixels };
 }
 
 // ===== UI Controller =====
 class UIController {
     constructor(manager) {
         this.manager = manager;
+        this.importReport = null; // Last import session, see runImportSession
+        this.importRunning = false;
+        this.loadingFromServer = false;
+        this.pendingCatalogEvents = []; // Live updates received during a full load
         this.initElements();
         this.attachEventListeners();
         this.autoLoadFromServer();
+        this.connectLiveUpdates();
     }
 
     initElements() {
@@ -447,6 +707,16 @@ class UIController {
         this.folderModal = document.getElementById('folderModal');
         this.moveModal = document.getElementById('moveModal');
         this.colorEditorModal = document.getElementById('colorEditorModal');
+        this.snapPaletteModal = document.getElementById('snapPaletteModal');
+        this.distanceSettingsModal = document.getElementById('distanceSettingsModal');
+        this.importRulesModal = document.getElementById('importRulesModal');
+        this.quarantineModal = document.getElementById('quarantineModal');
+        this.importReportPanel = document.getElementById('importReportPanel');
+        this.trashModal = document.getElementById('trashModal');
+        this.reconcileModal = document.getElementById('reconcileModal');
+        this.historyModal = document.getElementById('historyModal');
+        this.saveConflictModal = document.getElementById('saveConflictModal');
+        this.colorFilterButtons = document.getElementById('colorFilterButtons');
         
         // Color editor elements
         this.colorEditorCanvas = document.getElementById('colorEditorCanvas');
@@ -462,6 +732,9 @@ class UIController {
         this.selectedColorToReplace = null;
         this.currentEditingImageData = null;
         
+        // Snap to palette state (one job per image)
+        this.snapJobs = [];
+        
         // Pixel editor reference
         this.pixelEditor = null;
     }
@@ -502,18 +775,6 @@ class UIController {
             this.showFolderModal();
         });
 
-        // Filter buttons
-        document.querySelectorAll('.filter-btn').forEach(btn => {
-            btn.addEventListener('click', (e) => {
-                document.querySelectorAll('.filter-btn').forEach(b => 
-                    b.classList.remove('active')
-                );
-                e.target.classList.add('active');
-                this.manager.colorFilter = e.target.dataset.filter;
-                this.renderGallery();
-            });
-        });
-
         // Palette match buttons
         document.querySelectorAll('.match-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -550,10 +811,13 @@ class UIController {
         document.getElementById('createFolderBtn').addEventListener('click', async () => {
             const name = document.getElementById('folderNameInput').value.trim();
             if (name) {
-                await this.createFolderOnServer(name);
-                this.manager.addFolder(name);
-                this.render();
-                this.hideFolderModal();
+                // New folders go inside the folder that is open
+                const parentPath = this.manager.folderPath(this.manager.currentFolder);
+                if (await this.createFolderOnServer(name, parentPath)) {
+                    this.manager.ensureFolderPath(parentPath ? `${parentPath}/${name}` : name);
+                    this.render();
+                    this.hideFolderModal();
+                }
             }
         });
 
@@ -574,10 +838,14 @@ class UIController {
             this.showMoveModal();
         });
 
+        document.getElementById('editTagsBtn').addEventListener('click', () => {
+            this.editTags();
+        });
+
         document.getElementById('deleteBtn').addEventListener('click', async () => {
             // Multi-select delete
             if (this.manager.selectedImages.length > 0) {
-                if (confirm(`Delete ${this.manager.selectedImages.length} images? This will delete the actual files from disk.`)) {
+                if (confirm(`Delete ${this.manager.selectedImages.length} images? The files are moved to the Trash and can be restored.`)) {
                     for (const imageId of this.manager.selectedImages) {
                         const img = this.manager.images.find(i => i.id === imageId);
                         if (img) {
@@ -590,7 +858,7 @@ class UIController {
                 }
             }
             // Single image delete
-            else if (this.manager.selectedImage && confirm('Delete this image? This will delete the actual file from disk.')) {
+            else if (this.manager.selectedImage && confirm('Delete this image? The file is moved to the Trash and can be restored.')) {
                 await this.deleteImageFromServer(this.manager.selectedImage);
                 this.manager.deleteImage(this.manager.selectedImage.id);
                 this.manager.selectedImage = null;
@@ -603,7 +871,7 @@ class UIController {
             const selectedFolder = document.querySelector('.folder-list-item.selected');
             if (!selectedFolder) return;
             
-            const targetFolderId = selectedFolder.dataset.folderId;
+            const targetFolderId = this.manager.getFolder(selectedFolder.dataset.folderId).id;
             
             // Multi-select move
             if (this.manager.selectedImages.length > 0) {
@@ -662,6 +930,151 @@ class UIController {
         document.getElementById('cancelColorEditBtn').addEventListener('click', () => {
             this.hideColorEditor();
         });
+
+        // Color distance settings
+        document.getElementById('distanceSettingsBtn').addEventListener('click', () => {
+            this.showDistanceSettings();
+        });
+
+        document.getElementById('saveDistanceSettingsBtn').addEventListener('click', () => {
+            this.saveDistanceSettings();
+        });
+
+        document.getElementById('resetDistanceSettingsBtn').addEventListener('click', () => {
+            this.renderDistanceSettings(this.manager.getDefaultDistanceSettings());
+        });
+
+        document.getElementById('cancelDistanceSettingsBtn').addEventListener('click', () => {
+            this.distanceSettingsModal.classList.remove('active');
+        });
+
+        // Import rules (project-settings.json)
+        document.getElementById('importRulesBtn').addEventListener('click', () => {
+            this.showImportRules();
+        });
+
+        document.getElementById('saveImportRulesBtn').addEventListener('click', () => {
+            this.saveImportRules();
+        });
+
+        document.getElementById('resetImportRulesBtn').addEventListener('click', () => {
+            this.fillImportRules(PixelAnalysis.normalizeRules());
+        });
+
+        document.getElementById('cancelImportRulesBtn').addEventListener('click', () => {
+            this.importRulesModal.classList.remove('active');
+        });
+
+        // Quarantine
+        document.getElementById('quarantineBtn').addEventListener('click', () => {
+            this.showQuarantine();
+        });
+
+        document.getElementById('clearQuarantineBtn').addEventListener('click', () => {
+            if (confirm('Remove every entry from the quarantine?')) {
+                this.manager.clearQuarantine();
+                this.renderQuarantine();
+            }
+        });
+
+        document.getElementById('closeQuarantineBtn').addEventListener('click', () => {
+            this.quarantineModal.classList.remove('active');
+        });
+
+        // Revision history
+        document.getElementById('historyBtn').addEventListener('click', () => {
+            if (this.manager.selectedImage) {
+                this.showHistory(this.manager.selectedImage);
+            }
+        });
+
+        document.getElementById('historyAuthor').addEventListener('change', (e) => {
+            this.manager.setAuthor(e.target.value);
+        });
+
+        document.getElementById('closeHistoryBtn').addEventListener('click', () => {
+            this.historyModal.classList.remove('active');
+        });
+
+        // Save conflicts
+        document.getElementById('compareConflictBtn').addEventListener('click', () => {
+            this.compareSaveConflict();
+        });
+
+        document.getElementById('keepTheirsBtn').addEventListener('click', () => {
+            this.keepTheirs();
+        });
+
+        document.getElementById('saveConflictCopyBtn').addEventListener('click', () => {
+            this.saveConflictCopy();
+        });
+
+        document.getElementById('cancelConflictBtn').addEventListener('click', () => {
+            console.warn('⚠️ Save conflict left open, your changes are not saved');
+            this.finishSaveConflict(null);
+        });
+
+        // Trash
+        document.getElementById('trashBtn').addEventListener('click', () => {
+            this.showTrash();
+        });
+
+        document.getElementById('emptyTrashBtn').addEventListener('click', () => {
+            this.emptyTrash();
+        });
+
+        document.getElementById('closeTrashBtn').addEventListener('click', () => {
+            this.trashModal.classList.remove('active');
+        });
+
+        // Reconcile
+        document.getElementById('refreshReconcileBtn').addEventListener('click', () => {
+            this.renderReconcile();
+        });
+
+        document.getElementById('closeReconcileBtn').addEventListener('click', () => {
+            this.reconcileModal.classList.remove('active');
+        });
+
+        // Import report
+        document.getElementById('importReportBtn').addEventListener('click', () => {
+            this.showImportReport();
+        });
+
+        document.getElementById('retryImportReportBtn').addEventListener('click', () => {
+            this.retryImports(this.getFailedImports());
+        });
+
+        document.getElementById('exportImportReportBtn').addEventListener('click', () => {
+            this.exportImportReportCsv();
+        });
+
+        document.getElementById('reportImportRulesBtn').addEventListener('click', () => {
+            this.showImportRules();
+        });
+
+        document.getElementById('reportDistanceSettingsBtn').addEventListener('click', () => {
+            this.showDistanceSettings();
+        });
+
+        document.getElementById('closeImportReportBtn').addEventListener('click', () => {
+            this.importReportPanel.classList.remove('active');
+        });
+
+        // Snap to master palette
+        document.getElementById('snapPaletteBtn').addEventListener('click', () => {
+            if (this.manager.selectedImage) {
+                this.showSnapModal([this.manager.selectedImage]);
+            }
+        });
+
+        document.getElementById('confirmSnapBtn').addEventListener('click', () => {
+            this.applySnap();
+        });
+
+        document.getElementById('cancelSnapBtn').addEventListener('click', () => {
+            this.hideSnapModal();
+        });
         
         // Multi-select controls
         document.getElementById('selectAllBtn').addEventListener('click', () => {
@@ -680,7 +1093,7 @@ class UIController {
         document.getElementById('deleteSelectedBtn').addEventListener('click', async () => {
             if (this.manager.selectedImages.length === 0) return;
             
-            if (confirm(`Delete ${this.manager.selectedImages.length} images? This will delete the actual files from disk.`)) {
+            if (confirm(`Delete ${this.manager.selectedImages.length} images? The files are moved to the Trash and can be restored.`)) {
                 for (const imageId of this.manager.selectedImages) {
                     const img = this.manager.images.find(i => i.id === imageId);
                     if (img) {
@@ -698,6 +1111,14 @@ class UIController {
             this.showMultiMoveModal();
         });
         
+        document.getElementById('snapSelectedBtn').addEventListener('click', () => {
+            if (this.manager.selectedImages.length === 0) return;
+            const images = this.manager.selectedImages
+                .map(id => this.manager.images.find(img => img.id === id))
+                .filter(img => img);
+            this.showSnapModal(images);
+        });
+        
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             // Ctrl+A for select all (when not in input field)
@@ -719,122 +1140,20 @@ class UIController {
     }
 
     async handleFileImport(files) {
+        const pngFiles = Array.from(files).filter(file => file.type.match('image/png'));
+        this.fileInput.value = '';
+        if (pngFiles.length === 0) return;
+
+        await this.runImportSession('file', pngFiles.map(file => ({
+            file: file,
+            targetFolder: this.manager.currentFolder
+        })));
+    }
+
+    async handleFolderImport(files) {
         const fileArray = Array.from(files);
-        
-        for (const file of fileArray) {
-            if (!file.type.match('image/png')) continue;
-            
-            const dataUrl = await this.readFileAsDataURL(file);
-            const img = new Image();
-            
-            img.onload = async () => {
-                let width = img.width;
-                let height = img.height;
-                let scaledDataUrl = dataUrl;
-                let detectedScale = 1;
-
-                // Auto-detect if image is scaled (x2, x4, x8, x10, etc.)
-                // Check if dimensions are multiples and result would be in valid range
-                const possibleScales = [10, 8, 4, 2];
-                for (const scale of possibleScales) {
-                    const originalW = width / scale;
-                    const originalH = height / scale;
-                    
-                    // Check if it divides evenly and results in valid pixel art size
-                    if (Number.isInteger(originalW) && Number.isInteger(originalH) &&
-                        originalW >= 16 && originalW <= 32 &&
-                        originalH >= 16 && originalH <= 32) {
-                        
-                        // Hard edge downscaling - sample exact pixels
-                        const sourceCanvas = document.createElement('canvas');
-                        const sourceCtx = sourceCanvas.getContext('2d');
-                        sourceCanvas.width = width;
-                        sourceCanvas.height = height;
-                        sourceCtx.drawImage(img, 0, 0);
-                        const sourceData = sourceCtx.getImageData(0, 0, width, height);
-                        
-                        const destCanvas = document.createElement('canvas');
-                        const destCtx = destCanvas.getContext('2d');
-                        destCanvas.width = originalW;
-                        destCanvas.height = originalH;
-                        const destData = destCtx.createImageData(originalW, originalH);
-                        
-                        // Sample center pixel of each scaled block
-                        for (let y = 0; y < originalH; y++) {
-                            for (let x = 0; x < originalW; x++) {
-                                // Get center pixel of the scaled block
-                                const sourceX = Math.floor(x * scale + scale / 2);
-                                const sourceY = Math.floor(y * scale + scale / 2);
-                                const sourceIdx = (sourceY * width + sourceX) * 4;
-                                const destIdx = (y * originalW + x) * 4;
-                                
-                                destData.data[destIdx] = sourceData.data[sourceIdx];
-                                destData.data[destIdx + 1] = sourceData.data[sourceIdx + 1];
-                                destData.data[destIdx + 2] = sourceData.data[sourceIdx + 2];
-                                destData.data[destIdx + 3] = sourceData.data[sourceIdx + 3];
-                            }
-                        }
-                        
-                        destCtx.putImageData(destData, 0, 0);
-                        scaledDataUrl = destCanvas.toDataURL('image/png');
-                        width = originalW;
-                        height = originalH;
-                        detectedScale = scale;
-                        
-                        console.log(`Detected x${scale} scaled image, hard-edge downscaled to ${width}x${height}`);
-                        break;
-                    }
-                }
-
-                // Validate size after scaling detection (16-32px)
-                if (width < 16 || width > 32 || height < 16 || height > 32) {
-                    alert(`Image ${file.name} size must be between 16x16 and 32x32 pixels. Current: ${width}x${height}. Could not auto-scale.`);
-                    return;
-                }
-
-                // Create temp image for analysis with corrected size
-                const analyzeImg = new Image();
-                analyzeImg.onload = async () => {
-                    // Use quantization if image was scaled (likely has smoothing artifacts)
-                    const analysis = await analyzeImage(analyzeImg, detectedScale > 1, 30);
-                    
-                    console.log(`Original colors: ${analysis.originalColorCount}, After quantization: ${analysis.colors.length}`);
-                    
-                    // Validate color count (2-15)
-                    if (analysis.colors.length < 2 || analysis.colors.length > 15) {
-                        alert(`Image ${file.name} must have 2-15 colors. Found: ${analysis.colors.length} (original: ${analysis.originalColorCount})`);
-                        return;
-                    }
-
-                    // Clean up filename if it has scale suffix
-                    let cleanName = file.name;
-                    if (detectedScale > 1) {
-                        cleanName = file.name.replace(/_x\d+/gi, '');
-                    }
-
-                    this.manager.addImage({
-                        name: cleanName,
-                        dataUrl: scaledDataUrl,
-                        width: analysis.width,
-                        height: analysis.height,
-                        colors: analysis.colors,
-                        colorMap: analysis.colorMap
-                    });
-
-                    this.render();
-                };
-                analyzeImg.src = scaledDataUrl;
-            };
-
-            img.src = dataUrl;
-        }
-
-        this.fileInput.value = '';
-    }
-
-    async handleFolderImport(files) {
-        const fileArray = Array.from(files);
-        const pngFiles = fileArray.filter(file => file.type.match('image/png'));
+        const pngFiles = fileArray.filter(file => file.type.match('image/png'));
+        this.folderInput.value = '';
         
         if (pngFiles.length === 0) {
             alert('No PNG files found in the selected folder!');
@@ -854,372 +1173,307 @@ class UIController {
             if (pathParts.length > 1) {
                 const folderPath = pathParts.slice(0, -1).join('/');
                 if (!folderMap.has(folderPath)) {
-                    // Create folder if not exists
-                    const folderName = pathParts[pathParts.length - 2];
-                    const existingFolder = this.manager.folders.find(f => f.name === folderName);
-                    
-                    if (!existingFolder) {
-                        const newFolder = this.manager.addFolder(folderName);
-                        folderMap.set(folderPath, newFolder.id);
-                    } else {
-                        folderMap.set(folderPath, existingFolder.id);
-                    }
+                    // Create the folder (and its parents) if not exists
+                    folderMap.set(folderPath, this.manager.ensureFolderPath(folderPath));
                 }
             }
         }
 
-        // Process each file
-        let processed = 0;
-        let skipped = 0;
-        
-        for (const file of pngFiles) {
-            try {
-                const path = file.webkitRelativePath || file.name;
-                const pathParts = path.split('/');
-                const folderPath = pathParts.slice(0, -1).join('/');
-                const targetFolder = folderMap.get(folderPath) || 'root';
-                
-                const dataUrl = await this.readFileAsDataURL(file);
-                const img = new Image();
-                
-                await new Promise((resolve) => {
-                    img.onload = async () => {
-                        try {
-                            let width = img.width;
-                            let height = img.height;
-                            let scaledDataUrl = dataUrl;
-                            let detectedScale = 1;
-
-                            // Auto-detect if image is scaled
-                            const possibleScales = [10, 8, 4, 2];
-                            for (const scale of possibleScales) {
-                                const originalW = width / scale;
-                                const originalH = height / scale;
-                                
-                                if (Number.isInteger(originalW) && Number.isInteger(originalH) &&
-                                    originalW >= 16 && originalW <= 32 &&
-                                    originalH >= 16 && originalH <= 32) {
-                                    
-                                    // Hard edge downscaling
-                                    const sourceCanvas = document.createElement('canvas');
-                                    const sourceCtx = sourceCanvas.getContext('2d');
-                                    sourceCanvas.width = width;
-                                    sourceCanvas.height = height;
-                                    sourceCtx.drawImage(img, 0, 0);
-                                    const sourceData = sourceCtx.getImageData(0, 0, width, height);
-                                    
-                                    const destCanvas = document.createElement('canvas');
-                                    const destCtx = destCanvas.getContext('2d');
-                                    destCanvas.width = originalW;
-                                    destCanvas.height = originalH;
-                                    const destData = destCtx.createImageData(originalW, originalH);
-                                    
-                                    for (let y = 0; y < originalH; y++) {
-                                        for (let x = 0; x < originalW; x++) {
-                                            const sourceX = Math.floor(x * scale + scale / 2);
-                                            const sourceY = Math.floor(y * scale + scale / 2);
-                                            const sourceIdx = (sourceY * width + sourceX) * 4;
-                                            const destIdx = (y * originalW + x) * 4;
-                                            
-                                            destData.data[destIdx] = sourceData.data[sourceIdx];
-                                            destData.data[destIdx + 1] = sourceData.data[sourceIdx + 1];
-                                            destData.data[destIdx + 2] = sourceData.data[sourceIdx + 2];
-                                            destData.data[destIdx + 3] = sourceData.data[sourceIdx + 3];
-                                        }
-                                    }
-                                    
-                                    destCtx.putImageData(destData, 0, 0);
-                                    scaledDataUrl = destCanvas.toDataURL('image/png');
-                                    width = originalW;
-                                    height = originalH;
-                                    detectedScale = scale;
-                                    break;
-                                }
-                            }
+        await this.runImportSession('folder', pngFiles.map(file => {
+            const pathParts = (file.webkitRelativePath || file.name).split('/');
+            return {
+                file: file,
+                targetFolder: folderMap.get(pathParts.slice(0, -1).join('/')) || 'root'
+            };
+        }));
+    }
 
-                            // Skip if size is invalid
-                            if (width < 16 || width > 32 || height < 16 || height > 32) {
-                                console.warn(`Skipped ${file.name}: Invalid size ${width}x${height}`);
-                                skipped++;
-                                resolve();
-                                return;
-                            }
+    // Import a list of { file, targetFolder } and record every file in a new
+    // import report (replaces the previous one)
+    async runImportSession(source, items) {
+        if (this.importRunning) {
+            alert('Another import is still running.');
+            return;
+        }
 
-                            const analyzeImg = new Image();
-                            analyzeImg.onload = async () => {
-                                const analysis = await analyzeImage(analyzeImg, detectedScale > 1, 30);
-                                
-                                // Skip if color count is invalid
-                                if (analysis.colors.length < 2 || analysis.colors.length > 15) {
-                                    console.warn(`Skipped ${file.name}: Invalid colors ${analysis.colors.length}`);
-                                    skipped++;
-                                    resolve();
-                                    return;
-                                }
-
-                                let cleanName = file.name;
-                                if (detectedScale > 1) {
-                                    cleanName = file.name.replace(/_x\d+/gi, '');
-                                }
-
-                                // Save to specific folder
-                                const prevFolder = this.manager.currentFolder;
-                                this.manager.currentFolder = targetFolder;
-                                
-                                this.manager.addImage({
-                                    name: cleanName,
-                                    dataUrl: scaledDataUrl,
-                                    width: analysis.width,
-                                    height: analysis.height,
-                                    colors: analysis.colors,
-                                    colorMap: analysis.colorMap
-                                });
-
-                                this.manager.currentFolder = prevFolder;
-                                processed++;
-                                resolve();
-                            };
-                            analyzeImg.src = scaledDataUrl;
-                        } catch (err) {
-                            console.error(`Error processing ${file.name}:`, err);
-                            skipped++;
-                            resolve();
-                        }
-                    };
-                    
-                    img.onerror = () => {
-                        console.error(`Failed to load ${file.name}`);
-                        skipped++;
-                        resolve();
-                    };
-                    
-                    img.src = dataUrl;
-                });
-            } catch (err) {
-                console.error(`Error reading ${file.name}:`, err);
-                skipped++;
+        this.importReport = {
+            source: source,
+            startedAt: new Date().toISOString(),
+            entries: []
+        };
+        this.importRunning = true;
+        this.showImportReport();
+
+        // importFile never throws, but a failing render must not leave the
+        // session locked for good
+        try {
+            for (const item of items) {
+                const entry = await this.importFile(item.file, source, item.targetFolder);
+                this.importReport.entries.push(entry);
+                this.renderImportReport();
             }
+        } finally {
+            this.importRunning = false;
         }
 
+        this.renderImportReport();
         this.render();
-        this.folderInput.value = '';
-        
-        alert(`Import complete!\nProcessed: ${processed}\nSkipped: ${skipped}`);
+
+        const counts = this.countImportReport();
+        console.log(`📋 Import complete: ${counts.imported} imported, ${counts.rejected} rejected, ${counts.duplicate} duplicates, ${counts.error} unreadable`);
+    }
+
+    // Run one PNG through the import pipeline (grid detection, quantization,
+    // import rules, duplicate check). Never throws; returns its report entry:
+    // { file, name, path, source, targetFolder, status ('imported', 'rejected',
+    //   'duplicate' or 'error'), scale, width, height, originalColorCount,
+    //   colorCount, quantized, reasons }
+    async importFile(file, source, targetFolder) {
+        const entry = {
+            file: file,
+            name: file.name,
+            path: file.webkitRelativePath || file.name,
+            source: source,
+            targetFolder: targetFolder,
+            status: 'error',
+            scale: 1,
+            width: null,
+            height: null,
+            originalColorCount: null,
+            colorCount: null,
+            quantized: false,
+            reasons: []
+        };
+
+        try {
+            const dataUrl = await this.readFileAsDataURL(file);
+            const img = await this.loadImageElement(dataUrl);
+
+            // Auto-detect if image is scaled and hard-edge downscale it
+            const normalized = normalizeUpscaledImage(img, dataUrl, this.manager.importRules);
+            const { grid } = normalized;
+            entry.scale = grid.scale;
+
+            if (grid.scale > 1 && grid.disagreeingBlocks.length > 0) {
+                console.warn(`⚠️ ${file.name}: x${grid.scale} with ${grid.disagreeingBlocks.length} mixed blocks (confidence ${Math.round(grid.confidence * 100)}%)`);
+            }
+
+            // Use quantization if image was scaled (likely has smoothing artifacts)
+            const analyzeImg = await this.loadImageElement(normalized.dataUrl);
+            const analysis = await analyzeImage(analyzeImg, grid.scale > 1, this.getImportQuantizeSettings());
+            
+            entry.width = analysis.width;
+            entry.height = analysis.height;
+            entry.originalColorCount = analysis.originalColorCount;
+            entry.colorCount = analysis.colors.length;
+            entry.quantized = Boolean(analysis.dataUrl);
+
+            // Files breaking the import rules go to the quarantine
+            const reasons = this.checkImportRules(normalized, analysis);
+            if (reasons.length > 0) {
+                console.warn(`🚧 Quarantined ${file.name}: ${reasons.join(', ')}`);
+                this.manager.addToQuarantine({
+                    name: file.name,
+                    source: source,
+                    path: entry.path,
+                    reasons: reasons,
+                    width: analysis.width,
+                    height: analysis.height,
+                    colorCount: analysis.colors.length
+                });
+                entry.status = 'rejected';
+                entry.reasons = reasons;
+                return entry;
+            }
+            this.manager.quarantine
+                .filter(q => q.source === source && q.path === entry.path)
+                .forEach(q => this.manager.removeFromQuarantine(q.id));
+
+            // Same size and same pixel count per color as an image in the gallery
+            const duplicate = this.findDuplicateImage(analysis);
+            if (duplicate) {
+                entry.status = 'duplicate';
+                entry.reasons = [`same pixels as ${duplicate.name}`];
+                return entry;
+            }
+
+            // Clean up filename if it has scale suffix
+            let cleanName = file.name;
+            if (grid.scale > 1) {
+                cleanName = file.name.replace(/_x\d+/gi, '');
+            }
+
+            // Save to the target folder
+            const prevFolder = this.manager.currentFolder;
+            this.manager.currentFolder = targetFolder;
+            
+            this.manager.addImage({
+                name: cleanName,
+                dataUrl: analysis.dataUrl || normalized.dataUrl,
+                width: analysis.width,
+                height: analysis.height,
+                colors: analysis.colors,
+                colorMap: analysis.colorMap,
+                difficulty: analysis.difficulty
+            });
+
+            this.manager.currentFolder = prevFolder;
+            entry.status = 'imported';
+        } catch (err) {
+            console.error(`Error processing ${file.name}:`, err);
+            entry.reasons = [err.message || 'could not read the file'];
+        }
+
+        return entry;
+    }
+
+    // Quantization settings for imports (distance settings + project rules)
+    getImportQuantizeSettings() {
+        return {
+            ...this.manager.distanceSettings.quantize,
+            palette: this.manager.loadedPalette,
+            maxColors: this.manager.importRules.maxColors
+        };
+    }
+
+    // Judge an analyzed import against the project rules, returns the
+    // reasons it is rejected (empty when accepted)
+    checkImportRules(normalized, analysis) {
+        return PixelAnalysis.checkRules({
+            width: analysis.width,
+            height: analysis.height,
+            colorCount: analysis.colors.length,
+            transparentPixels: analysis.transparentPixels,
+            partialAlphaPixels: normalized.partialAlphaPixels
+        }, this.manager.importRules).map(r => r.message);
+    }
+
+    // Gallery image with the same size and pixel count per color
+    findDuplicateImage(analysis) {
+        // colorMap is a Map, or a plain object for images restored from storage
+        const signature = (colorMap) => {
+            const entries = colorMap instanceof Map ? Array.from(colorMap) : Object.entries(colorMap || {});
+            return entries.map(([hex, count]) => `${hex.toLowerCase()}:${count}`).sort().join(',');
+        };
+        const target = signature(analysis.colorMap);
+
+        return this.manager.images.find(img =>
+            img.width === analysis.width &&
+            img.height === analysis.height &&
+            signature(img.colorMap) === target
+        );
     }
 
+    // Full reload of the catalog. Live updates arriving meanwhile are applied
+    // afterwards (they are idempotent, so replaying one already loaded is fine).
     async autoLoadFromServer() {
+        this.loadingFromServer = true;
+        try {
+            await this.loadCatalogFromServer();
+        } finally {
+            this.loadingFromServer = false;
+            const pending = this.pendingCatalogEvents;
+            this.pendingCatalogEvents = [];
+            pending.forEach(event => this.applyCatalogEvent(event));
+        }
+    }
+
+    async loadCatalogFromServer() {
         try {
-            console.log('🔍 Checking for PixelAssets folder...');
+            await this.manager.loadProjectSettings();
+            
+            console.log('🔍 Syncing PixelAssets into the catalog...');
             
-            const response = await fetch('/api/images');
-            const data = await response.json();
+            // Let the server pick up new or changed files first
+            const scanResponse = await fetch('/api/catalog/scan', { method: 'POST' });
+            const scan = await scanResponse.json();
             
-            if (!data.success || data.images.length === 0) {
+            if (!scan.success) {
                 console.log('No images found in PixelAssets folder');
                 this.render();
                 return;
             }
             
-            console.log(`📂 Found ${data.count} images in PixelAssets. Auto-loading...`);
+            console.log(`📚 Catalog: ${scan.total} images (+${scan.added} new, ${scan.updated} updated, ${scan.missing.length} missing)`);
+            
+            const summaryResponse = await fetch('/api/catalog');
+            const summary = await summaryResponse.json();
             
             // Create folder structure
             const folderMap = new Map();
             folderMap.set('', 'root');
             
-            for (const imageData of data.images) {
-                if (imageData.folder) {
-                    if (!folderMap.has(imageData.folder)) {
-                        const folderName = imageData.folder.split('/').pop() || imageData.folder;
-                        const existingFolder = this.manager.folders.find(f => f.name === folderName);
-                        
-                        if (!existingFolder) {
-                            const newFolder = this.manager.addFolder(folderName);
-                            folderMap.set(imageData.folder, newFolder.id);
-                        } else {
-                            folderMap.set(imageData.folder, existingFolder.id);
-                        }
-                    }
-                }
+            for (const catalogFolder of summary.folders) {
+                folderMap.set(catalogFolder.path, this.catalogFolderId(catalogFolder.path));
             }
             
-            // Process images
+            // Catalog images are reloaded from scratch, local imports stay
+            this.manager.images = this.manager.images.filter(img => !img.path);
+            
             let processed = 0;
             let skipped = 0;
             const skipReasons = {
                 duplicate: 0,
-                invalidSize: 0,
-                invalidColors: 0,
-                loadError: 0,
-                other: 0
+                size: 0,
+                colors: 0,
+                transparency: 0
             };
             
-            for (const imageData of data.images) {
-                try {
-                    const targetFolder = folderMap.get(imageData.folder) || 'root';
-                    
-                    // Check if already imported
-                    const existing = this.manager.images.find(img => img.name === imageData.name);
-                    if (existing) {
-                        skipReasons.duplicate++;
+            // Catalog files are judged again on every load
+            this.manager.clearQuarantine('catalog');
+            
+            // Load records page by page so the gallery fills in progressively
+            const pageSize = 100;
+            let offset = 0;
+            let total = 0;
+            
+            do {
+                const pageResponse = await fetch(`/api/catalog/images?offset=${offset}&limit=${pageSize}`);
+                const page = await pageResponse.json();
+                total = page.total;
+                
+                for (const record of page.images) {
+                    if (record.rejections.length > 0) {
+                        record.rejections.forEach(r => skipReasons[r.rule]++);
+                        this.quarantineCatalogRecord(record);
                         skipped++;
                         continue;
                     }
                     
-                    const img = new Image();
-                    img.crossOrigin = 'anonymous';
-                    
-                    await new Promise((resolve) => {
-                        img.onload = async () => {
-                            try {
-                                let width = img.width;
-                                let height = img.height;
-                                let detectedScale = 1;
-                                let canvas = document.createElement('canvas');
-                                let ctx = canvas.getContext('2d');
-                                
-                                // Auto-detect scale
-                                const possibleScales = [10, 8, 4, 2];
-                                for (const scale of possibleScales) {
-                                    const originalW = width / scale;
-                                    const originalH = height / scale;
-                                    
-                                    if (Number.isInteger(originalW) && Number.isInteger(originalH) &&
-                                        originalW >= 16 && originalW <= 32 &&
-                                        originalH >= 16 && originalH <= 32) {
-                                        
-                                        // Hard edge downscaling
-                                        const sourceCanvas = document.createElement('canvas');
-                                        const sourceCtx = sourceCanvas.getContext('2d');
-                                        sourceCanvas.width = width;
-                                        sourceCanvas.height = height;
-                                        sourceCtx.drawImage(img, 0, 0);
-                                        const sourceData = sourceCtx.getImageData(0, 0, width, height);
-                                        
-                                        canvas.width = originalW;
-                                        canvas.height = originalH;
-                                        const destData = ctx.createImageData(originalW, originalH);
-                                        
-                                        for (let y = 0; y < originalH; y++) {
-                                            for (let x = 0; x < originalW; x++) {
-                                                const sourceX = Math.floor(x * scale + scale / 2);
-                                                const sourceY = Math.floor(y * scale + scale / 2);
-                                                const sourceIdx = (sourceY * width + sourceX) * 4;
-                                                const destIdx = (y * originalW + x) * 4;
-                                                
-                                                destData.data[destIdx] = sourceData.data[sourceIdx];
-                                                destData.data[destIdx + 1] = sourceData.data[sourceIdx + 1];
-                                                destData.data[destIdx + 2] = sourceData.data[sourceIdx + 2];
-                                                destData.data[destIdx + 3] = sourceData.data[sourceIdx + 3];
-                                            }
-                                        }
-                                        
-                                        ctx.putImageData(destData, 0, 0);
-                                        width = originalW;
-                                        height = originalH;
-                                        detectedScale = scale;
-                                        break;
-                                    }
-                                }
-                                
-                                // If no downscaling needed, just draw original
-                                if (detectedScale === 1) {
-                                    canvas.width = width;
-                                    canvas.height = height;
-                                    ctx.drawImage(img, 0, 0);
-                                }
-                                
-                                // Validate size
-                                if (width < 16 || width > 32 || height < 16 || height > 32) {
-                                    console.warn(`❌ Skipped ${imageData.name}: Size ${width}x${height} (must be 16-32px)`);
-                                    skipReasons.invalidSize++;
-                                    skipped++;
-                                    resolve();
-                                    return;
-                                }
-                                
-                                const dataUrl = canvas.toDataURL('image/png');
-                                const analyzeImg = new Image();
-                                
-                                analyzeImg.onload = async () => {
-                                    const analysis = await analyzeImage(analyzeImg, detectedScale > 1, 30);
-                                    
-                                    if (analysis.colors.length < 2 || analysis.colors.length > 15) {
-                                        console.warn(`❌ Skipped ${imageData.name}: ${analysis.colors.length} colors (must be 2-15)`);
-                                        skipReasons.invalidColors++;
-                                        skipped++;
-                                        resolve();
-                                        return;
-                                    }
-                                    
-                                    let cleanName = imageData.name;
-                                    if (detectedScale > 1) {
-                                        cleanName = imageData.name.replace(/_x\d+/gi, '');
-                                    }
-                                    
-                                    const prevFolder = this.manager.currentFolder;
-                                    this.manager.currentFolder = targetFolder;
-                                    
-                                    this.manager.addImage({
-                                        name: cleanName,
-                                        dataUrl: dataUrl,
-                                        width: analysis.width,
-                                        height: analysis.height,
-                                        colors: analysis.colors,
-                                        colorMap: analysis.colorMap
-                                    });
-                                    
-                                    this.manager.currentFolder = prevFolder;
-                                    processed++;
-                                    
-                                    // Update UI periodically
-                                    if (processed % 10 === 0) {
-                                        console.log(`⏳ Progress: ${processed}/${data.count} processed...`);
-                                        this.render();
-                                    }
-                                    
-                                    resolve();
-                                };
-                                
-                                analyzeImg.src = dataUrl;
-                                
-                            } catch (err) {
-                                console.error(`❌ Error processing ${imageData.name}:`, err);
-                                skipReasons.other++;
-                                skipped++;
-                                resolve();
-                            }
-                        };
-                        
-                        img.onerror = () => {
-                            console.error(`❌ Failed to load ${imageData.name}`);
-                            skipReasons.loadError++;
-                            skipped++;
-                            resolve();
-                        };
-                        
-                        img.src = imageData.url;
-                    });
+                    // Old localStorage copies of server files are replaced by the catalog record
+                    const before = this.manager.images.length;
+                    this.manager.images = this.manager.images.filter(img => img.path || img.name !== record.name);
+                    skipReasons.duplicate += before - this.manager.images.length;
                     
-                } catch (err) {
-                    console.error(`❌ Error with ${imageData.name}:`, err);
-                    skipReasons.other++;
-                    skipped++;
+                    this.manager.addCatalogImage(record, folderMap.get(record.folder) || 'root');
+                    processed++;
                 }
-            }
+                
+                offset += page.images.length;
+                console.log(`⏳ Progress: ${offset}/${total} loaded...`);
+                this.render();
+                
+                if (page.images.length === 0) break;
+            } while (offset < total);
             
+            this.manager.saveToStorage();
             this.render();
             
+            if (window.levelManager) {
+                await window.levelManager.relinkAssignments();
+                await window.levelManager.linkLevelFiles();
+            }
+            
             console.log(`\n✅ Auto-load complete!`);
             console.log(`📊 Summary:`);
-            console.log(`   Total: ${data.count}`);
-            console.log(`   ✓ Processed: ${processed}`);
-            console.log(`   ✗ Skipped: ${skipped}`);
-            console.log(`\n📋 Skip reasons:`);
-            console.log(`   - Duplicate: ${skipReasons.duplicate}`);
-            console.log(`   - Invalid size: ${skipReasons.invalidSize}`);
-            console.log(`   - Invalid colors: ${skipReasons.invalidColors}`);
-            console.log(`   - Load error: ${skipReasons.loadError}`);
-            console.log(`   - Other: ${skipReasons.other}`);
+            console.log(`   Total: ${total}`);
+            console.log(`   ✓ Loaded: ${processed}`);
+            console.log(`   🚧 Quarantined: ${skipped}`);
+            console.log(`\n📋 Quarantine reasons:`);
+            console.log(`   - Size: ${skipReasons.size}`);
+            console.log(`   - Colors: ${skipReasons.colors}`);
+            console.log(`   - Transparency: ${skipReasons.transparency}`);
+            console.log(`   - Replaced local copies: ${skipReasons.duplicate}`);
             
         } catch (error) {
             console.error('Failed to auto-load from server:', error);
@@ -1235,9 +1489,20 @@ class UIController {
         });
     }
 
+    loadImageElement(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('not a readable PNG'));
+            img.src = src;
+        });
+    }
+
     render() {
         this.renderMasterPalette();
+        this.renderColorFilters();
         this.renderSizeFilters();
+        this.renderQuarantineCount();
         this.renderFolders();
         this.renderGallery();
         this.renderPreview();
@@ -1278,23 +1543,7 @@ class UIController {
 
         try {
             const text = await file.text();
-            const lines = text.split('\n').map(line => line.trim()).filter(line => line);
-            
-            const colors = [];
-            const colorNames = new Map();
-
-            for (const line of lines) {
-                const parts = line.split(/\s+/);
-                if (parts.length >= 2) {
-                    const name = parts[0];
-                    const hex = parts[1].toUpperCase();
-                    colors.push(hex);
-                    colorNames.set(hex, name);
-                } else if (line.startsWith('#')) {
-                    // Old format - just hex
-                    colors.push(line.toUpperCase());
-                }
-            }
+            const { colors, names: colorNames } = PixelAnalysis.parsePalette(text);
 
             if (colors.length === 0) {
                 alert('No valid colors found in file!');
@@ -1317,6 +1566,33 @@ class UIController {
         this.paletteInput.value = '';
     }
 
+    // One button per color count the import rules allow
+    renderColorFilters() {
+        const { minColors, maxColors } = this.manager.importRules;
+        const counts = [];
+        for (let count = minColors; count <= maxColors; count++) {
+            counts.push(String(count));
+        }
+
+        const html = ['all', ...counts].map(filter => {
+            const isActive = this.manager.colorFilter === filter;
+            return `<button class="filter-btn ${isActive ? 'active' : ''}" data-filter="${filter}">${filter === 'all' ? 'All' : filter}</button>`;
+        }).join('');
+
+        this.colorFilterButtons.innerHTML = html;
+
+        this.colorFilterButtons.querySelectorAll('.filter-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.colorFilterButtons.querySelectorAll('.filter-btn').forEach(b => 
+                    b.classList.remove('active')
+                );
+                e.target.classList.add('active');
+                this.manager.colorFilter = e.target.dataset.filter;
+                this.renderGallery();
+            });
+        });
+    }
+
     renderSizeFilters() {
         // Get all unique sizes from images
         const sizes = new Set();
@@ -1356,15 +1632,23 @@ class UIController {
     }
 
     renderFolders() {
-        const html = this.manager.folders.map(folder => {
+        const html = this.manager.getFolderTree().map(({ folder, depth }) => {
             const count = this.manager.getFolderCount(folder.id);
             const isActive = this.manager.currentFolder === folder.id;
+            const isRoot = folder.id === 'root';
             
             return `
                 <div class="folder-item ${isActive ? 'active' : ''}" 
-                     data-folder="${folder.id}">
-                    <span class="folder-icon">${folder.id === 'root' ? '📂' : '📁'}</span>
+                     data-folder="${folder.id}" style="padding-left: ${12 + Math.max(0, depth - 1) * 16}px"
+                     ${isRoot ? '' : 'draggable="true"'} title="${folder.path || 'PixelAssets'}">
+                    <span class="folder-icon">${isRoot ? '📂' : '📁'}</span>
                     <span class="folder-name">${folder.name}</span>
+                    ${isRoot ? '' : `
+                        <span class="folder-actions">
+                            <button class="folder-action folder-rename" title="Rename folder">✏️</button>
+                            <button class="folder-action folder-delete" title="Delete folder">🗑️</button>
+                        </span>
+                    `}
                     <span class="folder-count">${count}</span>
                 </div>
             `;
@@ -1374,10 +1658,46 @@ class UIController {
 
         // Attach click handlers
         document.querySelectorAll('.folder-item').forEach(item => {
+            const folder = this.manager.getFolder(item.dataset.folder);
+            
             item.addEventListener('click', (e) => {
-                this.manager.currentFolder = e.currentTarget.dataset.folder;
+                if (e.target.closest('.folder-action')) return;
+                this.manager.currentFolder = folder.id;
                 this.render();
             });
+            
+            const renameButton = item.querySelector('.folder-rename');
+            if (renameButton) {
+                renameButton.addEventListener('click', () => this.renameFolder(folder));
+                item.querySelector('.folder-delete').addEventListener('click', () => this.deleteFolder(folder));
+            }
+            
+            // Drag a folder onto another one to nest it, onto All Images to
+            // move it to the top level
+            item.addEventListener('dragstart', (e) => {
+                this.draggedFolder = folder;
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', folder.path);
+            });
+            item.addEventListener('dragend', () => {
+                this.draggedFolder = null;
+                document.querySelectorAll('.folder-item.drop-target').forEach(i => i.classList.remove('drop-target'));
+            });
+            item.addEventListener('dragover', (e) => {
+                if (!this.canDropFolder(this.draggedFolder, folder)) return;
+                e.preventDefault();
+                item.classList.add('drop-target');
+            });
+            item.addEventListener('dragleave', () => {
+                item.classList.remove('drop-target');
+            });
+            item.addEventListener('drop', (e) => {
+                e.preventDefault();
+                item.classList.remove('drop-target');
+                if (this.canDropFolder(this.draggedFolder, folder)) {
+                    this.moveFolder(this.draggedFolder, folder);
+                }
+            });
         });
 
         // Update gallery title
@@ -1480,7 +1800,9 @@ class UIController {
         // Attach click handlers
         document.querySelectorAll('.image-item').forEach(item => {
             item.addEventListener('click', (e) => {
-                const imageId = parseFloat(e.currentTarget.dataset.imageId);
+                const clicked = this.manager.findImage(e.currentTarget.dataset.imageId);
+                if (!clicked) return;
+                const imageId = clicked.id;
                 const imageIndex = parseInt(e.currentTarget.dataset.imageIndex);
                 
                 // Shift+Click: Range select
@@ -1522,8 +1844,7 @@ class UIController {
 
             // Add hover event for status bar
             item.addEventListener('mouseenter', (e) => {
-                const imageId = parseFloat(e.currentTarget.dataset.imageId);
-                const img = this.manager.images.find(i => i.id === imageId);
+                const img = this.manager.findImage(e.currentTarget.dataset.imageId);
                 if (img) {
                     const match = this.manager.loadedPalette.length > 0 
                         ? `${this.manager.calculatePaletteMatch(img.palette)}%`
@@ -1597,9 +1918,12 @@ class UIController {
         document.getElementById('infoName').textContent = img.name;
         document.getElementById('infoSize').textContent = `${img.width}x${img.height}px`;
         document.getElementById('infoColors').textContent = img.colorCount;
+        this.renderDifficultyInfo(img);
         
         const folder = this.manager.getFolder(img.folder);
-        document.getElementById('infoFolder').textContent = folder ? folder.name : 'Unknown';
+        document.getElementById('infoFolder').textContent = folder ? (folder.path || folder.name) : 'Unknown';
+        document.getElementById('infoTags').textContent = (img.tags || []).join(', ') || '-';
+        document.getElementById('editTagsBtn').disabled = !img.path; // Tags live in the server catalog
 
         // Render palette with names and pixel counts
         let colorMap = img.colorMap || new Map();
@@ -1680,6 +2004,26 @@ class UIController {
         }
     }
 
+    // Estimated difficulty of the selected image, metrics in the tooltip
+    renderDifficultyInfo(img) {
+        const el = document.getElementById('infoDifficulty');
+        const estimate = img.difficulty;
+        if (!estimate) {
+            el.textContent = '-';
+            el.title = 'Not estimated yet (rescan the catalog)';
+            return;
+        }
+
+        el.textContent = `${estimate.label} (score ${estimate.score})`;
+        el.title = [
+            `${estimate.paintablePixels} paintable pixels`,
+            `${estimate.regions} regions`,
+            `${estimate.tinyIslands} tiny islands`,
+            `perimeter/area ${estimate.perimeterRatio}`,
+            `${estimate.similarColorPairs} similar color pairs`
+        ].join('\n');
+    }
+
     exportImage(scale) {
         if (!this.manager.selectedImage) return;
 
@@ -1721,23 +2065,9 @@ class UIController {
                 canvas.height = imageData.height;
                 ctx.drawImage(img, 0, 0);
                 
-                const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-                const pixels = imgData.data;
-                const colorMap = new Map();
-                
                 // Count pixels for each color
-                for (let i = 0; i < pixels.length; i += 4) {
-                    const r = pixels[i];
-                    const g = pixels[i + 1];
-                    const b = pixels[i + 2];
-                    const a = pixels[i + 3];
-                    
-                    // Skip transparent pixels
-                    if (a < 128) continue;
-                    
-                    const hex = rgbToHex(r, g, b);
-                    colorMap.set(hex, (colorMap.get(hex) || 0) + 1);
-                }
+                const imgData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+                const colorMap = PixelAnalysis.countColors(imgData);
                 
                 console.log('Re-analyzed colorMap:', colorMap);
                 resolve(colorMap);
@@ -1794,82 +2124,1069 @@ class UIController {
         tempImg.src = imageData.dataUrl;
     }
 
-    showFolderModal() {
-        this.folderModal.classList.add('active');
-        document.getElementById('folderNameInput').value = '';
-        document.getElementById('folderNameInput').focus();
+    async editTags() {
+        const img = this.manager.selectedImage;
+        if (!img || !img.path) return;
+        
+        const input = prompt('Tags (comma separated):', (img.tags || []).join(', '));
+        if (input === null) return;
+        
+        try {
+            await this.manager.updateImageTags(img, input.split(','));
+            this.renderPreview();
+        } catch (error) {
+            console.error('❌ Error updating tags:', error);
+            alert('Failed to update tags: ' + error.message);
+        }
     }
 
-    hideFolderModal() {
-        this.folderModal.classList.remove('active');
+    // ===== Color Distance Settings =====
+
+    showDistanceSettings() {
+        this.renderDistanceSettings(this.manager.distanceSettings);
+        this.distanceSettingsModal.classList.add('active');
     }
 
-    showMoveModal() {
-        if (!this.manager.selectedImage) return;
+    renderDistanceSettings(settings) {
+        const tools = [
+            { key: 'quantize', label: 'Import quantization', hint: 'Merge colors closer than' },
+            { key: 'match', label: 'Palette match filter', hint: 'Similar when closer than' },
+            { key: 'snap', label: 'Snap to palette', hint: 'Warn when farther than' }
+        ];
 
-        const html = this.manager.folders.map(folder => `
-            <div class="folder-list-item" data-folder-id="${folder.id}">
-                <span>${folder.id === 'root' ? '📂' : '📁'}</span>
-                <span>${folder.name}</span>
-            </div>
-        `).join('');
+        const metricOptions = (selected) => Object.entries(ColorDistance.METRICS).map(([id, metric]) =>
+            `<option value="${id}" ${id === selected ? 'selected' : ''}>${metric.label}</option>`
+        ).join('');
 
-        document.getElementById('folderList').innerHTML = html;
+        const modeLabels = { 'median-cut': 'Median cut', 'k-means': 'K-means', 'palette': 'Master palette' };
+        const modeSelect = (selected) => `<select class="distance-mode-select">${PaletteQuantizer.MODES.map(mode =>
+            `<option value="${mode}" ${mode === selected ? 'selected' : ''}>${modeLabels[mode]}</option>`
+        ).join('')}</select>`;
 
-        // Attach click handlers
-        document.querySelectorAll('.folder-list-item').forEach(item => {
-            item.addEventListener('click', (e) => {
-                document.querySelectorAll('.folder-list-item').forEach(i => 
-                    i.classList.remove('selected')
-                );
-                e.currentTarget.classList.add('selected');
+        const container = document.getElementById('distanceSettingsRows');
+        container.innerHTML = tools.map(tool => {
+            const entry = settings[tool.key];
+            return `
+                <div class="distance-settings-row" data-tool="${tool.key}">
+                    <div class="distance-settings-label">${tool.label}</div>
+                    ${entry.mode ? modeSelect(entry.mode) : ''}
+                    <select class="distance-metric-select">${metricOptions(entry.metric)}</select>
+                    <label class="distance-threshold">
+                        <span>${tool.hint}</span>
+                        <input type="number" class="distance-threshold-input" min="0" step="any" value="${entry.threshold}">
+                        <span class="distance-unit">${ColorDistance.getMetric(entry.metric).unit}</span>
+                    </label>
+                </div>
+            `;
+        }).join('');
+
+        // Switching metric resets the threshold to that metric's default for the tool
+        container.querySelectorAll('.distance-settings-row').forEach(row => {
+            row.querySelector('.distance-metric-select').addEventListener('change', (e) => {
+                const metric = ColorDistance.getMetric(e.target.value);
+                row.querySelector('.distance-threshold-input').value = metric.thresholds[row.dataset.tool];
+                row.querySelector('.distance-unit').textContent = metric.unit;
             });
         });
-
-        this.moveModal.classList.add('active');
     }
-    
-    showMultiMoveModal() {
-        if (this.manager.selectedImages.length === 0) return;
 
-        const html = this.manager.folders.map(folder => `
-            <div class="folder-list-item" data-folder-id="${folder.id}">
-                <span>${folder.id === 'root' ? '📂' : '📁'}</span>
-                <span>${folder.name}</span>
-            </div>
-        `).join('');
+    saveDistanceSettings() {
+        const settings = {};
+        for (const row of document.querySelectorAll('#distanceSettingsRows .distance-settings-row')) {
+            const threshold = parseFloat(row.querySelector('.distance-threshold-input').value);
+            if (!(threshold >= 0)) {
+                alert('Thresholds must be zero or a positive number.');
+                return;
+            }
+            settings[row.dataset.tool] = {
+                metric: row.querySelector('.distance-metric-select').value,
+                threshold: threshold
+            };
 
-        document.getElementById('folderList').innerHTML = html;
+            const modeSelect = row.querySelector('.distance-mode-select');
+            if (modeSelect) settings[row.dataset.tool].mode = modeSelect.value;
+        }
 
-        // Update confirm button text
-        const confirmBtn = document.getElementById('confirmMoveBtn');
-        confirmBtn.textContent = `Move ${this.manager.selectedImages.length} Images`;
+        this.manager.saveDistanceSettings(settings);
+        this.distanceSettingsModal.classList.remove('active');
+        this.render(); // Palette match scores depend on the settings
 
-        // Attach click handlers
-        document.querySelectorAll('.folder-list-item').forEach(item => {
-            item.addEventListener('click', (e) => {
-                document.querySelectorAll('.folder-list-item').forEach(i => 
-                    i.classList.remove('selected')
-                );
-                e.currentTarget.classList.add('selected');
-            });
-        });
+        console.log('🎯 Color distance settings saved:', settings);
+    }
 
-        this.moveModal.classList.add('active');
+    // ===== Import Rules & Quarantine =====
+
+    showImportRules() {
+        this.fillImportRules(this.manager.importRules);
+        this.importRulesModal.classList.add('active');
     }
 
-    hideMoveModal() {
-        this.moveModal.classList.remove('active');
+    fillImportRules(rules) {
+        document.getElementById('ruleMinSize').value = rules.minSize;
+        document.getElementById('ruleMaxSize').value = rules.maxSize;
+        document.getElementById('ruleMinColors').value = rules.minColors;
+        document.getElementById('ruleMaxColors').value = rules.maxColors;
+        document.getElementById('ruleTransparency').value = rules.transparency;
+        document.getElementById('ruleScaleCandidates').value = rules.scaleCandidates.join(', ');
     }
 
-    updateStatusBar(imageName, size, colors, colorHex, colorName, match) {
-        if (imageName !== undefined && imageName !== null) {
-            this.statusImage.textContent = imageName;
-        }
-        if (size !== undefined && size !== null) {
-            this.statusSize.textContent = size;
+    async saveImportRules() {
+        const scales = document.getElementById('ruleScaleCandidates').value
+            .split(',').map(value => value.trim()).filter(value => value);
+        const rules = {
+            minSize: Number(document.getElementById('ruleMinSize').value),
+            maxSize: Number(document.getElementById('ruleMaxSize').value),
+            minColors: Number(document.getElementById('ruleMinColors').value),
+            maxColors: Number(document.getElementById('ruleMaxColors').value),
+            transparency: document.getElementById('ruleTransparency').value,
+            scaleCandidates: scales.map(Number)
+        };
+
+        try {
+            PixelAnalysis.normalizeRules(rules);
+        } catch (error) {
+            alert('Invalid import rules: ' + error.message);
+            return;
         }
-        if (colors !== undefined && colors !== null) {
+
+        try {
+            const result = await this.manager.saveProjectSettings(rules);
+            this.importRulesModal.classList.remove('active');
+            console.log(`📏 Import rules saved (${result.reanalyzed} library images re-analyzed)`);
+            
+            // Library files are judged again under the new rules
+            await this.autoLoadFromServer();
+        } catch (error) {
+            console.error('❌ Error saving import rules:', error);
+            alert('Failed to save import rules: ' + error.message);
+        }
+    }
+
+    renderQuarantineCount() {
+        document.getElementById('quarantineCount').textContent = this.manager.quarantine.length;
+    }
+
+    showQuarantine() {
+        this.renderQuarantine();
+        this.quarantineModal.classList.add('active');
+    }
+
+    renderQuarantine() {
+        const sourceLabels = { file: 'Import PNG', folder: 'Import Folder', catalog: 'PixelAssets' };
+        const container = document.getElementById('quarantineList');
+
+        if (this.manager.quarantine.length === 0) {
+            container.innerHTML = '<p class="palette-hint">No quarantined files</p>';
+        } else {
+            container.innerHTML = this.manager.quarantine.map(entry => `
+                <div class="quarantine-entry" data-id="${entry.id}">
+                    <div class="quarantine-info">
+                        <div class="quarantine-name">${entry.path || entry.name}</div>
+                        <div class="quarantine-meta">${sourceLabels[entry.source] || entry.source} · ${entry.width}x${entry.height} · ${entry.colorCount} colors</div>
+                        <ul class="quarantine-reasons">
+                            ${entry.reasons.map(reason => `<li>${reason}</li>`).join('')}
+                        </ul>
+                    </div>
+                    <button class="btn-small quarantine-dismiss">Dismiss</button>
+                </div>
+            `).join('');
+
+            container.querySelectorAll('.quarantine-entry').forEach(row => {
+                row.querySelector('.quarantine-dismiss').addEventListener('click', () => {
+                    this.manager.removeFromQuarantine(parseFloat(row.dataset.id));
+                    this.renderQuarantine();
+                });
+            });
+        }
+
+        this.renderQuarantineCount();
+    }
+
+    // ===== Revision History =====
+    // Every save of a library file keeps a revision on the server. Two
+    // revisions (A = before, B = after) are compared pixel by pixel.
+
+    async showHistory(img) {
+        if (!img.path) {
+            alert('Revision history is only kept for files in PixelAssets.');
+            return;
+        }
+
+        this.historyImage = img;
+        this.historySelection = { a: null, b: null };
+        document.getElementById('historyImageName').textContent = img.path;
+        document.getElementById('historyAuthor').value = this.manager.author;
+        this.historyModal.classList.add('active');
+        await this.renderHistory();
+    }
+
+    async renderHistory() {
+        const img = this.historyImage;
+        const container = document.getElementById('historyList');
+
+        let revisions;
+        try {
+            const response = await fetch(`/api/history/${img.id}`);
+            revisions = (await response.json()).revisions || [];
+        } catch (error) {
+            console.error('❌ Error loading history:', error);
+            container.innerHTML = '<p class="palette-hint">History is not available (server offline?)</p>';
+            return;
+        }
+        this.historyRevisions = revisions;
+
+        if (revisions.length === 0) {
+            container.innerHTML = '<p class="palette-hint">No saved revisions yet</p>';
+            this.renderHistoryDiff();
+            return;
+        }
+
+        // Default comparison: the latest save against the version before it
+        const ids = revisions.map(rev => rev.id);
+        if (!ids.includes(this.historySelection.b)) this.historySelection.b = revisions[0].id;
+        if (!ids.includes(this.historySelection.a)) this.historySelection.a = (revisions[1] || revisions[0]).id;
+
+        container.innerHTML = revisions.map((rev, index) => `
+            <div class="quarantine-entry history-entry" data-id="${rev.id}">
+                <div class="history-pick">
+                    <label title="Compare from"><input type="radio" name="historyA" value="${rev.id}" ${rev.id === this.historySelection.a ? 'checked' : ''}> A</label>
+                    <label title="Compare to"><input type="radio" name="historyB" value="${rev.id}" ${rev.id === this.historySelection.b ? 'checked' : ''}> B</label>
+                </div>
+                <div class="quarantine-info">
+                    <div class="quarantine-name">${new Date(rev.createdAt).toLocaleString()}${index === 0 ? ' (current)' : ''}</div>
+                    <div class="quarantine-meta">${rev.author || 'unknown'}${rev.note ? ` · ${rev.note}` : ''}</div>
+                    <div class="quarantine-meta">${this.describeRevision(rev)}</div>
+                </div>
+                ${index > 0 ? '<button class="btn-small history-restore">⏪ Restore</button>' : ''}
+            </div>
+        `).join('');
+
+        container.querySelectorAll('input[type="radio"]').forEach(input => {
+            input.addEventListener('change', (e) => {
+                this.historySelection[e.target.name === 'historyA' ? 'a' : 'b'] = parseFloat(e.target.value);
+                this.renderHistoryDiff();
+            });
+        });
+        container.querySelectorAll('.history-restore').forEach(button => {
+            button.addEventListener('click', (e) => {
+                const id = parseFloat(e.target.closest('.history-entry').dataset.id);
+                this.restoreRevision(revisions.find(rev => rev.id === id));
+            });
+        });
+
+        await this.renderHistoryDiff();
+    }
+
+    // e.g. "12 px changed · +#ff0000 · −#00ff00"
+    describeRevision(rev) {
+        const summary = rev.summary;
+        if (!summary) return 'No change summary';
+
+        const parts = [summary.resized ? `resized to ${summary.width}x${summary.height}` : `${summary.pixelsChanged} px changed`];
+        if (summary.colorsAdded.length > 0) parts.push(`+${summary.colorsAdded.join(' +')}`);
+        if (summary.colorsRemoved.length > 0) parts.push(`−${summary.colorsRemoved.join(' −')}`);
+        return parts.join(' · ');
+    }
+
+    // Compare the revisions picked as A and B
+    async renderHistoryDiff() {
+        const summary = document.getElementById('historyDiffSummary');
+        const canvases = ['historyCanvasA', 'historyCanvasB', 'historyCanvasDiff'].map(id => document.getElementById(id));
+        canvases.forEach(canvas => canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height));
+
+        const { a, b } = this.historySelection;
+        if (!a || !b) {
+            summary.textContent = '';
+            return;
+        }
+
+        const imageUrl = id => `/api/history/${this.historyImage.id}/${id}/image`;
+        let pixelsA, pixelsB;
+        try {
+            [pixelsA, pixelsB] = await Promise.all([a, b].map(id => this.loadPixelsFromUrl(imageUrl(id))));
+        } catch (error) {
+            console.error('❌ Error loading revisions:', error);
+            summary.textContent = 'Could not load the revisions';
+            return;
+        }
+
+        const changed = this.drawPixelDiff(canvases, pixelsA, pixelsB);
+        const sizeNote = pixelsA.width !== pixelsB.width || pixelsA.height !== pixelsB.height
+            ? ` · size ${pixelsA.width}x${pixelsA.height} → ${pixelsB.width}x${pixelsB.height}`
+            : '';
+        summary.textContent = a === b ? 'Pick two different revisions to compare' : `${changed} pixels differ${sizeNote}`;
+    }
+
+    async loadPixelsFromUrl(url) {
+        const element = await this.loadImageElement(url);
+        return this.loadImagePixels({ name: url, dataUrl: url, width: element.naturalWidth, height: element.naturalHeight });
+    }
+
+    // Draw A, B and the diff overlay on three canvases (changed pixels of B
+    // in full, everything else dimmed, red frame around each changed pixel).
+    // Returns the number of changed pixels.
+    drawPixelDiff(canvases, pixelsA, pixelsB) {
+        const width = Math.max(pixelsA.width, pixelsB.width);
+        const height = Math.max(pixelsA.height, pixelsB.height);
+        const scale = Math.max(1, Math.floor(200 / Math.max(width, height)));
+
+        const pixelAt = (pixels, x, y) => {
+            if (x >= pixels.width || y >= pixels.height) return null;
+            const i = (y * pixels.width + x) * 4;
+            return pixels.data.slice(i, i + 4);
+        };
+        const drawPixels = (canvas, pixels, alphaFor) => {
+            canvas.width = width * scale;
+            canvas.height = height * scale;
+            const ctx = canvas.getContext('2d');
+            for (let y = 0; y < pixels.height; y++) {
+                for (let x = 0; x < pixels.width; x++) {
+                    const [r, g, bl, alpha] = pixelAt(pixels, x, y);
+                    if (alpha === 0) continue;
+                    ctx.fillStyle = `rgba(${r}, ${g}, ${bl}, ${(alpha / 255) * alphaFor(x, y)})`;
+                    ctx.fillRect(x * scale, y * scale, scale, scale);
+                }
+            }
+            return ctx;
+        };
+
+        // Pixels that differ (both fully transparent counts as equal)
+        const changed = new Set();
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const pa = pixelAt(pixelsA, x, y);
+                const pb = pixelAt(pixelsB, x, y);
+                const same = pa && pb && ((pa[3] === 0 && pb[3] === 0) || pa.every((value, i) => value === pb[i]));
+                if (!same) changed.add(y * width + x);
+            }
+        }
+
+        drawPixels(canvases[0], pixelsA, () => 1);
+        drawPixels(canvases[1], pixelsB, () => 1);
+        const diff = drawPixels(canvases[2], pixelsB, (x, y) => changed.has(y * width + x) ? 1 : 0.25);
+        diff.strokeStyle = '#ff4444';
+        diff.lineWidth = Math.max(1, Math.floor(scale / 4));
+        for (const index of changed) {
+            const x = index % width;
+            const y = Math.floor(index / width);
+            diff.strokeRect(x * scale + 0.5, y * scale + 0.5, scale - 1, scale - 1);
+        }
+        return changed.size;
+    }
+
+    async restoreRevision(rev) {
+        if (!confirm(`Restore the version from ${new Date(rev.createdAt).toLocaleString()}? The current version stays in the history.`)) return;
+
+        try {
+            const response = await fetch(`/api/history/${this.historyImage.id}/${rev.id}/restore`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ author: this.manager.author })
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                alert('Failed to restore revision: ' + result.message);
+                return;
+            }
+
+            this.applyCatalogRecord(result.image);
+            this.historySelection = { a: null, b: null };
+            this.render();
+            this.renderPreview();
+            await this.renderHistory();
+            console.log(`⏪ Restored ${this.historyImage.path} to ${rev.createdAt}`);
+        } catch (error) {
+            console.error('❌ Error restoring revision:', error);
+            alert('Error restoring revision. Check console for details.');
+        }
+    }
+
+    // ===== Save Conflicts =====
+    // A save came back with 409 VERSION_CONFLICT: the file on the server is
+    // no longer the version this browser edited. The user compares both,
+    // keeps theirs (dropping this edit) or saves this edit as a copy.
+
+    resolveSaveConflict(img, dataUrl, note, conflict) {
+        return new Promise(resolve => {
+            this.saveConflict = { img, dataUrl, note, conflict, resolve };
+
+            document.getElementById('saveConflictName').textContent = img.path || img.name;
+            document.getElementById('saveConflictMessage').textContent =
+                `${conflict.message}. Your changes are not saved yet.`;
+            document.getElementById('saveConflictCompare').style.display = 'none';
+            document.getElementById('compareConflictBtn').disabled = !conflict.image;
+            document.getElementById('keepTheirsBtn').textContent = conflict.image ? 'Keep Theirs' : 'Discard Mine';
+            this.saveConflictModal.classList.add('active');
+        });
+    }
+
+    // Theirs (A) against mine (B)
+    async compareSaveConflict() {
+        const { dataUrl, conflict } = this.saveConflict;
+        const summary = document.getElementById('saveConflictSummary');
+        const canvases = ['saveConflictCanvasTheirs', 'saveConflictCanvasMine', 'saveConflictCanvasDiff'].map(id => document.getElementById(id));
+        document.getElementById('saveConflictCompare').style.display = 'flex';
+
+        try {
+            const [theirs, mine] = await Promise.all([this.loadPixelsFromUrl(conflict.image.src), this.loadPixelsFromUrl(dataUrl)]);
+            const changed = this.drawPixelDiff(canvases, theirs, mine);
+            summary.textContent = `${changed} pixels differ between their version and yours`;
+        } catch (error) {
+            console.error('❌ Error comparing versions:', error);
+            summary.textContent = 'Could not load both versions';
+        }
+    }
+
+    keepTheirs() {
+        const { img, conflict } = this.saveConflict;
+
+        if (conflict.image) {
+            this.applyCatalogRecord(conflict.image);
+        } else if (img.path) {
+            this.removeCatalogRecord(img);
+        }
+        console.log(`↩️ Kept their version of ${img.path || img.name}`);
+        this.finishSaveConflict(null);
+    }
+
+    // Save this edit next to the file as "<name>-copy.png" (or -copy-2, ...)
+    // and show their version under the original name
+    async saveConflictCopy() {
+        const { img, dataUrl, note, conflict } = this.saveConflict;
+        const baseName = img.name.replace(/\.png$/i, '');
+
+        for (let attempt = 1; attempt <= 20; attempt++) {
+            const filename = `${baseName}-copy${attempt > 1 ? `-${attempt}` : ''}.png`;
+            try {
+                const response = await fetch('/api/save-image', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        filename: filename,
+                        dataUrl: dataUrl,
+                        folder: this.manager.imageFolderPath(img),
+                        author: this.manager.author,
+                        note: note ? `${note} (copy after a save conflict)` : 'Copy after a save conflict',
+                        baseHash: null
+                    })
+                });
+                const result = await response.json();
+
+                if (result.code === 'VERSION_CONFLICT') continue; // Name taken, try the next one
+                if (!result.success) {
+                    alert('Failed to save the copy: ' + result.message);
+                    return;
+                }
+
+                if (result.image) this.applyCatalogRecord(result.image);
+                if (conflict.image) this.applyCatalogRecord(conflict.image);
+                console.log(`📄 Saved your version as ${filename}`);
+                this.finishSaveConflict(result);
+                return;
+            } catch (error) {
+                console.error('❌ Error saving copy:', error);
+                alert('Error saving the copy. Check console for details.');
+                return;
+            }
+        }
+        alert('Could not find a free name for the copy.');
+    }
+
+    // Close the dialog and let the waiting save continue
+    finishSaveConflict(result) {
+        const { resolve } = this.saveConflict;
+        this.saveConflict = null;
+        this.saveConflictModal.classList.remove('active');
+        this.render();
+        this.renderPreview();
+        resolve(result);
+    }
+
+    // ===== Reconciliation =====
+    // Where the catalog, the files in PixelAssets and the level assignments
+    // disagree. Catalog fixes run on the server (the changes come back as
+    // live catalog events), level fixes change the assignments held here.
+
+    // Categories in the order they are best fixed: a missing record takes
+    // its moved file along before that file would be tracked as a new one
+    reconcileSections() {
+        return [
+            {
+                category: 'missing',
+                title: 'Catalog entries with missing files',
+                key: entry => entry.id,
+                name: entry => entry.path,
+                meta: entry => entry.movedTo ? `Moved to ${entry.movedTo} → re-attach the entry` : 'File is gone → remove the entry'
+            },
+            {
+                category: 'untracked',
+                title: 'Files not in the catalog',
+                key: entry => entry.path,
+                name: entry => entry.path,
+                meta: entry => entry.movedFrom ? `Moved from ${entry.movedFrom} → re-attach that entry` : 'Not in the catalog → add it'
+            },
+            {
+                category: 'hashMismatch',
+                title: 'Files changed on disk',
+                key: entry => entry.id,
+                name: entry => entry.path,
+                meta: () => 'Differs from the catalog → analyze it again'
+            },
+            {
+                category: 'brokenLevels',
+                title: 'Levels pointing at missing images',
+                key: entry => entry.level,
+                name: entry => `Level ${entry.level}: ${entry.assignedName || entry.assignedImage}`,
+                meta: entry => entry.suggestion
+                    ? `→ re-link to ${entry.suggestion.path} (same ${entry.suggestion.method})`
+                    : `${entry.reason === 'missing-file' ? 'File is gone' : 'Image unknown'} → unassign`
+            },
+            {
+                category: 'duplicateNames',
+                title: 'Same name in different folders',
+                key: entry => entry.name,
+                name: entry => entry.paths.join(', '),
+                meta: entry => entry.sameContent ? 'Identical copies → move the extra copies to the trash' : 'Different files → add the folder name to the others'
+            }
+        ];
+    }
+
+    async showReconcile() {
+        this.reconcileModal.classList.add('active');
+        await this.renderReconcile();
+    }
+
+    async renderReconcile() {
+        const container = document.getElementById('reconcileList');
+        const summary = document.getElementById('reconcileSummary');
+
+        let report;
+        try {
+            const response = await fetch('/api/reconcile', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ levels: window.levelManager ? window.levelManager.levels : [] })
+            });
+            report = await response.json();
+            if (!report.success) {
+                throw new Error(report.message);
+            }
+        } catch (error) {
+            console.error('❌ Error reconciling library:', error);
+            summary.textContent = '';
+            container.innerHTML = '<p class="palette-hint">Reconcile is not available (server offline?)</p>';
+            return;
+        }
+
+        const sections = this.reconcileSections();
+        const total = sections.reduce((sum, section) => sum + report[section.category].length, 0);
+        summary.textContent = total === 0 ? '✅ Catalog, disk and level assignments agree' : `⚠️ ${total} problem(s) found`;
+
+        const maxShown = 50;
+        container.innerHTML = sections.map(section => {
+            const entries = report[section.category];
+            return `
+                <div class="reconcile-section" data-category="${section.category}">
+                    <div class="reconcile-header">
+                        <h4>${section.title} (${entries.length})</h4>
+                        ${entries.length > 0 ? '<button class="btn-small reconcile-fix-all">Fix All</button>' : ''}
+                    </div>
+                    ${entries.slice(0, maxShown).map((entry, index) => `
+                        <div class="quarantine-entry" data-index="${index}">
+                            <div class="quarantine-info">
+                                <div class="quarantine-name">${section.name(entry)}</div>
+                                <div class="quarantine-meta">${section.meta(entry)}</div>
+                            </div>
+                            <button class="btn-small reconcile-fix">Fix</button>
+                        </div>
+                    `).join('')}
+                    ${entries.length > maxShown ? `<p class="palette-hint">... and ${entries.length - maxShown} more</p>` : ''}
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('.reconcile-section').forEach(element => {
+            const section = sections.find(s => s.category === element.dataset.category);
+            const entries = report[section.category];
+
+            const fixAll = element.querySelector('.reconcile-fix-all');
+            if (fixAll) {
+                fixAll.addEventListener('click', () => this.fixReconcile(section, entries));
+            }
+            element.querySelectorAll('.quarantine-entry').forEach(row => {
+                const entry = entries[parseInt(row.dataset.index)];
+                row.querySelector('.reconcile-fix').addEventListener('click', () => this.fixReconcile(section, [entry]));
+            });
+        });
+    }
+
+    // Apply the fix of a category to some of its entries, then check again
+    async fixReconcile(section, entries) {
+        if (section.category === 'brokenLevels') {
+            const unassigned = entries.filter(entry => !entry.suggestion).length;
+            if (unassigned > 0 && !confirm(`Unassign ${unassigned} level(s) whose image cannot be found?`)) return;
+
+            window.levelManager.fixBrokenLevels(entries);
+            await this.renderReconcile();
+            return;
+        }
+
+        if (section.category === 'duplicateNames' &&
+            !confirm(`Rename or trash files in ${entries.length} group(s) of duplicate names?`)) return;
+
+        try {
+            const response = await fetch('/api/reconcile/fix', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    category: section.category,
+                    keys: entries.map(section.key),
+                    levels: window.levelManager ? window.levelManager.levels : []
+                })
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                alert('Fix failed: ' + result.message);
+            } else {
+                // Levels of trashed duplicate copies now use the kept copy
+                const relinked = result.results.flatMap(r => r.relinked || []);
+                if (relinked.length > 0 && window.levelManager) {
+                    window.levelManager.applyRelinks(relinked);
+                }
+
+                const failed = result.results.filter(r => r.action === 'error');
+                console.log(`🩹 Reconcile ${section.category}: fixed ${result.fixed}`);
+                if (failed.length > 0) {
+                    alert(`⚠️ ${failed.length} fix(es) failed:\n` + failed.slice(0, 5).map(r => `${r.key}: ${r.message}`).join('\n'));
+                }
+            }
+        } catch (error) {
+            console.error('❌ Error applying reconcile fix:', error);
+            alert('Error applying fix. Check console for details.');
+        }
+
+        await this.renderReconcile();
+    }
+
+    // ===== Trash =====
+
+    async showTrash() {
+        this.trashModal.classList.add('active');
+        await this.renderTrash();
+    }
+
+    async renderTrash() {
+        const container = document.getElementById('trashList');
+
+        let items;
+        try {
+            const response = await fetch('/api/trash');
+            items = (await response.json()).items || [];
+        } catch (error) {
+            console.error('❌ Error loading trash:', error);
+            container.innerHTML = '<p class="palette-hint">Trash is not available (server offline?)</p>';
+            return;
+        }
+
+        if (items.length === 0) {
+            container.innerHTML = '<p class="palette-hint">Trash is empty</p>';
+            return;
+        }
+
+        container.innerHTML = items.map(item => `
+            <div class="quarantine-entry" data-id="${item.id}">
+                <div class="quarantine-info">
+                    <div class="quarantine-name">${item.path}</div>
+                    <div class="quarantine-meta">Deleted ${new Date(item.deletedAt).toLocaleString()}${item.record ? ` · ${item.record.width}x${item.record.height} · ${item.record.colorCount} colors` : ''}</div>
+                    ${item.levels.length > 0 ? `<div class="trash-levels">Assigned to level ${item.levels.join(', ')}</div>` : ''}
+                </div>
+                <div class="trash-actions">
+                    <button class="btn-small trash-restore">♻️ Restore</button>
+                    <button class="btn-small trash-purge">Delete Forever</button>
+                </div>
+            </div>
+        `).join('');
+
+        container.querySelectorAll('.quarantine-entry').forEach(row => {
+            const item = items.find(i => i.id === parseFloat(row.dataset.id));
+            row.querySelector('.trash-restore').addEventListener('click', () => this.restoreFromTrash(item));
+            row.querySelector('.trash-purge').addEventListener('click', () => this.purgeFromTrash(item));
+        });
+    }
+
+    // Restore the file, its catalog record and the level assignments the
+    // server re-linked (levels taken by another image since stay with it)
+    async restoreFromTrash(item) {
+        try {
+            const response = await fetch(`/api/trash/${item.id}/restore`, { method: 'POST' });
+            const result = await response.json();
+
+            if (!result.success) {
+                alert('Failed to restore file: ' + result.message);
+                return;
+            }
+
+            if (result.image) {
+                this.applyCatalogRecord(result.image);
+                if (window.levelManager) {
+                    window.levelManager.restoreAssignments(result.image.id, result.levels);
+                }
+            }
+            console.log(`♻️ Restored ${item.path}`);
+
+            this.render();
+            await this.renderTrash();
+        } catch (error) {
+            console.error('❌ Error restoring from trash:', error);
+            alert('Error restoring file. Check console for details.');
+        }
+    }
+
+    async purgeFromTrash(item) {
+        if (!confirm(`Delete ${item.name} permanently? This cannot be undone.`)) return;
+
+        try {
+            const response = await fetch(`/api/trash/${item.id}`, { method: 'DELETE' });
+            const result = await response.json();
+            if (!result.success) {
+                alert('Failed to delete file: ' + result.message);
+            }
+            await this.renderTrash();
+        } catch (error) {
+            console.error('❌ Error purging trash item:', error);
+            alert('Error deleting file. Check console for details.');
+        }
+    }
+
+    async emptyTrash() {
+        if (!confirm('Delete every file in the Trash permanently? This cannot be undone.')) return;
+
+        try {
+            const response = await fetch('/api/trash', { method: 'DELETE' });
+            const result = await response.json();
+            console.log(`🔥 Emptied trash (${result.purged} files)`);
+            await this.renderTrash();
+        } catch (error) {
+            console.error('❌ Error emptying trash:', error);
+            alert('Error emptying trash. Check console for details.');
+        }
+    }
+
+    // ===== Import Report =====
+    // One report per import session. Entries keep their File so rejected or
+    // unreadable files can be retried after changing the settings.
+
+    showImportReport() {
+        this.importReportPanel.classList.add('active');
+        this.renderImportReport();
+    }
+
+    countImportReport() {
+        const counts = { imported: 0, rejected: 0, duplicate: 0, error: 0 };
+        (this.importReport ? this.importReport.entries : []).forEach(entry => counts[entry.status]++);
+        return counts;
+    }
+
+    // Status text, e.g. "Imported · downscaled x10 · quantized 42→15 colors"
+    describeImportEntry(entry) {
+        const labels = { imported: 'Imported', rejected: 'Rejected', duplicate: 'Duplicate', error: 'Unreadable' };
+        const parts = [labels[entry.status]];
+        if (entry.scale > 1) parts.push(`downscaled x${entry.scale}`);
+        if (entry.quantized) parts.push(`quantized ${entry.originalColorCount}→${entry.colorCount} colors`);
+        return parts.join(' · ');
+    }
+
+    renderImportReport() {
+        const report = this.importReport;
+        const container = document.getElementById('importReportList');
+        const summary = document.getElementById('importReportSummary');
+
+        if (!report || report.entries.length === 0) {
+            summary.textContent = this.importRunning ? 'Importing...' : 'No import yet';
+            container.innerHTML = '';
+        } else {
+            const counts = this.countImportReport();
+            summary.textContent = `${report.entries.length} files · ${counts.imported} imported · ${counts.rejected} rejected · ${counts.duplicate} duplicates · ${counts.error} unreadable` +
+                (this.importRunning ? ' · importing...' : '');
+
+            container.innerHTML = report.entries.map((entry, index) => `
+                <div class="import-report-entry status-${entry.status}" data-index="${index}">
+                    <div class="quarantine-info">
+                        <div class="quarantine-name">${entry.path}</div>
+                        <div class="quarantine-meta">${this.describeImportEntry(entry)}${entry.width ? ` · ${entry.width}x${entry.height} · ${entry.colorCount} colors` : ''}</div>
+                        ${entry.reasons.length > 0 ? `<ul class="quarantine-reasons">${entry.reasons.map(reason => `<li>${reason}</li>`).join('')}</ul>` : ''}
+                    </div>
+                    ${entry.status === 'rejected' || entry.status === 'error' ? '<button class="btn-small import-report-retry">Retry</button>' : ''}
+                </div>
+            `).join('');
+
+            container.querySelectorAll('.import-report-retry').forEach(button => {
+                button.disabled = this.importRunning;
+                button.addEventListener('click', (e) => {
+                    const index = parseInt(e.target.closest('.import-report-entry').dataset.index);
+                    this.retryImports([report.entries[index]]);
+                });
+            });
+        }
+
+        const failed = this.getFailedImports();
+        document.getElementById('retryImportReportBtn').disabled = this.importRunning || failed.length === 0;
+        document.getElementById('exportImportReportBtn').disabled = !report || report.entries.length === 0;
+    }
+
+    getFailedImports() {
+        if (!this.importReport) return [];
+        return this.importReport.entries.filter(entry => entry.status === 'rejected' || entry.status === 'error');
+    }
+
+    // Import the given report entries again with the current settings
+    async retryImports(entries) {
+        if (this.importRunning) return;
+
+        this.importRunning = true;
+        this.renderImportReport();
+
+        for (const entry of entries) {
+            const retried = await this.importFile(entry.file, entry.source, entry.targetFolder);
+            const index = this.importReport.entries.indexOf(entry);
+            if (index !== -1) {
+                this.importReport.entries[index] = retried;
+            }
+            this.renderImportReport();
+        }
+
+        this.importRunning = false;
+        this.renderImportReport();
+        this.render();
+    }
+
+    exportImportReportCsv() {
+        const report = this.importReport;
+        if (!report) return;
+
+        const csvValue = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        const header = ['file', 'path', 'status', 'scale', 'width', 'height', 'originalColors', 'colors', 'quantized', 'reasons'];
+        const rows = report.entries.map(entry => [
+            entry.name,
+            entry.path,
+            entry.status,
+            entry.scale,
+            entry.width,
+            entry.height,
+            entry.originalColorCount,
+            entry.colorCount,
+            entry.quantized ? 'yes' : 'no',
+            entry.reasons.join('; ')
+        ]);
+        const csv = [header, ...rows].map(row => row.map(csvValue).join(',')).join('\n');
+
+        const blob = new Blob([csv], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `import-report-${report.startedAt.replace(/[:.]/g, '-')}.csv`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    // ===== Live Updates =====
+    // server.js pushes every catalog change (including files added, edited,
+    // renamed or deleted in PixelAssets while the app is open) over /api/events.
+
+    connectLiveUpdates() {
+        if (typeof EventSource === 'undefined') return;
+
+        const source = new EventSource('/api/events');
+        source.addEventListener('open', () => {
+            console.log('👀 Live updates connected');
+        });
+        source.addEventListener('catalog', (e) => {
+            const event = JSON.parse(e.data);
+            if (this.loadingFromServer) {
+                this.pendingCatalogEvents.push(event);
+            } else {
+                this.applyCatalogEvent(event);
+            }
+        });
+    }
+
+    // Apply one catalog change: { type, image, folder, from }
+    applyCatalogEvent(event) {
+        if (event.type === 'add' || event.type === 'change' || event.type === 'rename') {
+            this.applyCatalogRecord(event.image, event.from);
+        } else if (event.type === 'delete') {
+            this.removeCatalogRecord(event.image);
+        } else if (event.type === 'folder-add') {
+            this.catalogFolderId(event.folder.path);
+        } else if (event.type === 'folder-rename') {
+            this.manager.moveFolderPath(event.from, event.folder.path);
+        } else if (event.type === 'folder-delete') {
+            // Only drop the local folder once nothing below it holds images
+            const folderPath = event.folder.path;
+            const stillUsed = this.manager.images.some(img => {
+                const path = this.manager.folderPath(img.folder);
+                return path === folderPath || path.startsWith(folderPath + '/');
+            });
+            if (!stillUsed) {
+                this.manager.removeFolderPath(folderPath);
+            }
+        } else {
+            return;
+        }
+
+        console.log(`👀 ${event.type}: ${event.image ? event.image.path : event.folder.path}${event.from ? ` (was ${event.from})` : ''}`);
+        this.scheduleRender();
+    }
+
+    // Insert or replace the gallery image of a catalog record
+    applyCatalogRecord(record, fromPath) {
+        const wasSelected = this.manager.selectedImage && this.manager.selectedImage.id === record.id;
+
+        // Old localStorage copies of server files are replaced by the catalog record
+        this.manager.images = this.manager.images.filter(img =>
+            img.id !== record.id && (img.path || img.name !== record.name)
+        );
+        this.manager.quarantine
+            .filter(q => q.source === 'catalog' && (q.path === record.path || q.path === fromPath))
+            .forEach(q => this.manager.removeFromQuarantine(q.id));
+
+        if (record.rejections.length > 0) {
+            this.quarantineCatalogRecord(record);
+            if (wasSelected) this.manager.selectedImage = null;
+            return;
+        }
+
+        const image = this.manager.addCatalogImage(record, this.catalogFolderId(record.folder));
+        if (wasSelected) this.manager.selectedImage = image;
+    }
+
+    removeCatalogRecord(record) {
+        this.manager.images = this.manager.images.filter(img => img.id !== record.id);
+        this.manager.selectedImages = this.manager.selectedImages.filter(id => id !== record.id);
+        if (this.manager.selectedImage && this.manager.selectedImage.id === record.id) {
+            this.manager.selectedImage = null;
+        }
+        this.manager.quarantine
+            .filter(q => q.source === 'catalog' && q.path === record.path)
+            .forEach(q => this.manager.removeFromQuarantine(q.id));
+    }
+
+    quarantineCatalogRecord(record) {
+        const reasons = record.rejections.map(r => r.message);
+        console.warn(`🚧 Quarantined ${record.path}: ${reasons.join(', ')}`);
+        this.manager.addToQuarantine({
+            name: record.name,
+            source: 'catalog',
+            path: record.path,
+            reasons: reasons,
+            width: record.width,
+            height: record.height,
+            colorCount: record.colorCount
+        });
+    }
+
+    // Local folder of a catalog folder path ('' = root), created when missing
+    catalogFolderId(folderPath) {
+        return this.manager.ensureFolderPath(folderPath);
+    }
+
+    // Bursts of events (a folder copied into PixelAssets) render once
+    scheduleRender() {
+        clearTimeout(this.liveRenderTimer);
+        this.liveRenderTimer = setTimeout(() => {
+            this.render();
+            this.renderPreview();
+            if (window.levelManager) {
+                window.levelManager.renderLevelTable();
+            }
+        }, 100);
+    }
+
+    showFolderModal() {
+        const parentPath = this.manager.folderPath(this.manager.currentFolder);
+        document.getElementById('folderParentHint').textContent = parentPath ? `Inside ${parentPath}` : 'At the top of PixelAssets';
+        this.folderModal.classList.add('active');
+        document.getElementById('folderNameInput').value = '';
+        document.getElementById('folderNameInput').focus();
+    }
+
+    hideFolderModal() {
+        this.folderModal.classList.remove('active');
+    }
+
+    showMoveModal() {
+        if (!this.manager.selectedImage) return;
+
+        const html = this.manager.getFolderTree().map(({ folder }) => `
+            <div class="folder-list-item" data-folder-id="${folder.id}">
+                <span>${folder.id === 'root' ? '📂' : '📁'}</span>
+                <span>${folder.id === 'root' ? folder.name : folder.path}</span>
+            </div>
+        `).join('');
+
+        document.getElementById('folderList').innerHTML = html;
+
+        // Attach click handlers
+        document.querySelectorAll('.folder-list-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                document.querySelectorAll('.folder-list-item').forEach(i => 
+                    i.classList.remove('selected')
+                );
+                e.currentTarget.classList.add('selected');
+            });
+        });
+
+        this.moveModal.classList.add('active');
+    }
+    
+    showMultiMoveModal() {
+        if (this.manager.selectedImages.length === 0) return;
+
+        const html = this.manager.getFolderTree().map(({ folder }) => `
+            <div class="folder-list-item" data-folder-id="${folder.id}">
+                <span>${folder.id === 'root' ? '📂' : '📁'}</span>
+                <span>${folder.id === 'root' ? folder.name : folder.path}</span>
+            </div>
+        `).join('');
+
+        document.getElementById('folderList').innerHTML = html;
+
+        // Update confirm button text
+        const confirmBtn = document.getElementById('confirmMoveBtn');
+        confirmBtn.textContent = `Move ${this.manager.selectedImages.length} Images`;
+
+        // Attach click handlers
+        document.querySelectorAll('.folder-list-item').forEach(item => {
+            item.addEventListener('click', (e) => {
+                document.querySelectorAll('.folder-list-item').forEach(i => 
+                    i.classList.remove('selected')
+                );
+                e.currentTarget.classList.add('selected');
+            });
+        });
+
+        this.moveModal.classList.add('active');
+    }
+
+    hideMoveModal() {
+        this.moveModal.classList.remove('active');
+    }
+
+    updateStatusBar(imageName, size, colors, colorHex, colorName, match) {
+        if (imageName !== undefined && imageName !== null) {
+            this.statusImage.textContent = imageName;
+        }
+        if (size !== undefined && size !== null) {
+            this.statusSize.textContent = size;
+        }
+        if (colors !== undefined && colors !== null) {
             this.statusColors.textContent = colors;
         }
         if (colorHex !== undefined && colorHex !== null) {
@@ -1942,15 +3259,9 @@ class UIController {
             const colorUpper = color.toUpperCase();
             const name = this.manager.paletteColorNames.get(colorUpper) || '';
             
-            // Check if color exists in master palette
+            // Check if color exists in master palette (or is within the match threshold)
             const isInPalette = this.manager.loadedPalette.length === 0 || 
-                                this.manager.loadedPalette.some(paletteColor => {
-                                    if (paletteColor === colorUpper) return true;
-                                    // Check similar colors (within threshold)
-                                    const imgRgb = hexToRgb(colorUpper);
-                                    const palRgb = hexToRgb(paletteColor);
-                                    return colorDistance(imgRgb, palRgb) < 20;
-                                });
+                                this.manager.isNearPalette(colorUpper);
             
             const notInPaletteClass = !isInPalette ? 'not-in-palette' : '';
             const title = name ? `${name} - ${colorUpper}` : colorUpper;
@@ -2101,7 +3412,7 @@ class UIController {
         this.manager.saveToStorage();
         
         // Save to server
-        await this.saveImageToServer(newDataUrl);
+        await this.saveImageToServer(newDataUrl, this.manager.selectedImage, 'Edit Colors');
         
         this.hideColorEditor();
         this.render();
@@ -2109,11 +3420,207 @@ class UIController {
         console.log('✅ Image colors updated and saved!');
     }
 
-    async saveImageToServer(dataUrl) {
+    // Load an image's pixels at its pixel art size
+    loadImagePixels(img) {
+        return new Promise((resolve, reject) => {
+            const image = new Image();
+            image.onload = () => {
+                const canvas = document.createElement('canvas');
+                canvas.width = img.width;
+                canvas.height = img.height;
+                const ctx = canvas.getContext('2d', { alpha: true, willReadFrequently: true });
+                ctx.imageSmoothingEnabled = false;
+                ctx.drawImage(image, 0, 0, img.width, img.height);
+                resolve(ctx.getImageData(0, 0, img.width, img.height));
+            };
+            image.onerror = () => reject(new Error(`Could not load ${img.name}`));
+            image.src = img.dataUrl;
+        });
+    }
+
+    // ===== Snap to Master Palette =====
+
+    async showSnapModal(images) {
+        if (this.manager.loadedPalette.length === 0) {
+            alert('Load a master palette first.');
+            return;
+        }
+
+        this.snapJobs = [];
+        for (const img of images) {
+            try {
+                const pixels = await this.loadImagePixels(img);
+                const colors = Array.from(PixelAnalysis.countColors(pixels).keys());
+                this.snapJobs.push({
+                    img: img,
+                    pixels: pixels,
+                    mapping: PixelAnalysis.snapToPalette(colors, this.manager.loadedPalette, this.manager.distanceSettings.snap.metric)
+                });
+            } catch (error) {
+                console.error('❌ Error loading image for snap:', error);
+            }
+        }
+
+        this.renderSnapModal();
+        this.snapPaletteModal.classList.add('active');
+    }
+
+    hideSnapModal() {
+        this.snapPaletteModal.classList.remove('active');
+        this.snapJobs = [];
+    }
+
+    renderSnapModal() {
+        const snapSettings = this.manager.distanceSettings.snap;
+        const colorLabel = (color) => {
+            const name = this.manager.paletteColorNames.get(color);
+            return name ? `${name} ${color}` : color;
+        };
+
+        const html = this.snapJobs.map((job, jobIndex) => {
+            const merged = PixelAnalysis.findMergedColors(job.mapping);
+            const warnings = Array.from(merged, ([target, sources]) =>
+                `<div class="snap-warning">⚠️ ${sources.join(', ')} all become ${colorLabel(target)}</div>`
+            ).join('');
+
+            const rows = job.mapping.map((entry, entryIndex) => {
+                // Nearest palette colors first, plus the option to keep the original
+                const nearest = entry.candidates.slice(0, 8);
+                const options = nearest.map(candidate => `
+                    <option value="${candidate.color}" ${candidate.color === entry.to ? 'selected' : ''}>
+                        ${colorLabel(candidate.color)} (${ColorDistance.formatDistance(candidate.distance, snapSettings.metric)})
+                    </option>
+                `).join('');
+                const keepOption = nearest.some(c => c.color === entry.from) ? '' : `
+                    <option value="${entry.from}" ${entry.to === entry.from ? 'selected' : ''}>Keep original ${entry.from}</option>
+                `;
+                const mergeClass = merged.has(entry.to) ? 'snap-merge' : '';
+                // No palette color close enough - the snapped color will look different
+                const farClass = entry.to !== entry.from && entry.distance > snapSettings.threshold ? 'snap-far' : '';
+
+                return `
+                    <div class="snap-row ${mergeClass} ${farClass}">
+                        <div class="snap-color-box" style="background-color: ${entry.from}" title="${entry.from}"></div>
+                        <span class="snap-hex">${entry.from}</span>
+                        <span class="snap-arrow">→</span>
+                        <div class="snap-color-box" style="background-color: ${entry.to}" title="${colorLabel(entry.to)}"></div>
+                        <select class="snap-select" data-job="${jobIndex}" data-entry="${entryIndex}">
+                            ${options}
+                            ${keepOption}
+                        </select>
+                    </div>
+                `;
+            }).join('');
+
+            return `
+                <div class="snap-image">
+                    <div class="snap-image-header">
+                        <img src="${job.img.dataUrl}" class="snap-thumb" alt="${job.img.name}">
+                        <span class="snap-arrow">→</span>
+                        <canvas class="snap-thumb" data-job="${jobIndex}" width="${job.img.width}" height="${job.img.height}"></canvas>
+                        <div class="snap-image-name">${job.img.name}</div>
+                    </div>
+                    ${warnings}
+                    <div class="snap-mapping">${rows}</div>
+                </div>
+            `;
+        }).join('');
+
+        document.getElementById('snapImageList').innerHTML = html || '<p style="color: #666;">No images to snap</p>';
+        this.updateSnapSummary();
+
+        // Draw the snapped result next to each original
+        this.snapJobs.forEach((job, jobIndex) => this.drawSnapPreview(jobIndex));
+
+        // Per-color overrides
+        document.querySelectorAll('#snapImageList .snap-select').forEach(select => {
+            select.addEventListener('change', (e) => {
+                const job = this.snapJobs[parseInt(e.target.dataset.job)];
+                const entry = job.mapping[parseInt(e.target.dataset.entry)];
+                const candidate = entry.candidates.find(c => c.color === e.target.value);
+                entry.to = e.target.value;
+                entry.distance = candidate ? candidate.distance : 0;
+                this.renderSnapModal();
+            });
+        });
+    }
+
+    drawSnapPreview(jobIndex) {
+        const job = this.snapJobs[jobIndex];
+        const canvas = document.querySelector(`#snapImageList canvas[data-job="${jobIndex}"]`);
+        if (!canvas) return;
+
+        const snapped = PixelAnalysis.remapColors(job.pixels, job.mapping);
+        canvas.getContext('2d').putImageData(new ImageData(snapped.data, snapped.width, snapped.height), 0, 0);
+    }
+
+    updateSnapSummary() {
+        const changedColors = this.snapJobs.reduce((sum, job) =>
+            sum + job.mapping.filter(entry => entry.to !== entry.from).length, 0);
+        const mergeCount = this.snapJobs.filter(job => PixelAnalysis.findMergedColors(job.mapping).size > 0).length;
+
+        const snapSettings = this.manager.distanceSettings.snap;
+        const farCount = this.snapJobs.reduce((sum, job) =>
+            sum + job.mapping.filter(entry => entry.to !== entry.from && entry.distance > snapSettings.threshold).length, 0);
+
+        let summary = `${this.snapJobs.length} image(s), ${changedColors} color(s) will change`;
+        if (mergeCount > 0) {
+            summary += ` - ⚠️ ${mergeCount} image(s) lose colors because they merge`;
+        }
+        if (farCount > 0) {
+            summary += ` - ⚠️ ${farCount} color(s) farther than ${ColorDistance.formatDistance(snapSettings.threshold, snapSettings.metric)} from any palette color`;
+        }
+        document.getElementById('snapSummary').textContent = summary;
+    }
+
+    async applySnap() {
+        const jobs = this.snapJobs.filter(job => job.mapping.some(entry => entry.to !== entry.from));
+        if (jobs.length === 0) {
+            this.hideSnapModal();
+            return;
+        }
+
+        const mergeCount = jobs.filter(job => PixelAnalysis.findMergedColors(job.mapping).size > 0).length;
+        if (mergeCount > 0 && !confirm(`${mergeCount} image(s) have colors that merge into one palette color. Save anyway?`)) {
+            return;
+        }
+
+        for (const job of jobs) {
+            const snapped = PixelAnalysis.remapColors(job.pixels, job.mapping);
+            const canvas = document.createElement('canvas');
+            canvas.width = snapped.width;
+            canvas.height = snapped.height;
+            canvas.getContext('2d').putImageData(new ImageData(snapped.data, snapped.width, snapped.height), 0, 0);
+            const dataUrl = canvas.toDataURL('image/png');
+
+            const colorMap = PixelAnalysis.countColors(snapped);
+            const colors = Array.from(colorMap.keys()).map(c => c.toUpperCase());
+
+            // Update image in manager
+            job.img.dataUrl = dataUrl;
+            job.img.colors = colors;
+            job.img.colorCount = colors.length;
+            job.img.palette = colors;
+            job.img.colorMap = colorMap;
+
+            await this.saveImageToServer(dataUrl, job.img, 'Snap to master palette');
+            console.log(`🎨 Snapped ${job.img.name} to master palette`);
+        }
+
+        this.manager.saveToStorage();
+        this.hideSnapModal();
+        this.render();
+
+        console.log(`✅ Snapped ${jobs.length} image(s) to master palette`);
+    }
+
+    // note: what the save did, shown in the revision history.
+    // The version the image was loaded with goes along; when someone else
+    // saved in between, the user picks how to resolve the conflict.
+    // Returns the server result, or null when nothing was saved.
+    async saveImageToServer(dataUrl, img = this.manager.selectedImage, note = null) {
         try {
-            const img = this.manager.selectedImage;
-            const folder = this.manager.getFolder(img.folder);
-            const folderPath = folder && folder.id !== 'root' ? folder.name : '';
+            const folderPath = this.manager.imageFolderPath(img);
             
             const response = await fetch('/api/save-image', {
                 method: 'POST',
@@ -2123,29 +3630,40 @@ class UIController {
                 body: JSON.stringify({
                     filename: img.name,
                     dataUrl: dataUrl,
-                    folder: folderPath
+                    folder: folderPath,
+                    author: this.manager.author,
+                    note: note,
+                    baseHash: img.path ? img.contentHash : null // null: must be a new file
                 })
             });
             
             const result = await response.json();
             
             if (result.success) {
+                img.contentHash = result.contentHash;
                 console.log('✅ File saved to disk:', result.path);
-            } else {
-                console.error('❌ Failed to save file:', result.message);
-                alert('Failed to save file to disk: ' + result.message);
+                return result;
+            }
+            
+            if (result.code === 'VERSION_CONFLICT') {
+                console.warn('⚠️ Save conflict:', result.message);
+                return this.resolveSaveConflict(img, dataUrl, note, result);
             }
             
+            console.error('❌ Failed to save file:', result.message);
+            alert('Failed to save file to disk: ' + result.message);
+            return null;
+            
         } catch (error) {
             console.error('❌ Error saving to server:', error);
             alert('Error saving file to disk. Check console for details.');
+            return null;
         }
     }
 
     async deleteImageFromServer(img) {
         try {
-            const folder = this.manager.getFolder(img.folder);
-            const folderPath = folder && folder.id !== 'root' ? folder.name : '';
+            const folderPath = this.manager.imageFolderPath(img);
             
             const response = await fetch('/api/delete-image', {
                 method: 'DELETE',
@@ -2161,7 +3679,7 @@ class UIController {
             const result = await response.json();
             
             if (result.success) {
-                console.log('🗑️ File deleted from disk');
+                console.log('🗑️ File moved to trash');
             } else {
                 console.error('❌ Failed to delete file:', result.message);
                 alert('Failed to delete file from disk: ' + result.message);
@@ -2173,7 +3691,8 @@ class UIController {
         }
     }
 
-    async createFolderOnServer(folderName) {
+    // parentFolder: path inside PixelAssets ('' = top level)
+    async createFolderOnServer(folderName, parentFolder = '') {
         try {
             const response = await fetch('/api/create-folder', {
                 method: 'POST',
@@ -2182,7 +3701,7 @@ class UIController {
                 },
                 body: JSON.stringify({
                     folderName: folderName,
-                    parentFolder: '' // Create in root PixelAssets
+                    parentFolder: parentFolder
                 })
             });
             
@@ -2194,20 +3713,104 @@ class UIController {
                 console.error('❌ Failed to create folder:', result.message);
                 alert('Failed to create folder on disk: ' + result.message);
             }
+            return result.success;
             
         } catch (error) {
             console.error('❌ Error creating folder:', error);
             alert('Error creating folder on disk. Check console for details.');
+            return false;
+        }
+    }
+
+    // ===== Folder Management =====
+    // Folders mirror PixelAssets: rename, move and delete run on the server
+    // first and are applied here when they succeeded.
+
+    // Not onto itself, its own parent or one of its sub folders
+    canDropFolder(folder, target) {
+        if (!folder || folder === target) return false;
+
+        const parentPath = folder.path.includes('/') ? folder.path.slice(0, folder.path.lastIndexOf('/')) : '';
+        return target.path !== parentPath && !target.path.startsWith(folder.path + '/');
+    }
+
+    async renameFolder(folder) {
+        const newName = prompt(`Rename folder "${folder.path}" to:`, folder.name);
+        if (!newName || newName.trim() === folder.name) return;
+
+        const result = await this.sendFolderRequest('POST', '/api/rename-folder', {
+            folder: folder.path,
+            newName: newName.trim()
+        }, 'rename folder');
+
+        if (result) {
+            this.manager.moveFolderPath(result.from, result.folder.path);
+            this.render();
+            console.log(`🏷️ Folder renamed: ${result.from} → ${result.folder.path}`);
+        }
+    }
+
+    async moveFolder(folder, target) {
+        const result = await this.sendFolderRequest('POST', '/api/move-folder', {
+            folder: folder.path,
+            toFolder: target.path
+        }, 'move folder');
+
+        if (result) {
+            this.manager.moveFolderPath(result.from, result.folder.path);
+            this.render();
+            console.log(`📦 Folder moved: ${result.from} → ${result.folder.path}`);
+        }
+    }
+
+    async deleteFolder(folder) {
+        const fileCount = this.manager.images.filter(img => img.path && img.path.startsWith(folder.path + '/')).length;
+        if (!confirm(`Delete folder "${folder.path}" with its sub folders? ${fileCount} file(s) will be moved to the Trash.`)) return;
+
+        const result = await this.sendFolderRequest('DELETE', '/api/delete-folder', { folder: folder.path }, 'delete folder');
+
+        if (result) {
+            if (result.kept.length > 0) {
+                alert(`⚠️ ${result.message}:\n${result.kept.slice(0, 5).join('\n')}${result.kept.length > 5 ? '\n...' : ''}`);
+            } else {
+                this.manager.removeFolderPath(folder.path);
+            }
+            this.manager.selectedImages = this.manager.selectedImages.filter(id => this.manager.images.some(img => img.id === id));
+            this.render();
+            if (window.levelManager) {
+                window.levelManager.renderLevelTable();
+            }
+            console.log(`🗑️ ${result.message}`);
+        }
+    }
+
+    // Send a folder request; returns the result or null after telling the user
+    async sendFolderRequest(method, url, body, action) {
+        try {
+            const response = await fetch(url, {
+                method: method,
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const result = await response.json();
+
+            if (!result.success) {
+                console.error(`❌ Failed to ${action}:`, result.message);
+                alert(`Failed to ${action}: ${result.message}`);
+                return null;
+            }
+            return result;
+        } catch (error) {
+            console.error(`❌ Error trying to ${action}:`, error);
+            alert(`Error trying to ${action}. Check console for details.`);
+            return null;
         }
     }
 
     async moveImageOnServer(img, targetFolderId) {
         try {
-            const fromFolder = this.manager.getFolder(img.folder);
-            const toFolder = this.manager.getFolder(targetFolderId);
-            
-            const fromFolderPath = fromFolder && fromFolder.id !== 'root' ? fromFolder.name : '';
-            const toFolderPath = toFolder && toFolder.id !== 'root' ? toFolder.name : '';
+            const fromFolderPath = this.manager.imageFolderPath(img);
+            const toFolderPath = this.manager.folderPath(targetFolderId);
             
             const response = await fetch('/api/move-image', {
                 method: 'POST',
@@ -2253,6 +3856,8 @@ class UIController {
 class PixelEditor {
     constructor(manager) {
         this.manager = manager;
+        this.importReport = null; // Last import session, see runImportSession
+        this.importRunning = false;
         this.initElements();
         this.initState();
         this.attachEventListeners();
@@ -2305,6 +3910,10 @@ class PixelEditor {
         this.symmetryVBtn = document.getElementById('symmetryVBtn');
         this.symmetryBothBtn = document.getElementById('symmetryBothBtn');
         this.symmetryOffBtn = document.getElementById('symmetryOffBtn');
+        
+        // Balance elements
+        this.balanceSection = document.getElementById('balanceSection');
+        this.balanceSummary = document.getElementById('balanceSummary');
     }
 
     initState() {
@@ -2347,6 +3956,10 @@ class PixelEditor {
         
         // Symmetry state
         this.symmetryMode = 'off'; // 'off', 'horizontal', 'vertical', 'both'
+        
+        // Balance state
+        this.balanceProposal = null;
+        this.balanceBlinkTimer = null;
     }
 
     attachEventListeners() {
@@ -2447,6 +4060,11 @@ class PixelEditor {
         // Resize
         document.getElementById('resizeImageBtn').addEventListener('click', () => this.openResizeModal());
         
+        // Balance
+        document.getElementById('balanceBtn').addEventListener('click', () => this.previewBalance());
+        document.getElementById('applyBalanceBtn').addEventListener('click', () => this.applyBalance());
+        document.getElementById('cancelBalanceBtn').addEventListener('click', () => this.cancelBalance());
+        
         // Crop controls
         this.applyCropBtn.addEventListener('click', () => this.confirmCrop());
         this.cancelCropBtn.addEventListener('click', () => this.exitCropMode());
@@ -2706,6 +4324,9 @@ class PixelEditor {
         // Crop mode handles its own events
         if (this.cropMode) return;
         
+        // Drawing makes a pending balance preview stale
+        if (this.balanceProposal) this.cancelBalance();
+        
         const { x, y } = this.getCanvasCoordinates(e);
         
         // Alt+Click to pick color (works with any tool)
@@ -3535,6 +5156,7 @@ class PixelEditor {
     }
 
     restoreHistory(state) {
+        if (this.balanceProposal) this.cancelBalance();
         this.currentLayerIndex = state.currentLayerIndex;
         
         // Restore layers
@@ -3671,39 +5293,9 @@ class PixelEditor {
         console.log('✅ Drawing saved!');
     }
 
+    // Saves go through the UI so version conflicts are handled in one place
     async saveToServer(dataUrl) {
-        try {
-            const img = this.manager.selectedImage;
-            
-            // Get folder from image
-            const folder = this.manager.getFolder(img.folder);
-            const folderPath = folder && folder.id !== 'root' ? folder.name : '';
-            
-            const response = await fetch('/api/save-image', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify({
-                    filename: img.name,
-                    dataUrl: dataUrl,
-                    folder: folderPath
-                })
-            });
-            
-            const result = await response.json();
-            
-            if (result.success) {
-                console.log('✅ File saved to disk:', result.path);
-            } else {
-                console.error('❌ Failed to save file:', result.message);
-                alert('Failed to save file to disk: ' + result.message);
-            }
-            
-        } catch (error) {
-            console.error('❌ Error saving to server:', error);
-            alert('Error saving file to disk. Check console for details.');
-        }
+        return window.ui.saveImageToServer(dataUrl, this.manager.selectedImage, 'Pixel editor');
     }
 
     showColorReplaceMenu(newColor) {
@@ -3779,49 +5371,186 @@ class PixelEditor {
         
         let replacedCount = 0;
         
-        // Replace color in all layers
-        this.layers.forEach(layer => {
-            const imageData = layer.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
-            const pixels = imageData.data;
+        // Replace color in all layers
+        this.layers.forEach(layer => {
+            const imageData = layer.ctx.getImageData(0, 0, this.canvas.width, this.canvas.height);
+            const pixels = imageData.data;
+            
+            for (let i = 0; i < pixels.length; i += 4) {
+                const r = pixels[i];
+                const g = pixels[i + 1];
+                const b = pixels[i + 2];
+                const a = pixels[i + 3];
+                
+                // Skip transparent
+                if (a < 128) continue;
+                
+                // Check if color matches
+                if (r === oldRgb.r && g === oldRgb.g && b === oldRgb.b) {
+                    pixels[i] = newRgb.r;
+                    pixels[i + 1] = newRgb.g;
+                    pixels[i + 2] = newRgb.b;
+                    replacedCount++;
+                }
+            }
+            
+            layer.ctx.putImageData(imageData, 0, 0);
+        });
+        
+        console.log(`✅ Replaced ${replacedCount} pixels`);
+        
+        // Update display
+        this.composeLayers();
+        this.updatePreview();
+        this.saveHistory();
+        
+        // Update palette
+        const newPalette = this.palette.filter(c => c.toUpperCase() !== oldColor.toUpperCase());
+        if (!newPalette.includes(newColor.toUpperCase())) {
+            newPalette.push(newColor.toUpperCase());
+        }
+        this.palette = newPalette;
+        
+        // Re-setup palette display
+        const colorMap = this.manager.selectedImage.colorMap || new Map();
+        this.setupPalette(this.palette);
+    }
+
+    // ===== BALANCE TOOL =====
+    
+    // Merge visible layers (without symmetry guides) into one ImageData
+    getMergedImageData() {
+        const mergedCanvas = document.createElement('canvas');
+        mergedCanvas.width = this.canvas.width;
+        mergedCanvas.height = this.canvas.height;
+        const mergedCtx = mergedCanvas.getContext('2d', { alpha: true, willReadFrequently: true });
+        
+        for (const layer of this.layers) {
+            if (layer.visible) {
+                mergedCtx.drawImage(layer.canvas, 0, 0);
+            }
+        }
+        
+        return mergedCtx.getImageData(0, 0, mergedCanvas.width, mergedCanvas.height);
+    }
+
+    // Propose recolors that make every count divisible by 10 and preview them
+    previewBalance() {
+        if (this.cropMode || this.lassoContent) {
+            alert('Finish the current crop or lasso selection first.');
+            return;
+        }
+        
+        const proposal = PixelBalancer.proposeBalance(this.getMergedImageData(), this.manager.importRules);
+        
+        if (!proposal) {
+            alert('Could not balance this image automatically.\n\nEvery color needs at least 10 pixels - try reducing the number of colors first. A fully opaque image only gets transparent pixels when the import rules allow transparency.');
+            return;
+        }
+        
+        if (proposal.changes.length === 0) {
+            alert('✅ This image is already Ready to Dev!');
+            return;
+        }
+        
+        console.log(`⚖️ Balance proposal: ${proposal.changes.length} pixel(s)`, proposal.changes);
+        
+        this.balanceProposal = proposal;
+        this.renderBalanceSummary();
+        this.balanceSection.style.display = 'block';
+        
+        // Blink between the proposed colors and a marker so changed pixels stand out
+        let showMarkers = false;
+        this.drawBalancePreview(showMarkers);
+        clearInterval(this.balanceBlinkTimer);
+        this.balanceBlinkTimer = setInterval(() => {
+            showMarkers = !showMarkers;
+            this.drawBalancePreview(showMarkers);
+        }, 500);
+    }
+
+    drawBalancePreview(showMarkers) {
+        this.clearTempLayer();
+        if (!this.balanceProposal) return;
+        
+        for (const change of this.balanceProposal.changes) {
+            if (showMarkers) {
+                this.tempCtx.fillStyle = '#FF00FF';
+            } else if (change.to === PixelBalancer.TRANSPARENT) {
+                this.tempCtx.fillStyle = 'rgba(255, 255, 255, 0.5)';
+            } else {
+                this.tempCtx.fillStyle = change.to;
+            }
+            this.tempCtx.fillRect(change.x, change.y, 1, 1);
+        }
+    }
+
+    renderBalanceSummary() {
+        const proposal = this.balanceProposal;
+        const colorLabel = (color) => {
+            if (color === PixelBalancer.TRANSPARENT) return 'Transparent';
+            return this.manager.paletteColorNames.get(color.toUpperCase()) || color.toUpperCase();
+        };
+        const colorBox = (color) => color === PixelBalancer.TRANSPARENT
+            ? '<div class="balance-color-box transparent"></div>'
+            : `<div class="balance-color-box" style="background-color: ${color}"></div>`;
+        
+        const rows = PixelBalancer.summarizeChanges(proposal.changes).map(group => `
+            <div class="balance-item" title="${colorLabel(group.from)} → ${colorLabel(group.to)}">
+                ${colorBox(group.from)}
+                <span class="balance-arrow">→</span>
+                ${colorBox(group.to)}
+                <span class="balance-count">${group.count}px</span>
+            </div>
+        `).join('');
+        
+        const outlineWarning = proposal.outlineChanges > 0
+            ? `<div class="balance-warning">⚠️ ${proposal.outlineChanges} outline pixel(s) change because the opaque pixel total is not a multiple of 10</div>`
+            : '';
+        
+        this.balanceSummary.innerHTML = `
+            <div class="balance-total">${proposal.changes.length} pixel(s) to recolor</div>
+            ${outlineWarning}
+            <div class="balance-list">${rows}</div>
+        `;
+    }
+
+    applyBalance() {
+        const proposal = this.balanceProposal;
+        if (!proposal) return;
+        
+        // Paint on the current layer (or the top visible one if it is hidden)
+        let target = this.layers[this.currentLayerIndex];
+        if (!target.visible) {
+            target = this.layers.filter(layer => layer.visible).pop() || target;
+        }
+        
+        for (const change of proposal.changes) {
+            // Clear the pixel in every visible layer so nothing shows through
+            this.layers.forEach(layer => {
+                if (layer.visible) layer.ctx.clearRect(change.x, change.y, 1, 1);
+            });
             
-            for (let i = 0; i < pixels.length; i += 4) {
-                const r = pixels[i];
-                const g = pixels[i + 1];
-                const b = pixels[i + 2];
-                const a = pixels[i + 3];
-                
-                // Skip transparent
-                if (a < 128) continue;
-                
-                // Check if color matches
-                if (r === oldRgb.r && g === oldRgb.g && b === oldRgb.b) {
-                    pixels[i] = newRgb.r;
-                    pixels[i + 1] = newRgb.g;
-                    pixels[i + 2] = newRgb.b;
-                    replacedCount++;
-                }
+            if (change.to !== PixelBalancer.TRANSPARENT) {
+                target.ctx.fillStyle = change.to;
+                target.ctx.fillRect(change.x, change.y, 1, 1);
             }
-            
-            layer.ctx.putImageData(imageData, 0, 0);
-        });
+        }
         
-        console.log(`✅ Replaced ${replacedCount} pixels`);
+        console.log(`✅ Balanced ${proposal.changes.length} pixel(s)`);
         
-        // Update display
+        this.cancelBalance();
         this.composeLayers();
         this.updatePreview();
         this.saveHistory();
-        
-        // Update palette
-        const newPalette = this.palette.filter(c => c.toUpperCase() !== oldColor.toUpperCase());
-        if (!newPalette.includes(newColor.toUpperCase())) {
-            newPalette.push(newColor.toUpperCase());
-        }
-        this.palette = newPalette;
-        
-        // Re-setup palette display
-        const colorMap = this.manager.selectedImage.colorMap || new Map();
-        this.setupPalette(this.palette);
+    }
+
+    cancelBalance() {
+        clearInterval(this.balanceBlinkTimer);
+        this.balanceBlinkTimer = null;
+        this.balanceProposal = null;
+        this.balanceSection.style.display = 'none';
+        this.clearTempLayer();
     }
 
     // ===== LASSO TOOL =====
@@ -4096,6 +5825,7 @@ class PixelEditor {
     }
 
     close() {
+        this.cancelBalance();
         this.modal.classList.remove('active');
         this.layers = [];
         this.history = [];
@@ -4232,6 +5962,8 @@ class LevelManager {
         this.currentLevel = null;
         this.sortColumn = null;
         this.sortDirection = 'asc'; // 'asc' or 'desc'
+        this.levelFileIssues = new Map(); // level -> { type, imageId, path, message } from linkLevelFiles
+        this.levelUndoStack = []; // { label, levels, fileMoves } before each level edit
         
         this.initElements();
         this.attachEventListeners();
@@ -4247,6 +5979,7 @@ class LevelManager {
         this.totalLevels = document.getElementById('totalLevels');
         this.assignedLevels = document.getElementById('assignedLevels');
         this.readyLevels = document.getElementById('readyLevels');
+        this.difficultyMismatchLevels = document.getElementById('difficultyMismatchLevels');
         
         // Tabs
         this.galleryTab = document.getElementById('galleryViewTab');
@@ -4265,6 +5998,16 @@ class LevelManager {
         this.assignSearchInput = document.getElementById('assignSearchInput');
         this.assignMatchRequirementsCheck = document.getElementById('assignMatchRequirementsCheck');
         this.assignReadyOnlyCheck = document.getElementById('assignReadyOnlyCheck');
+        this.autoAssignModal = document.getElementById('autoAssignModal');
+        this.undoLevelBtn = document.getElementById('undoLevelBtn');
+        this.csvImportModal = document.getElementById('csvImportModal');
+        this.progressionModal = document.getElementById('progressionModal');
+        this.progressionRuleInputs = {
+            maxColorJump: 'progressionMaxColorJump',
+            maxPixelJump: 'progressionMaxPixelJump',
+            maxDifficultyJump: 'progressionMaxDifficultyJump',
+            maxHardStreak: 'progressionMaxHardStreak'
+        };
     }
 
     attachEventListeners() {
@@ -4303,6 +6046,60 @@ class LevelManager {
         this.assignReadyOnlyCheck.addEventListener('change', () => {
             this.renderAssignImageGrid();
         });
+        
+        // Auto-assign proposal
+        document.getElementById('applyAutoAssignBtn').addEventListener('click', () => {
+            this.applyAutoAssign();
+        });
+        
+        document.getElementById('cancelAutoAssignBtn').addEventListener('click', () => {
+            this.autoAssignProposal = null;
+            this.autoAssignModal.classList.remove('active');
+        });
+        
+        // Inline editing (double-click a cell) and undo (Ctrl+Z outside
+        // inputs and dialogs)
+        this.levelTableBody.addEventListener('dblclick', (e) => {
+            const cell = e.target.closest('td[data-field]');
+            if (cell) this.editLevelField(cell);
+        });
+        
+        this.undoLevelBtn.addEventListener('click', () => this.undoLevelChange());
+        
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey) || e.key !== 'z' || e.target.matches('input, textarea, select')) return;
+            if (this.splitContainer.classList.contains('gallery-only') || document.querySelector('.modal.active')) return;
+            
+            e.preventDefault();
+            this.undoLevelChange();
+        });
+        
+        // CSV import wizard
+        document.getElementById('csvProfileSelect').addEventListener('change', (e) => {
+            this.applyCsvProfile(e.target.value);
+        });
+        
+        document.getElementById('csvHasHeader').addEventListener('change', (e) => {
+            this.toggleCsvHeader(e.target.checked);
+        });
+        
+        document.getElementById('saveCsvProfileBtn').addEventListener('click', () => this.saveCsvProfile());
+        document.getElementById('deleteCsvProfileBtn').addEventListener('click', () => this.deleteCsvProfile());
+        document.getElementById('applyCsvImportBtn').addEventListener('click', () => this.applyCsvImport());
+        
+        document.getElementById('cancelCsvImportBtn').addEventListener('click', () => {
+            this.csvImport = null;
+            this.csvImportModal.classList.remove('active');
+        });
+        
+        // Progression
+        document.getElementById('saveProgressionRulesBtn').addEventListener('click', () => {
+            this.saveProgressionRules();
+        });
+        
+        document.getElementById('closeProgressionBtn').addEventListener('click', () => {
+            this.progressionModal.classList.remove('active');
+        });
     }
 
     switchView(view) {
@@ -4331,14 +6128,18 @@ class LevelManager {
         
         const text = await file.text();
         const ext = file.name.split('.').pop().toLowerCase();
+        this.levelDataInput.value = ''; // Same file can be picked again
+        
+        // CSV goes through the column mapping wizard
+        if (ext === 'csv') {
+            this.showCsvImport(text, file.name);
+            return;
+        }
         
         try {
-            if (ext === 'json') {
-                this.levels = JSON.parse(text);
-            } else if (ext === 'csv') {
-                this.levels = this.parseCSV(text);
-            }
-            
+            const levels = JSON.parse(text);
+            this.pushLevelUndo(`Import ${file.name}`);
+            this.levels = levels;
             this.saveToStorage();
             this.renderLevelTable();
             alert(`✅ Imported ${this.levels.length} levels`);
@@ -4347,101 +6148,188 @@ class LevelManager {
         }
     }
 
-    parseCSV(text) {
-        const levels = [];
-        
-        // Better CSV parser that handles quoted values with commas and newlines
-        function parseCSVLine(line) {
-            const result = [];
-            let current = '';
-            let inQuotes = false;
-            
-            for (let i = 0; i < line.length; i++) {
-                const char = line[i];
-                
-                if (char === '"') {
-                    inQuotes = !inQuotes;
-                } else if (char === ',' && !inQuotes) {
-                    result.push(current.trim());
-                    current = '';
-                } else {
-                    current += char;
-                }
-            }
-            result.push(current.trim());
-            return result;
+    // ===== CSV Import Wizard =====
+    // Level sheets are mapped column by column (level-csv.js): detected by
+    // header name, changed by hand, previewed with the rows that would be
+    // skipped, and saved as named profiles (localStorage) for the next file.
+
+    loadCsvProfiles() {
+        try {
+            return JSON.parse(localStorage.getItem('pixelVoxelCsvProfiles')) || [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    saveCsvProfiles(profiles) {
+        localStorage.setItem('pixelVoxelCsvProfiles', JSON.stringify(profiles));
+    }
+
+    showCsvImport(text, fileName) {
+        const rows = LevelCsv.parseRows(text);
+        if (rows.length === 0) {
+            alert('❌ The CSV file is empty');
+            return;
         }
         
-        // Split by lines but handle multiline quoted strings
-        const rows = [];
-        let currentRow = '';
-        let inQuotes = false;
+        this.csvImport = { rows, fileName, headerRow: -1, mapping: {} };
         
-        for (let i = 0; i < text.length; i++) {
-            const char = text[i];
-            
-            if (char === '"') {
-                inQuotes = !inQuotes;
-                currentRow += char;
-            } else if (char === '\n' && !inQuotes) {
-                if (currentRow.trim()) {
-                    rows.push(currentRow);
-                }
-                currentRow = '';
-            } else {
-                currentRow += char;
-            }
+        // Start from the profile used last, if it is still there
+        const lastProfile = localStorage.getItem('pixelVoxelCsvLastProfile') || '';
+        const profileName = this.loadCsvProfiles().some(p => p.name === lastProfile) ? lastProfile : '';
+        this.renderCsvProfiles(profileName);
+        this.applyCsvProfile(profileName);
+        
+        document.getElementById('csvImportFileName').textContent = fileName;
+        this.csvImportModal.classList.add('active');
+    }
+
+    renderCsvProfiles(selected = '') {
+        const select = document.getElementById('csvProfileSelect');
+        select.innerHTML = '<option value="">Auto-detect</option>' +
+            this.loadCsvProfiles().map(p => `<option value="${p.name}">${p.name}</option>`).join('');
+        select.value = selected;
+        document.getElementById('csvProfileName').value = selected;
+        document.getElementById('deleteCsvProfileBtn').disabled = !selected;
+    }
+
+    // Map the columns with a saved profile ('' = detect by header names)
+    applyCsvProfile(name) {
+        const profile = this.loadCsvProfiles().find(p => p.name === name) || null;
+        const { headerRow, mapping } = LevelCsv.resolveMapping(this.csvImport.rows, profile);
+        
+        this.csvImport.headerRow = headerRow;
+        this.csvImport.mapping = mapping;
+        document.getElementById('csvProfileName').value = name;
+        document.getElementById('deleteCsvProfileBtn').disabled = !profile;
+        this.renderCsvImport();
+    }
+
+    renderCsvImport() {
+        const { rows, headerRow, mapping } = this.csvImport;
+        const columnCount = Math.max(...rows.map(row => row.length));
+        const columnName = index => {
+            const header = headerRow >= 0 ? rows[headerRow][index] : '';
+            return `${LevelCsv.columnLetter(index)}${header ? ` · ${header}` : ''}`;
+        };
+        
+        document.getElementById('csvHasHeader').checked = headerRow >= 0;
+        
+        // One select per level field
+        const options = Array.from({ length: columnCount }, (_, index) => index);
+        document.getElementById('csvMappingGrid').innerHTML = LevelCsv.FIELDS.map(field => `
+            <label for="csvMap-${field.key}">${field.label}${field.required ? ' *' : ''}</label>
+            <select id="csvMap-${field.key}" data-field="${field.key}">
+                <option value="">— not in the file —</option>
+                ${options.map(index => `<option value="${index}" ${mapping[field.key] === index ? 'selected' : ''}>${columnName(index)}</option>`).join('')}
+            </select>
+        `).join('');
+        document.querySelectorAll('#csvMappingGrid select').forEach(select => {
+            select.addEventListener('change', () => {
+                this.csvImport.mapping[select.dataset.field] = select.value === '' ? null : Number(select.value);
+                this.renderCsvImport();
+            });
+        });
+        
+        // Dry run of the import
+        let result = null;
+        let mappingError = null;
+        try {
+            result = LevelCsv.applyMapping(rows, mapping, headerRow);
+        } catch (error) {
+            mappingError = error.message;
+        }
+        this.csvImport.result = result;
+        document.getElementById('applyCsvImportBtn').disabled = !result || result.levels.length === 0;
+        
+        const summary = document.getElementById('csvImportSummary');
+        summary.textContent = mappingError
+            ? `⚠️ ${mappingError}`
+            : `${result.levels.length} level(s) will be imported, ${result.invalid.length} row(s) skipped`;
+        
+        // Preview of the first rows, mapped columns marked with their field
+        const fieldOf = new Map(LevelCsv.FIELDS.filter(f => mapping[f.key] !== null && mapping[f.key] !== undefined).map(f => [mapping[f.key], f.label]));
+        const invalidByRow = new Map(result ? result.invalid.map(entry => [entry.row, entry.reason]) : []);
+        const previewRows = rows.slice(headerRow + 1, headerRow + 11);
+        document.getElementById('csvPreview').innerHTML = `
+            <table class="csv-preview-table">
+                <thead>
+                    <tr>
+                        <th></th>
+                        ${options.map(index => `<th class="${fieldOf.has(index) ? 'csv-mapped' : ''}">${columnName(index)}${fieldOf.has(index) ? `<span class="csv-field-tag">${fieldOf.get(index)}</span>` : ''}</th>`).join('')}
+                    </tr>
+                </thead>
+                <tbody>
+                    ${previewRows.map((row, i) => {
+                        const reason = invalidByRow.get(headerRow + i + 2);
+                        return `
+                            <tr class="${reason ? 'csv-row-invalid' : ''}">
+                                <td title="${reason || ''}">${result ? (reason ? '❌' : '✓') : ''}</td>
+                                ${options.map(index => `<td class="${fieldOf.has(index) ? 'csv-mapped' : ''}">${row[index] || ''}</td>`).join('')}
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+        `;
+        
+        document.getElementById('csvInvalidRows').innerHTML = result && result.invalid.length > 0
+            ? result.invalid.map(entry => `
+                <div class="quarantine-entry">
+                    <div class="quarantine-info">
+                        <div class="quarantine-name">Row ${entry.row}</div>
+                        <div class="quarantine-meta">${entry.reason} · ${entry.cells.filter(cell => cell).slice(0, 4).join(', ')}</div>
+                    </div>
+                </div>
+            `).join('')
+            : '';
+    }
+
+    toggleCsvHeader(hasHeader) {
+        const detected = LevelCsv.detectHeaderRow(this.csvImport.rows);
+        this.csvImport.headerRow = hasHeader ? Math.max(detected, 0) : -1;
+        this.renderCsvImport();
+    }
+
+    saveCsvProfile() {
+        const name = document.getElementById('csvProfileName').value.trim();
+        if (!name) {
+            alert('Enter a name for the profile');
+            return;
         }
-        if (currentRow.trim()) {
-            rows.push(currentRow);
-        }
-        
-        // Check for header
-        const hasHeader = rows[0] && (rows[0].toLowerCase().includes('level') || 
-                         rows[0].toLowerCase().includes('tên'));
-        
-        const startIndex = hasHeader ? 1 : 0;
-        
-        for (let i = startIndex; i < rows.length; i++) {
-            const parts = parseCSVLine(rows[i]);
-            
-            // Must have at least level number
-            if (parts.length < 2) continue;
-            
-            // Parse level number from column A (index 0)
-            const levelNum = parseInt(parts[0]);
-            if (isNaN(levelNum) || levelNum <= 0) continue;
-            
-            // Parse difficulty from column B (index 1)
-            const difficulty = parts[1];
-            if (!difficulty || difficulty === '-') continue;
-            
-            // Column mapping:
-            // A=0: Level number
-            // B=1: Difficulty
-            // C=2: Reward (skip)
-            // D-G=3-6: Other info (skip)
-            // H=7: Colors count
-            // I=8: Size (WxH)
-            // J=9: Image name (skip)
-            // K=10: Image difficulty
-            // L onwards: Skip
-            
-            const level = {
-                level: levelNum,
-                difficulty: difficulty,
-                colors: parseInt(parts[7]) || 0,
-                size: parts[8] || '',
-                imageDifficulty: parts[10] || '',
-                assignedImage: null,
-                status: 'empty'
-            };
-            
-            levels.push(level);
+        
+        const { rows, headerRow, mapping } = this.csvImport;
+        const profiles = this.loadCsvProfiles().filter(p => p.name !== name);
+        profiles.push(LevelCsv.createProfile(name, rows, headerRow, mapping));
+        this.saveCsvProfiles(profiles);
+        this.renderCsvProfiles(name);
+        console.log(`🗂️ CSV profile saved: ${name}`);
+    }
+
+    deleteCsvProfile() {
+        const name = document.getElementById('csvProfileSelect').value;
+        if (!name || !confirm(`Delete the CSV profile "${name}"?`)) return;
+        
+        this.saveCsvProfiles(this.loadCsvProfiles().filter(p => p.name !== name));
+        if (localStorage.getItem('pixelVoxelCsvLastProfile') === name) {
+            localStorage.removeItem('pixelVoxelCsvLastProfile');
         }
+        this.renderCsvProfiles('');
+    }
+
+    applyCsvImport() {
+        const { result, fileName } = this.csvImport;
+        if (!result || result.levels.length === 0) return;
         
-        console.log(`✅ Parsed ${levels.length} valid levels from CSV`);
-        return levels;
+        this.pushLevelUndo(`Import ${fileName}`);
+        this.levels = result.levels;
+        localStorage.setItem('pixelVoxelCsvLastProfile', document.getElementById('csvProfileSelect').value);
+        this.csvImport = null;
+        this.csvImportModal.classList.remove('active');
+        
+        this.saveToStorage();
+        this.renderLevelTable();
+        alert(`✅ Imported ${result.levels.length} levels${result.invalid.length > 0 ? ` (${result.invalid.length} invalid row(s) skipped)` : ''}`);
     }
 
     renderLevelTable() {
@@ -4459,6 +6347,7 @@ class LevelManager {
             return;
         }
         
+        const violations = this.progressionViolations();
         const html = this.levels.map(level => {
             const assignedImg = level.assignedImage ? 
                 this.manager.images.find(img => img.id === level.assignedImage) : null;
@@ -4472,7 +6361,7 @@ class LevelManager {
                 statusText = isReady ? '✓ Ready' : 'Assigned';
             }
             
-            const difficultyClass = `difficulty-${level.difficulty.toLowerCase().replace(/\s+/g, '')}`;
+            const difficultyClass = `difficulty-${(level.difficulty || '').toLowerCase().replace(/\s+/g, '')}`;
             
             // Image difficulty badge class
             const imgDiffClass = level.imageDifficulty ? 
@@ -4507,12 +6396,20 @@ class LevelManager {
                 rowClass = 'level-no-assignment';
             }
             
+            const levelViolations = violations.get(level.level) || [];
+            if (levelViolations.length > 0) {
+                rowClass += ' level-progression-violation';
+            }
+            
             return `
                 <tr data-level="${level.level}" data-droppable="true" class="${rowClass}">
-                    <td><span class="level-number">${level.level}</span></td>
-                    <td><span class="difficulty-badge ${difficultyClass}">${level.difficulty}</span></td>
-                    <td>${level.colors || '-'}</td>
-                    <td>${level.size || '-'}</td>
+                    <td>
+                        <span class="level-number">${level.level}</span>
+                        ${levelViolations.length > 0 ? `<span class="progression-issue" title="${levelViolations.map(v => v.message).join('\n')}">📉</span>` : ''}
+                    </td>
+                    <td class="level-editable" data-field="difficulty" title="Double-click to edit">${level.difficulty ? `<span class="difficulty-badge ${difficultyClass}">${level.difficulty}</span>` : '-'}</td>
+                    <td class="level-editable" data-field="colors" title="Double-click to edit">${level.colors || '-'}</td>
+                    <td class="level-editable" data-field="size" title="Double-click to edit">${level.size || '-'}</td>
                     <td class="level-preview-cell">
                         ${assignedImg ? `<img src="${assignedImg.dataUrl}" class="level-preview-img">` : '-'}
                     </td>
@@ -4524,13 +6421,20 @@ class LevelManager {
                             </div>
                         ` : (matchingImagesCount > 0 ? `<span class="match-hint">${matchingImagesCount} match${matchingImagesCount > 1 ? 'es' : ''}</span>` : '-')}
                     </td>
-                    <td><span class="level-status status-${statusClass}">${statusText}</span></td>
-                    <td>${level.imageDifficulty ? `<span class="difficulty-badge ${imgDiffClass}">${level.imageDifficulty}</span>` : '-'}</td>
+                    <td>
+                        <span class="level-status status-${statusClass}">${statusText}</span>
+                        ${this.renderLevelFileIssue(level)}
+                    </td>
+                    <td class="level-editable" data-field="imageDifficulty" title="Double-click to edit">
+                        ${level.imageDifficulty ? `<span class="difficulty-badge ${imgDiffClass}">${level.imageDifficulty}</span>` : '-'}
+                        ${this.renderEstimatedDifficulty(level, assignedImg)}
+                    </td>
                     <td class="level-actions">
                         <button class="btn-assign" onclick="levelManager.showAssignModal(${level.level})">
                             ${assignedImg ? 'Change' : 'Assign'}
                         </button>
                         ${assignedImg ? `<button class="btn-remove" onclick="levelManager.removeAssignment(${level.level})">Remove</button>` : ''}
+                        <button class="btn-assign" onclick="levelManager.insertLevelAfter(${level.level})" title="Insert a level after level ${level.level}">➕</button>
                         <button class="btn-remove" onclick="levelManager.deleteLevel(${level.level})" title="Delete Level">🗑️</button>
                     </td>
                 </tr>
@@ -4555,6 +6459,7 @@ class LevelManager {
             return img && this.manager.isReadyToDev(img);
         }).length;
         this.readyLevels.textContent = ready;
+        this.difficultyMismatchLevels.textContent = this.difficultyMismatches().length;
     }
 
     showAssignModal(levelNumber) {
@@ -4588,64 +6493,470 @@ class LevelManager {
             images = images.filter(img => img.name.toLowerCase().includes(query));
         }
         
-        // Filter by requirements (size & colors)
-        if (this.assignMatchRequirementsCheck.checked && this.currentLevel) {
-            images = images.filter(img => {
-                let matchesSize = true;
-                let matchesColors = true;
-                
-                // Check size if level has size requirement
-                if (this.currentLevel.size) {
-                    const expectedSize = this.currentLevel.size.toLowerCase();
-                    const actualSize = `${img.width}x${img.height}`.toLowerCase();
-                    matchesSize = actualSize === expectedSize;
-                }
-                
-                // Check colors if level has color requirement
-                if (this.currentLevel.colors > 0) {
-                    matchesColors = img.colorCount === this.currentLevel.colors;
+        // Filter by requirements (size & colors)
+        if (this.assignMatchRequirementsCheck.checked && this.currentLevel) {
+            images = images.filter(img => {
+                let matchesSize = true;
+                let matchesColors = true;
+                
+                // Check size if level has size requirement
+                if (this.currentLevel.size) {
+                    const expectedSize = this.currentLevel.size.toLowerCase();
+                    const actualSize = `${img.width}x${img.height}`.toLowerCase();
+                    matchesSize = actualSize === expectedSize;
+                }
+                
+                // Check colors if level has color requirement
+                if (this.currentLevel.colors > 0) {
+                    matchesColors = img.colorCount === this.currentLevel.colors;
+                }
+                
+                return matchesSize && matchesColors;
+            });
+        }
+        
+        // Filter by ready only
+        if (this.assignReadyOnlyCheck.checked) {
+            images = images.filter(img => this.manager.isReadyToDev(img));
+        }
+        
+        if (images.length === 0) {
+            this.assignImageGrid.innerHTML = `
+                <div class="empty-state">
+                    <p>No images found</p>
+                    <p class="empty-hint">Try disabling filters</p>
+                </div>
+            `;
+            return;
+        }
+        
+        const html = images.map(img => {
+            const isReady = this.manager.isReadyToDev(img);
+            return `
+                <div class="assign-image-item" onclick="levelManager.assignImage('${img.id}')">
+                    <img src="${img.dataUrl}">
+                    <div class="assign-image-name">${img.name}</div>
+                    <div class="assign-image-info">${img.width}x${img.height} | ${img.colorCount}c ${isReady ? '✓' : ''}</div>
+                </div>
+            `;
+        }).join('');
+        
+        this.assignImageGrid.innerHTML = html;
+    }
+
+    assignImage(imageId) {
+        const img = this.manager.findImage(imageId);
+        if (!this.currentLevel || !img) return;
+        
+        this.currentLevel.assignedImage = img.id;
+        this.saveToStorage();
+        this.renderLevelTable();
+        this.hideAssignModal();
+    }
+
+    // Re-link levels to an image restored from the trash, unless a level
+    // got another image in the meantime
+    restoreAssignments(imageId, levelNumbers) {
+        let restored = 0;
+        for (const levelNumber of levelNumbers) {
+            const level = this.levels.find(l => l.level === levelNumber);
+            if (level && (!level.assignedImage || level.assignedImage === imageId)) {
+                level.assignedImage = imageId;
+                restored++;
+            }
+        }
+
+        if (restored > 0) {
+            this.saveToStorage();
+            this.renderLevelTable();
+        }
+        return restored;
+    }
+
+    // ===== Auto-Assign =====
+    // Fills every empty level at once with LevelSolver (level-solver.js) and
+    // shows the result as a proposal; nothing changes until it is applied.
+
+    // Difficulty tier of an image for the solver (0 easy ... 3 very hard),
+    // as estimated from its pixels
+    imageDifficultyRank(img) {
+        return img.difficulty ? img.difficulty.tier : null;
+    }
+
+    // Theme used to keep similar images off neighbouring levels: the first
+    // tag, else the folder
+    imageTheme(img) {
+        if (img.tags && img.tags.length > 0) return img.tags[0];
+        return img.path && img.path.includes('/') ? img.path.slice(0, img.path.lastIndexOf('/')) : null;
+    }
+
+    autoAssign() {
+        const empty = this.levels.filter(l => !l.assignedImage);
+        if (empty.length === 0) {
+            alert(this.levels.length === 0 ? 'Import level data first.' : 'Every level has an image already.');
+            return;
+        }
+        
+        const taken = new Set(this.levels.filter(l => l.assignedImage).map(l => l.assignedImage));
+        const free = this.manager.images.filter(img => !taken.has(img.id));
+        const fixed = this.levels
+            .filter(l => l.assignedImage)
+            .map(l => {
+                const img = this.manager.images.find(i => i.id === l.assignedImage);
+                return { level: l.level, theme: img ? this.imageTheme(img) : null };
+            });
+        
+        const result = LevelSolver.solve(
+            empty.map(l => ({ level: l.level, size: l.size, colors: l.colors, imageDifficulty: l.imageDifficulty })),
+            free.map(img => ({
+                id: img.id,
+                width: img.width,
+                height: img.height,
+                colorCount: img.colorCount,
+                ready: this.manager.isReadyToDev(img),
+                difficulty: this.imageDifficultyRank(img),
+                theme: this.imageTheme(img)
+            })),
+            { fixed }
+        );
+        
+        this.autoAssignProposal = result;
+        this.renderAutoAssignProposal();
+        this.autoAssignModal.classList.add('active');
+    }
+
+    renderAutoAssignProposal() {
+        const { assignments, unfilled } = this.autoAssignProposal;
+        const list = document.getElementById('autoAssignList');
+        
+        document.getElementById('autoAssignSummary').textContent =
+            `${assignments.length} level(s) can be filled` +
+            (unfilled.length > 0 ? ` · no fitting image for level ${unfilled.join(', ')}` : '');
+        
+        if (assignments.length === 0) {
+            list.innerHTML = '<p class="palette-hint">No free image fits an empty level</p>';
+            return;
+        }
+        
+        list.innerHTML = assignments.map((proposal, index) => {
+            const level = this.levels.find(l => l.level === proposal.level);
+            const img = this.manager.images.find(i => i.id === proposal.imageId);
+            const expected = [level.size, level.colors ? `${level.colors} colors` : '', level.imageDifficulty].filter(Boolean).join(' · ');
+            
+            return `
+                <label class="quarantine-entry auto-assign-row">
+                    <input type="checkbox" data-index="${index}" checked>
+                    <div class="auto-assign-level">
+                        <strong>Level ${level.level}</strong>
+                        ${expected || 'No requirements'}
+                    </div>
+                    <img src="${img.dataUrl}" alt="">
+                    <div class="quarantine-info">
+                        <div class="quarantine-name">${img.name}</div>
+                        <div class="quarantine-meta">${img.width}x${img.height} · ${img.colorCount} colors${this.imageTheme(img) ? ` · ${this.imageTheme(img)}` : ''}</div>
+                        <div class="quarantine-meta">${proposal.reasons.length > 0 ? '⚠️ ' + proposal.reasons.join(', ') : '✓ Fits'}</div>
+                    </div>
+                </label>
+            `;
+        }).join('');
+    }
+
+    // Apply the ticked rows; levels filled or images used meanwhile are skipped
+    applyAutoAssign() {
+        if (!this.autoAssignProposal) return;
+        
+        const ticked = Array.from(document.querySelectorAll('#autoAssignList input[type="checkbox"]:checked'))
+            .map(box => this.autoAssignProposal.assignments[parseInt(box.dataset.index)]);
+        
+        let applied = 0;
+        for (const proposal of ticked) {
+            const level = this.levels.find(l => l.level === proposal.level);
+            const usedElsewhere = this.levels.some(l => l.assignedImage === proposal.imageId);
+            if (!level || level.assignedImage || usedElsewhere) continue;
+            
+            level.assignedImage = proposal.imageId;
+            applied++;
+        }
+        
+        this.autoAssignProposal = null;
+        this.autoAssignModal.classList.remove('active');
+        
+        if (applied > 0) {
+            this.saveToStorage();
+            this.renderLevelTable();
+        }
+        console.log(`🧩 Auto-assigned ${applied} level(s)`);
+    }
+
+    // ===== Estimated Difficulty =====
+    // The image difficulty typed in the level sheet is checked against the
+    // difficulty estimated from the assigned image (difficulty-estimator.js).
+
+    renderEstimatedDifficulty(level, assignedImg) {
+        const estimate = assignedImg ? assignedImg.difficulty : null;
+        if (!estimate) return '';
+        
+        const title = `Estimated ${estimate.label} (score ${estimate.score}): ${estimate.regions} regions, ${estimate.tinyIslands} tiny islands, ${estimate.similarColorPairs} similar color pairs`;
+        if (!DifficultyEstimator.disagrees(level.imageDifficulty, estimate)) {
+            return `<span class="difficulty-estimate" title="${title}">≈ ${estimate.label}</span>`;
+        }
+        return `<span class="difficulty-estimate difficulty-mismatch" title="Declared ${level.imageDifficulty}. ${title}">⚠️ ≈ ${estimate.label}</span>`;
+    }
+
+    // Levels whose declared image difficulty disagrees with their image
+    difficultyMismatches() {
+        return this.levels.filter(level => {
+            const img = level.assignedImage ? this.manager.findImage(level.assignedImage) : null;
+            return img && DifficultyEstimator.disagrees(level.imageDifficulty, img.difficulty);
+        });
+    }
+
+    // ===== Progression =====
+    // Pacing across the level list (level-progression.js): charts of
+    // expected versus actual colors, pixels and difficulty, and the
+    // progression rules from the project settings.
+
+    progressionSeries() {
+        return LevelProgression.progressionSeries(this.levels, level => this.manager.findImage(level.assignedImage));
+    }
+
+    // level -> [{ rule, message }] for every level breaking a rule
+    progressionViolations() {
+        const byLevel = new Map();
+        for (const violation of LevelProgression.checkProgression(this.progressionSeries(), this.manager.progressionRules)) {
+            if (!byLevel.has(violation.level)) byLevel.set(violation.level, []);
+            byLevel.get(violation.level).push(violation);
+        }
+        return byLevel;
+    }
+
+    showProgression() {
+        const rules = this.manager.progressionRules;
+        for (const [key, inputId] of Object.entries(this.progressionRuleInputs)) {
+            document.getElementById(inputId).value = rules[key] === null ? '' : rules[key];
+        }
+        
+        this.renderProgression();
+        this.progressionModal.classList.add('active');
+    }
+
+    renderProgression() {
+        const series = this.progressionSeries();
+        const violations = LevelProgression.checkProgression(series, this.manager.progressionRules);
+        const flagged = new Set(violations.map(v => v.level));
+        
+        document.getElementById('progressionCharts').innerHTML = series.length === 0
+            ? '<p class="palette-hint">Import level data to see the progression</p>'
+            : [
+                this.renderProgressionChart('Colors', series, 'Colors', flagged),
+                this.renderProgressionChart('Pixels (expected size vs paintable)', series, 'Pixels', flagged),
+                this.renderProgressionChart('Image difficulty (declared vs estimated)', series, 'Difficulty', flagged, DifficultyEstimator.TIER_LABELS.length - 1)
+            ].join('');
+        
+        document.getElementById('progressionViolations').innerHTML = violations.length === 0
+            ? '<p class="palette-hint">No progression rule is broken</p>'
+            : violations.map(v => `
+                <div class="quarantine-entry">
+                    <div class="quarantine-info">
+                        <div class="quarantine-name">Level ${v.level}</div>
+                        <div class="quarantine-meta">${v.message}</div>
+                    </div>
+                </div>
+            `).join('');
+    }
+
+    // Line chart of expected<name> (dashed) and actual<name> per level;
+    // levels breaking a rule are marked red
+    renderProgressionChart(title, series, name, flagged, maxValue = null) {
+        const width = 640;
+        const height = 120;
+        const pad = 24;
+        const values = series.flatMap(p => [p['expected' + name], p['actual' + name]]).filter(v => v !== null);
+        const top = maxValue !== null ? maxValue : Math.max(1, ...values);
+        const step = series.length > 1 ? (width - pad * 2) / (series.length - 1) : 0;
+        const x = i => pad + i * step;
+        const y = v => height - pad - (v / top) * (height - pad * 2);
+        
+        // Gaps (levels without a value) break the line
+        const line = key => {
+            let path = '';
+            let drawing = false;
+            series.forEach((point, i) => {
+                const value = point[key + name];
+                if (value === null) {
+                    drawing = false;
+                    return;
                 }
-                
-                return matchesSize && matchesColors;
+                path += `${drawing ? 'L' : 'M'}${x(i).toFixed(1)},${y(value).toFixed(1)} `;
+                drawing = true;
             });
-        }
+            return path;
+        };
         
-        // Filter by ready only
-        if (this.assignReadyOnlyCheck.checked) {
-            images = images.filter(img => this.manager.isReadyToDev(img));
+        const markers = series
+            .map((point, i) => flagged.has(point.level)
+                ? `<line class="progression-flag" x1="${x(i)}" y1="${pad / 2}" x2="${x(i)}" y2="${height - pad}"><title>Level ${point.level}</title></line>`
+                : '')
+            .join('');
+        
+        return `
+            <div class="progression-chart">
+                <div class="progression-chart-title">${title}
+                    <span class="progression-legend-expected">expected</span>
+                    <span class="progression-legend-actual">actual</span>
+                </div>
+                <svg viewBox="0 0 ${width} ${height}" preserveAspectRatio="none">
+                    ${markers}
+                    <path class="progression-expected" d="${line('expected')}"/>
+                    <path class="progression-actual" d="${line('actual')}"/>
+                    <text x="2" y="${pad / 2 + 4}">${maxValue !== null ? DifficultyEstimator.TIER_LABELS[top] : top}</text>
+                    <text x="${pad}" y="${height - 4}">Lv ${series[0].level}</text>
+                    <text x="${width - pad}" y="${height - 4}" text-anchor="end">Lv ${series[series.length - 1].level}</text>
+                </svg>
+            </div>
+        `;
+    }
+
+    async saveProgressionRules() {
+        const rules = {};
+        for (const [key, inputId] of Object.entries(this.progressionRuleInputs)) {
+            const value = document.getElementById(inputId).value.trim();
+            rules[key] = value === '' ? null : Number(value);
         }
         
-        if (images.length === 0) {
-            this.assignImageGrid.innerHTML = `
-                <div class="empty-state">
-                    <p>No images found</p>
-                    <p class="empty-hint">Try disabling filters</p>
-                </div>
-            `;
+        try {
+            LevelProgression.normalizeRules(rules);
+        } catch (error) {
+            alert('Invalid progression rules: ' + error.message);
             return;
         }
         
-        const html = images.map(img => {
-            const isReady = this.manager.isReadyToDev(img);
-            return `
-                <div class="assign-image-item" onclick="levelManager.assignImage(${img.id})">
-                    <img src="${img.dataUrl}">
-                    <div class="assign-image-name">${img.name}</div>
-                    <div class="assign-image-info">${img.width}x${img.height} | ${img.colorCount}c ${isReady ? '✓' : ''}</div>
-                </div>
-            `;
-        }).join('');
+        try {
+            await this.manager.saveProgressionRules(rules);
+            this.renderProgression();
+            this.renderLevelTable();
+            console.log('📈 Progression rules saved:', this.manager.progressionRules);
+        } catch (error) {
+            console.error('❌ Error saving progression rules:', error);
+            alert('Failed to save progression rules: ' + error.message);
+        }
+    }
+
+    // ===== Level Files =====
+    // Files named after a level (Paint_Lv5.png from batch rename, pattern in
+    // the project settings) belong to that level. After every catalog load
+    // free files are assigned to their level again; files assigned elsewhere
+    // and levels holding another image are flagged in the table.
+
+    async linkLevelFiles() {
+        if (this.levels.length === 0) return null;
         
-        this.assignImageGrid.innerHTML = html;
+        try {
+            const response = await fetch('/api/levels/match-files', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ levels: this.levels })
+            });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+            
+            for (const entry of result.restore) {
+                const level = this.levels.find(l => l.level === entry.level);
+                level.assignedImage = entry.imageId;
+            }
+            
+            this.levelFileIssues = new Map();
+            for (const entry of result.suggest) {
+                this.levelFileIssues.set(entry.level, { type: 'suggest', ...entry, message: `${entry.path} is named for this level but assigned to level ${entry.assignedLevel}` });
+            }
+            for (const entry of result.conflicts) {
+                this.levelFileIssues.set(entry.level, { type: 'conflict', ...entry, message: `${entry.path} is named for this level but another image is assigned` });
+            }
+            for (const entry of result.ambiguous) {
+                this.levelFileIssues.set(entry.level, { type: 'ambiguous', ...entry, message: `Several files are named for this level: ${entry.paths.join(', ')}` });
+            }
+            
+            if (result.restore.length > 0) {
+                this.saveToStorage();
+            }
+            this.renderLevelTable();
+            
+            console.log(`🔗 Level files (${result.pattern}): ${result.linked} linked, ${result.restore.length} restored, ${this.levelFileIssues.size} flagged, ${result.noLevel.length} without a level`);
+            return result;
+        } catch (error) {
+            console.error('Linking level files failed:', error);
+            return null;
+        }
     }
 
-    assignImage(imageId) {
-        if (!this.currentLevel) return;
+    renderLevelFileIssue(level) {
+        const issue = this.levelFileIssues.get(level.level);
+        if (!issue) return '';
+        
+        const action = issue.imageId
+            ? `<button class="btn-small level-file-use" onclick="levelManager.useLevelFile(${level.level})">Use ${issue.path.split('/').pop()}</button>`
+            : '';
+        return `<span class="level-file-issue level-file-${issue.type}" title="${issue.message}">⚠️</span>${action}`;
+    }
+
+    // Assign a flagged level its file. A file taken from another level is
+    // removed there, it belongs to this one.
+    useLevelFile(levelNumber) {
+        const issue = this.levelFileIssues.get(levelNumber);
+        const level = this.levels.find(l => l.level === levelNumber);
+        if (!issue || !level || !issue.imageId) return;
+        
+        if (!confirm(`${issue.message}.\n\nAssign ${issue.path} to level ${levelNumber}?`)) return;
+        
+        if (issue.assignedLevel) {
+            const other = this.levels.find(l => l.level === issue.assignedLevel);
+            if (other) other.assignedImage = null;
+        }
+        level.assignedImage = issue.imageId;
+        this.levelFileIssues.delete(levelNumber);
         
-        this.currentLevel.assignedImage = imageId;
         this.saveToStorage();
         this.renderLevelTable();
-        this.hideAssignModal();
+    }
+
+    // Reconcile fixes for levels pointing at missing images: re-link to the
+    // suggested image or unassign. Levels changed meanwhile are left alone.
+    fixBrokenLevels(entries) {
+        let changed = 0;
+        for (const entry of entries) {
+            const level = this.levels.find(l => l.level === entry.level);
+            if (!level || level.assignedImage !== entry.assignedImage) continue;
+
+            level.assignedImage = entry.suggestion ? entry.suggestion.id : null;
+            changed++;
+        }
+
+        if (changed > 0) {
+            this.saveToStorage();
+            this.renderLevelTable();
+        }
+        return changed;
+    }
+
+    // Image ids changed by the server ([{ level, from, to }]). Levels
+    // changed meanwhile are left alone.
+    applyRelinks(relinked) {
+        let changed = 0;
+        for (const { level: levelNumber, from, to } of relinked) {
+            const level = this.levels.find(l => l.level === levelNumber);
+            if (!level || level.assignedImage !== from) continue;
+
+            level.assignedImage = to;
+            changed++;
+        }
+
+        if (changed > 0) {
+            this.saveToStorage();
+            this.renderLevelTable();
+        }
+        return changed;
     }
 
     removeAssignment(levelNumber) {
@@ -4660,11 +6971,13 @@ class LevelManager {
     }
 
     exportLevelSheet() {
+        const violations = this.progressionViolations();
         const data = this.levels.map(level => {
             const img = level.assignedImage ? 
                 this.manager.images.find(i => i.id === level.assignedImage) : null;
             
             const isReady = img && this.manager.isReadyToDev(img);
+            const issues = (violations.get(level.level) || []).map(v => v.message).join('; ');
             
             return {
                 level: level.level,
@@ -4675,12 +6988,13 @@ class LevelManager {
                 actualColors: img ? img.colorCount : '',
                 actualSize: img ? `${img.width}x${img.height}` : '',
                 status: isReady ? 'Ready' : (img ? 'Assigned' : 'Empty'),
-                imageDifficulty: level.imageDifficulty || ''
+                imageDifficulty: level.imageDifficulty || '',
+                progressionIssues: issues ? `"${issues.replace(/"/g, '""')}"` : ''
             };
         });
         
         // Create CSV with necessary columns
-        const headers = ['Level', 'Level Difficulty', 'Expected Colors', 'Expected Size', 'Assigned Image', 'Actual Colors', 'Actual Size', 'Status', 'Image Difficulty'];
+        const headers = ['Level', 'Level Difficulty', 'Expected Colors', 'Expected Size', 'Assigned Image', 'Actual Colors', 'Actual Size', 'Status', 'Image Difficulty', 'Progression Issues'];
         const csv = [
             headers.join(','),
             ...data.map(row => [
@@ -4692,7 +7006,8 @@ class LevelManager {
                 row.actualColors,
                 row.actualSize,
                 row.status,
-                row.imageDifficulty
+                row.imageDifficulty,
+                row.progressionIssues
             ].join(','))
         ].join('\n');
         
@@ -4739,11 +7054,11 @@ class LevelManager {
                 e.preventDefault();
                 e.currentTarget.classList.remove('drag-over');
                 
-                const imageId = parseFloat(e.dataTransfer.getData('imageId'));
+                const img = this.manager.findImage(e.dataTransfer.getData('imageId'));
                 const levelNumber = parseInt(e.currentTarget.dataset.level);
                 
-                if (imageId && levelNumber) {
-                    this.assignImageToLevel(imageId, levelNumber);
+                if (img && levelNumber) {
+                    this.assignImageToLevel(img.id, levelNumber);
                 }
             });
         });
@@ -4765,15 +7080,205 @@ class LevelManager {
     }
 
     deleteLevel(levelNumber) {
-        if (!confirm(`Delete Level ${levelNumber}? This cannot be undone.`)) {
+        if (!confirm(`Delete Level ${levelNumber}?`)) {
             return;
         }
         
+        this.pushLevelUndo(`Delete level ${levelNumber}`);
         this.levels = this.levels.filter(l => l.level !== levelNumber);
         this.saveToStorage();
         this.renderLevelTable();
     }
 
+    // ===== Level Editing =====
+    // Level fields are edited in place (double-click a cell). Inserting a
+    // level renumbers the later ones and renames their level files along
+    // (server-side batch rename). Every change can be undone: the stack
+    // keeps the levels as they were and the file renames to reverse.
+
+    pushLevelUndo(label, fileMoves = null) {
+        this.levelUndoStack.push({ label, levels: JSON.parse(JSON.stringify(this.levels)), fileMoves });
+        if (this.levelUndoStack.length > 50) this.levelUndoStack.shift();
+        this.updateLevelUndoButton();
+    }
+
+    updateLevelUndoButton() {
+        const last = this.levelUndoStack[this.levelUndoStack.length - 1];
+        this.undoLevelBtn.disabled = !last;
+        this.undoLevelBtn.title = last ? `Undo: ${last.label} (Ctrl+Z)` : 'Nothing to undo';
+    }
+
+    async undoLevelChange() {
+        const entry = this.levelUndoStack.pop();
+        if (!entry) return;
+        this.updateLevelUndoButton();
+        
+        if (entry.fileMoves) {
+            try {
+                await this.renumberLevelFiles(entry.fileMoves.map(move => ({ from: move.to, to: move.from })));
+            } catch (error) {
+                alert(`⚠️ Levels are restored, but their files could not be renamed back:\n${error.message}`);
+            }
+        }
+        
+        this.levels = entry.levels;
+        this.saveToStorage();
+        this.renderLevelTable();
+        console.log(`↩️ Undone: ${entry.label}`);
+    }
+
+    // Value of an edited field (throws on invalid input)
+    parseLevelField(field, text) {
+        const value = text.trim();
+        if (field === 'colors') {
+            if (value === '') return 0;
+            if (!/^\d+$/.test(value)) throw new Error('Colors must be a whole number');
+            return parseInt(value, 10);
+        }
+        if (field === 'size') {
+            if (value === '') return '';
+            const match = /^(\d+)\s*x\s*(\d+)$/i.exec(value);
+            if (!match) throw new Error('Size must look like 16x16');
+            return `${match[1]}x${match[2]}`;
+        }
+        if (value.length > 40) throw new Error('Difficulty is too long');
+        return value;
+    }
+
+    editLevelField(cell) {
+        if (cell.querySelector('input')) return;
+        
+        const levelNumber = parseInt(cell.closest('tr').dataset.level, 10);
+        const field = cell.dataset.field;
+        const level = this.levels.find(l => l.level === levelNumber);
+        if (!level) return;
+        
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'level-field-input';
+        input.value = level[field] || '';
+        cell.innerHTML = '';
+        cell.appendChild(input);
+        input.focus();
+        input.select();
+        
+        let done = false;
+        const finish = (commit) => {
+            if (done) return;
+            done = true;
+            if (!commit || !this.setLevelField(levelNumber, field, input.value)) {
+                this.renderLevelTable();
+            }
+        };
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') finish(true);
+            if (e.key === 'Escape') finish(false);
+        });
+        input.addEventListener('blur', () => finish(true));
+    }
+
+    // Returns true when the level changed (and the table was redrawn)
+    setLevelField(levelNumber, field, text) {
+        const level = this.levels.find(l => l.level === levelNumber);
+        if (!level) return false;
+        
+        let value;
+        try {
+            value = this.parseLevelField(field, text);
+        } catch (error) {
+            alert(`❌ Level ${levelNumber}: ${error.message}`);
+            return false;
+        }
+        if (value === (level[field] || (field === 'colors' ? 0 : ''))) return false;
+        
+        this.pushLevelUndo(`Edit ${field} of level ${levelNumber}`);
+        level[field] = value;
+        this.saveToStorage();
+        this.renderLevelTable();
+        return true;
+    }
+
+    // Insert an empty level after levelNumber (0 = first), later levels move
+    // up by one and so do their level files
+    async insertLevelAfter(levelNumber) {
+        const moves = this.levels
+            .filter(l => l.level > levelNumber)
+            .map(l => ({ from: l.level, to: l.level + 1 }));
+        
+        this.pushLevelUndo(`Insert level ${levelNumber + 1}`);
+        const undoEntry = this.levelUndoStack[this.levelUndoStack.length - 1];
+        
+        this.levels.forEach(l => {
+            if (l.level > levelNumber) l.level++;
+        });
+        this.levels.push({
+            level: levelNumber + 1,
+            difficulty: '',
+            colors: 0,
+            size: '',
+            imageDifficulty: '',
+            assignedImage: null,
+            status: 'empty'
+        });
+        if (!this.sortColumn) {
+            this.levels.sort((a, b) => a.level - b.level);
+        }
+        
+        this.saveToStorage();
+        this.renderLevelTable();
+        
+        if (moves.length === 0) return;
+        try {
+            const result = await this.renumberLevelFiles(moves);
+            if (result.renamed > 0) {
+                undoEntry.fileMoves = moves;
+                console.log(`🏷️ Renamed ${result.renamed} level file(s) after inserting level ${levelNumber + 1}`);
+            }
+        } catch (error) {
+            alert(`⚠️ Level ${levelNumber + 1} is inserted, but the level files of later levels could not be renamed:\n${error.message}`);
+        }
+    }
+
+    // Ask for the level to insert after (header button)
+    promptInsertLevel() {
+        const last = this.levels.reduce((max, l) => Math.max(max, l.level), 0);
+        const answer = prompt('Insert a new level after level (0 = at the start):', last);
+        if (answer === null) return;
+        
+        const levelNumber = parseInt(answer, 10);
+        if (!Number.isInteger(levelNumber) || levelNumber < 0) {
+            alert('❌ Enter a level number');
+            return;
+        }
+        this.insertLevelAfter(levelNumber);
+    }
+
+    // Rename the level files of renumbered levels (moves: [{ from, to }]),
+    // all or none. Throws with the conflicts when nothing was renamed.
+    async renumberLevelFiles(moves) {
+        const response = await fetch('/api/levels/renumber-files', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ moves })
+        });
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(`${result.message}\n${this.describeRenameReport(result.report)}`);
+        }
+        
+        // Catalog events follow over SSE, update right away anyway
+        result.report.filter(entry => entry.status === 'renamed').forEach(entry => {
+            const img = this.manager.images.find(i => i.path === entry.from);
+            if (img) {
+                img.path = entry.to;
+                img.name = entry.to.split('/').pop();
+            }
+        });
+        this.manager.saveToStorage();
+        ui.renderGallery();
+        return result;
+    }
+
     sortLevels(column) {
         // Toggle direction if clicking the same column, otherwise reset to asc
         if (this.sortColumn === column) {
@@ -4883,6 +7388,7 @@ class LevelManager {
     }
 
     saveToStorage() {
+        this.levels.forEach(level => this.rememberAssignedImage(level));
         localStorage.setItem('pixelVoxelLevels', JSON.stringify(this.levels));
         // Also save to file automatically
         this.autoSaveToFile();
@@ -4896,6 +7402,52 @@ class LevelManager {
         }
     }
 
+    // Path, name and content hash of the assigned image are kept next to its
+    // id, so the level can be re-linked when the id stops resolving. Levels
+    // whose image is not loaded right now keep what they had.
+    rememberAssignedImage(level) {
+        if (!level.assignedImage) {
+            level.assignedPath = level.assignedName = level.assignedHash = null;
+            return;
+        }
+        
+        const img = this.manager.images.find(i => i.id === level.assignedImage);
+        if (img) {
+            level.assignedPath = img.path || null;
+            level.assignedName = img.name;
+            level.assignedHash = img.contentHash || null;
+        }
+    }
+
+    // Levels whose image id is not loaded (ids from before stable ids, a
+    // rebuilt catalog, an imported file) are matched again by the server:
+    // id alias, content hash, path, name, Paint_Lv<N>.png
+    async relinkAssignments() {
+        const lost = this.levels.filter(l => l.assignedImage && !this.manager.images.some(img => img.id === l.assignedImage));
+        if (lost.length === 0) return null;
+        
+        try {
+            const response = await fetch('/api/levels/relink', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ levels: this.levels })
+            });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.message);
+            }
+            
+            this.levels = result.levels;
+            this.saveToStorage();
+            this.renderLevelTable();
+            console.log(`🔗 Level assignments: ${result.report.relinked.length} re-linked, ${result.report.unresolved.length} not found`);
+            return result.report;
+        } catch (error) {
+            console.error('Re-linking level assignments failed:', error);
+            return null;
+        }
+    }
+
     // Export assignment data to JSON file
     exportToFile() {
         const data = {
@@ -4938,6 +7490,7 @@ class LevelManager {
                         this.levels = data.levels;
                         this.saveToStorage();
                         this.renderLevelTable();
+                        this.relinkAssignments();
                         alert(`✅ Imported ${data.levels.length} levels (${data.assignedCount || 0} assigned)`);
                     } else {
                         alert('❌ Invalid file format');
@@ -4977,6 +7530,9 @@ class LevelManager {
         }
     }
 
+    // Rename every assigned image to its level file name (Paint_Lv<level>.png
+    // unless the project settings say otherwise) in one server-side batch
+    // (swaps like Lv5 <-> Lv6 included); all files or none are renamed
     async batchRenameFiles() {
         // Get all levels with assigned images
         const assignedLevels = this.levels.filter(l => l.assignedImage);
@@ -4986,133 +7542,100 @@ class LevelManager {
             return;
         }
         
-        // Fetch actual file list from server
-        let serverImages = [];
-        try {
-            const response = await fetch('/api/images');
-            const data = await response.json();
-            if (data.success) {
-                serverImages = data.images;
-            }
-        } catch (error) {
-            console.error('Error fetching server images:', error);
-        }
-        
-        // Prepare rename list using actual server filenames
+        const notInLibrary = [];
         const renameList = assignedLevels.map(level => {
             const img = this.manager.images.find(i => i.id === level.assignedImage);
             if (!img) return null;
-            
-            // Try to find actual filename from server
-            let actualName = img.name;
-            if (serverImages.length > 0) {
-                const serverImg = serverImages.find(si => 
-                    si.name.replace('.png', '') === img.name.replace('.png', '') ||
-                    si.name === img.name
-                );
-                if (serverImg) {
-                    actualName = serverImg.name;
-                }
+            if (!img.path) {
+                notInLibrary.push(img.name);
+                return null;
             }
             
-            const newName = `Paint_Lv${level.level}.png`;
+            const folder = img.path.includes('/') ? img.path.slice(0, img.path.lastIndexOf('/') + 1) : '';
+            const newPath = `${folder}${this.manager.levelFileName(level.level)}`;
             
             // Skip if already renamed
-            if (actualName === newName) return null;
-            
-            // Skip if already in Paint_Lv format
-            if (actualName.startsWith('Paint_Lv') && actualName.endsWith('.png')) return null;
+            if (img.path === newPath) return null;
             
             return {
-                level: level.level,
-                oldName: actualName,
-                newName: newName,
-                folder: img.folder,
+                from: img.path,
+                to: newPath,
                 imageId: img.id
             };
         }).filter(item => item !== null);
         
         if (renameList.length === 0) {
-            alert('All assigned images are already renamed to Paint_LvXX format.');
-            return;
-        }
-        
-        // Show confirmation dialog
-        const confirmMessage = `Rename ${renameList.length} file(s)?\n\nExamples:\n${renameList.slice(0, 5).map(r => `${r.oldName} → ${r.newName}`).join('\n')}${renameList.length > 5 ? '\n...' : ''}`;
-        
-        if (!confirm(confirmMessage)) {
+            alert(notInLibrary.length > 0
+                ? `Nothing to rename. ${notInLibrary.length} assigned image(s) are not in PixelAssets.`
+                : `All assigned images are already renamed to ${this.manager.levelFilePattern}.`);
             return;
         }
         
-        // Perform batch rename (copy → delete old)
-        let successCount = 0;
-        let errorCount = 0;
-        const errors = [];
+        const renames = renameList.map(item => ({ from: item.from, to: item.to }));
         
-        for (const item of renameList) {
-            try {
-                // Step 1: Copy file to new name
-                const copyResponse = await fetch('/api/copy-image', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({
-                        sourceFilename: item.oldName,
-                        destFilename: item.newName,
-                        folder: item.folder
-                    })
-                });
-                
-                const copyResult = await copyResponse.json();
-                
-                if (copyResult.success) {
-                    // Step 2: Delete old file
-                    const deleteResponse = await fetch('/api/delete-image', {
-                        method: 'POST',
-                        headers: { 'Content-Type': 'application/json' },
-                        body: JSON.stringify({
-                            filename: item.oldName,
-                            folder: item.folder
-                        })
-                    });
-                    
-                    const deleteResult = await deleteResponse.json();
-                    
-                    if (deleteResult.success) {
-                        // Step 3: Update image name in manager
-                        const img = this.manager.images.find(i => i.id === item.imageId);
-                        if (img) {
-                            img.name = item.newName;
-                        }
-                        successCount++;
-                    } else {
-                        errorCount++;
-                        errors.push(`${item.oldName}: Failed to delete old file - ${deleteResult.message}`);
-                    }
-                } else {
-                    errorCount++;
-                    errors.push(`${item.oldName}: ${copyResult.message}`);
-                }
-            } catch (error) {
-                errorCount++;
-                errors.push(`${item.oldName}: ${error.message}`);
+        try {
+            // Plan first, so conflicts show up before anything is touched
+            const planResponse = await fetch('/api/batch-rename', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ renames, dryRun: true })
+            });
+            const plan = await planResponse.json();
+            
+            if (!plan.success) {
+                alert(`❌ ${plan.message}\n\n${this.describeRenameReport(plan.report)}`);
+                return;
             }
+            
+            // Show confirmation dialog
+            const cycleNote = plan.cycles && plan.cycles.length > 0 ? `\n\n${plan.cycles.length} group(s) of files swap names.` : '';
+            const skippedNote = notInLibrary.length > 0 ? `\n${notInLibrary.length} assigned image(s) are not in PixelAssets and are skipped.` : '';
+            const confirmMessage = `Rename ${renameList.length} file(s)?\n\nExamples:\n${renameList.slice(0, 5).map(r => `${r.from} → ${r.to}`).join('\n')}${renameList.length > 5 ? '\n...' : ''}${cycleNote}${skippedNote}`;
+            
+            if (!confirm(confirmMessage)) {
+                return;
+            }
+            
+            const response = await fetch('/api/batch-rename', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ renames })
+            });
+            const result = await response.json();
+            
+            if (!result.success) {
+                alert(`❌ ${result.message}\n\n${this.describeRenameReport(result.report)}`);
+                return;
+            }
+            
+            // Catalog events follow over SSE, update right away anyway
+            renameList.forEach(item => {
+                const img = this.manager.images.find(i => i.id === item.imageId);
+                if (img) {
+                    img.path = item.to;
+                    img.name = item.to.split('/').pop();
+                }
+            });
+            this.manager.saveToStorage();
+            
+            alert(`✅ Successfully renamed: ${result.renamed} file(s)`);
+        } catch (error) {
+            console.error('Batch rename failed:', error);
+            alert('❌ Batch rename failed: ' + error.message);
         }
         
-        // Save updated image data to localStorage
-        this.manager.saveToStorage();
-        
-        // Show results
-        let resultMessage = `✅ Successfully renamed: ${successCount} file(s)`;
-        if (errorCount > 0) {
-            resultMessage += `\n❌ Failed: ${errorCount} file(s)\n\n${errors.slice(0, 5).join('\n')}${errors.length > 5 ? '\n...' : ''}`;
-        }
-        
-        alert(resultMessage);
-        
         // Refresh display
         ui.renderGallery();
         this.renderLevelTable();
     }
+    
+    // Problems of a batch rename report, one line per file
+    describeRenameReport(report = []) {
+        const problems = report.filter(entry => entry.status === 'error');
+        const lines = problems.slice(0, 5).map(entry => `${entry.from} → ${entry.to}: ${entry.message}`);
+        if (problems.length > 5) lines.push(`... and ${problems.length - 5} more`);
+        return lines.join('\n');
+    }
 }
 
 // ===== Initialize App =====
@@ -0,0 +1,165 @@
+// ===== Asset Ids =====
+// Stable image ids. A file seen for the first time gets an id derived from
+// its path and content hash ('img-' + 16 hex characters), so scanning the
+// same library elsewhere gives the same ids. From then on the id is kept in
+// a sidecar next to the images (PixelAssets/.pixelvoxel-ids.json), which is
+// what carries it through renames, edits and a lost catalog.json.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const levelNames = require('./level-names');
+const { readJsonFile, writeJsonAtomic } = require('./json-store');
+
+const IDS_VERSION = 1;
+const SIDECAR_NAME = '.pixelvoxel-ids.json';
+
+class AssetIds {
+    constructor(rootDir) {
+        this.rootDir = rootDir;
+        this.filePath = path.join(rootDir, SIDECAR_NAME);
+        this.data = this.load();
+        this.written = JSON.stringify(this.data.images);
+    }
+
+    // Load the sidecar (or start an empty one)
+    load() {
+        return readJsonFile(this.filePath, {
+            version: IDS_VERSION,
+            images: {} // relative path -> { id, contentHash }
+        });
+    }
+
+    // Mirror the catalog records into the sidecar. Entries of files that are
+    // not in the catalog right now (deleted, or not scanned yet) are kept so
+    // their ids come back with them.
+    save(images) {
+        const pathById = new Map();
+        for (const image of images) {
+            this.data.images[image.path] = { id: image.id, contentHash: image.contentHash || null };
+            pathById.set(image.id, image.path);
+        }
+        for (const [relPath, entry] of Object.entries(this.data.images)) {
+            if (pathById.has(entry.id) && pathById.get(entry.id) !== relPath) {
+                delete this.data.images[relPath]; // Renamed, the new path has it
+            }
+        }
+
+        const json = JSON.stringify(this.data.images);
+        if (json === this.written || !fs.existsSync(this.rootDir)) return;
+
+        writeJsonAtomic(this.filePath, this.data);
+        this.written = json;
+    }
+
+    // Id for a file entering the catalog. isTaken(id) tells whether a record
+    // already uses an id. Tried in order: the id kept for this path, the id
+    // of a vanished file with the same content (moved while nobody watched),
+    // a new id derived from path and content.
+    idFor(relPath, contentHash, isTaken = () => false) {
+        const entry = this.data.images[relPath];
+        if (entry && !isTaken(entry.id)) {
+            return entry.id;
+        }
+
+        if (contentHash) {
+            const moved = Object.entries(this.data.images).find(([otherPath, other]) =>
+                other.contentHash === contentHash &&
+                otherPath !== relPath &&
+                !isTaken(other.id) &&
+                !fs.existsSync(path.join(this.rootDir, otherPath))
+            );
+            if (moved) return moved[1].id;
+        }
+
+        let id = deriveImageId(relPath, contentHash);
+        for (let n = 2; isTaken(id); n++) {
+            id = deriveImageId(relPath, `${contentHash}:${n}`);
+        }
+        return id;
+    }
+}
+
+function deriveImageId(relPath, contentHash) {
+    const digest = crypto.createHash('sha1').update(`${relPath}\n${contentHash || ''}`).digest('hex');
+    return `img-${digest.slice(0, 16)}`;
+}
+
+// ===== Level Re-linking =====
+// Level assignments store the image id plus the path, name and content hash
+// of the image (assignedPath, assignedName, assignedHash). A level whose id
+// no longer resolves is matched again by those, and finally by the level
+// file name batch rename gives files (project setting, Paint_Lv<N>.png).
+
+// Catalog record a level points at: { record, method } or null
+function findLevelImage(level, catalog, claimed = new Set(), pattern = levelNames.DEFAULT_LEVEL_FILE_PATTERN) {
+    const images = catalog.data.images.filter(img => !claimed.has(img.id));
+    const byId = level.assignedImage ? catalog.getImage(level.assignedImage) : null;
+    if (byId) {
+        return { record: byId, method: byId.id === level.assignedImage ? 'id' : 'alias' };
+    }
+
+    const candidates = [
+        ['hash', level.assignedHash && images.filter(img => img.contentHash === level.assignedHash)],
+        ['path', level.assignedPath && images.filter(img => img.path === level.assignedPath)],
+        ['name', level.assignedName && images.filter(img => img.name === level.assignedName)],
+        ['level-name', images.filter(img => levelNames.parseLevelFileName(pattern, img.name) === level.level)]
+    ];
+    for (const [method, matches] of candidates) {
+        if (!matches || matches.length === 0) continue;
+
+        // Several files with the same content: prefer the one with the old name
+        const record = matches.find(img => img.path === level.assignedPath) ||
+            matches.find(img => img.name === level.assignedName) ||
+            (matches.length === 1 || method === 'hash' ? matches[0] : null);
+        if (record) return { record, method };
+    }
+    return null;
+}
+
+// Re-link every assigned level. Returns { levels, report } where report
+// lists what was kept, re-linked ({ level, from, to, method }) or could not
+// be found; unresolved levels keep their old id.
+function relinkLevels(levels, catalog, pattern) {
+    const report = { kept: 0, relinked: [], unresolved: [] };
+
+    // Images of levels whose id still resolves are not handed to another level
+    const claimed = new Set(levels
+        .map(level => level.assignedImage && catalog.getImage(level.assignedImage))
+        .filter(record => record)
+        .map(record => record.id));
+
+    const relinked = levels.map(level => {
+        if (!level.assignedImage) {
+            return level;
+        }
+
+        const match = findLevelImage(level, catalog, claimed, pattern);
+        if (!match) {
+            report.unresolved.push(level.level);
+            return level;
+        }
+
+        claimed.add(match.record.id);
+        if (match.method === 'id') {
+            report.kept++;
+        } else {
+            report.relinked.push({ level: level.level, from: level.assignedImage || null, to: match.record.id, method: match.method });
+        }
+        return {
+            ...level,
+            assignedImage: match.record.id,
+            assignedPath: match.record.path,
+            assignedName: match.record.name,
+            assignedHash: match.record.contentHash || null
+        };
+    });
+
+    return { levels: relinked, report };
+}
+
+module.exports = {
+    AssetIds,
+    deriveImageId,
+    findLevelImage,
+    relinkLevels
+};
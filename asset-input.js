@@ -0,0 +1,143 @@
+// ===== Asset Input =====
+// Validation for client input that names files and folders in the asset
+// library. Every path is confined to the library root (after resolving
+// symlinks); invalid input throws an InputError that server.js turns into a
+// structured 4xx response: { success: false, message, code, field }.
+const fs = require('fs');
+const path = require('path');
+
+// Characters Windows does not allow in names, plus control characters
+const UNSAFE_CHARS = /[<>:"|?*\\\/\x00-\x1f]/;
+
+// Device names Windows reserves in any folder (CON, NUL, COM1.png, ...)
+const RESERVED_NAMES = /^(con|prn|aux|nul|com\d|lpt\d)(\..*)?$/i;
+
+const MAX_NAME_LENGTH = 255;
+
+class InputError extends Error {
+    // code: MISSING_FIELD, INVALID_NAME, OUTSIDE_LIBRARY, NOT_PNG or INVALID_DATA_URL
+    // (server.js adds NOT_FOUND, ALREADY_EXISTS and INVALID_MOVE for folders)
+    constructor(message, code, field, status = 400) {
+        super(message);
+        this.name = 'InputError';
+        this.code = code;
+        this.field = field;
+        this.status = status;
+    }
+
+    toJSON() {
+        return {
+            success: false,
+            message: this.message,
+            code: this.code,
+            field: this.field
+        };
+    }
+}
+
+// Check a single file or folder name (no separators, no dot names)
+function checkName(name, field) {
+    if (typeof name !== 'string' || name.trim() === '') {
+        throw new InputError(`Missing ${field}`, 'MISSING_FIELD', field);
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+        throw new InputError(`${field} is too long`, 'INVALID_NAME', field);
+    }
+    if (UNSAFE_CHARS.test(name) || name.startsWith('.') || /[. ]$/.test(name) || name !== name.trim() || RESERVED_NAMES.test(name)) {
+        throw new InputError(`Invalid ${field}: ${name}`, 'INVALID_NAME', field);
+    }
+    return name;
+}
+
+// Make sure an absolute path stays inside rootDir, also through symlinks
+// (checked on the deepest part of the path that already exists)
+function confine(rootDir, fullPath, field) {
+    const root = path.resolve(rootDir);
+    const isInside = (dir, target) => target === dir || target.startsWith(dir + path.sep);
+
+    if (!isInside(root, fullPath)) {
+        throw new InputError(`${field} is outside the asset library`, 'OUTSIDE_LIBRARY', field);
+    }
+
+    if (fs.existsSync(root)) {
+        let existing = fullPath;
+        while (!fs.existsSync(existing)) {
+            existing = path.dirname(existing);
+        }
+        if (!isInside(fs.realpathSync(root), fs.realpathSync(existing))) {
+            throw new InputError(`${field} is outside the asset library`, 'OUTSIDE_LIBRARY', field);
+        }
+    }
+    return fullPath;
+}
+
+// Relative folder ('folder/sub', '' or missing = library root) to an
+// absolute path inside rootDir
+function resolveFolder(rootDir, folder, field = 'folder') {
+    if (folder === undefined || folder === null || folder === '') {
+        return path.resolve(rootDir);
+    }
+    if (typeof folder !== 'string') {
+        throw new InputError(`Invalid ${field}`, 'INVALID_NAME', field);
+    }
+
+    const relPath = folder.replace(/\\/g, '/').replace(/\/+$/, '');
+    if (relPath.startsWith('/') || /^[a-zA-Z]:/.test(relPath)) {
+        throw new InputError(`${field} must be relative to the asset library`, 'OUTSIDE_LIBRARY', field);
+    }
+
+    const parts = relPath.split('/');
+    for (const part of parts) {
+        if (part === '..') {
+            throw new InputError(`${field} is outside the asset library`, 'OUTSIDE_LIBRARY', field);
+        }
+        checkName(part, field);
+    }
+
+    return confine(rootDir, path.resolve(rootDir, ...parts), field);
+}
+
+// PNG file name inside a relative folder to an absolute path inside rootDir
+function resolveFile(rootDir, folder, filename, { field = 'filename', folderField = 'folder' } = {}) {
+    checkName(filename, field);
+    if (!filename.toLowerCase().endsWith('.png')) {
+        throw new InputError(`${field} must be a .png file`, 'NOT_PNG', field);
+    }
+
+    const dir = resolveFolder(rootDir, folder, folderField);
+    return confine(rootDir, path.join(dir, filename), field);
+}
+
+// Relative file path ('folder/file.png') to an absolute path inside rootDir
+function resolveFilePath(rootDir, relPath, field = 'path') {
+    if (typeof relPath !== 'string' || relPath === '') {
+        throw new InputError(`Missing ${field}`, 'MISSING_FIELD', field);
+    }
+
+    const parts = relPath.replace(/\\/g, '/').split('/');
+    const filename = parts.pop();
+    return resolveFile(rootDir, parts.join('/'), filename, { field, folderField: field });
+}
+
+// PNG data URL to a buffer (checks the PNG signature, not just the prefix)
+function decodePngDataUrl(dataUrl, field = 'dataUrl') {
+    if (typeof dataUrl !== 'string' || dataUrl === '') {
+        throw new InputError(`Missing ${field}`, 'MISSING_FIELD', field);
+    }
+
+    const matches = dataUrl.match(/^data:image\/png;base64,(.+)$/);
+    const buffer = matches && Buffer.from(matches[1], 'base64');
+    if (!buffer || buffer.length < 8 || buffer.readUInt32BE(0) !== 0x89504e47) {
+        throw new InputError('Invalid dataUrl format', 'INVALID_DATA_URL', field);
+    }
+    return buffer;
+}
+
+module.exports = {
+    InputError,
+    checkName,
+    resolveFolder,
+    resolveFile,
+    resolveFilePath,
+    decodePngDataUrl
+};
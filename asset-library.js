@@ -0,0 +1,147 @@
+// ===== Asset Library =====
+// Disk helpers for a PixelAssets folder, shared by server.js and cli.js
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const { PNG } = require('pngjs');
+const PixelAnalysis = require('./image-analysis');
+
+// Recursively list PNG files under the asset root
+function listImages(rootDir) {
+    const images = [];
+
+    function scanDirectory(dir, relativePath = '') {
+        const items = fs.readdirSync(dir);
+
+        for (const item of items) {
+            const fullPath = path.join(dir, item);
+            const stats = fs.statSync(fullPath);
+
+            if (stats.isDirectory()) {
+                // Recursively scan subdirectories
+                scanDirectory(fullPath, path.join(relativePath, item));
+            } else if (stats.isFile() && item.toLowerCase().endsWith('.png')) {
+                // Add PNG file to list
+                const relPath = path.join(relativePath, item);
+                images.push({
+                    name: item,
+                    path: relPath.replace(/\\/g, '/'), // Convert to forward slashes
+                    folder: relativePath.replace(/\\/g, '/'),
+                    url: `/PixelAssets/${relPath.replace(/\\/g, '/')}`
+                });
+            }
+        }
+    }
+
+    scanDirectory(rootDir);
+    return images;
+}
+
+// Recursively list folders under the asset root
+function listFolders(rootDir) {
+    const folders = [];
+
+    function scanFolders(dir, relativePath = '') {
+        const items = fs.readdirSync(dir);
+
+        for (const item of items) {
+            const fullPath = path.join(dir, item);
+            const stats = fs.statSync(fullPath);
+
+            if (stats.isDirectory()) {
+                const relPath = path.join(relativePath, item);
+                folders.push({
+                    name: item,
+                    path: relPath.replace(/\\/g, '/'),
+                    parent: relativePath.replace(/\\/g, '/') || null
+                });
+
+                // Recursively scan subdirectories
+                scanFolders(fullPath, relPath);
+            }
+        }
+    }
+
+    if (fs.existsSync(rootDir)) {
+        scanFolders(rootDir);
+    }
+    return folders;
+}
+
+// Decode a PNG into a raw RGBA image ({ width, height, data })
+function readImage(rootDir, relPath) {
+    return PNG.sync.read(fs.readFileSync(path.join(rootDir, relPath)));
+}
+
+// Encode a raw RGBA image as a PNG buffer
+function encodeImage(image) {
+    const png = new PNG({ width: image.width, height: image.height });
+    png.data = Buffer.from(image.data);
+    return PNG.sync.write(png);
+}
+
+// Content hash of a file's bytes, used as the version of an image for
+// optimistic concurrency on saves
+function hashBuffer(buffer) {
+    return crypto.createHash('sha1').update(buffer).digest('hex');
+}
+
+function hashFile(filePath) {
+    return hashBuffer(fs.readFileSync(filePath));
+}
+
+// Decode a PNG and run the shared import analysis
+// (options: { mode, metric, threshold, palette } for quantization and
+// { rules } for the project import rules, see image-analysis.js)
+function analyzeImageFile(rootDir, relPath, options = {}) {
+    const analysis = PixelAnalysis.analyzePixels(readImage(rootDir, relPath), options);
+
+    return {
+        ...analysis,
+        palette: analysis.colors,
+        colorMap: Object.fromEntries(analysis.colorMap)
+    };
+}
+
+// Build the catalog record for a PNG on disk (options as for analyzeImageFile)
+function catalogRecordForFile(rootDir, relPath, options = {}) {
+    const stats = fs.statSync(path.join(rootDir, relPath));
+    const analysis = analyzeImageFile(rootDir, relPath, options);
+    const folder = path.posix.dirname(relPath);
+
+    return {
+        name: path.posix.basename(relPath),
+        folder: folder === '.' ? '' : folder,
+        width: analysis.width,
+        height: analysis.height,
+        originalWidth: analysis.originalWidth,
+        originalHeight: analysis.originalHeight,
+        scale: analysis.scale,
+        scaleConfidence: analysis.scaleConfidence,
+        disagreeingBlockCount: analysis.disagreeingBlocks.length,
+        colors: analysis.colors,
+        colorCount: analysis.colorCount,
+        colorMap: analysis.colorMap,
+        originalColorCount: analysis.originalColorCount,
+        transparentPixels: analysis.transparentPixels,
+        partialAlphaPixels: analysis.partialAlphaPixels,
+        readyToDev: analysis.readyToDev,
+        difficulty: analysis.difficulty,
+        validSize: analysis.validSize,
+        validColors: analysis.validColors,
+        fileSize: stats.size,
+        mtime: stats.mtime.toISOString(),
+        contentHash: hashFile(path.join(rootDir, relPath))
+    };
+}
+
+module.exports = {
+    listImages,
+    listFolders,
+    readImage,
+    encodeImage,
+    hashBuffer,
+    hashFile,
+    analyzeImageFile,
+    catalogRecordForFile
+};
@@ -0,0 +1,106 @@
+// ===== Asset Watcher =====
+// Watches a PixelAssets folder (every sub folder with its own fs.watch, so
+// it works on every platform) and reports the relative paths that changed.
+// Bursts of events (editors writing a file in several steps, a folder being
+// copied or renamed) are collected and emitted together:
+//   watcher.on('changes', relPaths => ...)
+// The paths only say where to look; server.js compares them with the catalog.
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+const DEFAULT_DELAY = 300;
+
+class AssetWatcher extends EventEmitter {
+    constructor(rootDir, { delay = DEFAULT_DELAY } = {}) {
+        super();
+        this.rootDir = rootDir;
+        this.delay = delay;
+        this.watchers = new Map(); // relative folder -> fs.FSWatcher
+        this.pending = new Set();
+        this.timer = null;
+    }
+
+    start() {
+        this.watchTree('');
+        return this;
+    }
+
+    close() {
+        clearTimeout(this.timer);
+        for (const watcher of this.watchers.values()) {
+            watcher.close();
+        }
+        this.watchers.clear();
+        this.pending.clear();
+    }
+
+    // Watch a folder and everything below it
+    watchTree(relDir) {
+        const fullDir = path.join(this.rootDir, relDir);
+        if (this.watchers.has(relDir) || !isDirectory(fullDir)) return;
+
+        try {
+            const watcher = fs.watch(fullDir, (eventType, filename) => {
+                // Some platforms do not report the name, recheck the whole folder then
+                const relPath = filename ? path.posix.join(relDir, filename.toString().replace(/\\/g, '/')) : relDir;
+                this.queue(relPath);
+            });
+            watcher.on('error', () => this.unwatch(relDir));
+            this.watchers.set(relDir, watcher);
+        } catch (error) {
+            console.error(`Cannot watch ${fullDir}:`, error.message);
+            return;
+        }
+
+        for (const item of fs.readdirSync(fullDir)) {
+            if (isDirectory(path.join(fullDir, item))) {
+                this.watchTree(relDir ? `${relDir}/${item}` : item);
+            }
+        }
+    }
+
+    // Stop watching a folder that was deleted or renamed (and its sub folders)
+    unwatch(relDir) {
+        for (const [dir, watcher] of this.watchers) {
+            if (dir === relDir || dir.startsWith(relDir + '/')) {
+                watcher.close();
+                this.watchers.delete(dir);
+            }
+        }
+    }
+
+    queue(relPath) {
+        if (path.posix.basename(relPath).startsWith('.')) return; // editor temp files
+
+        this.pending.add(relPath);
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.flush(), this.delay);
+    }
+
+    flush() {
+        const relPaths = Array.from(this.pending).sort();
+        this.pending.clear();
+
+        // New folders need their own watcher, vanished ones lose it
+        for (const relPath of relPaths) {
+            if (isDirectory(path.join(this.rootDir, relPath))) {
+                this.watchTree(relPath);
+            } else if (this.watchers.has(relPath)) {
+                this.unwatch(relPath);
+            }
+        }
+
+        this.emit('changes', relPaths);
+    }
+}
+
+function isDirectory(fullPath) {
+    try {
+        return fs.statSync(fullPath).isDirectory();
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = { AssetWatcher };
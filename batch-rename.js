@@ -0,0 +1,210 @@
+// ===== Batch Rename =====
+// Renames many library files as one operation. The whole batch is planned
+// first (missing sources, duplicate targets, targets taken by files that stay
+// put); only a clean plan is executed. Execution moves every source to a
+// hidden temp name first and then to its target, so chains and cycles
+// (Paint_Lv5 <-> Paint_Lv6) need no special order. Any error moves every file
+// back where it was.
+const fs = require('fs');
+const path = require('path');
+const assetInput = require('./asset-input');
+
+// Plan a batch. renames: [{ from, to }] with paths relative to rootDir.
+// Returns { ok, entries, cycles }; every entry carries its own status
+// ('pending', 'unchanged' or 'error' with message and code).
+function planBatchRename(rootDir, renames) {
+    if (!Array.isArray(renames) || renames.length === 0) {
+        throw new assetInput.InputError('Missing renames', 'MISSING_FIELD', 'renames');
+    }
+
+    const entries = renames.map((rename, index) => {
+        const entry = {
+            index,
+            from: rename && rename.from,
+            to: rename && rename.to,
+            status: 'pending'
+        };
+
+        try {
+            entry.fromPath = assetInput.resolveFilePath(rootDir, entry.from, 'from');
+            entry.toPath = assetInput.resolveFilePath(rootDir, entry.to, 'to');
+        } catch (error) {
+            if (!(error instanceof assetInput.InputError)) throw error;
+            return fail(entry, error.message, error.code);
+        }
+
+        if (entry.fromPath === entry.toPath) {
+            entry.status = 'unchanged';
+        } else if (!fs.existsSync(entry.fromPath)) {
+            fail(entry, 'Source file not found', 'NOT_FOUND');
+        }
+        return entry;
+    });
+
+    const moving = entries.filter(entry => entry.status === 'pending');
+    const sources = countBy(entries.filter(entry => entry.fromPath), entry => entry.fromPath);
+    const targets = countBy(entries.filter(entry => entry.toPath), entry => entry.toPath);
+
+    for (const entry of moving) {
+        if (sources.get(entry.fromPath) > 1) {
+            fail(entry, 'File is renamed more than once', 'DUPLICATE_SOURCE');
+        } else if (targets.get(entry.toPath) > 1) {
+            fail(entry, `Several files would be renamed to ${entry.to}`, 'TARGET_COLLISION');
+        } else if (fs.existsSync(entry.toPath) && !isVacated(entries, entry.toPath)) {
+            fail(entry, `${entry.to} already exists`, 'ALREADY_EXISTS');
+        }
+    }
+
+    return {
+        ok: entries.every(entry => entry.status !== 'error'),
+        entries,
+        cycles: findCycles(entries.filter(entry => entry.status === 'pending'))
+    };
+}
+
+// Execute a clean plan. Returns the entries with status 'renamed' or, after a
+// failure and rollback, throws an Error with .entries ('rolled-back' /
+// 'error') attached.
+function executeBatchRename(plan, { tempPrefix = '.batch-rename' } = {}) {
+    const moving = plan.entries.filter(entry => entry.status === 'pending');
+    const done = [];         // [fromPath, toPath] in execution order
+    const createdDirs = [];  // folders created for targets, removed again on rollback
+    const token = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+    try {
+        // Phase 1: every source to a temp name next to it (dot files are
+        // ignored by the asset watcher)
+        moving.forEach((entry, i) => {
+            entry.tempPath = path.join(path.dirname(entry.fromPath), `${tempPrefix}-${token}-${i}.png`);
+            moveFile(entry, entry.fromPath, entry.tempPath, done);
+        });
+
+        // Phase 2: temp names to the targets
+        for (const entry of moving) {
+            if (fs.existsSync(entry.toPath)) {
+                throw Object.assign(new Error(`${entry.to} already exists`), { code: 'ALREADY_EXISTS', entry });
+            }
+            try {
+                const createdDir = fs.mkdirSync(path.dirname(entry.toPath), { recursive: true });
+                if (createdDir) createdDirs.push(createdDir);
+            } catch (error) {
+                error.entry = entry;
+                throw error;
+            }
+
+            moveFile(entry, entry.tempPath, entry.toPath, done);
+            entry.status = 'renamed';
+        }
+    } catch (error) {
+        rollback(done, createdDirs);
+
+        for (const entry of moving) {
+            if (entry === error.entry) {
+                fail(entry, error.message, error.code || 'RENAME_FAILED');
+            } else {
+                entry.status = 'rolled-back';
+            }
+        }
+        error.entries = plan.entries;
+        throw error;
+    }
+
+    return plan.entries;
+}
+
+// Rename one file of the batch; errors remember the entry they belong to
+function moveFile(entry, fromPath, toPath, done) {
+    try {
+        fs.renameSync(fromPath, toPath);
+    } catch (error) {
+        error.entry = entry;
+        throw error;
+    }
+    done.push([fromPath, toPath]);
+}
+
+// Undo executed moves newest first; a move that cannot be undone is logged
+// and the rest is still attempted
+function rollback(done, createdDirs) {
+    for (const [fromPath, toPath] of done.slice().reverse()) {
+        try {
+            fs.renameSync(toPath, fromPath);
+        } catch (error) {
+            console.error(`Rollback failed, ${toPath} could not be moved back to ${fromPath}:`, error);
+        }
+    }
+    for (const dir of createdDirs.reverse()) {
+        try {
+            fs.rmdirSync(dir);
+        } catch (error) {
+            console.error(`Rollback could not remove ${dir}:`, error.message);
+        }
+    }
+}
+
+// Entry as sent to clients (without the absolute paths)
+function toReportEntry(entry) {
+    const report = { from: entry.from, to: entry.to, status: entry.status };
+    if (entry.message) {
+        report.message = entry.message;
+        report.code = entry.code;
+    }
+    return report;
+}
+
+function fail(entry, message, code) {
+    entry.status = 'error';
+    entry.message = message;
+    entry.code = code;
+    return entry;
+}
+
+// Is a file that exists now moved away by the batch itself? Compared by
+// inode too, so case-only renames work on case-insensitive file systems.
+function isVacated(entries, fullPath) {
+    const target = fs.statSync(fullPath);
+    return entries.some(entry => {
+        if (entry.status !== 'pending') return false;
+        if (entry.fromPath === fullPath) return true;
+
+        const source = fs.statSync(entry.fromPath);
+        return source.ino !== 0 && source.ino === target.ino && source.dev === target.dev;
+    });
+}
+
+function countBy(items, keyFn) {
+    const counts = new Map();
+    for (const item of items) {
+        counts.set(keyFn(item), (counts.get(keyFn(item)) || 0) + 1);
+    }
+    return counts;
+}
+
+// Renames whose targets form a loop (a -> b -> a), as lists of relative paths
+function findCycles(entries) {
+    const next = new Map(entries.map(entry => [entry.fromPath, entry]));
+    const visited = new Set();
+    const cycles = [];
+
+    for (const start of entries) {
+        const chain = [];
+        let entry = start;
+        while (entry && !visited.has(entry)) {
+            visited.add(entry);
+            chain.push(entry);
+            entry = next.get(entry.toPath);
+        }
+
+        const loopStart = chain.indexOf(entry);
+        if (entry && loopStart !== -1) {
+            cycles.push(chain.slice(loopStart).map(item => item.from));
+        }
+    }
+    return cycles;
+}
+
+module.exports = {
+    planBatchRename,
+    executeBatchRename,
+    toReportEntry
+};
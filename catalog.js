@@ -0,0 +1,376 @@
+// ===== Catalog Store =====
+// Server-owned catalog of image records, folders, tags and level links.
+// Persisted as a single JSON file next to server.js so the browser no longer
+// has to keep every image (and its dataUrl) in localStorage.
+// Every change to an image or folder is emitted as a 'change' event
+// ({ type: 'add' | 'change' | 'rename' | 'delete' | 'folder-add' |
+// 'folder-rename' | 'folder-delete', ... }) so server.js can push it to
+// browsers.
+const path = require('path');
+const EventEmitter = require('events');
+const { readJsonFile, writeJsonAtomic } = require('./json-store');
+
+const CATALOG_VERSION = 1;
+
+// Fields a client is allowed to change through the CRUD API
+const EDITABLE_IMAGE_FIELDS = ['tags', 'notes'];
+
+class Catalog extends EventEmitter {
+    // ids: an AssetIds (asset-ids.js) that hands out stable image ids and
+    // keeps them in its sidecar; without it ids are random (read-only use)
+    constructor(filePath, { ids = null } = {}) {
+        super();
+        this.filePath = filePath;
+        this.ids = ids;
+        this.data = this.load();
+        this.pendingBatches = 0;
+    }
+
+    // Load catalog from disk (or start an empty one)
+    load() {
+        return readJsonFile(this.filePath, {
+            version: CATALOG_VERSION,
+            images: [],
+            folders: [],
+            levelLinks: {},
+            idAliases: {} // old image id -> current id (ids from before stable ids)
+        });
+    }
+
+    save() {
+        if (this.pendingBatches > 0) return;
+
+        writeJsonAtomic(this.filePath, this.data);
+
+        if (this.ids) {
+            this.ids.save(this.data.images);
+        }
+    }
+
+    // Run many changes with a single write at the end
+    batch(fn) {
+        this.pendingBatches++;
+        try {
+            return fn();
+        } finally {
+            this.pendingBatches--;
+            this.save();
+        }
+    }
+
+    notify(type, payload) {
+        this.emit('change', { type, ...payload });
+    }
+
+    generateId() {
+        return Date.now() + Math.random();
+    }
+
+    // ===== Images =====
+
+    listImages({ offset = 0, limit = 100, folder, tag } = {}) {
+        let images = this.data.images;
+
+        if (folder !== undefined) {
+            images = images.filter(img => img.folder === folder);
+        }
+        if (tag) {
+            images = images.filter(img => img.tags.includes(tag));
+        }
+
+        return {
+            total: images.length,
+            offset: offset,
+            limit: limit,
+            images: images.slice(offset, offset + limit)
+        };
+    }
+
+    // Old ids (level files, bookmarks) resolve through the aliases
+    getImage(id) {
+        const image = this.data.images.find(img => img.id === id);
+        if (image || id === null || id === undefined) return image || null;
+
+        const alias = this.data.idAliases[String(id)];
+        return alias ? this.data.images.find(img => img.id === alias) || null : null;
+    }
+
+    newImageId(record) {
+        if (!this.ids) return this.generateId();
+        return this.ids.idFor(record.path, record.contentHash, id => this.data.images.some(img => img.id === id));
+    }
+
+    // Give every record with an old random (numeric) id its stable id.
+    // newIdFor(record) picks the id; level links follow and the old id is
+    // kept as an alias. Returns { oldId: newId } of the records changed.
+    rekeyImages(newIdFor) {
+        const changed = {};
+        for (const image of this.data.images) {
+            if (typeof image.id === 'string') continue;
+
+            const newId = newIdFor(image);
+            changed[image.id] = newId;
+            this.data.idAliases[String(image.id)] = newId;
+            image.id = newId;
+        }
+
+        if (Object.keys(changed).length > 0) {
+            for (const [level, imageId] of Object.entries(this.data.levelLinks)) {
+                if (changed[imageId] !== undefined) this.data.levelLinks[level] = changed[imageId];
+            }
+            this.save();
+        }
+        return changed;
+    }
+
+    findByPath(relPath) {
+        return this.data.images.find(img => img.path === relPath) || null;
+    }
+
+    addImage(record) {
+        const now = new Date().toISOString();
+        const image = {
+            id: this.newImageId(record),
+            tags: [],
+            createdAt: now,
+            ...record,
+            updatedAt: now
+        };
+
+        this.data.images.push(image);
+        this.save();
+        this.notify('add', { image });
+        return image;
+    }
+
+    updateImage(id, changes, type = 'change', payload = {}) {
+        const image = this.getImage(id);
+        if (!image) return null;
+
+        Object.assign(image, changes, { updatedAt: new Date().toISOString() });
+        this.save();
+        this.notify(type, { image, ...payload });
+        return image;
+    }
+
+    // Apply only the client-editable fields
+    editImage(id, changes) {
+        const allowed = {};
+        for (const field of EDITABLE_IMAGE_FIELDS) {
+            if (changes[field] !== undefined) {
+                allowed[field] = changes[field];
+            }
+        }
+
+        if (allowed.tags) {
+            allowed.tags = normalizeTags(allowed.tags);
+        }
+
+        return this.updateImage(id, allowed);
+    }
+
+    removeImage(id) {
+        const image = this.getImage(id);
+        if (!image) return null;
+
+        this.data.images = this.data.images.filter(img => img.id !== image.id);
+
+        // Drop level links pointing at the removed image
+        for (const [level, imageId] of Object.entries(this.data.levelLinks)) {
+            if (imageId === image.id) delete this.data.levelLinks[level];
+        }
+
+        this.save();
+        this.notify('delete', { image });
+        return image;
+    }
+
+    // Put back a removed record with its original id (restore from trash)
+    restoreImage(record) {
+        if (this.getImage(record.id)) {
+            return this.updateImage(record.id, record);
+        }
+
+        const image = { ...record, updatedAt: new Date().toISOString() };
+        if (typeof image.id !== 'string' && this.ids) {
+            // Trashed before ids were stable
+            image.id = this.newImageId(image);
+            this.data.idAliases[String(record.id)] = image.id;
+        }
+        this.data.images.push(image);
+        this.save();
+        this.notify('add', { image });
+        return image;
+    }
+
+    // Insert or refresh the record for a file path with fresh analysis data
+    upsertByPath(relPath, analysis) {
+        const existing = this.findByPath(relPath);
+        if (existing) {
+            return this.updateImage(existing.id, analysis);
+        }
+        return this.addImage({ path: relPath, ...analysis });
+    }
+
+    removeByPath(relPath) {
+        const existing = this.findByPath(relPath);
+        return existing ? this.removeImage(existing.id) : null;
+    }
+
+    // Keep the record (and its id) when a file is moved or renamed
+    // (changes: fresh analysis data for the new file, optional)
+    movePath(oldPath, newPath, changes = {}) {
+        const existing = this.findByPath(oldPath);
+        if (!existing) return null;
+
+        return this.updateImage(existing.id, { ...changes, ...imagePathFields(newPath) }, 'rename', { from: oldPath });
+    }
+
+    // Move many records at once ([{ from, to }]). Records are looked up
+    // before anything moves, so swaps (a -> b, b -> a) keep their ids.
+    movePaths(moves) {
+        const records = moves.map(move => this.findByPath(move.from));
+
+        return this.batch(() => moves.map((move, i) => {
+            if (!records[i]) return null;
+            return this.updateImage(records[i].id, imagePathFields(move.to), 'rename', { from: move.from });
+        }));
+    }
+
+    listTags() {
+        const counts = new Map();
+        for (const image of this.data.images) {
+            for (const tag of image.tags) {
+                counts.set(tag, (counts.get(tag) || 0) + 1);
+            }
+        }
+        return Array.from(counts, ([name, count]) => ({ name, count }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    // ===== Folders =====
+
+    listFolders() {
+        return this.data.folders;
+    }
+
+    findFolder(folderPath) {
+        return this.data.folders.find(f => f.path === folderPath) || null;
+    }
+
+    addFolder(folderPath) {
+        const existing = this.findFolder(folderPath);
+        if (existing) return existing;
+
+        const folder = {
+            id: this.generateId(),
+            ...folderPathFields(folderPath)
+        };
+
+        this.data.folders.push(folder);
+        this.save();
+        this.notify('folder-add', { folder });
+        return folder;
+    }
+
+    // Add a folder together with its missing parents
+    addFolderTree(folderPath) {
+        const parts = folderPath.split('/');
+        return this.batch(() => {
+            let folder = null;
+            for (let i = 1; i <= parts.length; i++) {
+                folder = this.addFolder(parts.slice(0, i).join('/'));
+            }
+            return folder;
+        });
+    }
+
+    // Move or rename a folder with every sub folder and image below it.
+    // Folder and image records keep their ids; folders are announced first
+    // so clients can re-home the images.
+    moveFolder(oldPath, newPath) {
+        const isUnder = itemPath => itemPath === oldPath || itemPath.startsWith(oldPath + '/');
+        const rebase = itemPath => newPath + itemPath.slice(oldPath.length);
+
+        return this.batch(() => {
+            const parent = path.posix.dirname(newPath);
+            if (parent !== '.') this.addFolderTree(parent);
+
+            for (const folder of this.data.folders.filter(f => isUnder(f.path))) {
+                const from = folder.path;
+                Object.assign(folder, folderPathFields(rebase(from)));
+                this.notify('folder-rename', { folder, from });
+            }
+            if (!this.findFolder(newPath)) this.addFolder(newPath);
+
+            for (const image of this.data.images.filter(img => isUnder(img.path))) {
+                this.updateImage(image.id, imagePathFields(rebase(image.path)), 'rename', { from: image.path });
+            }
+            return this.findFolder(newPath);
+        });
+    }
+
+    removeFolder(folderPath) {
+        const folder = this.findFolder(folderPath);
+        if (!folder) return null;
+
+        this.data.folders = this.data.folders.filter(f => f.path !== folderPath);
+        this.save();
+        this.notify('folder-delete', { folder });
+        return folder;
+    }
+
+    // ===== Level links =====
+
+    linkLevel(level, imageId) {
+        this.data.levelLinks[level] = imageId;
+        this.save();
+    }
+
+    unlinkLevel(level) {
+        delete this.data.levelLinks[level];
+        this.save();
+    }
+
+    // Replace all links from a level-assignments payload
+    setLevelLinks(levels) {
+        this.data.levelLinks = {};
+        for (const level of levels) {
+            if (level.assignedImage) {
+                const image = this.getImage(level.assignedImage);
+                this.data.levelLinks[level.level] = image ? image.id : level.assignedImage;
+            }
+        }
+        this.save();
+    }
+}
+
+// Path dependent fields of an image record ('folder/file.png')
+function imagePathFields(relPath) {
+    const folder = path.posix.dirname(relPath);
+    return {
+        path: relPath,
+        name: path.posix.basename(relPath),
+        folder: folder === '.' ? '' : folder
+    };
+}
+
+// Path dependent fields of a folder record ('folder/sub')
+function folderPathFields(folderPath) {
+    const parts = folderPath.split('/');
+    return {
+        name: parts[parts.length - 1],
+        path: folderPath,
+        parent: parts.length > 1 ? parts.slice(0, -1).join('/') : null
+    };
+}
+
+// Tags are trimmed, lower-cased and unique
+function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags).split(',');
+    return Array.from(new Set(
+        list.map(tag => String(tag).trim().toLowerCase()).filter(tag => tag)
+    ));
+}
+
+module.exports = { Catalog, normalizeTags };
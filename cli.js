@@ -0,0 +1,214 @@
+#!/usr/bin/env node
+// ===== PixelVoxel CLI =====
+// Headless checks for PixelAssets, usable in build scripts.
+//
+//   node cli.js validate [--levels file] [--palette file] [--assets dir]
+//                        [--catalog file] [--settings file] [--strict] [--json]
+//
+// Exits with code 1 when any level fails validation.
+const fs = require('fs');
+const path = require('path');
+const PixelAnalysis = require('./image-analysis');
+const assetLibrary = require('./asset-library');
+const { Catalog } = require('./catalog');
+const { findLevelImage } = require('./asset-ids');
+const levelNames = require('./level-names');
+const { ProjectSettings } = require('./project-settings');
+
+const DEFAULTS = {
+    levels: path.join(__dirname, 'level-assignments.json'),
+    palette: path.join(__dirname, 'master-palette.txt'),
+    assets: path.join(__dirname, 'PixelAssets'),
+    catalog: path.join(__dirname, 'catalog.json'),
+    settings: path.join(__dirname, 'project-settings.json')
+};
+
+// Parse "--name value" and "--flag" arguments
+function parseArgs(argv) {
+    const options = { ...DEFAULTS, strict: false, json: false };
+    const positional = [];
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+
+        const name = arg.slice(2);
+        if (name === 'strict' || name === 'json') {
+            options[name] = true;
+        } else if (name in DEFAULTS) {
+            options[name] = path.resolve(argv[++i] || '');
+        } else {
+            throw new Error(`Unknown option: ${arg}`);
+        }
+    }
+
+    return { command: positional[0], options };
+}
+
+// Levels come either as the exported { levels: [...] } file or a bare array
+function loadLevels(filePath) {
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(data) ? data : (data.levels || []);
+}
+
+// Find the file of a level's assigned image: catalog id (or its alias),
+// content hash, path and name of the assignment, then the level file name
+// produced by batch rename (pattern from the project settings)
+function resolveLevelImage(level, catalog, images, pattern) {
+    const match = findLevelImage(level, catalog, new Set(), pattern);
+    if (match && images.some(img => img.path === match.record.path)) {
+        return match.record.path;
+    }
+
+    const renamed = images.find(img => levelNames.parseLevelFileName(pattern, img.name) === level.level);
+    return renamed ? renamed.path : null;
+}
+
+// Check one level against its requirements and the project import rules
+function validateLevel(level, relPath, options, masterPalette, rules) {
+    const result = {
+        level: level.level,
+        image: relPath,
+        passed: true,
+        errors: []
+    };
+
+    if (!relPath) {
+        result.status = level.assignedImage ? 'missing' : 'unassigned';
+        if (level.assignedImage) {
+            result.errors.push('assigned image not found in PixelAssets');
+        }
+        result.passed = !level.assignedImage && !options.strict;
+        return result;
+    }
+
+    const analysis = assetLibrary.analyzeImageFile(options.assets, relPath, { rules });
+    const actualSize = `${analysis.width}x${analysis.height}`;
+    result.size = actualSize;
+    result.colors = analysis.colorCount;
+
+    // Project import rules
+    analysis.rejections.forEach(rejection => result.errors.push(`import rule: ${rejection.message}`));
+
+    // Expected size
+    if (level.size && actualSize !== level.size.toLowerCase()) {
+        result.errors.push(`size ${actualSize} (expected ${level.size})`);
+    }
+
+    // Expected color count
+    if (level.colors > 0 && analysis.colorCount !== level.colors) {
+        result.errors.push(`${analysis.colorCount} colors (expected ${level.colors})`);
+    }
+
+    // Master palette - every pixel color must be an exact palette color
+    if (masterPalette.length > 0) {
+        const offPalette = Object.keys(analysis.colorMap)
+            .map(color => color.toUpperCase())
+            .filter(color => !masterPalette.includes(color));
+        if (offPalette.length > 0) {
+            result.errors.push(`${offPalette.length} off-palette color(s): ${offPalette.join(', ')}`);
+        }
+    }
+
+    // Ready to dev - every pixel count divisible by 10
+    if (!PixelAnalysis.isReadyToDev(analysis.colorMap)) {
+        const uneven = Object.entries(analysis.colorMap)
+            .filter(([, count]) => count % 10 !== 0)
+            .map(([color, count]) => `${color.toUpperCase()}=${count}px`);
+        result.errors.push(`not ready to dev (${uneven.join(', ')})`);
+    }
+
+    result.status = result.errors.length === 0 ? 'ready' : 'failed';
+    result.passed = result.errors.length === 0;
+    return result;
+}
+
+function validate(options) {
+    const levels = loadLevels(options.levels);
+    const masterPalette = fs.existsSync(options.palette)
+        ? PixelAnalysis.parsePalette(fs.readFileSync(options.palette, 'utf8')).colors
+        : [];
+    const images = assetLibrary.listImages(options.assets);
+    const catalog = new Catalog(options.catalog);
+    const settings = new ProjectSettings(options.settings);
+    const rules = settings.importRules;
+
+    const results = levels
+        .slice()
+        .sort((a, b) => a.level - b.level)
+        .map(level => {
+            const relPath = resolveLevelImage(level, catalog, images, settings.levelFilePattern);
+            try {
+                return validateLevel(level, relPath, options, masterPalette, rules);
+            } catch (error) {
+                return {
+                    level: level.level,
+                    image: relPath,
+                    status: 'failed',
+                    passed: false,
+                    errors: [`cannot read image: ${error.message}`]
+                };
+            }
+        });
+
+    const summary = {
+        levels: results.length,
+        images: images.length,
+        paletteColors: masterPalette.length,
+        ready: results.filter(r => r.status === 'ready').length,
+        failed: results.filter(r => !r.passed).length,
+        unassigned: results.filter(r => r.status === 'unassigned').length
+    };
+
+    return { summary, results };
+}
+
+function printReport({ summary, results }) {
+    for (const result of results) {
+        if (result.status === 'unassigned') {
+            console.log(`${result.passed ? '-' : '✗'} Level ${result.level}: unassigned`);
+        } else if (result.passed) {
+            console.log(`✓ Level ${result.level}: ${result.image}`);
+        } else {
+            console.log(`✗ Level ${result.level}: ${result.image || '(missing)'}`);
+            result.errors.forEach(error => console.log(`    - ${error}`));
+        }
+    }
+
+    console.log('');
+    console.log(`📊 ${summary.levels} levels, ${summary.images} PNG files, ${summary.paletteColors} palette colors`);
+    console.log(`   ✓ Ready: ${summary.ready}`);
+    console.log(`   - Unassigned: ${summary.unassigned}`);
+    console.log(`   ✗ Failed: ${summary.failed}`);
+}
+
+function main(argv) {
+    const { command, options } = parseArgs(argv);
+
+    if (command === 'validate') {
+        const report = validate(options);
+        if (options.json) {
+            console.log(JSON.stringify(report, null, 2));
+        } else {
+            printReport(report);
+        }
+        return report.summary.failed > 0 ? 1 : 0;
+    }
+
+    console.log('Usage: node cli.js validate [--levels file] [--palette file] [--assets dir] [--catalog file] [--settings file] [--strict] [--json]');
+    return command ? 1 : 0;
+}
+
+if (require.main === module) {
+    try {
+        process.exitCode = main(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exitCode = 1;
+    }
+}
+
+module.exports = { validate, validateLevel };
@@ -0,0 +1,222 @@
+// ===== Color Distance Metrics =====
+// Pluggable color difference used by quantization, palette matching and
+// the snap tools. Every metric has its own units, so thresholds are always
+// given in the units of the metric they are used with.
+// Colors are { r, g, b } objects (0-255); hex helpers live here too so every
+// module can share them without depending on image-analysis.js.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ColorDistance = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Convert HEX to RGB
+    function hexToRgb(hex) {
+        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+        return result ? {
+            r: parseInt(result[1], 16),
+            g: parseInt(result[2], 16),
+            b: parseInt(result[3], 16)
+        } : null;
+    }
+
+    // Convert RGB to HEX
+    function rgbToHex(r, g, b) {
+        return '#' + [r, g, b].map(x => {
+            const hex = x.toString(16);
+            return hex.length === 1 ? '0' + hex : hex;
+        }).join('');
+    }
+
+    // sRGB channel (0-255) to linear light (0-1)
+    function srgbToLinear(value) {
+        const c = value / 255;
+        return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+    }
+
+    // Convert RGB (sRGB, D65) to CIE Lab
+    function rgbToLab(rgb) {
+        const r = srgbToLinear(rgb.r);
+        const g = srgbToLinear(rgb.g);
+        const b = srgbToLinear(rgb.b);
+
+        const x = (0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / 0.95047;
+        const y = (0.2126729 * r + 0.7151522 * g + 0.0721750 * b) / 1.00000;
+        const z = (0.0193339 * r + 0.1191920 * g + 0.9503041 * b) / 1.08883;
+
+        const f = t => t > 0.008856 ? Math.cbrt(t) : 7.787 * t + 16 / 116;
+        const fx = f(x);
+        const fy = f(y);
+        const fz = f(z);
+
+        return {
+            L: 116 * fy - 16,
+            a: 500 * (fx - fy),
+            b: 200 * (fy - fz)
+        };
+    }
+
+    // Convert RGB (sRGB) to OKLab
+    function rgbToOklab(rgb) {
+        const r = srgbToLinear(rgb.r);
+        const g = srgbToLinear(rgb.g);
+        const b = srgbToLinear(rgb.b);
+
+        const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+        const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+        const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+
+        return {
+            L: 0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+            a: 1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+            b: 0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+        };
+    }
+
+    // Plain Euclidean distance in RGB
+    function rgbEuclidean(rgb1, rgb2) {
+        return Math.sqrt(
+            Math.pow(rgb1.r - rgb2.r, 2) +
+            Math.pow(rgb1.g - rgb2.g, 2) +
+            Math.pow(rgb1.b - rgb2.b, 2)
+        );
+    }
+
+    // Euclidean distance between two { L, a, b } colors (ΔE76 / ΔOK)
+    function labEuclidean(lab1, lab2) {
+        return Math.sqrt(
+            Math.pow(lab1.L - lab2.L, 2) +
+            Math.pow(lab1.a - lab2.a, 2) +
+            Math.pow(lab1.b - lab2.b, 2)
+        );
+    }
+
+    // CIEDE2000 color difference between two Lab colors
+    function deltaE2000(lab1, lab2) {
+        const rad = deg => deg * Math.PI / 180;
+        const deg = r => r * 180 / Math.PI;
+        const pow7 = v => Math.pow(v, 7);
+
+        const avgC = (Math.hypot(lab1.a, lab1.b) + Math.hypot(lab2.a, lab2.b)) / 2;
+        const G = 0.5 * (1 - Math.sqrt(pow7(avgC) / (pow7(avgC) + pow7(25))));
+
+        const a1 = lab1.a * (1 + G);
+        const a2 = lab2.a * (1 + G);
+        const C1 = Math.hypot(a1, lab1.b);
+        const C2 = Math.hypot(a2, lab2.b);
+        const h1 = C1 === 0 ? 0 : (deg(Math.atan2(lab1.b, a1)) + 360) % 360;
+        const h2 = C2 === 0 ? 0 : (deg(Math.atan2(lab2.b, a2)) + 360) % 360;
+
+        const dL = lab2.L - lab1.L;
+        const dC = C2 - C1;
+        let dh = 0;
+        if (C1 * C2 !== 0) {
+            dh = h2 - h1;
+            if (dh > 180) dh -= 360;
+            else if (dh < -180) dh += 360;
+        }
+        const dH = 2 * Math.sqrt(C1 * C2) * Math.sin(rad(dh / 2));
+
+        const avgL = (lab1.L + lab2.L) / 2;
+        const avgCp = (C1 + C2) / 2;
+        let avgH = h1 + h2;
+        if (C1 * C2 !== 0) {
+            if (Math.abs(h1 - h2) <= 180) avgH = (h1 + h2) / 2;
+            else if (h1 + h2 < 360) avgH = (h1 + h2 + 360) / 2;
+            else avgH = (h1 + h2 - 360) / 2;
+        }
+
+        const T = 1 - 0.17 * Math.cos(rad(avgH - 30)) + 0.24 * Math.cos(rad(2 * avgH)) +
+                  0.32 * Math.cos(rad(3 * avgH + 6)) - 0.20 * Math.cos(rad(4 * avgH - 63));
+        const dTheta = 30 * Math.exp(-Math.pow((avgH - 275) / 25, 2));
+        const Rc = 2 * Math.sqrt(pow7(avgCp) / (pow7(avgCp) + pow7(25)));
+        const Sl = 1 + (0.015 * Math.pow(avgL - 50, 2)) / Math.sqrt(20 + Math.pow(avgL - 50, 2));
+        const Sc = 1 + 0.045 * avgCp;
+        const Sh = 1 + 0.015 * avgCp * T;
+        const Rt = -Math.sin(rad(2 * dTheta)) * Rc;
+
+        return Math.sqrt(
+            Math.pow(dL / Sl, 2) +
+            Math.pow(dC / Sc, 2) +
+            Math.pow(dH / Sh, 2) +
+            Rt * (dC / Sc) * (dH / Sh)
+        );
+    }
+
+    // Available metrics. toSpace converts a color once, compare measures two
+    // converted colors - so palettes can be converted up front.
+    // thresholds are the per-tool defaults in this metric's units.
+    const METRICS = {
+        rgb: {
+            label: 'RGB Euclidean',
+            unit: 'RGB',
+            decimals: 0,
+            toSpace: rgb => rgb,
+            compare: rgbEuclidean,
+            thresholds: { quantize: 30, match: 20, snap: 60 }
+        },
+        deltaE76: {
+            label: 'Lab ΔE76',
+            unit: 'ΔE76',
+            decimals: 1,
+            toSpace: rgbToLab,
+            compare: labEuclidean,
+            thresholds: { quantize: 10, match: 6, snap: 15 }
+        },
+        deltaE2000: {
+            label: 'CIEDE2000',
+            unit: 'ΔE00',
+            decimals: 1,
+            toSpace: rgbToLab,
+            compare: deltaE2000,
+            thresholds: { quantize: 6, match: 4, snap: 10 }
+        },
+        oklab: {
+            label: 'OKLab',
+            unit: 'ΔOK',
+            decimals: 3,
+            toSpace: rgbToOklab,
+            compare: labEuclidean,
+            thresholds: { quantize: 0.08, match: 0.05, snap: 0.12 }
+        }
+    };
+
+    // Own keys only, so "constructor" or "__proto__" are not metrics
+    function hasMetric(id) {
+        return Object.prototype.hasOwnProperty.call(METRICS, id);
+    }
+
+    function getMetric(id) {
+        const metric = hasMetric(id) ? METRICS[id] : null;
+        if (!metric) {
+            throw new Error(`Unknown color distance metric: ${id}`);
+        }
+        return metric;
+    }
+
+    // Distance between two RGB colors with the given metric
+    function distance(rgb1, rgb2, metricId = 'rgb') {
+        const metric = getMetric(metricId);
+        return metric.compare(metric.toSpace(rgb1), metric.toSpace(rgb2));
+    }
+
+    // Format a distance with the metric's unit, e.g. "ΔE00 3.2"
+    function formatDistance(value, metricId) {
+        const metric = getMetric(metricId);
+        return `${metric.unit} ${value.toFixed(metric.decimals)}`;
+    }
+
+    return {
+        METRICS,
+        hasMetric,
+        hexToRgb,
+        rgbToHex,
+        rgbToLab,
+        rgbToOklab,
+        deltaE2000,
+        getMetric,
+        distance,
+        formatDistance
+    };
+});
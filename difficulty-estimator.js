@@ -0,0 +1,185 @@
+// ===== Paint-by-Number Difficulty =====
+// How hard an image is to paint, measured on the game pixels (the cleaned,
+// downscaled image) and turned into a tier like the level sheets use:
+//   paintablePixels   - pixels that are not transparent
+//   regions           - 4-connected areas of one color (each one is a fill)
+//   tinyIslands       - regions of at most TINY_ISLAND_SIZE pixels, easy to miss
+//   perimeterRatio    - color-boundary edges per paintable pixel (ragged art)
+//   similarColorPairs - palette colors closer than SIMILAR_COLOR_DELTA (ΔE00)
+// Works on raw RGBA images ({ width, height, data }) like image-analysis.js.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./color-distance'));
+    } else {
+        root.DifficultyEstimator = factory(root.ColorDistance);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ColorDistance) {
+    const TINY_ISLAND_SIZE = 2;
+    const SIMILAR_COLOR_DELTA = 10; // ΔE00, hard to tell apart on a phone
+
+    // Score = sum of metric * weight, with the counts scaled to the image so
+    // a big flat image does not score like a busy one:
+    //   regionDensity   - regions per 100 paintable pixels
+    //   tinyIslandShare - share of the regions that are tiny islands (0-1)
+    // Tiers start at these scores, calibrated against the image difficulties
+    // of the level sheet (level-assignments.json) and their Paint_LvN art
+    const WEIGHTS = {
+        regionDensity: 1,
+        tinyIslandShare: 10,
+        similarColorPairs: 2
+    };
+    const TIER_SCORES = [0, 14, 24, 32];
+    const TIER_LABELS = ['Easy', 'Medium', 'Hard', 'Very Hard'];
+
+    // Tiers of the words used in level sheets, English and Vietnamese
+    const DIFFICULTY_WORDS = [
+        [3, ['very hard', 'veryhard', 'super hard', 'rất khó', 'rat kho']],
+        [2, ['hard', 'khó', 'kho']],
+        [1, ['medium', 'normal', 'thường', 'thuong', 'trung bình', 'trung binh', 'vừa', 'vua']],
+        [0, ['easy', 'dễ', 'de']]
+    ];
+
+    // Tier (0 easy ... 3 very hard) of a declared difficulty, null when the
+    // word is not a tier (e.g. "Pipe")
+    function difficultyRank(text) {
+        if (typeof text === 'number') return text;
+
+        const normalized = String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+        if (!normalized) return null;
+
+        for (const [rank, words] of DIFFICULTY_WORDS) {
+            if (words.includes(normalized)) return rank;
+        }
+        return null;
+    }
+
+    function measureComplexity(image, { alphaThreshold = 128 } = {}) {
+        const { width, height, data } = image;
+        const count = width * height;
+
+        // Packed RGB per pixel, -1 for transparent
+        const colors = new Int32Array(count);
+        for (let i = 0; i < count; i++) {
+            const p = i * 4;
+            colors[i] = data[p + 3] < alphaThreshold ? -1 : (data[p] << 16) | (data[p + 1] << 8) | data[p + 2];
+        }
+
+        let paintablePixels = 0;
+        let perimeter = 0;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const color = colors[y * width + x];
+                if (color === -1) continue;
+
+                paintablePixels++;
+                if (x === 0 || colors[y * width + x - 1] !== color) perimeter++;
+                if (x === width - 1 || colors[y * width + x + 1] !== color) perimeter++;
+                if (y === 0 || colors[(y - 1) * width + x] !== color) perimeter++;
+                if (y === height - 1 || colors[(y + 1) * width + x] !== color) perimeter++;
+            }
+        }
+
+        // Flood fill every region once
+        const seen = new Uint8Array(count);
+        const stack = [];
+        let regions = 0;
+        let tinyIslands = 0;
+        for (let start = 0; start < count; start++) {
+            if (seen[start] || colors[start] === -1) continue;
+
+            regions++;
+            let size = 0;
+            seen[start] = 1;
+            stack.push(start);
+            while (stack.length > 0) {
+                const i = stack.pop();
+                size++;
+                const x = i % width;
+                const neighbors = [
+                    x > 0 ? i - 1 : -1,
+                    x < width - 1 ? i + 1 : -1,
+                    i - width,
+                    i + width
+                ];
+                for (const n of neighbors) {
+                    if (n < 0 || n >= count || seen[n] || colors[n] !== colors[i]) continue;
+                    seen[n] = 1;
+                    stack.push(n);
+                }
+            }
+            if (size <= TINY_ISLAND_SIZE) tinyIslands++;
+        }
+
+        return {
+            paintablePixels,
+            regions,
+            tinyIslands,
+            perimeterRatio: paintablePixels > 0 ? Math.round((perimeter / paintablePixels) * 100) / 100 : 0,
+            similarColorPairs: countSimilarPairs(Array.from(new Set(colors)).filter(c => c !== -1))
+        };
+    }
+
+    function countSimilarPairs(packedColors) {
+        const metric = ColorDistance.getMetric('deltaE2000');
+        const converted = packedColors.map(c => metric.toSpace({ r: (c >> 16) & 255, g: (c >> 8) & 255, b: c & 255 }));
+
+        let pairs = 0;
+        for (let i = 0; i < converted.length; i++) {
+            for (let j = i + 1; j < converted.length; j++) {
+                if (metric.compare(converted[i], converted[j]) < SIMILAR_COLOR_DELTA) pairs++;
+            }
+        }
+        return pairs;
+    }
+
+    function scaledMetrics(metrics) {
+        return {
+            regionDensity: metrics.paintablePixels > 0 ? (metrics.regions / metrics.paintablePixels) * 100 : 0,
+            tinyIslandShare: metrics.regions > 0 ? metrics.tinyIslands / metrics.regions : 0,
+            similarColorPairs: metrics.similarColorPairs
+        };
+    }
+
+    // Tier from measured metrics: { score, tier, label }
+    function predictTier(metrics) {
+        const scaled = scaledMetrics(metrics);
+        const score = Object.keys(WEIGHTS).reduce((sum, key) => sum + scaled[key] * WEIGHTS[key], 0);
+        let tier = 0;
+        while (tier < TIER_SCORES.length - 1 && score >= TIER_SCORES[tier + 1]) tier++;
+
+        return { score: Math.round(score * 10) / 10, tier, label: TIER_LABELS[tier] };
+    }
+
+    // Was an estimate (e.g. stored in the catalog) scored with the current
+    // weights and tiers?
+    function isCurrent(estimate) {
+        if (!estimate) return false;
+        const { score, tier } = predictTier(estimate);
+        return estimate.score === score && estimate.tier === tier;
+    }
+
+    // Metrics and predicted tier of an image
+    function estimateDifficulty(image, options = {}) {
+        const metrics = measureComplexity(image, options);
+        return { ...metrics, ...predictTier(metrics) };
+    }
+
+    // Does a declared difficulty disagree with the estimate? false when
+    // either is unknown.
+    function disagrees(declared, estimate) {
+        const rank = difficultyRank(declared);
+        return rank !== null && !!estimate && rank !== estimate.tier;
+    }
+
+    return {
+        TINY_ISLAND_SIZE,
+        SIMILAR_COLOR_DELTA,
+        TIER_LABELS,
+        difficultyRank,
+        measureComplexity,
+        predictTier,
+        isCurrent,
+        estimateDifficulty,
+        disagrees
+    };
+});
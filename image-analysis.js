@@ -0,0 +1,578 @@
+// ===== Shared Image Analysis =====
+// Pure pixel helpers used by both the browser (app.js) and Node (server.js).
+// Everything works on raw RGBA images: { width, height, data } - a canvas
+// ImageData and a decoded pngjs image both have that shape.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./color-distance'), require('./palette-quantizer'), require('./difficulty-estimator'));
+    } else {
+        root.PixelAnalysis = factory(root.ColorDistance, root.PaletteQuantizer, root.DifficultyEstimator);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ColorDistance, PaletteQuantizer, DifficultyEstimator) {
+    // Default import rules (pixel art size and color range). Projects can
+    // override them in project-settings.json, see normalizeRules.
+    const MIN_SIZE = 16;
+    const MAX_SIZE = 32;
+    const MIN_COLORS = 2;
+    const MAX_COLORS = 15;
+    const QUANTIZE_THRESHOLD = 30; // RGB units
+
+    // allow  - transparent and semi-transparent pixels are fine
+    // binary - pixels must be fully transparent or fully opaque
+    // forbid - no transparent pixels at all
+    const TRANSPARENCY_POLICIES = ['allow', 'binary', 'forbid'];
+
+    // scaleCandidates: upscale factors to look for (empty = any integer scale)
+    const DEFAULT_RULES = {
+        minSize: MIN_SIZE,
+        maxSize: MAX_SIZE,
+        minColors: MIN_COLORS,
+        maxColors: MAX_COLORS,
+        transparency: 'allow',
+        scaleCandidates: []
+    };
+
+    // Pixels below this alpha are treated as transparent
+    const ALPHA_THRESHOLD = 128;
+
+    // Share of color edges an upscale grid must line up with (after
+    // correcting for chance) to be accepted
+    const MIN_GRID_ALIGNMENT = 0.75;
+
+    const { hexToRgb, rgbToHex } = ColorDistance;
+
+    // Calculate color distance (RGB Euclidean unless a metric is given)
+    function colorDistance(rgb1, rgb2, metric = 'rgb') {
+        return ColorDistance.distance(rgb1, rgb2, metric);
+    }
+
+    // Parse a palette file: "Name #HEX" per line (old format: just "#HEX")
+    function parsePalette(text) {
+        const lines = text.split('\n').map(line => line.trim()).filter(line => line);
+        const colors = [];
+        const names = new Map();
+
+        for (const line of lines) {
+            const parts = line.split(/\s+/);
+            if (parts.length >= 2) {
+                const name = parts[0];
+                const hex = parts[1].toUpperCase();
+                colors.push(hex);
+                names.set(hex, name);
+            } else if (line.startsWith('#')) {
+                colors.push(line.toUpperCase());
+            }
+        }
+
+        return { colors, names };
+    }
+
+    // Count opaque pixels per color (Map of hex -> pixel count)
+    function countColors(image) {
+        const pixels = image.data;
+        const colorMap = new Map();
+
+        for (let i = 0; i < pixels.length; i += 4) {
+            // Skip transparent pixels
+            if (pixels[i + 3] < ALPHA_THRESHOLD) continue;
+
+            const hex = rgbToHex(pixels[i], pixels[i + 1], pixels[i + 2]);
+            colorMap.set(hex, (colorMap.get(hex) || 0) + 1);
+        }
+
+        return colorMap;
+    }
+
+    // Copy of the image with alpha snapped: transparent pixels become
+    // 0,0,0,0 and every other pixel is fully opaque
+    function normalizeAlpha(image) {
+        const data = new Uint8ClampedArray(image.data);
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] < ALPHA_THRESHOLD) {
+                data[i] = data[i + 1] = data[i + 2] = data[i + 3] = 0;
+            } else {
+                data[i + 3] = 255;
+            }
+        }
+        return { width: image.width, height: image.height, data };
+    }
+
+    // Color edge strength per column (axis 'x') or row (axis 'y'): edges[i]
+    // sums how much pixel i differs from pixel i - 1 along that axis.
+    // Consecutive edges (the blend ramp of a smoothed upscale) are collapsed
+    // into one edge at their weighted center. Expects a normalizeAlpha image.
+    function countEdges(image, axis) {
+        const { width, height, data } = image;
+        const length = axis === 'x' ? width : height;
+        const lines = axis === 'x' ? height : width;
+        const pixelIndex = (line, i) => (axis === 'x' ? line * width + i : i * width + line) * 4;
+        const edges = new Float64Array(length);
+
+        for (let line = 0; line < lines; line++) {
+            let rampWeight = 0;
+            let rampCenter = 0;
+
+            for (let i = 1; i <= length; i++) {
+                let difference = 0;
+                if (i < length) {
+                    const current = pixelIndex(line, i);
+                    const previous = pixelIndex(line, i - 1);
+                    for (let c = 0; c < 4; c++) {
+                        difference += Math.abs(data[current + c] - data[previous + c]);
+                    }
+                }
+
+                if (difference > 0) {
+                    rampWeight += difference;
+                    rampCenter += difference * i;
+                } else if (rampWeight > 0) {
+                    edges[Math.round(rampCenter / rampWeight)] += rampWeight;
+                    rampWeight = 0;
+                    rampCenter = 0;
+                }
+            }
+        }
+        return edges;
+    }
+
+    // Edges this close to a grid line still count as on it (smoothed upscales)
+    function gridTolerance(scale) {
+        return scale >= 6 ? 1 : 0;
+    }
+
+    // Best grid offset for one axis at a given scale
+    function alignAxis(edges, scale) {
+        const tolerance = gridTolerance(scale);
+        const bins = new Float64Array(scale);
+        let total = 0;
+        edges.forEach((edge, i) => {
+            bins[i % scale] += edge;
+            total += edge;
+        });
+
+        let best = { offset: 0, hits: -1, total };
+        for (let offset = 0; offset < scale; offset++) {
+            let hits = 0;
+            for (let d = -tolerance; d <= tolerance; d++) {
+                hits += bins[(offset + d + scale) % scale];
+            }
+            // Within the tolerance window, the line on the strongest edge wins
+            if (hits > best.hits || (hits === best.hits && bins[offset] > bins[best.offset])) {
+                best = { offset, hits, total };
+            }
+        }
+        return best;
+    }
+
+    // Split one axis into blocks [start, end) for a grid. Partial blocks at
+    // the edges are kept when at least half a block survived the crop,
+    // thinner slivers are treated as cropped borders.
+    function axisBlocks(length, scale, offset) {
+        const blocks = [];
+        let cropStart = 0;
+        let cropEnd = 0;
+
+        if (offset > 0) {
+            if (offset >= scale / 2) blocks.push([0, offset]);
+            else cropStart = offset;
+        }
+        for (let start = offset; start < length; start += scale) {
+            const end = Math.min(start + scale, length);
+            if (end - start < scale / 2) {
+                cropEnd = end - start;
+                break;
+            }
+            blocks.push([start, end]);
+        }
+        return { blocks, cropStart, cropEnd };
+    }
+
+    // Downscale along a grid. Every block becomes its most common color and
+    // blocks whose pixels are not all that color are reported.
+    // Expects a normalizeAlpha image.
+    function sampleGrid(image, scale, offsetX, offsetY) {
+        const columns = axisBlocks(image.width, scale, offsetX);
+        const rows = axisBlocks(image.height, scale, offsetY);
+        const width = columns.blocks.length;
+        const height = rows.blocks.length;
+        const data = new Uint8ClampedArray(width * height * 4);
+        const disagreeingBlocks = [];
+        let matching = 0;
+        let total = 0;
+
+        rows.blocks.forEach(([top, bottom], y) => {
+            columns.blocks.forEach(([left, right], x) => {
+                // color key -> { index of a pixel with that color, count }
+                const votes = new Map();
+                for (let sy = top; sy < bottom; sy++) {
+                    for (let sx = left; sx < right; sx++) {
+                        const i = (sy * image.width + sx) * 4;
+                        const key = image.data[i + 3] === 0
+                            ? -1
+                            : (image.data[i] << 16) | (image.data[i + 1] << 8) | image.data[i + 2];
+                        const vote = votes.get(key);
+                        if (vote) vote.count++;
+                        else votes.set(key, { index: i, count: 1 });
+                    }
+                }
+
+                let winner = null;
+                for (const vote of votes.values()) {
+                    if (!winner || vote.count > winner.count) winner = vote;
+                }
+                const winnerVotes = winner.count;
+
+                const pixels = (bottom - top) * (right - left);
+                matching += winnerVotes;
+                total += pixels;
+                if (winnerVotes < pixels) {
+                    disagreeingBlocks.push({ x, y, agreement: Math.round(winnerVotes / pixels * 100) / 100 });
+                }
+
+                data.set(image.data.subarray(winner.index, winner.index + 4), (y * width + x) * 4);
+            });
+        });
+
+        return {
+            image: { width, height, data },
+            crop: { left: columns.cropStart, top: rows.cropStart, right: columns.cropEnd, bottom: rows.cropEnd },
+            agreement: total > 0 ? matching / total : 1,
+            disagreeingBlocks: disagreeingBlocks
+        };
+    }
+
+    // Detect nearest-neighbour upscaling of any integer factor from the run
+    // lengths of colors: grid lines at scale/offset must line up with the
+    // color edges. Images already within the pixel art size are left alone.
+    // rules.minSize, rules.maxSize and rules.scaleCandidates (see
+    // normalizeRules) apply. A scale's divisors line up too, and so do larger
+    // scales when the art has few edges (a flat image), so among the scales
+    // that line up - those giving an image within the size rules, if any do -
+    // the one whose blocks agree best wins, the smaller scale on a tie.
+    // Returns { image (downscaled), scale, offsetX, offsetY, crop, confidence,
+    // disagreeingBlocks } - confidence (0-1) combines how well the grid fits
+    // the edges with how uniform the blocks are; disagreeing blocks mean the
+    // source was not a clean upscale (smoothing, JPEG noise, edits).
+    function detectGrid(image, rules = DEFAULT_RULES) {
+        const unscaled = confidence => ({
+            image: image,
+            scale: 1,
+            offsetX: 0,
+            offsetY: 0,
+            crop: { left: 0, top: 0, right: 0, bottom: 0 },
+            confidence: confidence,
+            disagreeingBlocks: []
+        });
+
+        if (image.width <= rules.maxSize && image.height <= rules.maxSize) return unscaled(1);
+
+        const normalized = normalizeAlpha(image);
+        const edgesX = countEdges(normalized, 'x');
+        const edgesY = countEdges(normalized, 'y');
+
+        const aligned = [];
+        let bestRejected = 0;
+        const maxScale = Math.floor(Math.min(image.width, image.height) / 2);
+        const scales = [];
+        for (let scale = 2; scale <= maxScale; scale++) {
+            if (rules.scaleCandidates.length === 0 || rules.scaleCandidates.includes(scale)) scales.push(scale);
+        }
+        for (const scale of scales) {
+            const x = alignAxis(edgesX, scale);
+            const y = alignAxis(edgesY, scale);
+            const total = x.total + y.total;
+            if (total === 0) break;
+
+            // Correct for the share of edges that hit the grid by chance
+            const chance = (2 * gridTolerance(scale) + 1) / scale;
+            const alignment = Math.max(0, ((x.hits + y.hits) / total - chance) / (1 - chance));
+
+            if (alignment >= MIN_GRID_ALIGNMENT) {
+                aligned.push({ scale, offsetX: x.offset, offsetY: y.offset, alignment });
+            } else {
+                bestRejected = Math.max(bestRejected, alignment);
+            }
+        }
+
+        if (aligned.length === 0) return unscaled(Math.round((1 - bestRejected) * 1000) / 1000);
+
+        const withinSize = length => length >= rules.minSize && length <= rules.maxSize;
+        const fitting = aligned.filter(candidate =>
+            withinSize(axisBlocks(image.width, candidate.scale, candidate.offsetX).blocks.length) &&
+            withinSize(axisBlocks(image.height, candidate.scale, candidate.offsetY).blocks.length));
+
+        // Smallest scale first, so a tie keeps the smaller one
+        let best = null;
+        for (const candidate of fitting.length > 0 ? fitting : aligned) {
+            const sampled = sampleGrid(normalized, candidate.scale, candidate.offsetX, candidate.offsetY);
+            if (!best || sampled.agreement > best.sampled.agreement) best = { ...candidate, sampled };
+            if (sampled.agreement === 1) break;
+        }
+
+        return {
+            image: best.sampled.image,
+            scale: best.scale,
+            offsetX: best.offsetX,
+            offsetY: best.offsetY,
+            crop: best.sampled.crop,
+            confidence: Math.round(best.alignment * best.sampled.agreement * 1000) / 1000,
+            disagreeingBlocks: best.sampled.disagreeingBlocks
+        };
+    }
+
+    // Error about one import rule; error.rule names it
+    function ruleError(rule, message) {
+        return Object.assign(new Error(message), { rule });
+    }
+
+    // Fill in defaults and validate import rules. Throws on invalid values
+    // (error.rule is the rejected rule).
+    function normalizeRules(rules = {}) {
+        const merged = { ...DEFAULT_RULES, ...rules };
+        const isCount = value => Number.isInteger(value) && value > 0;
+
+        for (const key of ['minSize', 'maxSize', 'minColors', 'maxColors']) {
+            if (!isCount(merged[key])) {
+                throw ruleError(key, `${key} must be a positive whole number`);
+            }
+        }
+        if (merged.minSize > merged.maxSize) {
+            throw ruleError('minSize', 'minSize must not be larger than maxSize');
+        }
+        if (merged.minColors > merged.maxColors) {
+            throw ruleError('minColors', 'minColors must not be larger than maxColors');
+        }
+        if (!TRANSPARENCY_POLICIES.includes(merged.transparency)) {
+            throw ruleError('transparency', `Unknown transparency policy: ${merged.transparency}`);
+        }
+        if (!Array.isArray(merged.scaleCandidates) ||
+            !merged.scaleCandidates.every(scale => Number.isInteger(scale) && scale >= 2)) {
+            throw ruleError('scaleCandidates', 'scaleCandidates must be whole numbers of 2 or more');
+        }
+
+        return {
+            minSize: merged.minSize,
+            maxSize: merged.maxSize,
+            minColors: merged.minColors,
+            maxColors: merged.maxColors,
+            transparency: merged.transparency,
+            scaleCandidates: Array.from(new Set(merged.scaleCandidates)).sort((a, b) => a - b)
+        };
+    }
+
+    // Count fully transparent (below ALPHA_THRESHOLD) and semi-transparent pixels
+    function alphaStats(image) {
+        let transparentPixels = 0;
+        let partialAlphaPixels = 0;
+
+        for (let i = 3; i < image.data.length; i += 4) {
+            const alpha = image.data[i];
+            if (alpha < ALPHA_THRESHOLD) transparentPixels++;
+            if (alpha > 0 && alpha < 255) partialAlphaPixels++;
+        }
+        return { transparentPixels, partialAlphaPixels };
+    }
+
+    // Why an analyzed image breaks the import rules: [{ rule, message }] with
+    // rule 'size', 'colors' or 'transparency' (empty when it passes).
+    // summary: { width, height, colorCount, transparentPixels, partialAlphaPixels }
+    // - an analyzePixels result and a catalog record both have that shape.
+    function checkRules(summary, rules = DEFAULT_RULES) {
+        const rejections = [];
+        const { width, height, colorCount } = summary;
+
+        if (width < rules.minSize || width > rules.maxSize || height < rules.minSize || height > rules.maxSize) {
+            rejections.push({ rule: 'size', message: `size ${width}x${height} (allowed ${rules.minSize}-${rules.maxSize}px)` });
+        }
+        if (colorCount < rules.minColors || colorCount > rules.maxColors) {
+            rejections.push({ rule: 'colors', message: `${colorCount} colors (allowed ${rules.minColors}-${rules.maxColors})` });
+        }
+        if (rules.transparency === 'forbid' && summary.transparentPixels > 0) {
+            rejections.push({ rule: 'transparency', message: `${summary.transparentPixels} transparent pixels (transparency not allowed)` });
+        }
+        if (rules.transparency !== 'allow' && summary.partialAlphaPixels > 0) {
+            rejections.push({ rule: 'transparency', message: `${summary.partialAlphaPixels} semi-transparent pixels (only fully opaque or transparent allowed)` });
+        }
+        return rejections;
+    }
+
+    // Check if all pixel counts are divisible by 10 (accepts Map or plain object)
+    function isReadyToDev(colorMap) {
+        if (!colorMap) return false;
+
+        const counts = colorMap instanceof Map ? Array.from(colorMap.values()) : Object.values(colorMap);
+        if (counts.length === 0) return false;
+
+        return counts.every(count => count % 10 === 0);
+    }
+
+    // Map each image color to its nearest palette color (CIEDE2000 by default).
+    // Every entry keeps all palette colors sorted by distance as candidates,
+    // so a UI can offer the next-best choices as overrides.
+    function snapToPalette(colors, palette, metric = 'deltaE2000') {
+        const { toSpace, compare } = ColorDistance.getMetric(metric);
+        const paletteSpace = palette.map(color => ({
+            color: color.toUpperCase(),
+            value: toSpace(hexToRgb(color))
+        }));
+
+        return colors.map(color => {
+            const value = toSpace(hexToRgb(color));
+            const candidates = paletteSpace
+                .map(entry => ({ color: entry.color, distance: compare(value, entry.value) }))
+                .sort((a, b) => a.distance - b.distance);
+
+            return {
+                from: color.toUpperCase(),
+                to: candidates.length > 0 ? candidates[0].color : color.toUpperCase(),
+                distance: candidates.length > 0 ? candidates[0].distance : 0,
+                candidates: candidates
+            };
+        });
+    }
+
+    // Targets that more than one source color maps to (Map of target -> sources)
+    function findMergedColors(mapping) {
+        const byTarget = new Map();
+        for (const entry of mapping) {
+            if (!byTarget.has(entry.to)) byTarget.set(entry.to, []);
+            byTarget.get(entry.to).push(entry.from);
+        }
+
+        for (const [target, sources] of byTarget) {
+            if (sources.length < 2) byTarget.delete(target);
+        }
+        return byTarget;
+    }
+
+    // Rewrite opaque pixels through a color mapping ({ from, to } entries).
+    // Returns a new RGBA image; transparent pixels are left alone.
+    function remapColors(image, mapping) {
+        const lookup = new Map(mapping.map(entry => [entry.from.toLowerCase(), hexToRgb(entry.to)]));
+        const data = new Uint8ClampedArray(image.data);
+
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i + 3] < ALPHA_THRESHOLD) continue;
+
+            const target = lookup.get(rgbToHex(data[i], data[i + 1], data[i + 2]));
+            if (!target) continue;
+
+            data[i] = target.r;
+            data[i + 1] = target.g;
+            data[i + 2] = target.b;
+        }
+
+        return { width: image.width, height: image.height, data };
+    }
+
+    // Import cleanup: detect the upscale grid, downscale, and quantize when an
+    // upscaled image has too many colors. The pixels themselves are rewritten,
+    // so the returned image only contains the colors it reports.
+    // options: { mode, metric, threshold, palette } (see PaletteQuantizer)
+    // and { rules } (normalized import rules, defaults when missing)
+    // Returns { image, scale, grid, colorMap, originalColorCount, quantized }
+    function cleanPixels(image, options = {}) {
+        const rules = options.rules || DEFAULT_RULES;
+        const grid = detectGrid(image, rules);
+        const source = grid.image;
+        const scale = grid.scale;
+        const colorMap = countColors(source);
+
+        if (scale === 1 || colorMap.size <= rules.maxColors) {
+            return { image: source, scale, grid, colorMap, originalColorCount: colorMap.size, quantized: false };
+        }
+
+        const metric = options.metric || 'rgb';
+        const result = PaletteQuantizer.quantizeImage(source, colorMap, {
+            mode: options.mode,
+            maxColors: rules.maxColors,
+            metric: metric,
+            threshold: options.threshold !== undefined
+                ? options.threshold
+                : ColorDistance.getMetric(metric).thresholds.quantize,
+            palette: options.palette
+        });
+
+        return {
+            image: result.image,
+            scale: scale,
+            grid: grid,
+            colorMap: result.colorMap,
+            originalColorCount: colorMap.size,
+            quantized: true
+        };
+    }
+
+    // Run the same pipeline the importer uses and describe the result,
+    // including the reasons it breaks the import rules (rejections)
+    function analyzePixels(image, options = {}) {
+        const rules = options.rules || DEFAULT_RULES;
+        const cleaned = cleanPixels(image, options);
+        const source = cleaned.image;
+        const colors = Array.from(cleaned.colorMap.keys());
+
+        // Transparent pixels count on the cleaned image, semi-transparent ones
+        // on the source (downscaling snaps alpha)
+        const summary = {
+            width: source.width,
+            height: source.height,
+            colorCount: colors.length,
+            transparentPixels: alphaStats(source).transparentPixels,
+            partialAlphaPixels: alphaStats(image).partialAlphaPixels
+        };
+
+        const rejections = checkRules(summary, rules);
+
+        return {
+            width: source.width,
+            height: source.height,
+            originalWidth: image.width,
+            originalHeight: image.height,
+            scale: cleaned.scale,
+            offsetX: cleaned.grid.offsetX,
+            offsetY: cleaned.grid.offsetY,
+            crop: cleaned.grid.crop,
+            scaleConfidence: cleaned.grid.confidence,
+            disagreeingBlocks: cleaned.grid.disagreeingBlocks,
+            colors: colors,
+            colorCount: colors.length,
+            colorMap: cleaned.colorMap,
+            originalColorCount: cleaned.originalColorCount,
+            quantized: cleaned.quantized,
+            transparentPixels: summary.transparentPixels,
+            partialAlphaPixels: summary.partialAlphaPixels,
+            readyToDev: isReadyToDev(cleaned.colorMap),
+            difficulty: DifficultyEstimator.estimateDifficulty(source, { alphaThreshold: ALPHA_THRESHOLD }),
+            validSize: !rejections.some(r => r.rule === 'size'),
+            validColors: !rejections.some(r => r.rule === 'colors'),
+            rejections: rejections
+        };
+    }
+
+    return {
+        MIN_SIZE,
+        MAX_SIZE,
+        MIN_COLORS,
+        MAX_COLORS,
+        QUANTIZE_THRESHOLD,
+        TRANSPARENCY_POLICIES,
+        DEFAULT_RULES,
+        ALPHA_THRESHOLD,
+        MIN_GRID_ALIGNMENT,
+        hexToRgb,
+        rgbToHex,
+        colorDistance,
+        parsePalette,
+        normalizeRules,
+        alphaStats,
+        checkRules,
+        countColors,
+        detectGrid,
+        isReadyToDev,
+        snapToPalette,
+        findMergedColors,
+        remapColors,
+        cleanPixels,
+        analyzePixels
+    };
+});
@@ -0,0 +1,43 @@
+// ===== JSON Files =====
+// Load and save of the JSON files the server keeps: catalog.json,
+// project-settings.json, level-assignments.json, the trash and history
+// indexes and the image id sidecar.
+const fs = require('fs');
+const path = require('path');
+
+// The file's object over the defaults; just the defaults when the file is
+// missing. A file that is not valid JSON is moved aside to
+// <name>.corrupt-<timestamp> first, so the next save cannot write over the
+// records it still holds. Any other read error is thrown: better not to
+// start than to save defaults over a file that could not be read.
+function readJsonFile(filePath, defaults) {
+    let text;
+    try {
+        text = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return defaults;
+        throw error;
+    }
+
+    try {
+        return { ...defaults, ...JSON.parse(text) };
+    } catch (error) {
+        const corruptPath = `${filePath}.corrupt-${Date.now()}`;
+        fs.renameSync(filePath, corruptPath);
+        console.error(`${path.basename(filePath)} is not valid JSON, kept as ${path.basename(corruptPath)}; using defaults:`, error.message);
+        return defaults;
+    }
+}
+
+// Write to a temp file first so a crash never leaves half a file
+function writeJsonAtomic(filePath, data) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const tempPath = filePath + '.tmp';
+    fs.writeFileSync(tempPath, JSON.stringify(data, null, 2) + '\n', 'utf8');
+    fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+    readJsonFile,
+    writeJsonAtomic
+};
@@ -0,0 +1,256 @@
+// ===== Level CSV Import =====
+// Turns a level design spreadsheet (CSV) into levels through a column
+// mapping: field -> column index. Columns are detected by their header
+// names (English and Vietnamese, accents optional) or mapped by hand, and
+// a mapping can be saved as a profile that finds its columns again by
+// header name when the sheet gains or loses columns.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.LevelCsv = factory();
+    }
+})(typeof self !== 'undefined' ? self : this, function () {
+    // Level fields with the header names they are detected by (normalized:
+    // lowercase, no accents)
+    const FIELDS = [
+        { key: 'level', label: 'Level', required: true, headers: ['level', 'lv', 'level number', 'man', 'man choi', 'so man', 'ten', 'ten level', 'ten man'] },
+        { key: 'difficulty', label: 'Difficulty', required: true, headers: ['difficulty', 'level difficulty', 'do kho', 'do kho man'] },
+        { key: 'colors', label: 'Colors', required: false, headers: ['colors', 'color', 'color count', 'colours', 'so mau', 'mau'] },
+        { key: 'size', label: 'Size', required: false, headers: ['size', 'image size', 'kich thuoc', 'kich co', 'co anh'] },
+        { key: 'imageDifficulty', label: 'Image Difficulty', required: false, headers: ['image difficulty', 'img difficulty', 'art difficulty', 'do kho anh', 'do kho hinh', 'do kho tranh'] }
+    ];
+
+    // The columns of the original sheet: A level, B difficulty, H colors,
+    // I size, K image difficulty. Used when a file has no header.
+    const LEGACY_MAPPING = { level: 0, difficulty: 1, colors: 7, size: 8, imageDifficulty: 10 };
+
+    // Rows (arrays of cells) of a CSV text: quoted cells may hold commas,
+    // newlines and doubled quotes; blank lines are dropped
+    function parseRows(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        const endRow = () => {
+            row.push(cell.trim());
+            if (row.some(value => value !== '')) rows.push(row);
+            row = [];
+            cell = '';
+        };
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(cell.trim());
+                cell = '';
+            } else if (char === '\n') {
+                endRow();
+            } else if (char !== '\r') {
+                cell += char;
+            }
+        }
+        endRow();
+        return rows;
+    }
+
+    // Header text for matching: lowercase, no accents, single spaces
+    function normalizeHeader(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/đ/gi, 'd')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    // Column of every field found in a header row ({ field: index or null }).
+    // Exact names win over names containing an alias; longer aliases first,
+    // so "Image Difficulty" is not taken for the level difficulty.
+    function detectMapping(headerRow) {
+        const headers = headerRow.map(normalizeHeader);
+        const mapping = Object.fromEntries(FIELDS.map(field => [field.key, null]));
+        const taken = new Set();
+
+        const candidates = [];
+        FIELDS.forEach(field => {
+            field.headers.forEach(alias => {
+                headers.forEach((header, index) => {
+                    if (header === alias) {
+                        candidates.push({ field: field.key, index, score: 1000 + alias.length });
+                    } else if (` ${header} `.includes(` ${alias} `)) {
+                        candidates.push({ field: field.key, index, score: alias.length });
+                    }
+                });
+            });
+        });
+        candidates.sort((a, b) => b.score - a.score || a.index - b.index);
+
+        for (const candidate of candidates) {
+            if (mapping[candidate.field] !== null || taken.has(candidate.index)) continue;
+            mapping[candidate.field] = candidate.index;
+            taken.add(candidate.index);
+        }
+        return mapping;
+    }
+
+    // Index of the header row among the first rows (the first one naming at
+    // least two fields), or -1 when the file has no header
+    function detectHeaderRow(rows, lookAhead = 5) {
+        for (let i = 0; i < Math.min(rows.length, lookAhead); i++) {
+            const found = Object.values(detectMapping(rows[i])).filter(index => index !== null);
+            if (found.length >= 2) return i;
+        }
+        return -1;
+    }
+
+    // Row among the first ones holding the most of a profile's header names
+    // (at least two, or all of them if it has fewer), -1 when none does
+    function findProfileHeaderRow(rows, names, lookAhead = 5) {
+        const needed = Math.min(2, names.length);
+        let best = -1;
+        let bestCount = 0;
+        for (let i = 0; i < Math.min(rows.length, lookAhead); i++) {
+            const headers = rows[i].map(normalizeHeader);
+            const count = names.filter(name => headers.includes(name)).length;
+            if (count >= needed && count > bestCount) {
+                best = i;
+                bestCount = count;
+            }
+        }
+        return needed > 0 ? best : -1;
+    }
+
+    // Header row and mapping for a file: from a profile (columns found by
+    // header name, else by index), else detected, else the legacy columns
+    function resolveMapping(rows, profile = null) {
+        if (profile) {
+            const names = Object.values(profile.columns).map(column => normalizeHeader(column.header)).filter(Boolean);
+            const profileRow = findProfileHeaderRow(rows, names);
+            const headerRow = profileRow >= 0 ? profileRow : detectHeaderRow(rows);
+            const headers = headerRow >= 0 ? rows[headerRow].map(normalizeHeader) : [];
+
+            const mapping = {};
+            for (const field of FIELDS) {
+                const column = profile.columns[field.key];
+                if (!column) {
+                    mapping[field.key] = null;
+                    continue;
+                }
+                const byName = column.header ? headers.indexOf(normalizeHeader(column.header)) : -1;
+                mapping[field.key] = byName >= 0 ? byName : column.index;
+            }
+            return { headerRow, mapping };
+        }
+
+        const headerRow = detectHeaderRow(rows);
+        if (headerRow < 0) return { headerRow, mapping: { ...LEGACY_MAPPING } };
+
+        // Required fields the header does not name keep their original column
+        const mapping = detectMapping(rows[headerRow]);
+        const taken = Object.values(mapping);
+        for (const field of FIELDS) {
+            if (field.required && mapping[field.key] === null && !taken.includes(LEGACY_MAPPING[field.key])) {
+                mapping[field.key] = LEGACY_MAPPING[field.key];
+            }
+        }
+        return { headerRow, mapping };
+    }
+
+    // Profile to save for a mapping: index and header name of every column
+    function createProfile(name, rows, headerRow, mapping) {
+        const columns = {};
+        for (const field of FIELDS) {
+            const index = mapping[field.key];
+            if (index === null || index === undefined) continue;
+            columns[field.key] = { index, header: headerRow >= 0 ? rows[headerRow][index] || '' : '' };
+        }
+        return { name: String(name).trim(), columns };
+    }
+
+    // Levels of the rows below the header. Invalid rows are reported, not
+    // imported: [{ row (1-based, blank rows not counted), reason, cells }]
+    function applyMapping(rows, mapping, headerRow = -1) {
+        const missing = FIELDS.filter(field => field.required && (mapping[field.key] === null || mapping[field.key] === undefined));
+        if (missing.length > 0) {
+            throw new Error(`Map a column to ${missing.map(field => field.label).join(' and ')}`);
+        }
+
+        const cell = (cells, key) => (mapping[key] === null || mapping[key] === undefined ? '' : cells[mapping[key]] || '');
+        const levels = [];
+        const invalid = [];
+        const seen = new Set();
+
+        rows.forEach((cells, index) => {
+            if (index <= headerRow) return;
+
+            const reject = (reason) => invalid.push({ row: index + 1, reason, cells });
+
+            const levelText = cell(cells, 'level');
+            if (!/^\d+$/.test(levelText) || parseInt(levelText, 10) <= 0) {
+                return reject(levelText ? `level "${levelText}" is not a level number` : 'no level number');
+            }
+            const level = parseInt(levelText, 10);
+            if (seen.has(level)) return reject(`level ${level} appears twice`);
+
+            const difficulty = cell(cells, 'difficulty');
+            if (!difficulty || difficulty === '-') return reject('no difficulty');
+
+            const colorsText = cell(cells, 'colors');
+            if (colorsText && !/^\d+$/.test(colorsText)) return reject(`colors "${colorsText}" is not a number`);
+
+            const sizeText = cell(cells, 'size');
+            const size = /^(\d+)\s*x\s*(\d+)$/i.exec(sizeText);
+            if (sizeText && !size) return reject(`size "${sizeText}" is not like 16x16`);
+
+            seen.add(level);
+            levels.push({
+                level,
+                difficulty,
+                colors: colorsText ? parseInt(colorsText, 10) : 0,
+                size: size ? `${size[1]}x${size[2]}` : '',
+                imageDifficulty: cell(cells, 'imageDifficulty'),
+                assignedImage: null,
+                status: 'empty'
+            });
+        });
+
+        return { levels, invalid };
+    }
+
+    // Spreadsheet-style column name (0 -> A, 26 -> AA)
+    function columnLetter(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    return {
+        FIELDS,
+        LEGACY_MAPPING,
+        parseRows,
+        normalizeHeader,
+        detectMapping,
+        detectHeaderRow,
+        resolveMapping,
+        createProfile,
+        applyMapping,
+        columnLetter
+    };
+});
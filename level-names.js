@@ -0,0 +1,133 @@
+// ===== Level File Names =====
+// Files named after the level they belong to (Paint_Lv5.png, as written by
+// batch rename). The pattern is a project setting where {N} stands for the
+// level number.
+const path = require('path');
+
+const DEFAULT_LEVEL_FILE_PATTERN = 'Paint_Lv{N}.png';
+
+// Validate a pattern (throws on invalid ones)
+function normalizeLevelFilePattern(pattern = DEFAULT_LEVEL_FILE_PATTERN) {
+    if (typeof pattern !== 'string') {
+        throw new Error('Level file pattern must be a text');
+    }
+
+    const trimmed = pattern.trim();
+    if (trimmed.split('{N}').length !== 2) {
+        throw new Error('Level file pattern needs exactly one {N}');
+    }
+    if (/[\\/]/.test(trimmed)) {
+        throw new Error('Level file pattern must be a file name, not a path');
+    }
+    if (!/\.png$/i.test(trimmed)) {
+        throw new Error('Level file pattern must end in .png');
+    }
+    return trimmed;
+}
+
+function levelFileName(pattern, level) {
+    return pattern.replace('{N}', String(level));
+}
+
+// Level number a file name stands for, or null (case-insensitive,
+// Paint_Lv05.png is level 5)
+function parseLevelFileName(pattern, name) {
+    const [before, after] = pattern.split('{N}');
+    const match = new RegExp(`^${escapeRegExp(before)}(\\d+)${escapeRegExp(after)}$`, 'i').exec(name);
+    return match ? parseInt(match[1], 10) : null;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compare the level files in the catalog with the level assignments:
+//   restore   - level without a (resolvable) image, its file is free: assign it
+//   suggest   - level without an image, its file is assigned to another level
+//   conflicts - level assigned to another image than its file
+//   ambiguous - several files named for the same level, nothing is picked
+//   noLevel   - file named for a level that does not exist
+//   linked    - levels already assigned to their file (count)
+function matchLevelFiles(levels, catalog, pattern) {
+    const report = { restore: [], suggest: [], conflicts: [], ambiguous: [], noLevel: [], linked: 0 };
+
+    const filesByLevel = new Map();
+    for (const image of catalog.data.images) {
+        const levelNumber = parseLevelFileName(pattern, image.name);
+        if (levelNumber === null) continue;
+
+        if (!filesByLevel.has(levelNumber)) filesByLevel.set(levelNumber, []);
+        filesByLevel.get(levelNumber).push(image);
+    }
+
+    // Current catalog id of every assignment (old ids resolve via aliases)
+    const assignedIds = new Map();
+    for (const level of levels) {
+        const record = level.assignedImage ? catalog.getImage(level.assignedImage) : null;
+        if (record) assignedIds.set(level.level, record.id);
+    }
+
+    for (const [levelNumber, images] of filesByLevel) {
+        const level = levels.find(l => l.level === levelNumber);
+        if (!level) {
+            images.forEach(image => report.noLevel.push({ level: levelNumber, imageId: image.id, path: image.path }));
+            continue;
+        }
+
+        const assignedId = assignedIds.get(levelNumber);
+        if (images.some(image => image.id === assignedId)) {
+            report.linked++;
+            continue;
+        }
+        if (images.length > 1) {
+            report.ambiguous.push({ level: levelNumber, paths: images.map(image => image.path).sort() });
+            continue;
+        }
+
+        const image = images[0];
+        const entry = { level: levelNumber, imageId: image.id, path: image.path };
+        if (assignedId) {
+            report.conflicts.push({ ...entry, assignedImage: assignedId });
+            continue;
+        }
+
+        const otherLevel = levels.find(l => l.level !== levelNumber && assignedIds.get(l.level) === image.id);
+        if (otherLevel) {
+            report.suggest.push({ ...entry, assignedLevel: otherLevel.level });
+        } else {
+            report.restore.push(entry);
+        }
+    }
+
+    for (const list of [report.restore, report.suggest, report.conflicts, report.ambiguous, report.noLevel]) {
+        list.sort((a, b) => a.level - b.level);
+    }
+    return report;
+}
+
+// Renames that keep level files with their level after levels were
+// renumbered (moves: [{ from, to }] level numbers). Files stay in their
+// folder; paths are relative to PixelAssets like the catalog's.
+function levelFileRenames(catalog, pattern, moves) {
+    const targets = new Map(moves.filter(move => move.from !== move.to).map(move => [move.from, move.to]));
+    const renames = [];
+
+    for (const image of catalog.data.images) {
+        const levelNumber = parseLevelFileName(pattern, image.name);
+        if (!targets.has(levelNumber)) continue;
+
+        const folder = path.posix.dirname(image.path);
+        const name = levelFileName(pattern, targets.get(levelNumber));
+        renames.push({ from: image.path, to: folder === '.' ? name : `${folder}/${name}` });
+    }
+    return renames.sort((a, b) => a.from.localeCompare(b.from));
+}
+
+module.exports = {
+    DEFAULT_LEVEL_FILE_PATTERN,
+    normalizeLevelFilePattern,
+    levelFileName,
+    parseLevelFileName,
+    matchLevelFiles,
+    levelFileRenames
+};
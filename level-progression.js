@@ -0,0 +1,140 @@
+// ===== Level Progression =====
+// Pacing across the level list: expected versus actual colors, pixels and
+// difficulty per level, and the progression rules checked between
+// consecutive levels (sorted by level number). Rules live in
+// project-settings.json; null switches a rule off:
+//   maxColorJump      - colors change by at most N from one level to the next
+//   maxPixelJump      - paintable pixels change by at most N
+//   maxDifficultyJump - estimated image difficulty changes by at most N tiers
+//   maxHardStreak     - at most N hard or very hard levels in a row
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./difficulty-estimator'));
+    } else {
+        root.LevelProgression = factory(root.DifficultyEstimator);
+    }
+})(typeof self !== 'undefined' ? self : this, function (DifficultyEstimator) {
+    const DEFAULT_RULES = {
+        maxColorJump: 2,
+        maxPixelJump: null,
+        maxDifficultyJump: 2,
+        maxHardStreak: 1
+    };
+
+    // Tier from which a level counts as hard (0 easy ... 3 very hard)
+    const HARD_TIER = 2;
+
+    // Validate rules, missing ones take the defaults (throws on invalid values,
+    // error.rule is the rejected rule)
+    function normalizeRules(rules = {}) {
+        const merged = { ...DEFAULT_RULES, ...rules };
+
+        for (const key of Object.keys(DEFAULT_RULES)) {
+            const value = merged[key];
+            if (value === null) continue;
+
+            const minimum = key === 'maxHardStreak' ? 1 : 0;
+            if (!Number.isInteger(value) || value < minimum) {
+                throw Object.assign(new Error(`${key} must be a whole number of ${minimum} or more (or empty to switch it off)`), { rule: key });
+            }
+        }
+
+        return {
+            maxColorJump: merged.maxColorJump,
+            maxPixelJump: merged.maxPixelJump,
+            maxDifficultyJump: merged.maxDifficultyJump,
+            maxHardStreak: merged.maxHardStreak
+        };
+    }
+
+    function sizePixels(size) {
+        const match = /^(\d+)\s*x\s*(\d+)$/i.exec(String(size || '').trim());
+        return match ? parseInt(match[1], 10) * parseInt(match[2], 10) : null;
+    }
+
+    // One point per level, sorted by level number.
+    // findImage: assigned image of a level ({ colorCount, width, height,
+    // difficulty }) or null
+    // Expected pixels are the area of the expected size, actual pixels the
+    // paintable (non-transparent) pixels of the image.
+    function progressionSeries(levels, findImage) {
+        return [...levels]
+            .sort((a, b) => a.level - b.level)
+            .map(level => {
+                const image = level.assignedImage ? findImage(level) : null;
+                const estimate = image ? image.difficulty : null;
+
+                return {
+                    level: level.level,
+                    levelDifficulty: DifficultyEstimator.difficultyRank(level.difficulty),
+                    expectedColors: level.colors || null,
+                    actualColors: image ? image.colorCount : null,
+                    expectedPixels: sizePixels(level.size),
+                    actualPixels: image ? (estimate ? estimate.paintablePixels : image.width * image.height) : null,
+                    expectedDifficulty: DifficultyEstimator.difficultyRank(level.imageDifficulty),
+                    actualDifficulty: estimate ? estimate.tier : null
+                };
+            });
+    }
+
+    // What a level actually has, else what it is expected to have
+    function valueOf(point, name) {
+        const actual = point['actual' + name];
+        return actual !== null && actual !== undefined ? actual : point['expected' + name];
+    }
+
+    // Rule violations of a series: [{ level, rule, message }], reported on
+    // the later level of a pair
+    function checkProgression(series, rules = DEFAULT_RULES) {
+        const violations = [];
+        const tierLabel = tier => DifficultyEstimator.TIER_LABELS[tier];
+        const jumps = [
+            ['maxColorJump', 'Colors', value => `${value} colors`],
+            ['maxPixelJump', 'Pixels', value => `${value} px`],
+            ['maxDifficultyJump', 'Difficulty', tierLabel]
+        ];
+
+        for (let i = 1; i < series.length; i++) {
+            const previous = series[i - 1];
+            const point = series[i];
+
+            for (const [rule, name, format] of jumps) {
+                if (rules[rule] === null || rules[rule] === undefined) continue;
+
+                const from = valueOf(previous, name);
+                const to = valueOf(point, name);
+                if (from === null || to === null || Math.abs(to - from) <= rules[rule]) continue;
+
+                violations.push({
+                    level: point.level,
+                    rule,
+                    message: `${name} jump from ${format(from)} (level ${previous.level}) to ${format(to)} (max ${rules[rule]})`
+                });
+            }
+        }
+
+        if (rules.maxHardStreak) {
+            let streak = 0;
+            for (const point of series) {
+                streak = point.levelDifficulty !== null && point.levelDifficulty >= HARD_TIER ? streak + 1 : 0;
+                if (streak > rules.maxHardStreak) {
+                    violations.push({
+                        level: point.level,
+                        rule: 'maxHardStreak',
+                        message: `${streak} hard levels in a row (max ${rules.maxHardStreak})`
+                    });
+                }
+            }
+        }
+
+        return violations;
+    }
+
+    return {
+        DEFAULT_RULES,
+        HARD_TIER,
+        normalizeRules,
+        progressionSeries,
+        checkProgression
+    };
+});
@@ -0,0 +1,240 @@
+// ===== Level Auto-Assign Solver =====
+// Fills empty levels with library images in one go, every image used at most
+// once. Putting an image on a level costs:
+//   - nothing extra when size and color count match the level (a level that
+//     expects a size or color count only takes images that have it)
+//   - NOT_READY when the image is not Ready to Dev
+//   - DIFFICULTY per tier between the level's imageDifficulty and the image
+// The cheapest overall assignment comes from the Hungarian algorithm. A swap
+// pass then spreads images of the same theme (folder or first tag) apart:
+// THEME is added for every pair of neighbouring levels sharing a theme.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./difficulty-estimator'));
+    } else {
+        root.LevelSolver = factory(root.DifficultyEstimator);
+    }
+})(typeof self !== 'undefined' ? self : this, function (DifficultyEstimator) {
+    const COSTS = {
+        NOT_READY: 10,
+        DIFFICULTY: 5,
+        UNKNOWN_DIFFICULTY: 2,
+        THEME: 4
+    };
+
+    // Stands for "does not fit"; pairs with this cost are never assigned
+    const INFEASIBLE = 1e9;
+
+    // Tier of a declared difficulty word (0 easy ... 3 very hard, or null)
+    const difficultyRank = DifficultyEstimator.difficultyRank;
+
+    // Cost of one image on one level, with the reasons it is not free.
+    // level: { size ('WxH'), colors, imageDifficulty }
+    // image: { width, height, colorCount, ready, difficulty (rank or null) }
+    function pairCost(level, image) {
+        if (level.size && `${image.width}x${image.height}` !== String(level.size).toLowerCase().replace(/\s+/g, '')) {
+            return { cost: INFEASIBLE, reasons: ['size'] };
+        }
+        if (level.colors && image.colorCount !== level.colors) {
+            return { cost: INFEASIBLE, reasons: ['colors'] };
+        }
+
+        let cost = 0;
+        const reasons = [];
+        if (!image.ready) {
+            cost += COSTS.NOT_READY;
+            reasons.push('not ready to dev');
+        }
+
+        const wanted = difficultyRank(level.imageDifficulty);
+        if (wanted !== null) {
+            if (image.difficulty === null || image.difficulty === undefined) {
+                cost += COSTS.UNKNOWN_DIFFICULTY;
+                reasons.push('difficulty unknown');
+            } else if (image.difficulty !== wanted) {
+                cost += COSTS.DIFFICULTY * Math.abs(image.difficulty - wanted);
+                reasons.push('difficulty off by ' + Math.abs(image.difficulty - wanted));
+            }
+        }
+        return { cost, reasons };
+    }
+
+    // Minimum cost assignment of rows to columns (rows <= columns), the
+    // classic O(n^2 m) potentials version. Returns the column of every row.
+    function hungarian(cost) {
+        const n = cost.length;
+        const m = n > 0 ? cost[0].length : 0;
+        const u = new Array(n + 1).fill(0);
+        const v = new Array(m + 1).fill(0);
+        const p = new Array(m + 1).fill(0); // row matched to each column (1-based)
+        const way = new Array(m + 1).fill(0);
+
+        for (let i = 1; i <= n; i++) {
+            p[0] = i;
+            let j0 = 0;
+            const minv = new Array(m + 1).fill(Infinity);
+            const used = new Array(m + 1).fill(false);
+
+            do {
+                used[j0] = true;
+                const i0 = p[j0];
+                let delta = Infinity;
+                let j1 = 0;
+                for (let j = 1; j <= m; j++) {
+                    if (used[j]) continue;
+
+                    const cur = cost[i0 - 1][j - 1] - u[i0] - v[j];
+                    if (cur < minv[j]) {
+                        minv[j] = cur;
+                        way[j] = j0;
+                    }
+                    if (minv[j] < delta) {
+                        delta = minv[j];
+                        j1 = j;
+                    }
+                }
+                for (let j = 0; j <= m; j++) {
+                    if (used[j]) {
+                        u[p[j]] += delta;
+                        v[j] -= delta;
+                    } else {
+                        minv[j] -= delta;
+                    }
+                }
+                j0 = j1;
+            } while (p[j0] !== 0);
+
+            do {
+                const j1 = way[j0];
+                p[j0] = p[j1];
+                j0 = j1;
+            } while (j0);
+        }
+
+        const result = new Array(n).fill(-1);
+        for (let j = 1; j <= m; j++) {
+            if (p[j] > 0) result[p[j] - 1] = j - 1;
+        }
+        return result;
+    }
+
+    // Fill levels with images.
+    // levels: levels to fill ({ level, size, colors, imageDifficulty })
+    // images: free images ({ id, width, height, colorCount, ready, difficulty, theme })
+    // fixed:  themes of levels that keep their image ([{ level, theme }]),
+    //         so new images are spread apart from them too
+    // Returns { assignments: [{ level, imageId, cost, reasons }], unfilled: [level] }
+    function solve(levels, images, { fixed = [] } = {}) {
+        const pairs = levels.map(level => images.map(image => pairCost(level, image)));
+
+        // Square matrix: dummy images for levels nothing fits, dummy levels
+        // never needed since rows <= columns
+        const columns = Math.max(levels.length, images.length);
+        const matrix = pairs.map(row => {
+            const costs = row.map(pair => pair.cost);
+            while (costs.length < columns) costs.push(INFEASIBLE);
+            return costs;
+        });
+
+        const chosen = hungarian(matrix).map((column, row) =>
+            column >= 0 && column < images.length && pairs[row][column].cost < INFEASIBLE ? column : -1
+        );
+        spreadThemes(levels, images, pairs, chosen, fixed);
+
+        const assignments = [];
+        const unfilled = [];
+        chosen.forEach((column, row) => {
+            if (column < 0) {
+                unfilled.push(levels[row].level);
+            } else {
+                assignments.push({
+                    level: levels[row].level,
+                    imageId: images[column].id,
+                    cost: pairs[row][column].cost,
+                    reasons: pairs[row][column].reasons
+                });
+            }
+        });
+        return { assignments, unfilled };
+    }
+
+    // Swap images between filled levels (or with unused images) while that
+    // lowers pair costs plus theme penalties. Bounded number of passes.
+    function spreadThemes(levels, images, pairs, chosen, fixed) {
+        const fixedThemes = new Map(fixed.map(entry => [entry.level, entry.theme]));
+        const rowOfLevel = new Map(levels.map((level, row) => [level.level, row]));
+
+        const themeAt = (levelNumber) => {
+            const row = rowOfLevel.get(levelNumber);
+            if (row === undefined) return fixedThemes.get(levelNumber) || null;
+            return chosen[row] >= 0 ? images[chosen[row]].theme || null : null;
+        };
+        const themePenalty = (row) => {
+            const levelNumber = levels[row].level;
+            const theme = themeAt(levelNumber);
+            if (!theme) return 0;
+            return [levelNumber - 1, levelNumber + 1].filter(n => themeAt(n) === theme).length * COSTS.THEME;
+        };
+        const rowCost = (row) => (chosen[row] >= 0 ? pairs[row][chosen[row]].cost : 0) + themePenalty(row);
+        const localCost = (rows) => {
+            // Neighbours of the touched rows change too
+            const touched = new Set();
+            for (const row of rows) {
+                for (const n of [levels[row].level - 1, levels[row].level, levels[row].level + 1]) {
+                    if (rowOfLevel.has(n)) touched.add(rowOfLevel.get(n));
+                }
+            }
+            let total = 0;
+            touched.forEach(row => { total += rowCost(row); });
+            return total;
+        };
+
+        const used = new Set(chosen.filter(column => column >= 0));
+        for (let pass = 0; pass < 5; pass++) {
+            let improved = false;
+
+            for (let a = 0; a < levels.length; a++) {
+                if (chosen[a] < 0 || themePenalty(a) === 0) continue;
+
+                // Swap with another filled level
+                for (let b = 0; b < levels.length && themePenalty(a) > 0; b++) {
+                    if (b === a || chosen[b] < 0) continue;
+                    if (pairs[a][chosen[b]].cost >= INFEASIBLE || pairs[b][chosen[a]].cost >= INFEASIBLE) continue;
+
+                    const before = localCost([a, b]);
+                    [chosen[a], chosen[b]] = [chosen[b], chosen[a]];
+                    if (localCost([a, b]) < before) {
+                        improved = true;
+                    } else {
+                        [chosen[a], chosen[b]] = [chosen[b], chosen[a]];
+                    }
+                }
+
+                // Replace with an unused image
+                for (let column = 0; column < images.length && themePenalty(a) > 0; column++) {
+                    if (used.has(column) || pairs[a][column].cost >= INFEASIBLE) continue;
+
+                    const before = localCost([a]);
+                    const previous = chosen[a];
+                    chosen[a] = column;
+                    if (localCost([a]) < before) {
+                        used.delete(previous);
+                        used.add(column);
+                        improved = true;
+                    } else {
+                        chosen[a] = previous;
+                    }
+                }
+            }
+            if (!improved) break;
+        }
+    }
+
+    return {
+        COSTS,
+        difficultyRank,
+        pairCost,
+        hungarian,
+        solve
+    };
+});
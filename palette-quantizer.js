@@ -0,0 +1,254 @@
+// ===== Palette Quantizer =====
+// Reduces an image to a small palette and rewrites its pixels, so colors and
+// colorMap always describe the pixels that are actually stored.
+// Modes:
+//   median-cut - split the color cube at weighted medians (fast, deterministic)
+//   k-means    - refine median-cut clusters using the chosen distance metric
+//   palette    - only use colors from a given (master) palette
+// Each cluster is represented by its most used color, so the artist's own
+// colors survive instead of muddy averages.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./color-distance'));
+    } else {
+        root.PaletteQuantizer = factory(root.ColorDistance);
+    }
+})(typeof self !== 'undefined' ? self : this, function (ColorDistance) {
+    const MODES = ['median-cut', 'k-means', 'palette'];
+
+    const ALPHA_THRESHOLD = 128;
+    const KMEANS_ITERATIONS = 10;
+
+    const { hexToRgb, rgbToHex } = ColorDistance;
+
+    // colorMap (hex -> pixel count) to a list of weighted entries
+    function toEntries(colorMap) {
+        return Array.from(colorMap, ([hex, count]) => ({ hex, rgb: hexToRgb(hex), count }));
+    }
+
+    // Most used color of a group of entries
+    function mostUsed(entries) {
+        return entries.reduce((best, entry) => entry.count > best.count ? entry : best);
+    }
+
+    // Index of the nearest converted color
+    function nearestIndex(value, targets, compare) {
+        let best = 0;
+        let bestDistance = Infinity;
+        targets.forEach((target, i) => {
+            const distance = compare(value, target);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                best = i;
+            }
+        });
+        return best;
+    }
+
+    // Weighted median cut, returns clusters of entries
+    function medianCutClusters(entries, maxColors) {
+        let boxes = [entries];
+
+        while (boxes.length < maxColors) {
+            // Split the box with the widest channel range
+            let target = null;
+            for (const box of boxes) {
+                if (box.length < 2) continue;
+                for (const channel of ['r', 'g', 'b']) {
+                    const values = box.map(e => e.rgb[channel]);
+                    const range = Math.max(...values) - Math.min(...values);
+                    if (!target || range > target.range) {
+                        target = { box, channel, range };
+                    }
+                }
+            }
+            if (!target || target.range === 0) break;
+
+            const sorted = target.box.slice().sort((a, b) => a.rgb[target.channel] - b.rgb[target.channel]);
+            const total = sorted.reduce((sum, e) => sum + e.count, 0);
+
+            // Weighted median, but never an empty half
+            let running = 0;
+            let split = 1;
+            for (let i = 0; i < sorted.length - 1; i++) {
+                running += sorted[i].count;
+                split = i + 1;
+                if (running >= total / 2) break;
+            }
+
+            boxes = boxes.filter(box => box !== target.box);
+            boxes.push(sorted.slice(0, split), sorted.slice(split));
+        }
+
+        return boxes;
+    }
+
+    function medianCut(colorMap, maxColors) {
+        const entries = toEntries(colorMap);
+        if (entries.length <= maxColors) return entries.map(e => e.hex);
+
+        return medianCutClusters(entries, maxColors).map(box => mostUsed(box).hex);
+    }
+
+    // K-means seeded with the median-cut clusters. Centers are weighted RGB
+    // means, assignment uses the chosen metric.
+    function kMeans(colorMap, maxColors, metric = 'rgb') {
+        const entries = toEntries(colorMap);
+        if (entries.length <= maxColors) return entries.map(e => e.hex);
+
+        const { toSpace, compare } = ColorDistance.getMetric(metric);
+        entries.forEach(e => e.value = toSpace(e.rgb));
+
+        let centers = medianCutClusters(entries, maxColors).map(box => {
+            const total = box.reduce((sum, e) => sum + e.count, 0);
+            return {
+                r: box.reduce((sum, e) => sum + e.rgb.r * e.count, 0) / total,
+                g: box.reduce((sum, e) => sum + e.rgb.g * e.count, 0) / total,
+                b: box.reduce((sum, e) => sum + e.rgb.b * e.count, 0) / total
+            };
+        });
+        let assignment = [];
+
+        for (let iteration = 0; iteration < KMEANS_ITERATIONS; iteration++) {
+            const centerValues = centers.map(toSpace);
+            const next = entries.map(e => nearestIndex(e.value, centerValues, compare));
+            const changed = next.some((cluster, i) => cluster !== assignment[i]);
+            assignment = next;
+            if (!changed) break;
+
+            centers = centers.map((center, cluster) => {
+                const members = entries.filter((e, i) => assignment[i] === cluster);
+                if (members.length === 0) return center;
+
+                const total = members.reduce((sum, e) => sum + e.count, 0);
+                return {
+                    r: members.reduce((sum, e) => sum + e.rgb.r * e.count, 0) / total,
+                    g: members.reduce((sum, e) => sum + e.rgb.g * e.count, 0) / total,
+                    b: members.reduce((sum, e) => sum + e.rgb.b * e.count, 0) / total
+                };
+            });
+        }
+
+        return centers
+            .map((center, cluster) => entries.filter((e, i) => assignment[i] === cluster))
+            .filter(members => members.length > 0)
+            .map(members => mostUsed(members).hex);
+    }
+
+    // Map every color to its nearest palette color, then drop the least used
+    // palette colors until at most maxColors remain
+    function constrainToPalette(colorMap, palette, maxColors, metric = 'rgb') {
+        if (!palette || palette.length === 0) {
+            throw new Error('Palette mode needs a master palette');
+        }
+
+        const { toSpace, compare } = ColorDistance.getMetric(metric);
+        const entries = toEntries(colorMap);
+        entries.forEach(e => e.value = toSpace(e.rgb));
+
+        let targets = palette.map(hex => ({ hex: hex.toLowerCase(), value: toSpace(hexToRgb(hex)) }));
+
+        while (true) {
+            const usage = new Map();
+            for (const e of entries) {
+                const target = targets[nearestIndex(e.value, targets.map(t => t.value), compare)];
+                usage.set(target, (usage.get(target) || 0) + e.count);
+            }
+
+            targets = targets.filter(t => usage.has(t));
+            if (targets.length <= maxColors) break;
+
+            const leastUsed = targets.reduce((a, b) => usage.get(a) <= usage.get(b) ? a : b);
+            targets = targets.filter(t => t !== leastUsed);
+        }
+
+        return targets.map(t => t.hex);
+    }
+
+    // Drop palette colors closer than threshold to a more used one
+    function mergeClose(colors, colorMap, threshold, metric = 'rgb') {
+        const { toSpace, compare } = ColorDistance.getMetric(metric);
+        const values = colors.map(hex => toSpace(hexToRgb(hex)));
+
+        // Usage of each palette color = pixels that would map to it
+        const usage = colors.map(() => 0);
+        for (const [hex, count] of colorMap) {
+            usage[nearestIndex(toSpace(hexToRgb(hex)), values, compare)] += count;
+        }
+
+        const order = colors.map((hex, i) => i).sort((a, b) => usage[b] - usage[a]);
+        const kept = [];
+        for (const i of order) {
+            if (!kept.some(k => compare(values[k], values[i]) < threshold)) {
+                kept.push(i);
+            }
+        }
+        return kept.map(i => colors[i]);
+    }
+
+    // Quantize an RGBA image. colorMap is the image's opaque pixel count per
+    // color (PixelAnalysis.countColors). options:
+    //   { mode, maxColors, metric, threshold, palette }
+    // threshold (metric units, optional) merges near-duplicate palette colors.
+    // Returns { image, colors, colorMap, mapping } where image is a new RGBA
+    // image with every pixel rewritten (alpha snapped to 0 or 255).
+    function quantizeImage(image, colorMap, options = {}) {
+        const mode = options.mode || 'median-cut';
+        const maxColors = options.maxColors || 15;
+        const metric = options.metric || 'rgb';
+
+        let colors;
+        if (mode === 'median-cut') {
+            colors = medianCut(colorMap, maxColors);
+        } else if (mode === 'k-means') {
+            colors = kMeans(colorMap, maxColors, metric);
+        } else if (mode === 'palette') {
+            colors = constrainToPalette(colorMap, options.palette, maxColors, metric);
+        } else {
+            throw new Error(`Unknown quantize mode: ${mode}`);
+        }
+
+        if (options.threshold > 0) {
+            colors = mergeClose(colors, colorMap, options.threshold, metric);
+        }
+
+        // Every source color goes to its nearest palette color
+        const { toSpace, compare } = ColorDistance.getMetric(metric);
+        const values = colors.map(hex => toSpace(hexToRgb(hex)));
+        const mapping = new Map();
+        const newColorMap = new Map();
+        for (const [hex, count] of colorMap) {
+            const target = colors[nearestIndex(toSpace(hexToRgb(hex)), values, compare)];
+            mapping.set(hex, target);
+            newColorMap.set(target, (newColorMap.get(target) || 0) + count);
+        }
+
+        // Rewrite the pixels
+        const data = new Uint8ClampedArray(image.data.length);
+        for (let i = 0; i < data.length; i += 4) {
+            if (image.data[i + 3] < ALPHA_THRESHOLD) continue; // stays fully transparent
+
+            const source = rgbToHex(image.data[i], image.data[i + 1], image.data[i + 2]);
+            const target = hexToRgb(mapping.get(source) || source);
+            data[i] = target.r;
+            data[i + 1] = target.g;
+            data[i + 2] = target.b;
+            data[i + 3] = 255;
+        }
+
+        return {
+            image: { width: image.width, height: image.height, data },
+            colors: Array.from(newColorMap.keys()),
+            colorMap: newColorMap,
+            mapping: mapping
+        };
+    }
+
+    return {
+        MODES,
+        medianCut,
+        kMeans,
+        constrainToPalette,
+        quantizeImage
+    };
+});
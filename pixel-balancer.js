@@ -0,0 +1,304 @@
+// ===== Ready-to-Dev Pixel Balancer =====
+// Proposes the smallest set of pixel recolors that makes every color count
+// divisible by 10. Only colors already in the image are used and pixels on
+// the boundary between two colors are preferred, so the art barely changes.
+// Works on raw RGBA images ({ width, height, data }) like image-analysis.js.
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./image-analysis'));
+    } else {
+        root.PixelBalancer = factory(root.PixelAnalysis);
+    }
+})(typeof self !== 'undefined' ? self : this, function (PixelAnalysis) {
+    const STEP = 10;
+
+    // How many multiples of 10 a single color may move away from its count
+    const MAX_STEPS = 5;
+
+    // Key used for transparent pixels in the grid and in change records
+    const TRANSPARENT = 'transparent';
+
+    const NEIGHBORS = [[1, 0], [-1, 0], [0, 1], [0, -1]];
+
+    // Read the image into a flat array of color keys (hex or TRANSPARENT)
+    function readGrid(image) {
+        const grid = new Array(image.width * image.height);
+        for (let i = 0; i < grid.length; i++) {
+            const p = i * 4;
+            grid[i] = image.data[p + 3] < PixelAnalysis.ALPHA_THRESHOLD
+                ? TRANSPARENT
+                : PixelAnalysis.rgbToHex(image.data[p], image.data[p + 1], image.data[p + 2]);
+        }
+        return grid;
+    }
+
+    // Pick a count change per color so every count lands on a multiple of 10.
+    // Each color moves to a nearby multiple (never below 10, so no color
+    // disappears). The changes must cancel out - unless the opaque total itself
+    // is not a multiple of 10, in which case the outline has to grow (into
+    // transparent pixels) or shrink by the smallest possible amount. Small DP
+    // over "sum of changes so far" keeps the total number of recolors minimal.
+    // A fully opaque image only shrinks when allowTransparency is set, as
+    // that would give it its first transparent pixels.
+    function planTargets(colorMap, transparentCount, allowTransparency = false) {
+        let opaqueTotal = 0;
+        colorMap.forEach(count => opaqueTotal += count);
+
+        let states = new Map([[0, { cost: 0, deltas: [] }]]);
+
+        for (const count of colorMap.values()) {
+            const remainder = count % STEP;
+            const options = [];
+            for (let step = -MAX_STEPS; step <= MAX_STEPS; step++) {
+                const delta = step * STEP - remainder;
+                if (count + delta >= STEP) options.push(delta);
+            }
+
+            const next = new Map();
+            for (const [sum, state] of states) {
+                for (const delta of options) {
+                    const key = sum + delta;
+                    const cost = state.cost + Math.abs(delta);
+                    const existing = next.get(key);
+                    if (!existing || cost < existing.cost) {
+                        next.set(key, { cost, deltas: state.deltas.concat(delta) });
+                    }
+                }
+            }
+            states = next;
+        }
+
+        // Allowed outline changes: none when the opaque total already fits
+        const overflow = opaqueTotal % STEP;
+        const canShrink = transparentCount > 0 || allowTransparency;
+        const outlineOptions = overflow === 0 ? [0] : [-overflow, STEP - overflow]
+            .filter(outline => outline < 0 ? canShrink : outline <= transparentCount);
+
+        let best = null;
+        for (const outline of outlineOptions) {
+            const state = states.get(outline);
+            if (!state) continue;
+
+            // Every recolor moves one pixel out of one bucket into another
+            const moves = (state.cost + Math.abs(outline)) / 2;
+            if (!best || moves < best.moves) {
+                best = { moves, outline, deltas: state.deltas };
+            }
+        }
+
+        if (!best) return null;
+
+        const targets = new Map();
+        Array.from(colorMap.keys()).forEach((color, i) => {
+            if (best.deltas[i] !== 0) targets.set(color, best.deltas[i]);
+        });
+        if (best.outline !== 0) {
+            targets.set(TRANSPARENT, -best.outline);
+        }
+        return targets;
+    }
+
+    // Neighbour color counts for one pixel (outside the image is transparent)
+    function countNeighbors(grid, width, height, x, y) {
+        const counts = new Map();
+        for (const [dx, dy] of NEIGHBORS) {
+            const nx = x + dx;
+            const ny = y + dy;
+            const color = nx < 0 || ny < 0 || nx >= width || ny >= height
+                ? TRANSPARENT
+                : grid[ny * width + nx];
+            counts.set(color, (counts.get(color) || 0) + 1);
+        }
+        return counts;
+    }
+
+    // Score recoloring a pixel from -> to. Higher is better: many neighbours
+    // already in the new color, few in the old one, and a clean two-color edge.
+    function scoreMove(neighbors, from, to) {
+        const toCount = neighbors.get(to) || 0;
+        const fromCount = neighbors.get(from) || 0;
+        const others = 4 - toCount - fromCount;
+        return toCount * 4 - fromCount * 2 + (others === 0 ? 2 : 0);
+    }
+
+    // Find the best boundary pixel for any source color that touches any sink.
+    // Color pairs with the fewest alternatives go first so a later source is
+    // not left without a sink to hand its pixels to.
+    // With anywhere set, pixels that touch no sink are allowed as a last resort.
+    function findBestMove(grid, width, height, supply, demand, changed, anywhere = false) {
+        const adjacency = buildAdjacency(grid, width, height, changed);
+        const alternatives = (from, to) => {
+            let count = 0;
+            for (const sink of adjacency.get(from) || []) {
+                if (demand.get(sink) > 0) count++;
+            }
+            for (const [source, sinks] of adjacency) {
+                if (supply.get(source) > 0 && sinks.has(to)) count++;
+            }
+            return count;
+        };
+
+        let best = null;
+
+        for (let i = 0; i < grid.length; i++) {
+            const from = grid[i];
+            if (changed.has(i) || !(supply.get(from) > 0)) continue;
+
+            const neighbors = countNeighbors(grid, width, height, i % width, Math.floor(i / width));
+            const targets = anywhere ? demand.keys() : neighbors.keys();
+            for (const to of targets) {
+                if (to === from || !(demand.get(to) > 0)) continue;
+
+                const options = alternatives(from, to);
+                const score = scoreMove(neighbors, from, to);
+                if (!best || options < best.options || (options === best.options && score > best.score)) {
+                    best = { index: i, from, to, score, options };
+                }
+            }
+        }
+
+        return best;
+    }
+
+    // Which colors can hand a pixel to which: an unchanged pixel of color A
+    // touching color B means A -> B is possible (outline counts as transparent)
+    function buildAdjacency(grid, width, height, changed) {
+        const adjacency = new Map();
+
+        for (let i = 0; i < grid.length; i++) {
+            if (changed.has(i)) continue;
+
+            const neighbors = countNeighbors(grid, width, height, i % width, Math.floor(i / width));
+            for (const color of neighbors.keys()) {
+                if (color === grid[i]) continue;
+                if (!adjacency.has(grid[i])) adjacency.set(grid[i], new Set());
+                adjacency.get(grid[i]).add(color);
+            }
+        }
+        return adjacency;
+    }
+
+    // When no source color touches a sink, pass the pixel along through a
+    // neighbouring color instead: A -> B at an A/B edge, then B -> C later.
+    // Returns the first hop of the shortest such chain, or null.
+    function findRelayColor(grid, width, height, supply, demand, changed) {
+        const adjacency = buildAdjacency(grid, width, height, changed);
+
+        for (const [source, amount] of supply) {
+            if (amount <= 0) continue;
+
+            const firstHop = new Map();
+            const queue = [source];
+            const seen = new Set([source]);
+
+            while (queue.length > 0) {
+                const color = queue.shift();
+                if (color !== source && demand.get(color) > 0) {
+                    return { from: source, to: firstHop.get(color) };
+                }
+
+                for (const next of adjacency.get(color) || []) {
+                    if (seen.has(next)) continue;
+                    // The outline only ever takes part when it is a planned source/sink
+                    if (next === TRANSPARENT && !(demand.get(next) > 0)) continue;
+                    seen.add(next);
+                    firstHop.set(next, color === source ? next : firstHop.get(color));
+                    queue.push(next);
+                }
+            }
+        }
+        return null;
+    }
+
+    // Propose recolors for an RGBA image. Result:
+    //   { changes: [{ x, y, from, to }], counts (Map after applying),
+    //     outlineChanges, readyToDev }
+    // from/to are hex colors or 'transparent'. changes is empty when the
+    // image is already ready to dev; null is returned when it cannot be fixed.
+    // rules are the import rules: a fully opaque image is only given
+    // transparent pixels when they allow transparency (not without rules).
+    function proposeBalance(image, rules = null) {
+        const { width, height } = image;
+        const grid = readGrid(image);
+        const colorMap = PixelAnalysis.countColors(image);
+
+        if (PixelAnalysis.isReadyToDev(colorMap)) {
+            return { changes: [], counts: colorMap, outlineChanges: 0, readyToDev: true };
+        }
+
+        const transparentCount = grid.filter(color => color === TRANSPARENT).length;
+        const allowTransparency = Boolean(rules) && rules.transparency !== 'forbid';
+        const targets = planTargets(colorMap, transparentCount, allowTransparency);
+        if (!targets) return null;
+
+        // Colors that must give pixels away (supply) and receive them (demand)
+        const supply = new Map();
+        const demand = new Map();
+        for (const [color, delta] of targets) {
+            if (delta < 0) supply.set(color, -delta);
+            if (delta > 0) demand.set(color, delta);
+        }
+
+        const changes = [];
+        const changed = new Set();
+        const remaining = () => Array.from(supply.values()).reduce((sum, n) => sum + n, 0);
+
+        while (remaining() > 0) {
+            let move = findBestMove(grid, width, height, supply, demand, changed);
+            const relay = move ? null : findRelayColor(grid, width, height, supply, demand, changed);
+
+            if (relay) {
+                // The relay color gets one pixel now and hands one on later
+                move = findBestMove(grid, width, height, new Map([[relay.from, 1]]), new Map([[relay.to, 1]]), changed);
+                supply.set(relay.to, (supply.get(relay.to) || 0) + 1);
+            } else {
+                // Isolated colors: fall back to the least visible interior pixel
+                move = move || findBestMove(grid, width, height, supply, demand, changed, true);
+                if (!move) return null;
+                demand.set(move.to, demand.get(move.to) - 1);
+            }
+
+            supply.set(move.from, supply.get(move.from) - 1);
+            grid[move.index] = move.to;
+            changed.add(move.index);
+            changes.push({
+                x: move.index % width,
+                y: Math.floor(move.index / width),
+                from: move.from,
+                to: move.to
+            });
+        }
+
+        const counts = new Map();
+        for (const color of grid) {
+            if (color !== TRANSPARENT) counts.set(color, (counts.get(color) || 0) + 1);
+        }
+
+        return {
+            changes: changes,
+            counts: counts,
+            outlineChanges: changes.filter(c => c.from === TRANSPARENT || c.to === TRANSPARENT).length,
+            readyToDev: PixelAnalysis.isReadyToDev(counts)
+        };
+    }
+
+    // Group changes by color pair for display ("#aa0000 -> #00aa00: 3px")
+    function summarizeChanges(changes) {
+        const groups = new Map();
+        for (const change of changes) {
+            const key = `${change.from}>${change.to}`;
+            if (!groups.has(key)) {
+                groups.set(key, { from: change.from, to: change.to, count: 0 });
+            }
+            groups.get(key).count++;
+        }
+        return Array.from(groups.values()).sort((a, b) => b.count - a.count);
+    }
+
+    return {
+        TRANSPARENT,
+        planTargets,
+        proposeBalance,
+        summarizeChanges
+    };
+});
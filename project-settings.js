@@ -0,0 +1,89 @@
+// ===== Project Settings =====
+// Project-wide rules shared by the server, the CLI and (through
+// /api/settings) the browser. Persisted as project-settings.json next to
+// server.js; a missing file means the defaults from image-analysis.js.
+const PixelAnalysis = require('./image-analysis');
+const { readJsonFile, writeJsonAtomic } = require('./json-store');
+const levelNames = require('./level-names');
+const LevelProgression = require('./level-progression');
+
+const SETTINGS_VERSION = 1;
+
+// Rules that change how files are analyzed (not just how results are judged)
+const ANALYSIS_RULES = ['maxSize', 'maxColors', 'scaleCandidates'];
+
+class ProjectSettings {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.data = this.load();
+    }
+
+    // Load settings from disk (or fall back to defaults)
+    load() {
+        const defaults = {
+            version: SETTINGS_VERSION,
+            importRules: PixelAnalysis.normalizeRules(),
+            levelFilePattern: levelNames.DEFAULT_LEVEL_FILE_PATTERN,
+            progressionRules: LevelProgression.normalizeRules()
+        };
+
+        const data = readJsonFile(this.filePath, defaults);
+        try {
+            return {
+                ...data,
+                importRules: PixelAnalysis.normalizeRules(data.importRules),
+                levelFilePattern: levelNames.normalizeLevelFilePattern(data.levelFilePattern),
+                progressionRules: LevelProgression.normalizeRules(data.progressionRules)
+            };
+        } catch (error) {
+            console.error('Invalid project settings, using defaults:', error);
+            return defaults;
+        }
+    }
+
+    save() {
+        writeJsonAtomic(this.filePath, this.data);
+    }
+
+    get importRules() {
+        return this.data.importRules;
+    }
+
+    // Name of the file that belongs to a level, {N} = level number
+    get levelFilePattern() {
+        return this.data.levelFilePattern;
+    }
+
+    // Validate and store a new level file pattern (throws on invalid ones)
+    setLevelFilePattern(pattern) {
+        this.data.levelFilePattern = levelNames.normalizeLevelFilePattern(pattern);
+        this.save();
+    }
+
+    // Rules checked between consecutive levels, see level-progression.js
+    get progressionRules() {
+        return this.data.progressionRules;
+    }
+
+    // Validate and store new progression rules, rules left out keep their
+    // current value (throws on invalid values)
+    setProgressionRules(rules) {
+        this.data.progressionRules = LevelProgression.normalizeRules({ ...this.data.progressionRules, ...rules });
+        this.save();
+    }
+
+    // Validate and store new import rules, rules left out keep their current
+    // value (throws on invalid values).
+    // Returns true when files have to be re-analyzed under the new rules.
+    setImportRules(rules) {
+        const previous = this.data.importRules;
+        const next = PixelAnalysis.normalizeRules({ ...previous, ...rules });
+
+        this.data.importRules = next;
+        this.save();
+
+        return ANALYSIS_RULES.some(key => JSON.stringify(next[key]) !== JSON.stringify(previous[key]));
+    }
+}
+
+module.exports = { ProjectSettings };
@@ -0,0 +1,118 @@
+// ===== Reconciliation =====
+// Compares the catalog, the PNGs in PixelAssets and the level assignments
+// and lists where they disagree:
+//   untracked       - PNG on disk without a catalog record
+//   missing         - catalog record whose file is gone
+//   hashMismatch    - file changed on disk since the record was analyzed
+//   brokenLevels    - level assigned to an unknown image or a missing file
+//   duplicateNames  - the same file name in more than one folder
+// Every entry carries what a one-click fix needs (see server.js).
+const fs = require('fs');
+const path = require('path');
+const assetLibrary = require('./asset-library');
+const { findLevelImage } = require('./asset-ids');
+
+// levelFilePattern: project setting used to suggest images for broken levels
+function reconcileLibrary(rootDir, catalog, levels = [], levelFilePattern) {
+    const files = fs.existsSync(rootDir) ? assetLibrary.listImages(rootDir) : [];
+    const diskHashes = new Map(files.map(file => [file.path, assetLibrary.hashFile(path.join(rootDir, file.path))]));
+
+    const untracked = files
+        .filter(file => !catalog.findByPath(file.path))
+        .map(file => ({ path: file.path, contentHash: diskHashes.get(file.path), movedFrom: null }));
+
+    // A missing record whose content turned up untracked elsewhere was
+    // moved; both entries point at each other
+    const missing = catalog.data.images
+        .filter(img => !diskHashes.has(img.path))
+        .map(img => {
+            const moved = img.contentHash && untracked.find(file => !file.movedFrom && file.contentHash === img.contentHash);
+            if (moved) moved.movedFrom = img.path;
+            return { id: img.id, path: img.path, movedTo: moved ? moved.path : null };
+        });
+
+    const hashMismatch = catalog.data.images
+        .filter(img => diskHashes.has(img.path) && img.contentHash && img.contentHash !== diskHashes.get(img.path))
+        .map(img => ({ id: img.id, path: img.path, catalogHash: img.contentHash, diskHash: diskHashes.get(img.path) }));
+
+    return {
+        untracked,
+        missing,
+        hashMismatch,
+        brokenLevels: findBrokenLevels(levels, catalog, diskHashes, levelFilePattern),
+        duplicateNames: findDuplicateNames(files, diskHashes)
+    };
+}
+
+// Levels whose image is not in the catalog or whose file is gone, with the
+// image a re-link would pick (null when there is none)
+function findBrokenLevels(levels, catalog, diskHashes, levelFilePattern) {
+    const broken = [];
+    for (const level of levels) {
+        if (!level.assignedImage) continue;
+
+        const record = catalog.getImage(level.assignedImage);
+        if (record && diskHashes.has(record.path)) continue;
+
+        const match = findLevelImage({ ...level, assignedImage: null }, catalog, new Set(), levelFilePattern);
+        const suggestion = match && diskHashes.has(match.record.path)
+            ? { id: match.record.id, path: match.record.path, method: match.method }
+            : null;
+
+        broken.push({
+            level: level.level,
+            assignedImage: level.assignedImage,
+            assignedName: level.assignedName || (record && record.name) || null,
+            reason: record ? 'missing-file' : 'unknown-image',
+            suggestion
+        });
+    }
+    return broken;
+}
+
+// Groups of files sharing a name (case-insensitive) across folders.
+// sameContent: every copy has identical bytes.
+function findDuplicateNames(files, diskHashes) {
+    const byName = new Map();
+    for (const file of files) {
+        const key = file.name.toLowerCase();
+        if (!byName.has(key)) byName.set(key, []);
+        byName.get(key).push(file.path);
+    }
+
+    return Array.from(byName.values())
+        .filter(paths => paths.length > 1)
+        .map(paths => {
+            paths.sort();
+            return {
+                name: path.posix.basename(paths[0]),
+                paths,
+                sameContent: new Set(paths.map(p => diskHashes.get(p))).size === 1
+            };
+        });
+}
+
+// Target names that make a duplicate group unique: the first path keeps its
+// name, the others get their folder appended (cat.png in pets/ -> cat-pets.png).
+// taken(relPath) tells whether a name is in use already.
+function uniqueNameRenames(paths, taken) {
+    const planned = new Set();
+    return paths.slice(1).map(from => {
+        const folder = path.posix.dirname(from);
+        const base = path.posix.basename(from, path.posix.extname(from));
+        const suffix = folder === '.' ? 'root' : folder.replace(/[\\/]/g, '-');
+        const dir = folder === '.' ? '' : folder + '/';
+
+        let to = `${dir}${base}-${suffix}.png`;
+        for (let n = 2; taken(to) || planned.has(to); n++) {
+            to = `${dir}${base}-${suffix}-${n}.png`;
+        }
+        planned.add(to);
+        return { from, to };
+    });
+}
+
+module.exports = {
+    reconcileLibrary,
+    uniqueNameRenames
+};
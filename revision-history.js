@@ -0,0 +1,167 @@
+// ===== Revision History =====
+// Every save of a library PNG keeps a full copy of the saved version, keyed
+// by catalog image id so history follows renames, moves and trash restores.
+// The first save of an existing file also keeps the version it replaced.
+// Layout: <dir>/history.json (index) and <dir>/<imageId>/<revisionId>.png
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+const PixelAnalysis = require('./image-analysis');
+const { readJsonFile, writeJsonAtomic } = require('./json-store');
+
+const HISTORY_VERSION = 1;
+
+class RevisionHistory {
+    constructor(dirPath) {
+        this.dirPath = dirPath;
+        this.indexPath = path.join(dirPath, 'history.json');
+        this.data = this.load();
+    }
+
+    // Load the index from disk (or start an empty one)
+    load() {
+        return readJsonFile(this.indexPath, {
+            version: HISTORY_VERSION,
+            images: {}
+        });
+    }
+
+    save() {
+        writeJsonAtomic(this.indexPath, this.data);
+    }
+
+    // Revisions of an image, oldest first. Own keys only: ids come from
+    // URLs, and "__proto__" or "constructor" must not reach Object.prototype.
+    revisions(imageId) {
+        return Object.prototype.hasOwnProperty.call(this.data.images, imageId) ? this.data.images[imageId] : [];
+    }
+
+    // Revisions of an image, newest first
+    list(imageId) {
+        return this.revisions(imageId).slice().reverse();
+    }
+
+    get(imageId, revisionId) {
+        return this.revisions(imageId).find(rev => rev.id === revisionId) || null;
+    }
+
+    filePath(imageId, revision) {
+        return path.join(this.dirPath, String(imageId), revision.file);
+    }
+
+    read(imageId, revision) {
+        return fs.readFileSync(this.filePath(imageId, revision));
+    }
+
+    // Record a save. previous is the PNG that was on disk before (null for a
+    // new file), current the PNG now saved. meta: { path, author, note }.
+    // Returns the new revision, or null when nothing changed.
+    recordSave(imageId, previous, current, meta = {}) {
+        const revisions = this.revisions(imageId);
+        if (previous && previous.equals(current)) return null;
+
+        if (revisions.length === 0 && previous) {
+            this.addRevision(imageId, previous, {
+                path: meta.path,
+                author: null,
+                note: 'Version before the first tracked save',
+                summary: null
+            });
+        }
+
+        const revision = this.addRevision(imageId, current, {
+            ...meta,
+            summary: summarizeChange(previous, current)
+        });
+        this.save();
+        return revision;
+    }
+
+    // Move revisions to new image ids ({ oldId: newId }, see
+    // Catalog.rekeyImages) together with their files
+    rekey(newIds) {
+        let moved = 0;
+        for (const [oldId, newId] of Object.entries(newIds)) {
+            const revisions = this.revisions(oldId);
+            if (revisions.length === 0) continue;
+
+            const oldDir = path.join(this.dirPath, String(oldId));
+            const newDir = path.join(this.dirPath, String(newId));
+            if (fs.existsSync(oldDir) && !fs.existsSync(newDir)) {
+                fs.renameSync(oldDir, newDir);
+            }
+            this.data.images[newId] = this.revisions(newId).concat(revisions);
+            delete this.data.images[oldId];
+            moved++;
+        }
+
+        if (moved > 0) this.save();
+        return moved;
+    }
+
+    addRevision(imageId, buffer, { path: relPath, author, note, summary }) {
+        const id = Date.now() + Math.random();
+        const revision = {
+            id,
+            path: relPath,
+            createdAt: new Date().toISOString(),
+            author: author || null,
+            note: note || null,
+            summary: summary,
+            file: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.png`,
+            fileSize: buffer.length
+        };
+
+        fs.mkdirSync(path.join(this.dirPath, String(imageId)), { recursive: true });
+        fs.writeFileSync(this.filePath(imageId, revision), buffer);
+
+        this.data.images[imageId] = this.revisions(imageId).concat(revision);
+        return revision;
+    }
+}
+
+// What a save changed: { width, height, resized, colorsAdded, colorsRemoved,
+// pixelsChanged }. null when either version cannot be decoded.
+function summarizeChange(previous, current) {
+    let before = null;
+    let after;
+    try {
+        before = previous ? PNG.sync.read(previous) : null;
+        after = PNG.sync.read(current);
+    } catch (error) {
+        return null;
+    }
+
+    const afterColors = PixelAnalysis.countColors(after);
+    const summary = {
+        width: after.width,
+        height: after.height,
+        resized: false,
+        colorsAdded: Array.from(afterColors.keys()),
+        colorsRemoved: [],
+        pixelsChanged: after.width * after.height
+    };
+    if (!before) return summary;
+
+    const beforeColors = PixelAnalysis.countColors(before);
+    summary.colorsAdded = Array.from(afterColors.keys()).filter(hex => !beforeColors.has(hex));
+    summary.colorsRemoved = Array.from(beforeColors.keys()).filter(hex => !afterColors.has(hex));
+    summary.resized = before.width !== after.width || before.height !== after.height;
+
+    if (!summary.resized) {
+        summary.pixelsChanged = 0;
+        for (let i = 0; i < after.data.length; i += 4) {
+            if (after.data[i + 3] === 0 && before.data[i + 3] === 0) continue; // both transparent
+
+            if (after.data[i] !== before.data[i] ||
+                after.data[i + 1] !== before.data[i + 1] ||
+                after.data[i + 2] !== before.data[i + 2] ||
+                after.data[i + 3] !== before.data[i + 3]) {
+                summary.pixelsChanged++;
+            }
+        }
+    }
+    return summary;
+}
+
+module.exports = { RevisionHistory, summarizeChange };
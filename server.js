@@ -1,10 +1,39 @@
 const express = require('express');
 const fs = require('fs');
 const path = require('path');
+const PixelAnalysis = require('./image-analysis');
+const ColorDistance = require('./color-distance');
+const PaletteQuantizer = require('./palette-quantizer');
+const DifficultyEstimator = require('./difficulty-estimator');
+const assetLibrary = require('./asset-library');
+const assetInput = require('./asset-input');
+const { Catalog } = require('./catalog');
+const { ProjectSettings } = require('./project-settings');
+const { writeJsonAtomic } = require('./json-store');
+const { AssetWatcher } = require('./asset-watcher');
+const { Trash } = require('./trash');
+const { RevisionHistory } = require('./revision-history');
+const batchRename = require('./batch-rename');
+const { AssetIds, relinkLevels } = require('./asset-ids');
+const reconcile = require('./reconcile');
+const levelNames = require('./level-names');
 
 const app = express();
 const PORT = 3000;
-const PIXEL_ASSETS_DIR = path.join(__dirname, 'PixelAssets');
+// Asset folder and catalog can be moved (e.g. to a temp folder for tests)
+const PIXEL_ASSETS_DIR = path.resolve(process.env.PIXEL_ASSETS_DIR || path.join(__dirname, 'PixelAssets'));
+const CATALOG_FILE = path.resolve(process.env.CATALOG_FILE || path.join(__dirname, 'catalog.json'));
+const TRASH_DIR = path.resolve(process.env.TRASH_DIR || path.join(__dirname, 'Trash'));
+const HISTORY_DIR = path.resolve(process.env.HISTORY_DIR || path.join(__dirname, 'History'));
+const LEVELS_FILE = path.resolve(process.env.LEVELS_FILE || path.join(__dirname, 'level-assignments.json'));
+const MASTER_PALETTE_FILE = path.resolve(process.env.MASTER_PALETTE_FILE || path.join(__dirname, 'master-palette.txt'));
+const SETTINGS_FILE = path.resolve(process.env.SETTINGS_FILE || path.join(__dirname, 'project-settings.json'));
+
+const catalog = new Catalog(CATALOG_FILE, { ids: new AssetIds(PIXEL_ASSETS_DIR) });
+const settings = new ProjectSettings(SETTINGS_FILE);
+const trash = new Trash(TRASH_DIR);
+const history = new RevisionHistory(HISTORY_DIR);
+migrateImageIds();
 
 // Middleware to parse JSON and handle large payloads
 app.use(express.json({ limit: '10mb' }));
@@ -13,35 +42,121 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Serve static files
 app.use(express.static(__dirname));
 
+// Path of a file inside PixelAssets, with forward slashes
+function toRelativePath(fullPath) {
+    return path.relative(PIXEL_ASSETS_DIR, fullPath).replace(/\\/g, '/');
+}
+
+// Catalogs from before stable ids use random numbers. Their records get
+// stable ids once; history follows, and level-assignments.json is re-linked
+// (old ids stay valid as catalog aliases either way).
+function migrateImageIds() {
+    const newIds = catalog.rekeyImages(record => {
+        const fullPath = path.join(PIXEL_ASSETS_DIR, record.path);
+        const contentHash = record.contentHash || (fs.existsSync(fullPath) ? assetLibrary.hashFile(fullPath) : null);
+        return catalog.newImageId({ path: record.path, contentHash });
+    });
+    if (Object.keys(newIds).length === 0) return;
+    
+    history.rekey(newIds);
+    
+    if (fs.existsSync(LEVELS_FILE)) {
+        try {
+            const data = JSON.parse(fs.readFileSync(LEVELS_FILE, 'utf8'));
+            if (Array.isArray(data.levels)) {
+                const { levels, report } = relinkLevels(data.levels, catalog, settings.levelFilePattern);
+                writeJsonAtomic(LEVELS_FILE, { ...data, levels });
+                console.log(`🔗 Level assignments re-linked: ${report.relinked.length} changed, ${report.unresolved.length} unresolved`);
+            }
+        } catch (error) {
+            console.error('Error re-linking level-assignments.json:', error);
+        }
+    }
+    console.log(`🆔 Gave ${Object.keys(newIds).length} catalog images stable ids`);
+}
+
+// Send a failed request: invalid input becomes its structured 4xx response,
+// anything else is logged and reported as a 500
+function sendError(res, error, logMessage) {
+    if (error instanceof assetInput.InputError) {
+        return res.status(error.status).json(error.toJSON());
+    }
+    
+    console.error(logMessage, error);
+    res.status(500).json({
+        success: false,
+        message: error.message
+    });
+}
+
+// Move a library file to the trash together with its catalog record and
+// the levels it is linked to, so a restore can bring all of it back
+function trashFile(filePath) {
+    const relPath = toRelativePath(filePath);
+    const record = catalog.findByPath(relPath);
+    const levels = record
+        ? Object.keys(catalog.data.levelLinks).filter(level => catalog.data.levelLinks[level] === record.id).map(Number)
+        : [];
+    
+    const item = trash.add(filePath, { path: relPath, record, levels });
+    if (record) {
+        catalog.removeImage(record.id);
+    }
+    return item;
+}
+
+// Short optional text from a request (author names, save notes)
+function optionalText(value, maxLength) {
+    return typeof value === 'string' && value.trim() ? value.trim().slice(0, maxLength) : null;
+}
+
+// Overwrite a library PNG and keep the saved version in the revision history
+// (meta: { author, note })
+function writeImageWithHistory(filePath, buffer, meta) {
+    const relPath = toRelativePath(filePath);
+    const previous = fs.existsSync(filePath) ? fs.readFileSync(filePath) : null;
+    
+    // History is keyed by catalog id, so an untracked file gets its record first
+    if (previous && !catalog.findByPath(relPath)) {
+        syncCatalogFile(relPath);
+    }
+    
+    fs.writeFileSync(filePath, buffer);
+    const record = syncCatalogFile(relPath);
+    const revision = record ? history.recordSave(record.id, previous, buffer, { path: relPath, ...meta }) : null;
+    
+    return { record, revision };
+}
+
+// Keep the catalog record of a file in sync after it changed on disk.
+// Decode errors are logged, never fail the file operation itself.
+function syncCatalogFile(relPath) {
+    try {
+        return catalog.upsertByPath(relPath, assetLibrary.catalogRecordForFile(PIXEL_ASSETS_DIR, relPath, { rules: settings.importRules }));
+    } catch (error) {
+        console.error(`Error updating catalog for ${relPath}:`, error);
+        return null;
+    }
+}
+
+// Catalog record as sent to clients (adds the normalized image URL and
+// judges it against the current import rules)
+function toClientRecord(record) {
+    const rejections = PixelAnalysis.checkRules(record, settings.importRules);
+    
+    return {
+        ...record,
+        validSize: !rejections.some(r => r.rule === 'size'),
+        validColors: !rejections.some(r => r.rule === 'colors'),
+        rejections: rejections,
+        url: `/PixelAssets/${record.path}`,
+        src: `/api/catalog/images/${record.id}/image?v=${encodeURIComponent(record.mtime || '')}`
+    };
+}
+
 // API to get all PNG files from PixelAssets folder
 app.get('/api/images', (req, res) => {
     try {
-        const images = [];
-        
-        // Recursive function to scan directories
-        function scanDirectory(dir, relativePath = '') {
-            const items = fs.readdirSync(dir);
-            
-            for (const item of items) {
-                const fullPath = path.join(dir, item);
-                const stats = fs.statSync(fullPath);
-                
-                if (stats.isDirectory()) {
-                    // Recursively scan subdirectories
-                    scanDirectory(fullPath, path.join(relativePath, item));
-                } else if (stats.isFile() && item.toLowerCase().endsWith('.png')) {
-                    // Add PNG file to list
-                    const relPath = path.join(relativePath, item);
-                    images.push({
-                        name: item,
-                        path: relPath.replace(/\\/g, '/'), // Convert to forward slashes
-                        folder: relativePath.replace(/\\/g, '/'),
-                        url: `/PixelAssets/${relPath.replace(/\\/g, '/')}`
-                    });
-                }
-            }
-        }
-        
         // Check if PixelAssets directory exists
         if (!fs.existsSync(PIXEL_ASSETS_DIR)) {
             return res.json({ 
@@ -51,7 +166,7 @@ app.get('/api/images', (req, res) => {
             });
         }
         
-        scanDirectory(PIXEL_ASSETS_DIR);
+        const images = assetLibrary.listImages(PIXEL_ASSETS_DIR);
         
         res.json({
             success: true,
@@ -69,60 +184,142 @@ app.get('/api/images', (req, res) => {
     }
 });
 
-// API to save/overwrite PNG file
-app.post('/api/save-image', (req, res) => {
+// API to analyze PNG files (size, palette, pixel counts, scale, ready-to-dev)
+// GET /api/analyze analyzes the whole library, ?path=folder/file.png a single file.
+// Optional ?metric=rgb|deltaE76|deltaE2000|oklab&threshold=N control quantization,
+// ?mode=median-cut|k-means|palette picks the quantizer (palette uses master-palette.txt).
+app.get('/api/analyze', (req, res) => {
     try {
-        const { filename, dataUrl, folder } = req.body;
+        const options = { rules: settings.importRules };
+        if (req.query.metric) {
+            if (!ColorDistance.hasMetric(req.query.metric)) {
+                throw new assetInput.InputError(`Unknown metric: ${req.query.metric}`, 'INVALID_METRIC', 'metric');
+            }
+            options.metric = req.query.metric;
+        }
+        if (req.query.threshold !== undefined) {
+            options.threshold = parseFloat(req.query.threshold);
+            if (!(options.threshold >= 0)) {
+                throw new assetInput.InputError('Invalid threshold', 'INVALID_THRESHOLD', 'threshold');
+            }
+        }
+        if (req.query.mode) {
+            if (!PaletteQuantizer.MODES.includes(req.query.mode)) {
+                throw new assetInput.InputError(`Unknown mode: ${req.query.mode}`, 'INVALID_MODE', 'mode');
+            }
+            options.mode = req.query.mode;
+        }
+        if (options.mode === 'palette') {
+            if (!fs.existsSync(MASTER_PALETTE_FILE)) {
+                throw new assetInput.InputError('Palette mode needs master-palette.txt', 'MISSING_PALETTE', 'mode');
+            }
+            options.palette = PixelAnalysis.parsePalette(fs.readFileSync(MASTER_PALETTE_FILE, 'utf8')).colors;
+        }
         
-        if (!filename || !dataUrl) {
-            return res.status(400).json({
+        if (!fs.existsSync(PIXEL_ASSETS_DIR)) {
+            return res.json({
                 success: false,
-                message: 'Missing filename or dataUrl'
+                message: 'PixelAssets folder not found',
+                results: []
             });
         }
         
-        // Extract base64 data from dataUrl
-        const matches = dataUrl.match(/^data:image\/png;base64,(.+)$/);
-        if (!matches) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid dataUrl format'
+        // Single file
+        if (req.query.path) {
+            const filePath = assetInput.resolveFilePath(PIXEL_ASSETS_DIR, String(req.query.path));
+            
+            if (!fs.existsSync(filePath)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'File not found',
+                    code: 'NOT_FOUND',
+                    field: 'path'
+                });
+            }
+            
+            const normalized = toRelativePath(filePath);
+            return res.json({
+                success: true,
+                result: {
+                    name: path.basename(filePath),
+                    path: normalized,
+                    ...assetLibrary.analyzeImageFile(PIXEL_ASSETS_DIR, normalized, options)
+                }
             });
         }
         
-        const base64Data = matches[1];
-        const buffer = Buffer.from(base64Data, 'base64');
+        // Whole library - decode errors are reported per file
+        const results = assetLibrary.listImages(PIXEL_ASSETS_DIR).map(image => {
+            try {
+                return { ...image, ...assetLibrary.analyzeImageFile(PIXEL_ASSETS_DIR, image.path, options) };
+            } catch (error) {
+                return { ...image, error: error.message };
+            }
+        });
+        
+        res.json({
+            success: true,
+            count: results.length,
+            readyCount: results.filter(r => r.readyToDev).length,
+            results: results
+        });
+        
+    } catch (error) {
+        sendError(res, error, 'Error analyzing images:');
+    }
+});
+
+// API to save/overwrite PNG file
+app.post('/api/save-image', (req, res) => {
+    try {
+        const { filename, dataUrl, folder, author, note, baseHash } = req.body;
+        
+        const filePath = assetInput.resolveFile(PIXEL_ASSETS_DIR, folder, filename);
+        const buffer = assetInput.decodePngDataUrl(dataUrl);
         
-        // Construct file path
-        let targetDir = PIXEL_ASSETS_DIR;
-        if (folder && folder !== '') {
-            targetDir = path.join(PIXEL_ASSETS_DIR, folder);
+        // Optimistic concurrency: baseHash is the contentHash the client
+        // edited (null for a new file). Anything else on disk by now means
+        // someone saved in between. Without baseHash the file is overwritten.
+        if (baseHash !== undefined) {
+            const currentHash = fs.existsSync(filePath) ? assetLibrary.hashFile(filePath) : null;
             
-            // Create directory if it doesn't exist
-            if (!fs.existsSync(targetDir)) {
-                fs.mkdirSync(targetDir, { recursive: true });
+            if (currentHash !== baseHash) {
+                const record = currentHash ? syncCatalogFile(toRelativePath(filePath)) : null;
+                return res.status(409).json({
+                    success: false,
+                    message: !currentHash
+                        ? 'The file was deleted since you opened it'
+                        : baseHash ? 'The file was changed by someone else since you opened it' : 'A file with that name already exists',
+                    code: 'VERSION_CONFLICT',
+                    field: 'baseHash',
+                    currentHash: currentHash,
+                    image: record ? toClientRecord(record) : null
+                });
             }
         }
         
-        const filePath = path.join(targetDir, filename);
+        // Create directory if it doesn't exist
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
         
-        // Write file
-        fs.writeFileSync(filePath, buffer);
+        // Write file (the replaced version stays in the history)
+        const { record, revision } = writeImageWithHistory(filePath, buffer, {
+            author: optionalText(author, 100),
+            note: optionalText(note, 200)
+        });
         
         console.log(`✅ Saved: ${filePath}`);
         
         res.json({
             success: true,
             message: 'File saved successfully',
-            path: filePath
+            path: filePath,
+            contentHash: assetLibrary.hashBuffer(buffer),
+            image: record ? toClientRecord(record) : null,
+            revisionId: revision ? revision.id : null
         });
         
     } catch (error) {
-        console.error('Error saving file:', error);
-        res.status(500).json({
-            success: false,
-            message: error.message
-        });
+        sendError(res, error, 'Error saving file:');
     }
 });
 
@@ -131,45 +328,31 @@ app.delete('/api/delete-image', (req, res) => {
     try {
         const { filename, folder } = req.body;
         
-        if (!filename) {
-            return res.status(400).json({
-                success: false,
-                message: 'Missing filename'
-            });
-        }
-        
-        // Construct file path
-        let targetDir = PIXEL_ASSETS_DIR;
-        if (folder && folder !== '') {
-            targetDir = path.join(PIXEL_ASSETS_DIR, folder);
-        }
-        
-        const filePath = path.join(targetDir, filename);
+        const filePath = assetInput.resolveFile(PIXEL_ASSETS_DIR, folder, filename);
         
         // Check if file exists
         if (!fs.existsSync(filePath)) {
             return res.status(404).json({
                 success: false,
-                message: 'File not found'
+                message: 'File not found',
+                code: 'NOT_FOUND',
+                field: 'filename'
             });
         }
         
-        // Delete file
-        fs.unlinkSync(filePath);
+        // Move file to the trash
+        const item = trashFile(filePath);
         
-        console.log(`🗑️ Deleted: ${filePath}`);
+        console.log(`🗑️ Moved to trash: ${item.path}`);
         
         res.json({
             success: true,
-            message: 'File deleted successfully'
+            message: 'File moved to trash',
+            trashId: item.id
         });
         
     } catch (error) {
-        console.error('Error deleting file:', error);
-        res.status(500).json({
-            success: false,
-            message: error.message
-        });
+        sendError(res, error, 'Error deleting file:');
     }
 });
 
@@ -178,31 +361,23 @@ app.post('/api/create-folder', (req, res) => {
     try {
         const { folderName, parentFolder } = req.body;
         
-        if (!folderName) {
-            return res.status(400).json({
-                success: false,
-                message: 'Missing folderName'
-            });
-        }
-        
-        // Construct folder path
-        let targetDir = PIXEL_ASSETS_DIR;
-        if (parentFolder && parentFolder !== '') {
-            targetDir = path.join(PIXEL_ASSETS_DIR, parentFolder);
-        }
-        
+        assetInput.checkName(folderName, 'folderName');
+        const targetDir = assetInput.resolveFolder(PIXEL_ASSETS_DIR, parentFolder, 'parentFolder');
         const newFolderPath = path.join(targetDir, folderName);
         
         // Check if folder already exists
         if (fs.existsSync(newFolderPath)) {
-            return res.status(400).json({
+            return res.status(409).json({
                 success: false,
-                message: 'Folder already exists'
+                message: 'Folder already exists',
+                code: 'ALREADY_EXISTS',
+                field: 'folderName'
             });
         }
         
         // Create folder
         fs.mkdirSync(newFolderPath, { recursive: true });
+        catalog.addFolder(toRelativePath(newFolderPath));
         
         console.log(`📁 Created folder: ${newFolderPath}`);
         
@@ -213,55 +388,182 @@ app.post('/api/create-folder', (req, res) => {
         });
         
     } catch (error) {
-        console.error('Error creating folder:', error);
-        res.status(500).json({
-            success: false,
-            message: error.message
+        sendError(res, error, 'Error creating folder:');
+    }
+});
+
+// Existing library folder from a request ('' = the library root is refused)
+function resolveExistingFolder(folder, field) {
+    if (!folder) {
+        throw new assetInput.InputError(`Missing ${field}`, 'MISSING_FIELD', field);
+    }
+    
+    const fullPath = assetInput.resolveFolder(PIXEL_ASSETS_DIR, folder, field);
+    if (!fs.existsSync(fullPath) || !fs.statSync(fullPath).isDirectory()) {
+        throw new assetInput.InputError('Folder not found', 'NOT_FOUND', field, 404);
+    }
+    return fullPath;
+}
+
+// Move a folder on disk and carry its catalog records along
+function moveFolder(sourcePath, destPath, field) {
+    if (fs.existsSync(destPath)) {
+        throw new assetInput.InputError('A folder with that name already exists', 'ALREADY_EXISTS', field, 409);
+    }
+    
+    fs.mkdirSync(path.dirname(destPath), { recursive: true });
+    fs.renameSync(sourcePath, destPath);
+    return catalog.moveFolder(toRelativePath(sourcePath), toRelativePath(destPath));
+}
+
+// API to rename a folder (body: { folder: 'parent/old', newName })
+app.post('/api/rename-folder', (req, res) => {
+    try {
+        const { folder, newName } = req.body;
+        
+        const sourcePath = resolveExistingFolder(folder, 'folder');
+        assetInput.checkName(newName, 'newName');
+        const destPath = assetInput.resolveFolder(PIXEL_ASSETS_DIR, toRelativePath(path.join(path.dirname(sourcePath), newName)), 'newName');
+        
+        const record = moveFolder(sourcePath, destPath, 'newName');
+        
+        console.log(`🏷️ Renamed folder: ${toRelativePath(sourcePath)} → ${record.path}`);
+        
+        res.json({
+            success: true,
+            message: 'Folder renamed successfully',
+            folder: record,
+            from: toRelativePath(sourcePath)
         });
+        
+    } catch (error) {
+        sendError(res, error, 'Error renaming folder:');
     }
 });
 
-// API to move/rename file
-app.post('/api/move-image', (req, res) => {
+// API to move a folder into another one (body: { folder, toFolder }, an
+// empty toFolder moves it to the library root)
+app.post('/api/move-folder', (req, res) => {
     try {
-        const { filename, fromFolder, toFolder } = req.body;
+        const { folder, toFolder } = req.body;
         
-        if (!filename) {
-            return res.status(400).json({
-                success: false,
-                message: 'Missing filename'
+        const sourcePath = resolveExistingFolder(folder, 'folder');
+        const targetDir = assetInput.resolveFolder(PIXEL_ASSETS_DIR, toFolder, 'toFolder');
+        
+        if (targetDir === sourcePath || targetDir.startsWith(sourcePath + path.sep)) {
+            throw new assetInput.InputError('A folder cannot be moved into itself', 'INVALID_MOVE', 'toFolder');
+        }
+        
+        const destPath = path.join(targetDir, path.basename(sourcePath));
+        if (destPath === sourcePath) {
+            return res.json({
+                success: true,
+                message: 'Folder is already there',
+                folder: catalog.findFolder(toRelativePath(sourcePath)),
+                from: toRelativePath(sourcePath)
             });
         }
         
-        // Construct source path
-        let sourceDir = PIXEL_ASSETS_DIR;
-        if (fromFolder && fromFolder !== '') {
-            sourceDir = path.join(PIXEL_ASSETS_DIR, fromFolder);
+        const record = moveFolder(sourcePath, destPath, 'toFolder');
+        
+        console.log(`📦 Moved folder: ${toRelativePath(sourcePath)} → ${record.path}`);
+        
+        res.json({
+            success: true,
+            message: 'Folder moved successfully',
+            folder: record,
+            from: toRelativePath(sourcePath)
+        });
+        
+    } catch (error) {
+        sendError(res, error, 'Error moving folder:');
+    }
+});
+
+// API to delete a folder with everything in it (body: { folder }). Every PNG
+// goes to the trash on its own, so each one can be restored; emptied folders
+// are removed. Folders still holding other files are kept.
+app.delete('/api/delete-folder', (req, res) => {
+    try {
+        const { folder } = req.body;
+        
+        const fullPath = resolveExistingFolder(folder, 'folder');
+        const relPath = toRelativePath(fullPath);
+        
+        const trashed = catalog.batch(() => assetLibrary.listImages(fullPath)
+            .map(file => trashFile(path.join(fullPath, file.path))));
+        
+        const kept = removeEmptyFolders(fullPath);
+        catalog.batch(() => {
+            catalog.listFolders()
+                .filter(f => (f.path === relPath || f.path.startsWith(relPath + '/')) && !fs.existsSync(path.join(PIXEL_ASSETS_DIR, f.path)))
+                .forEach(f => catalog.removeFolder(f.path));
+        });
+        
+        console.log(`🗑️ Deleted folder ${relPath}: ${trashed.length} file(s) moved to trash${kept.length > 0 ? `, ${kept.length} other file(s) kept` : ''}`);
+        
+        res.json({
+            success: true,
+            message: kept.length > 0
+                ? `${trashed.length} file(s) moved to trash, the folder still holds ${kept.length} other file(s)`
+                : `Folder deleted, ${trashed.length} file(s) moved to trash`,
+            folder: relPath,
+            trashIds: trashed.map(item => item.id),
+            kept: kept
+        });
+        
+    } catch (error) {
+        sendError(res, error, 'Error deleting folder:');
+    }
+});
+
+// Files the system drops into folders, removed together with the folder
+const SYSTEM_FILES = new Set(['.ds_store', 'thumbs.db', 'desktop.ini']);
+
+// Remove a folder tree bottom-up as far as it is empty. Returns the files
+// that kept a folder alive (relative to PixelAssets).
+function removeEmptyFolders(dir) {
+    const kept = [];
+    
+    for (const item of fs.readdirSync(dir)) {
+        const itemPath = path.join(dir, item);
+        if (fs.statSync(itemPath).isDirectory()) {
+            kept.push(...removeEmptyFolders(itemPath));
+        } else if (!SYSTEM_FILES.has(item.toLowerCase())) {
+            kept.push(toRelativePath(itemPath));
         }
-        const sourcePath = path.join(sourceDir, filename);
+    }
+    
+    if (kept.length === 0) {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+    return kept;
+}
+
+// API to move/rename file
+app.post('/api/move-image', (req, res) => {
+    try {
+        const { filename, fromFolder, toFolder } = req.body;
+        
+        const sourcePath = assetInput.resolveFile(PIXEL_ASSETS_DIR, fromFolder, filename, { folderField: 'fromFolder' });
+        const destPath = assetInput.resolveFile(PIXEL_ASSETS_DIR, toFolder, filename, { folderField: 'toFolder' });
         
         // Check if source exists
         if (!fs.existsSync(sourcePath)) {
             return res.status(404).json({
                 success: false,
-                message: 'Source file not found'
+                message: 'Source file not found',
+                code: 'NOT_FOUND',
+                field: 'filename'
             });
         }
         
-        // Construct destination path
-        let destDir = PIXEL_ASSETS_DIR;
-        if (toFolder && toFolder !== '') {
-            destDir = path.join(PIXEL_ASSETS_DIR, toFolder);
-            
-            // Create destination folder if it doesn't exist
-            if (!fs.existsSync(destDir)) {
-                fs.mkdirSync(destDir, { recursive: true });
-            }
-        }
-        const destPath = path.join(destDir, filename);
+        // Create destination folder if it doesn't exist
+        fs.mkdirSync(path.dirname(destPath), { recursive: true });
         
         // Move file
         fs.renameSync(sourcePath, destPath);
+        catalog.movePath(toRelativePath(sourcePath), toRelativePath(destPath));
         
         console.log(`📦 Moved: ${sourcePath} → ${destPath}`);
         
@@ -272,43 +574,14 @@ app.post('/api/move-image', (req, res) => {
         });
         
     } catch (error) {
-        console.error('Error moving file:', error);
-        res.status(500).json({
-            success: false,
-            message: error.message
-        });
+        sendError(res, error, 'Error moving file:');
     }
 });
 
 // API to get folder structure
 app.get('/api/folders', (req, res) => {
     try {
-        const folders = [];
-        
-        function scanFolders(dir, relativePath = '') {
-            const items = fs.readdirSync(dir);
-            
-            for (const item of items) {
-                const fullPath = path.join(dir, item);
-                const stats = fs.statSync(fullPath);
-                
-                if (stats.isDirectory()) {
-                    const relPath = path.join(relativePath, item);
-                    folders.push({
-                        name: item,
-                        path: relPath.replace(/\\/g, '/'),
-                        parent: relativePath.replace(/\\/g, '/') || null
-                    });
-                    
-                    // Recursively scan subdirectories
-                    scanFolders(fullPath, relPath);
-                }
-            }
-        }
-        
-        if (fs.existsSync(PIXEL_ASSETS_DIR)) {
-            scanFolders(PIXEL_ASSETS_DIR);
-        }
+        const folders = assetLibrary.listFolders(PIXEL_ASSETS_DIR);
         
         res.json({
             success: true,
@@ -331,27 +604,16 @@ app.post('/api/rename-image', (req, res) => {
     try {
         const { oldFilename, newFilename, folder } = req.body;
         
-        if (!oldFilename || !newFilename) {
-            return res.status(400).json({
-                success: false,
-                message: 'Missing oldFilename or newFilename'
-            });
-        }
-        
-        // Construct paths
-        let targetDir = PIXEL_ASSETS_DIR;
-        if (folder && folder !== '') {
-            targetDir = path.join(PIXEL_ASSETS_DIR, folder);
-        }
-        
-        const oldPath = path.join(targetDir, oldFilename);
-        const newPath = path.join(targetDir, newFilename);
+        const oldPath = assetInput.resolveFile(PIXEL_ASSETS_DIR, folder, oldFilename, { field: 'oldFilename' });
+        const newPath = assetInput.resolveFile(PIXEL_ASSETS_DIR, folder, newFilename, { field: 'newFilename' });
         
         // Check if source exists
         if (!fs.existsSync(oldPath)) {
             return res.status(404).json({
                 success: false,
-                message: 'Source file not found'
+                message: 'Source file not found',
+                code: 'NOT_FOUND',
+                field: 'oldFilename'
             });
         }
         
@@ -359,12 +621,15 @@ app.post('/api/rename-image', (req, res) => {
         if (fs.existsSync(newPath)) {
             return res.status(409).json({
                 success: false,
-                message: 'File with new name already exists'
+                message: 'File with new name already exists',
+                code: 'ALREADY_EXISTS',
+                field: 'newFilename'
             });
         }
         
         // Rename file
         fs.renameSync(oldPath, newPath);
+        catalog.movePath(toRelativePath(oldPath), toRelativePath(newPath));
         
         console.log(`🏷️ Renamed: ${oldFilename} → ${newFilename}`);
         
@@ -376,11 +641,7 @@ app.post('/api/rename-image', (req, res) => {
         });
         
     } catch (error) {
-        console.error('Error renaming file:', error);
-        res.status(500).json({
-            success: false,
-            message: error.message
-        });
+        sendError(res, error, 'Error renaming file:');
     }
 });
 
@@ -389,27 +650,16 @@ app.post('/api/copy-image', (req, res) => {
     try {
         const { sourceFilename, destFilename, folder } = req.body;
         
-        if (!sourceFilename || !destFilename) {
-            return res.status(400).json({
-                success: false,
-                message: 'Missing sourceFilename or destFilename'
-            });
-        }
-        
-        // Construct paths
-        let targetDir = PIXEL_ASSETS_DIR;
-        if (folder && folder !== '') {
-            targetDir = path.join(PIXEL_ASSETS_DIR, folder);
-        }
-        
-        const sourcePath = path.join(targetDir, sourceFilename);
-        const destPath = path.join(targetDir, destFilename);
+        const sourcePath = assetInput.resolveFile(PIXEL_ASSETS_DIR, folder, sourceFilename, { field: 'sourceFilename' });
+        const destPath = assetInput.resolveFile(PIXEL_ASSETS_DIR, folder, destFilename, { field: 'destFilename' });
         
         // Check if source exists
         if (!fs.existsSync(sourcePath)) {
             return res.status(404).json({
                 success: false,
-                message: 'Source file not found'
+                message: 'Source file not found',
+                code: 'NOT_FOUND',
+                field: 'sourceFilename'
             });
         }
         
@@ -417,12 +667,15 @@ app.post('/api/copy-image', (req, res) => {
         if (fs.existsSync(destPath)) {
             return res.status(409).json({
                 success: false,
-                message: 'Destination file already exists'
+                message: 'Destination file already exists',
+                code: 'ALREADY_EXISTS',
+                field: 'destFilename'
             });
         }
         
         // Copy file
         fs.copyFileSync(sourcePath, destPath);
+        syncCatalogFile(toRelativePath(destPath));
         
         console.log(`📋 Copied: ${sourceFilename} → ${destFilename}`);
         
@@ -434,11 +687,7 @@ app.post('/api/copy-image', (req, res) => {
         });
         
     } catch (error) {
-        console.error('Error copying file:', error);
-        res.status(500).json({
-            success: false,
-            message: error.message
-        });
+        sendError(res, error, 'Error copying file:');
     }
 });
 
@@ -447,46 +696,101 @@ app.post('/api/delete-image', (req, res) => {
     try {
         const { filename, folder } = req.body;
         
-        if (!filename) {
-            return res.status(400).json({
-                success: false,
-                message: 'Missing filename'
-            });
-        }
-        
-        // Construct path
-        let targetDir = PIXEL_ASSETS_DIR;
-        if (folder && folder !== '') {
-            targetDir = path.join(PIXEL_ASSETS_DIR, folder);
-        }
-        
-        const filePath = path.join(targetDir, filename);
+        const filePath = assetInput.resolveFile(PIXEL_ASSETS_DIR, folder, filename);
         
         // Check if file exists
         if (!fs.existsSync(filePath)) {
             return res.status(404).json({
                 success: false,
-                message: 'File not found'
+                message: 'File not found',
+                code: 'NOT_FOUND',
+                field: 'filename'
             });
         }
         
-        // Delete file
-        fs.unlinkSync(filePath);
+        // Move file to the trash
+        const item = trashFile(filePath);
         
-        console.log(`🗑️ Deleted: ${filename}`);
+        console.log(`🗑️ Moved to trash: ${item.path}`);
         
         res.json({
             success: true,
-            message: 'File deleted successfully',
-            filename: filename
+            message: 'File moved to trash',
+            filename: filename,
+            trashId: item.id
         });
         
     } catch (error) {
-        console.error('Error deleting file:', error);
-        res.status(500).json({
-            success: false,
-            message: error.message
-        });
+        sendError(res, error, 'Error deleting file:');
+    }
+});
+
+// Plan and (unless dryRun) run a batch rename of paths relative to
+// PixelAssets. Either every file is renamed or (after a rollback) none is.
+// Returns { status, body } for the response.
+function runBatchRename(renames, dryRun) {
+    const plan = batchRename.planBatchRename(PIXEL_ASSETS_DIR, renames);
+    
+    if (!plan.ok || dryRun) {
+        return {
+            status: plan.ok ? 200 : 409,
+            body: {
+                success: plan.ok,
+                message: plan.ok ? 'Batch rename planned' : 'Batch rename has conflicts, nothing was renamed',
+                code: plan.ok ? undefined : 'BATCH_CONFLICT',
+                report: plan.entries.map(batchRename.toReportEntry),
+                cycles: plan.cycles
+            }
+        };
+    }
+    
+    try {
+        batchRename.executeBatchRename(plan);
+    } catch (error) {
+        console.error('Batch rename failed and was rolled back:', error);
+        return {
+            status: 500,
+            body: {
+                success: false,
+                message: `Batch rename failed and was rolled back: ${error.message}`,
+                code: 'ROLLED_BACK',
+                report: (error.entries || plan.entries).map(batchRename.toReportEntry),
+                cycles: plan.cycles
+            }
+        };
+    }
+    
+    // Files are in place, move the catalog records (ids, tags, level
+    // links and history stay with the image)
+    const renamed = plan.entries.filter(entry => entry.status === 'renamed');
+    const moves = renamed.map(entry => ({ from: toRelativePath(entry.fromPath), to: toRelativePath(entry.toPath) }));
+    catalog.movePaths(moves).forEach((record, i) => {
+        if (!record) syncCatalogFile(moves[i].to);
+    });
+    
+    console.log(`🏷️ Batch renamed ${renamed.length} file(s)${plan.cycles.length > 0 ? ` (${plan.cycles.length} cycle(s))` : ''}`);
+    
+    return {
+        status: 200,
+        body: {
+            success: true,
+            message: `Renamed ${renamed.length} file(s)`,
+            renamed: renamed.length,
+            report: plan.entries.map(batchRename.toReportEntry),
+            cycles: plan.cycles
+        }
+    };
+}
+
+// API to rename many files at once. Body: { renames: [{ from, to }], dryRun }
+// with paths relative to PixelAssets. The batch is planned as a whole.
+app.post('/api/batch-rename', (req, res) => {
+    try {
+        const { status, body } = runBatchRename(req.body.renames, req.body.dryRun);
+        res.status(status).json(body);
+        
+    } catch (error) {
+        sendError(res, error, 'Error renaming files:');
     }
 });
 
@@ -496,15 +800,19 @@ app.post('/api/save-assignment-data', (req, res) => {
         const data = req.body;
         
         // Save to project root
-        const filePath = path.join(__dirname, 'level-assignments.json');
-        fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+        writeJsonAtomic(LEVELS_FILE, data);
+        
+        // Mirror level links into the catalog
+        if (Array.isArray(data.levels)) {
+            catalog.setLevelLinks(data.levels);
+        }
         
-        console.log(`💾 Assignment data saved to: level-assignments.json`);
+        console.log(`💾 Assignment data saved to: ${path.basename(LEVELS_FILE)}`);
         
         res.json({
             success: true,
             message: 'Assignment data saved',
-            filePath: 'level-assignments.json'
+            filePath: path.basename(LEVELS_FILE)
         });
         
     } catch (error) {
@@ -516,7 +824,1037 @@ app.post('/api/save-assignment-data', (req, res) => {
     }
 });
 
-app.listen(PORT, () => {
-    console.log(`🎨 PixelVoxel Server running at http://localhost:${PORT}`);
-    console.log(`📂 Scanning folder: ${PIXEL_ASSETS_DIR}`);
+// API to re-link level assignments whose image ids no longer resolve (old
+// random ids, a rebuilt catalog): matched by id alias, content hash, path,
+// name and finally the level file name. Nothing is saved, the client decides.
+app.post('/api/levels/relink', (req, res) => {
+    try {
+        const levels = req.body && req.body.levels;
+        if (!Array.isArray(levels)) {
+            throw new assetInput.InputError('Missing levels', 'MISSING_FIELD', 'levels');
+        }
+        
+        const { levels: relinked, report } = relinkLevels(levels, catalog, settings.levelFilePattern);
+        
+        res.json({
+            success: true,
+            levels: relinked,
+            report: report
+        });
+        
+    } catch (error) {
+        sendError(res, error, 'Error re-linking levels:');
+    }
+});
+
+// API to rename level files (project setting, Paint_Lv{N}.png) after levels
+// were renumbered. Body: { moves: [{ from, to }] level numbers, dryRun };
+// every file named for a "from" level gets the name of its "to" level in
+// the same folder, all in one batch rename.
+app.post('/api/levels/renumber-files', (req, res) => {
+    try {
+        const moves = req.body && req.body.moves;
+        const isLevel = value => Number.isInteger(value) && value > 0;
+        if (!Array.isArray(moves) || !moves.every(move => move && isLevel(move.from) && isLevel(move.to))) {
+            throw new assetInput.InputError('moves must be a list of { from, to } level numbers', 'INVALID_MOVES', 'moves');
+        }
+        
+        const renames = levelNames.levelFileRenames(catalog, settings.levelFilePattern, moves);
+        if (renames.length === 0) {
+            return res.json({ success: true, message: 'No level files to rename', renamed: 0, report: [], cycles: [] });
+        }
+        
+        const { status, body } = runBatchRename(renames, req.body.dryRun);
+        res.status(status).json(body);
+        
+    } catch (error) {
+        sendError(res, error, 'Error renaming level files:');
+    }
+});
+
+// API to compare files named after levels (project setting, Paint_Lv{N}.png)
+// with the assignments: which levels get their file back, which files are
+// assigned elsewhere and which levels hold another image. Nothing is saved,
+// the client applies it.
+app.post('/api/levels/match-files', (req, res) => {
+    try {
+        const levels = req.body && req.body.levels;
+        if (!Array.isArray(levels)) {
+            throw new assetInput.InputError('Missing levels', 'MISSING_FIELD', 'levels');
+        }
+        
+        res.json({
+            success: true,
+            pattern: settings.levelFilePattern,
+            ...levelNames.matchLevelFiles(levels, catalog, settings.levelFilePattern)
+        });
+        
+    } catch (error) {
+        sendError(res, error, 'Error matching level files:');
+    }
 });
+
+// ===== Catalog API =====
+
+// Sync the catalog with PixelAssets: add new files, re-analyze changed ones
+// (or every file with force, e.g. after the import rules changed)
+function scanCatalog({ force = false } = {}) {
+    const files = assetLibrary.listImages(PIXEL_ASSETS_DIR);
+    const onDisk = new Set(files.map(file => file.path));
+    const report = { added: 0, updated: 0, unchanged: 0, errors: [], missing: [] };
+    
+    catalog.batch(() => {
+        for (const folder of assetLibrary.listFolders(PIXEL_ASSETS_DIR)) {
+            catalog.addFolder(folder.path);
+        }
+        
+        for (const file of files) {
+            const existing = catalog.findByPath(file.path);
+            const mtime = fs.statSync(path.join(PIXEL_ASSETS_DIR, file.path)).mtime.toISOString();
+            
+            // Records from before content hashes or the current difficulty
+            // estimate are analyzed once more
+            if (existing && existing.mtime === mtime && existing.contentHash && DifficultyEstimator.isCurrent(existing.difficulty) && !force) {
+                report.unchanged++;
+                continue;
+            }
+            
+            try {
+                catalog.upsertByPath(file.path, assetLibrary.catalogRecordForFile(PIXEL_ASSETS_DIR, file.path, { rules: settings.importRules }));
+                existing ? report.updated++ : report.added++;
+            } catch (error) {
+                report.errors.push({ path: file.path, message: error.message });
+            }
+        }
+    });
+    
+    // Records whose file is gone are reported, not silently dropped
+    report.missing = catalog.data.images
+        .filter(img => !onDisk.has(img.path))
+        .map(img => img.path);
+    
+    return report;
+}
+
+// Same pixels and file size: a vanished record and a new file are one file
+// that was moved or renamed
+function isSameFile(record, analysis) {
+    if (record.contentHash && analysis.contentHash) {
+        return record.contentHash === analysis.contentHash;
+    }
+    return record.fileSize === analysis.fileSize &&
+        record.width === analysis.width &&
+        record.height === analysis.height &&
+        JSON.stringify(record.colorMap) === JSON.stringify(analysis.colorMap);
+}
+
+// Apply changed paths reported by the watcher to the catalog. Only PNGs under
+// those paths are re-analyzed; a file that vanished while one with the same
+// content appeared keeps its record (id, tags, level links) as a rename.
+function applyDiskChanges(relPaths) {
+    const candidates = new Set(); // PNG files to check
+    const vanished = new Map();   // id -> record whose file is gone
+    const report = { added: 0, changed: 0, renamed: 0, deleted: 0 };
+    const isUnder = (itemPath, dir) => dir === '' || itemPath === dir || itemPath.startsWith(dir + '/');
+    
+    catalog.batch(() => {
+        for (const relPath of relPaths) {
+            const fullPath = path.join(PIXEL_ASSETS_DIR, relPath);
+            const stats = fs.existsSync(fullPath) ? fs.statSync(fullPath) : null;
+            
+            if (stats && stats.isDirectory()) {
+                // New, moved or changed folder: every file below it is a candidate
+                const files = assetLibrary.listImages(fullPath).map(file => relPath ? `${relPath}/${file.path}` : file.path);
+                files.forEach(file => candidates.add(file));
+                
+                const onDisk = new Set(files);
+                catalog.data.images
+                    .filter(img => isUnder(img.path, relPath) && !onDisk.has(img.path))
+                    .forEach(img => vanished.set(img.id, img));
+                
+                const parts = relPath ? relPath.split('/') : [];
+                for (let i = 1; i <= parts.length; i++) {
+                    catalog.addFolder(parts.slice(0, i).join('/'));
+                }
+                for (const folder of assetLibrary.listFolders(fullPath)) {
+                    catalog.addFolder(relPath ? `${relPath}/${folder.path}` : folder.path);
+                }
+            } else if (stats && stats.isFile()) {
+                if (relPath.toLowerCase().endsWith('.png')) {
+                    candidates.add(relPath);
+                }
+            } else {
+                // The file or a whole folder is gone
+                catalog.data.images
+                    .filter(img => isUnder(img.path, relPath))
+                    .forEach(img => vanished.set(img.id, img));
+                catalog.listFolders()
+                    .filter(folder => isUnder(folder.path, relPath))
+                    .forEach(folder => catalog.removeFolder(folder.path));
+            }
+        }
+        
+        for (const relPath of candidates) {
+            const existing = catalog.findByPath(relPath);
+            
+            let analysis;
+            try {
+                const mtime = fs.statSync(path.join(PIXEL_ASSETS_DIR, relPath)).mtime.toISOString();
+                if (existing && existing.mtime === mtime) continue;
+                
+                analysis = assetLibrary.catalogRecordForFile(PIXEL_ASSETS_DIR, relPath, { rules: settings.importRules });
+            } catch (error) {
+                // Usually a file that is still being written, the next event retries
+                console.error(`Error analyzing ${relPath}:`, error.message);
+                continue;
+            }
+            
+            const original = existing ? null : Array.from(vanished.values()).find(img => isSameFile(img, analysis));
+            if (original) {
+                vanished.delete(original.id);
+                catalog.movePath(original.path, relPath, analysis);
+                report.renamed++;
+            } else {
+                catalog.upsertByPath(relPath, analysis);
+                existing ? report.changed++ : report.added++;
+            }
+        }
+        
+        for (const record of vanished.values()) {
+            catalog.removeImage(record.id);
+            report.deleted++;
+        }
+    });
+    
+    return report;
+}
+
+// API to scan PixelAssets into the catalog
+app.post('/api/catalog/scan', (req, res) => {
+    try {
+        if (!fs.existsSync(PIXEL_ASSETS_DIR)) {
+            return res.json({
+                success: false,
+                message: 'PixelAssets folder not found'
+            });
+        }
+        
+        const report = scanCatalog();
+        
+        console.log(`📚 Catalog scan: +${report.added} ~${report.updated} =${report.unchanged}`);
+        
+        res.json({
+            success: true,
+            ...report,
+            total: catalog.data.images.length
+        });
+        
+    } catch (error) {
+        console.error('Error scanning catalog:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// API to get catalog summary (everything except image records)
+app.get('/api/catalog', (req, res) => {
+    res.json({
+        success: true,
+        version: catalog.data.version,
+        imageCount: catalog.data.images.length,
+        folders: catalog.listFolders(),
+        tags: catalog.listTags(),
+        levelLinks: catalog.data.levelLinks
+    });
+});
+
+// API to list image records page by page (?offset=0&limit=100&folder=&tag=)
+app.get('/api/catalog/images', (req, res) => {
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+    
+    const page = catalog.listImages({
+        offset,
+        limit,
+        folder: req.query.folder,
+        tag: req.query.tag
+    });
+    
+    res.json({
+        success: true,
+        ...page,
+        images: page.images.map(toClientRecord)
+    });
+});
+
+// API to get a single image record
+app.get('/api/catalog/images/:id', (req, res) => {
+    const record = catalog.getImage(req.params.id);
+    
+    if (!record) {
+        return res.status(404).json({
+            success: false,
+            message: 'Image not found'
+        });
+    }
+    
+    res.json({
+        success: true,
+        image: toClientRecord(record)
+    });
+});
+
+// API to get the normalized PNG of a record (downscaled and quantized when the
+// file is upscaled, so the pixels match the record's colors)
+app.get('/api/catalog/images/:id/image', (req, res) => {
+    try {
+        const record = catalog.getImage(req.params.id);
+        const filePath = record && path.join(PIXEL_ASSETS_DIR, record.path);
+        
+        if (!record || !fs.existsSync(filePath)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Image not found'
+            });
+        }
+        
+        if (record.scale <= 1) {
+            return res.sendFile(filePath);
+        }
+        
+        const png = assetLibrary.readImage(PIXEL_ASSETS_DIR, record.path);
+        const { image } = PixelAnalysis.cleanPixels(png, { rules: settings.importRules });
+        
+        res.type('png').send(assetLibrary.encodeImage(image));
+        
+    } catch (error) {
+        console.error('Error rendering catalog image:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// API to create an image (writes the PNG and adds its record)
+app.post('/api/catalog/images', (req, res) => {
+    try {
+        const { filename, dataUrl, folder, tags } = req.body;
+        
+        const filePath = assetInput.resolveFile(PIXEL_ASSETS_DIR, folder, filename);
+        const buffer = assetInput.decodePngDataUrl(dataUrl);
+        
+        if (fs.existsSync(filePath)) {
+            return res.status(409).json({
+                success: false,
+                message: 'File already exists',
+                code: 'ALREADY_EXISTS',
+                field: 'filename'
+            });
+        }
+        
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, buffer);
+        
+        const record = syncCatalogFile(toRelativePath(filePath));
+        if (!record) {
+            fs.unlinkSync(filePath);
+            return res.status(400).json({
+                success: false,
+                message: 'File is not a readable PNG',
+                code: 'INVALID_DATA_URL',
+                field: 'dataUrl'
+            });
+        }
+        
+        const image = tags ? catalog.editImage(record.id, { tags }) : record;
+        
+        res.json({
+            success: true,
+            image: toClientRecord(image)
+        });
+        
+    } catch (error) {
+        sendError(res, error, 'Error creating catalog image:');
+    }
+});
+
+// API to update image metadata (tags, notes)
+app.put('/api/catalog/images/:id', (req, res) => {
+    const record = catalog.editImage(req.params.id, req.body || {});
+    
+    if (!record) {
+        return res.status(404).json({
+            success: false,
+            message: 'Image not found'
+        });
+    }
+    
+    res.json({
+        success: true,
+        image: toClientRecord(record)
+    });
+});
+
+// API to delete an image record together with its file
+app.delete('/api/catalog/images/:id', (req, res) => {
+    try {
+        const record = catalog.getImage(req.params.id);
+        
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Image not found'
+            });
+        }
+        
+        // Records whose file is already gone have nothing to trash
+        const filePath = path.join(PIXEL_ASSETS_DIR, record.path);
+        const item = fs.existsSync(filePath) ? trashFile(filePath) : null;
+        if (!item) {
+            catalog.removeImage(record.id);
+        }
+        
+        console.log(`🗑️ Deleted: ${record.path}`);
+        
+        res.json({
+            success: true,
+            message: item ? 'Image moved to trash' : 'Image deleted successfully',
+            trashId: item ? item.id : null
+        });
+        
+    } catch (error) {
+        console.error('Error deleting catalog image:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// API to list catalog folders
+app.get('/api/catalog/folders', (req, res) => {
+    res.json({
+        success: true,
+        folders: catalog.listFolders()
+    });
+});
+
+// API to create a folder (on disk and in the catalog)
+app.post('/api/catalog/folders', (req, res) => {
+    try {
+        const folderPath = String(req.body.path || '').replace(/^\/+|\/+$/g, '');
+        
+        if (!folderPath) {
+            return res.status(400).json({
+                success: false,
+                message: 'Missing path',
+                code: 'MISSING_FIELD',
+                field: 'path'
+            });
+        }
+        
+        fs.mkdirSync(assetInput.resolveFolder(PIXEL_ASSETS_DIR, folderPath, 'path'), { recursive: true });
+        
+        // Parents are created on disk too, so record them as well
+        const folder = catalog.addFolderTree(folderPath);
+        
+        res.json({
+            success: true,
+            folder: folder
+        });
+        
+    } catch (error) {
+        sendError(res, error, 'Error creating catalog folder:');
+    }
+});
+
+// API to delete an empty folder (?path=folder/sub)
+app.delete('/api/catalog/folders', (req, res) => {
+    try {
+        const folderPath = String(req.query.path || '');
+        const folder = catalog.findFolder(folderPath);
+        
+        if (!folder) {
+            return res.status(404).json({
+                success: false,
+                message: 'Folder not found'
+            });
+        }
+        
+        const fullPath = assetInput.resolveFolder(PIXEL_ASSETS_DIR, folderPath, 'path');
+        if (fs.existsSync(fullPath)) {
+            if (fs.readdirSync(fullPath).length > 0) {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Folder is not empty'
+                });
+            }
+            fs.rmdirSync(fullPath);
+        }
+        catalog.removeFolder(folderPath);
+        
+        res.json({
+            success: true,
+            message: 'Folder deleted successfully'
+        });
+        
+    } catch (error) {
+        sendError(res, error, 'Error deleting catalog folder:');
+    }
+});
+
+// API to list tags with usage counts
+app.get('/api/catalog/tags', (req, res) => {
+    res.json({
+        success: true,
+        tags: catalog.listTags()
+    });
+});
+
+// API to link an image to a level
+app.put('/api/catalog/levels/:level', (req, res) => {
+    const level = parseInt(req.params.level);
+    const record = catalog.getImage(req.body.imageId);
+    
+    if (!level || !record) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid level or imageId'
+        });
+    }
+    
+    catalog.linkLevel(level, record.id);
+    
+    res.json({
+        success: true,
+        levelLinks: catalog.data.levelLinks
+    });
+});
+
+// API to unlink a level
+app.delete('/api/catalog/levels/:level', (req, res) => {
+    catalog.unlinkLevel(parseInt(req.params.level));
+    
+    res.json({
+        success: true,
+        levelLinks: catalog.data.levelLinks
+    });
+});
+
+// ===== Reconciliation API =====
+
+// Levels of level-assignments.json ([] when there is none)
+function readLevelsFile() {
+    if (!fs.existsSync(LEVELS_FILE)) return [];
+    
+    const data = JSON.parse(fs.readFileSync(LEVELS_FILE, 'utf8'));
+    return Array.isArray(data.levels) ? data.levels : [];
+}
+
+// The comparison behind both the report and its fixes, so a fix acts on the
+// entries the user saw (same levels, same level file pattern)
+function reconcileReport(levels) {
+    return reconcile.reconcileLibrary(PIXEL_ASSETS_DIR, catalog, levels, settings.levelFilePattern);
+}
+
+// API to compare catalog, disk and level assignments. The browser sends the
+// levels it holds (they are newer than level-assignments.json while an
+// auto-save is on its way); without them the file is read.
+app.post('/api/reconcile', (req, res) => {
+    try {
+        const levels = req.body && Array.isArray(req.body.levels) ? req.body.levels : readLevelsFile();
+        
+        res.json({
+            success: true,
+            ...reconcileReport(levels)
+        });
+        
+    } catch (error) {
+        sendError(res, error, 'Error reconciling library:');
+    }
+});
+
+// One-click fixes per category; keys pick entries (paths for untracked,
+// ids for missing and hashMismatch, names for duplicateNames), all entries
+// of the category without them. Level fixes are applied by the browser,
+// which owns the assignments; fix(entry, levels) gets the levels it sent.
+const RECONCILE_FIXES = {
+    // Add the file to the catalog (or re-attach the record it was moved from)
+    untracked: {
+        key: entry => entry.path,
+        fix: entry => {
+            const folder = path.posix.dirname(entry.path);
+            if (folder !== '.') catalog.addFolderTree(folder);
+            
+            // The moved file of a missing record takes that record along
+            if (entry.movedFrom) {
+                return RECONCILE_FIXES.missing.fix({ path: entry.movedFrom, movedTo: entry.path });
+            }
+            
+            const record = syncCatalogFile(entry.path);
+            if (!record) throw new Error('File could not be analyzed');
+            return { action: 'tracked', id: record.id };
+        }
+    },
+    // Point the record at its moved file, or drop it when the file is gone
+    missing: {
+        key: entry => entry.id,
+        fix: entry => {
+            if (!entry.movedTo) {
+                catalog.removeImage(entry.id);
+                return { action: 'removed' };
+            }
+            const analysis = assetLibrary.catalogRecordForFile(PIXEL_ASSETS_DIR, entry.movedTo, { rules: settings.importRules });
+            catalog.movePath(entry.path, entry.movedTo, analysis);
+            return { action: 'reattached', path: entry.movedTo };
+        }
+    },
+    // Re-analyze the file as it is on disk now
+    hashMismatch: {
+        key: entry => entry.id,
+        fix: entry => {
+            const record = syncCatalogFile(entry.path);
+            if (!record) throw new Error('File could not be analyzed');
+            return { action: 'reanalyzed', contentHash: record.contentHash };
+        }
+    },
+    // Identical copies go to the trash except the first one a level uses
+    // (catalog links or the browser's levels); levels of the trashed copies
+    // are re-linked to it. Different files get unique names.
+    duplicateNames: {
+        key: entry => entry.name,
+        fix: (entry, levels) => {
+            if (entry.sameContent) {
+                const records = entry.paths.map(relPath => catalog.findByPath(relPath));
+                // level -> { id (record id), from (id the level holds, may be an alias) }
+                const linked = new Map(Object.entries(catalog.data.levelLinks).map(([level, id]) => [Number(level), { id, from: id }]));
+                for (const level of levels) {
+                    const record = level.assignedImage && catalog.getImage(level.assignedImage);
+                    if (record) linked.set(level.level, { id: record.id, from: level.assignedImage });
+                }
+                
+                const linkedIds = new Set(Array.from(linked.values(), link => link.id));
+                const keepIndex = Math.max(0, records.findIndex(record => record && linkedIds.has(record.id)));
+                const kept = records[keepIndex];
+                const trashedIds = new Set(records.filter((record, i) => record && i !== keepIndex).map(record => record.id));
+                const relinked = Array.from(linked)
+                    .filter(([, link]) => trashedIds.has(link.id))
+                    .map(([level, link]) => ({ level, from: link.from, to: kept.id }));
+                
+                const paths = entry.paths.filter((relPath, i) => i !== keepIndex);
+                const trashIds = paths.map(relPath => trashFile(path.join(PIXEL_ASSETS_DIR, relPath)).id);
+                for (const { level } of relinked) {
+                    catalog.linkLevel(level, kept.id);
+                }
+                return { action: 'trashed', kept: entry.paths[keepIndex], paths, trashIds, relinked };
+            }
+            
+            const renames = reconcile.uniqueNameRenames(entry.paths, relPath => fs.existsSync(path.join(PIXEL_ASSETS_DIR, relPath)));
+            const plan = batchRename.planBatchRename(PIXEL_ASSETS_DIR, renames);
+            if (!plan.ok) {
+                throw new Error(plan.entries.filter(e => e.status === 'error').map(e => e.message).join(', '));
+            }
+            batchRename.executeBatchRename(plan);
+            catalog.movePaths(renames).forEach((record, i) => {
+                if (!record) syncCatalogFile(renames[i].to);
+            });
+            return { action: 'renamed', renames };
+        }
+    }
+};
+
+// API to apply a reconciliation fix ({ category, keys })
+app.post('/api/reconcile/fix', (req, res) => {
+    try {
+        const { category, keys } = req.body || {};
+        const handler = Object.prototype.hasOwnProperty.call(RECONCILE_FIXES, category) ? RECONCILE_FIXES[category] : null;
+        if (!handler) {
+            throw new assetInput.InputError(`Unknown category: ${category}`, 'INVALID_CATEGORY', 'category');
+        }
+        
+        // Entries come from a fresh comparison, never from the request
+        const levels = req.body && Array.isArray(req.body.levels) ? req.body.levels : readLevelsFile();
+        const report = reconcileReport(levels);
+        const wanted = Array.isArray(keys) ? new Set(keys.map(String)) : null;
+        const entries = report[category].filter(entry => !wanted || wanted.has(String(handler.key(entry))));
+        
+        const results = entries.map(entry => {
+            try {
+                return { key: handler.key(entry), ...handler.fix(entry, levels) };
+            } catch (error) {
+                console.error(`Error fixing ${category} ${handler.key(entry)}:`, error);
+                return { key: handler.key(entry), action: 'error', message: error.message };
+            }
+        });
+        const fixed = results.filter(result => result.action !== 'error').length;
+        
+        console.log(`🩹 Reconcile ${category}: fixed ${fixed}/${results.length}`);
+        
+        res.json({
+            success: true,
+            category: category,
+            fixed: fixed,
+            results: results
+        });
+        
+    } catch (error) {
+        sendError(res, error, 'Error applying reconciliation fix:');
+    }
+});
+
+// ===== Trash API =====
+
+// API to list trashed files (newest first)
+app.get('/api/trash', (req, res) => {
+    res.json({
+        success: true,
+        items: trash.list()
+    });
+});
+
+// API to restore a trashed file to its original path, with its catalog
+// record (same id, tags and notes) and the level links nobody took since
+app.post('/api/trash/:id/restore', (req, res) => {
+    try {
+        const item = trash.get(parseFloat(req.params.id));
+        
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Trash item not found',
+                code: 'NOT_FOUND',
+                field: 'id'
+            });
+        }
+        
+        const destPath = assetInput.resolveFilePath(PIXEL_ASSETS_DIR, item.path);
+        if (fs.existsSync(destPath)) {
+            return res.status(409).json({
+                success: false,
+                message: `A file already exists at ${item.path}`,
+                code: 'ALREADY_EXISTS',
+                field: 'path'
+            });
+        }
+        
+        fs.mkdirSync(path.dirname(destPath), { recursive: true });
+        trash.restore(item.id, destPath);
+        
+        const record = catalog.batch(() => {
+            if (item.folder) {
+                catalog.addFolderTree(item.folder);
+            }
+            
+            // Re-analyze under the current rules, the old record keeps id, tags and notes
+            let analysis = {};
+            try {
+                analysis = assetLibrary.catalogRecordForFile(PIXEL_ASSETS_DIR, item.path, { rules: settings.importRules });
+            } catch (error) {
+                console.error(`Error analyzing restored ${item.path}:`, error.message);
+            }
+            
+            if (item.record) {
+                return catalog.restoreImage({ ...item.record, ...analysis, path: item.path });
+            }
+            return analysis.width ? catalog.upsertByPath(item.path, analysis) : null;
+        });
+        
+        if (!record) {
+            return res.json({
+                success: true,
+                image: null,
+                levels: []
+            });
+        }
+        
+        const levels = item.levels.filter(level => {
+            const linked = catalog.data.levelLinks[level];
+            return linked === undefined || linked === record.id;
+        });
+        levels.forEach(level => catalog.linkLevel(level, record.id));
+        
+        console.log(`♻️ Restored from trash: ${item.path}`);
+        
+        res.json({
+            success: true,
+            image: toClientRecord(record),
+            levels: levels
+        });
+        
+    } catch (error) {
+        sendError(res, error, 'Error restoring from trash:');
+    }
+});
+
+// API to delete one trashed file for good
+app.delete('/api/trash/:id', (req, res) => {
+    try {
+        const item = trash.purge(parseFloat(req.params.id));
+        
+        if (!item) {
+            return res.status(404).json({
+                success: false,
+                message: 'Trash item not found',
+                code: 'NOT_FOUND',
+                field: 'id'
+            });
+        }
+        
+        console.log(`🔥 Purged from trash: ${item.path}`);
+        
+        res.json({
+            success: true,
+            message: 'File deleted permanently'
+        });
+        
+    } catch (error) {
+        sendError(res, error, 'Error purging trash item:');
+    }
+});
+
+// API to empty the trash
+app.delete('/api/trash', (req, res) => {
+    try {
+        const count = trash.purgeAll();
+        
+        console.log(`🔥 Emptied trash (${count} files)`);
+        
+        res.json({
+            success: true,
+            purged: count
+        });
+        
+    } catch (error) {
+        sendError(res, error, 'Error emptying trash:');
+    }
+});
+
+// ===== Revision History API =====
+
+// Catalog record whose file is in the library, or null
+function findLibraryImage(id) {
+    const record = catalog.getImage(id);
+    return record && fs.existsSync(path.join(PIXEL_ASSETS_DIR, record.path)) ? record : null;
+}
+
+// API to list the revisions of an image (newest first)
+app.get('/api/history/:id', (req, res) => {
+    const record = catalog.getImage(req.params.id);
+    const id = record ? record.id : req.params.id;
+    
+    res.json({
+        success: true,
+        image: record ? toClientRecord(record) : null,
+        revisions: history.list(id)
+    });
+});
+
+// API to get the PNG of a revision
+app.get('/api/history/:id/:revisionId/image', (req, res) => {
+    const record = catalog.getImage(req.params.id);
+    const id = record ? record.id : req.params.id;
+    const revision = history.get(id, parseFloat(req.params.revisionId));
+    
+    if (!revision || !fs.existsSync(history.filePath(id, revision))) {
+        return res.status(404).json({
+            success: false,
+            message: 'Revision not found',
+            code: 'NOT_FOUND',
+            field: 'revisionId'
+        });
+    }
+    
+    res.sendFile(history.filePath(id, revision));
+});
+
+// API to restore a revision. The restore is a save of its own, so the
+// version it replaces stays in the history.
+app.post('/api/history/:id/:revisionId/restore', (req, res) => {
+    try {
+        const record = findLibraryImage(req.params.id);
+        const id = record ? record.id : req.params.id;
+        const revision = history.get(id, parseFloat(req.params.revisionId));
+        
+        if (!record || !revision) {
+            return res.status(404).json({
+                success: false,
+                message: record ? 'Revision not found' : 'Image not found',
+                code: 'NOT_FOUND',
+                field: record ? 'revisionId' : 'id'
+            });
+        }
+        
+        const filePath = path.join(PIXEL_ASSETS_DIR, record.path);
+        const result = writeImageWithHistory(filePath, history.read(id, revision), {
+            author: optionalText(req.body.author, 100),
+            note: `Restored revision from ${revision.createdAt}`
+        });
+        
+        console.log(`⏪ Restored ${record.path} to revision ${revision.createdAt}`);
+        
+        res.json({
+            success: true,
+            image: toClientRecord(result.record),
+            revisionId: result.revision ? result.revision.id : null
+        });
+        
+    } catch (error) {
+        sendError(res, error, 'Error restoring revision:');
+    }
+});
+
+// ===== Project Settings API =====
+
+// API to get the project settings (import rules)
+app.get('/api/settings', (req, res) => {
+    res.json({
+        success: true,
+        settings: settings.data
+    });
+});
+
+// Rules are sent as an object of the rules to change
+function checkRulesObject(rules) {
+    if (!rules || typeof rules !== 'object' || Array.isArray(rules)) {
+        throw new Error('Rules must be an object');
+    }
+}
+
+// API to change the import rules, the level file pattern and the
+// progression rules. Rules left out keep their current value. Rules that
+// affect analysis (max size, max colors, scale candidates) re-analyze the
+// whole catalog.
+app.put('/api/settings', (req, res) => {
+    const { importRules, levelFilePattern, progressionRules } = req.body;
+    if (importRules === undefined && levelFilePattern === undefined && progressionRules === undefined) {
+        return sendError(res, new assetInput.InputError('Missing importRules, levelFilePattern or progressionRules', 'MISSING_FIELD', 'importRules'));
+    }
+    
+    // field: the setting being applied, errors name it (and the rejected
+    // rule, e.g. importRules.maxSize)
+    let reanalyze = false;
+    let field = null;
+    try {
+        if (levelFilePattern !== undefined) {
+            field = 'levelFilePattern';
+            settings.setLevelFilePattern(levelFilePattern);
+        }
+        if (progressionRules !== undefined) {
+            field = 'progressionRules';
+            checkRulesObject(progressionRules);
+            settings.setProgressionRules(progressionRules);
+        }
+        if (importRules !== undefined) {
+            field = 'importRules';
+            checkRulesObject(importRules);
+            reanalyze = settings.setImportRules(importRules);
+        }
+    } catch (error) {
+        return sendError(res, new assetInput.InputError(error.message, 'INVALID_RULE', error.rule ? `${field}.${error.rule}` : field));
+    }
+    
+    try {
+        const report = reanalyze && fs.existsSync(PIXEL_ASSETS_DIR) ? scanCatalog({ force: true }) : null;
+        if (report) {
+            console.log(`📏 Import rules changed, re-analyzed ${report.updated} catalog images`);
+        }
+        
+        res.json({
+            success: true,
+            settings: settings.data,
+            reanalyzed: report ? report.updated : 0
+        });
+        
+    } catch (error) {
+        console.error('Error applying project settings:', error);
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// ===== Live Updates =====
+// Browsers subscribe to GET /api/events (Server-Sent Events). Every catalog
+// change is pushed as a 'catalog' event, whether it came from an API call or
+// from the watcher noticing a change made on disk.
+
+const liveClients = new Set();
+
+function broadcast(event, data) {
+    const message = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    for (const client of liveClients) {
+        client.write(message);
+    }
+}
+
+catalog.on('change', (change) => {
+    if (liveClients.size === 0) return;
+    
+    const event = { type: change.type };
+    if (change.image) {
+        event.image = change.type === 'delete'
+            ? { id: change.image.id, path: change.image.path, name: change.image.name }
+            : toClientRecord(change.image);
+    }
+    if (change.folder) event.folder = change.folder;
+    if (change.from) event.from = change.from;
+    
+    broadcast('catalog', event);
+});
+
+// API to subscribe to catalog changes
+app.get('/api/events', (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive'
+    });
+    res.flushHeaders();
+    res.write('retry: 3000\n\n');
+    
+    liveClients.add(res);
+    req.on('close', () => liveClients.delete(res));
+});
+
+// Comment lines keep idle connections open through proxies
+setInterval(() => {
+    for (const client of liveClients) {
+        client.write(': ping\n\n');
+    }
+}, 30000).unref();
+
+// Watch PixelAssets and apply changes made on disk to the catalog (the
+// catalog then pushes them to the live clients). options go to AssetWatcher.
+function watchAssets(options) {
+    return new AssetWatcher(PIXEL_ASSETS_DIR, options).on('changes', (relPaths) => {
+        try {
+            const report = applyDiskChanges(relPaths);
+            if (report.added + report.changed + report.renamed + report.deleted > 0) {
+                console.log(`👀 PixelAssets changed: +${report.added} ~${report.changed} →${report.renamed} -${report.deleted}`);
+            }
+        } catch (error) {
+            console.error('Error applying PixelAssets changes:', error);
+        }
+    }).start();
+}
+
+// Started with `node server.js`; tests require the app without listening
+// (and start the watcher themselves through app.watchAssets)
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`🎨 PixelVoxel Server running at http://localhost:${PORT}`);
+        console.log(`📂 Scanning folder: ${PIXEL_ASSETS_DIR}`);
+    });
+    
+    if (fs.existsSync(PIXEL_ASSETS_DIR)) {
+        watchAssets();
+        console.log('👀 Watching PixelAssets for changes');
+    }
+}
+
+app.watchAssets = watchAssets;
+module.exports = app;
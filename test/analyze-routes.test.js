@@ -0,0 +1,66 @@
+// Route tests for the analysis API: the library or a single file is
+// analyzed with the shared pixel analysis, bad input gets a structured 4xx.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+
+const { masterPaletteFile, serve, request, pngBuffer, writeImage, assertRejected } = require('./helpers/server');
+
+const RED = [255, 0, 0, 255];
+
+serve(() => {
+    // 200 green and 200 red pixels: ready to dev
+    writeImage('animals/frog.png', pngBuffer(20, RED, 200));
+    // 576 red pixels: not ready
+    writeImage('cat.png', pngBuffer(24, RED));
+    writeImage('broken.png', Buffer.from('not a png'));
+});
+
+test('a single file is analyzed with its palette, counts and verdicts', async () => {
+    const result = await request('GET', '/api/analyze?path=animals/frog.png');
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(result.body.success, true);
+
+    const frog = result.body.result;
+    assert.strictEqual(frog.name, 'frog.png');
+    assert.strictEqual(frog.path, 'animals/frog.png');
+    assert.deepStrictEqual([frog.width, frog.height, frog.scale], [20, 20, 1]);
+    assert.deepStrictEqual(frog.palette.slice().sort(), ['#00ff00', '#ff0000']);
+    assert.deepStrictEqual(frog.colorMap, { '#00ff00': 200, '#ff0000': 200 });
+    assert.strictEqual(frog.colorCount, 2);
+    assert.strictEqual(frog.readyToDev, true);
+    assert.strictEqual(frog.validSize, true);
+    assert.deepStrictEqual(frog.rejections, []);
+    assert.deepStrictEqual(Object.keys(frog.difficulty).sort(),
+        ['label', 'paintablePixels', 'perimeterRatio', 'regions', 'score', 'similarColorPairs', 'tier', 'tinyIslands']);
+});
+
+test('the whole library is analyzed, unreadable files are reported per file', async () => {
+    const result = await request('GET', '/api/analyze');
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(result.body.count, 3);
+    assert.strictEqual(result.body.readyCount, 1);
+
+    const byPath = Object.fromEntries(result.body.results.map(entry => [entry.path, entry]));
+    assert.strictEqual(byPath['animals/frog.png'].readyToDev, true);
+    assert.strictEqual(byPath['cat.png'].readyToDev, false);
+    assert.deepStrictEqual(byPath['cat.png'].colorMap, { '#ff0000': 576 });
+    assert.ok(byPath['broken.png'].error);
+});
+
+test('missing files and bad options are refused', async () => {
+    assertRejected(await request('GET', '/api/analyze?path=missing.png'), 404, 'NOT_FOUND', 'path');
+    assertRejected(await request('GET', '/api/analyze?path=../outside.png'), 400, 'OUTSIDE_LIBRARY', 'path');
+    assertRejected(await request('GET', '/api/analyze?path=cat.png&metric=cie94'), 400, 'INVALID_METRIC', 'metric');
+    assertRejected(await request('GET', '/api/analyze?metric=constructor'), 400, 'INVALID_METRIC', 'metric');
+    assertRejected(await request('GET', '/api/analyze?path=cat.png&threshold=-5'), 400, 'INVALID_THRESHOLD', 'threshold');
+    assertRejected(await request('GET', '/api/analyze?threshold=abc'), 400, 'INVALID_THRESHOLD', 'threshold');
+    assertRejected(await request('GET', '/api/analyze?path=cat.png&mode=octree'), 400, 'INVALID_MODE', 'mode');
+    assertRejected(await request('GET', '/api/analyze?path=cat.png&mode=palette'), 400, 'MISSING_PALETTE', 'mode');
+
+    // With a master palette, palette mode is accepted
+    fs.writeFileSync(masterPaletteFile, '#FF0000\n#00FF00\n');
+    const palette = await request('GET', '/api/analyze?path=animals/frog.png&mode=palette&metric=deltaE2000');
+    assert.strictEqual(palette.status, 200);
+    assert.strictEqual(palette.body.result.colorCount, 2);
+});
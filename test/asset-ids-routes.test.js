@@ -0,0 +1,76 @@
+// Route tests for stable image ids: old random ids are migrated at startup,
+// ids follow renames and come back with a lost catalog, and level
+// assignments are re-linked by hash, name and Paint_Lv<N>.png.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { tempDir, assetsDir, catalogFile, levelsFile, serve, request, pngBuffer, writeImage, findRecord } = require('./helpers/server');
+
+const { Catalog } = require('../catalog');
+const { AssetIds } = require('../asset-ids');
+const assetLibrary = require('../asset-library');
+
+const OLD_ID = 1712345678901.123;
+
+serve(() => {
+    writeImage('cat.png', pngBuffer(10));
+    writeImage('dog.png', pngBuffer(12));
+    writeImage('Paint_Lv3.png', pngBuffer(14));
+
+    // A catalog and level file from before stable ids
+    fs.writeFileSync(catalogFile, JSON.stringify({
+        version: 1,
+        images: [{ id: OLD_ID, path: 'cat.png', name: 'cat.png', folder: '', tags: ['pet'] }],
+        folders: [],
+        levelLinks: { 1: OLD_ID }
+    }));
+    fs.writeFileSync(levelsFile, JSON.stringify({ levels: [{ level: 1, assignedImage: OLD_ID }] }));
+});
+
+test('old random ids are migrated and still resolve', async () => {
+    await request('POST', '/api/catalog/scan');
+    const cat = await findRecord('cat.png');
+
+    assert.match(cat.id, /^img-[0-9a-f]{16}$/);
+    assert.deepStrictEqual(cat.tags, ['pet']);
+    assert.strictEqual((await request('GET', `/api/catalog/images/${OLD_ID}`)).body.image.id, cat.id);
+
+    const levels = JSON.parse(fs.readFileSync(levelsFile, 'utf8')).levels;
+    assert.strictEqual(levels[0].assignedImage, cat.id);
+    assert.strictEqual(levels[0].assignedPath, 'cat.png');
+    assert.strictEqual((await request('GET', '/api/catalog')).body.levelLinks[1], cat.id);
+});
+
+test('ids follow renames and come back with a lost catalog', async () => {
+    const dog = await findRecord('dog.png');
+    await request('POST', '/api/batch-rename', { renames: [{ from: 'dog.png', to: 'pets/dog.png' }] });
+    assert.strictEqual((await findRecord('pets/dog.png')).id, dog.id);
+
+    // A new catalog reading the same library hands out the same ids
+    const rebuilt = new Catalog(path.join(tempDir, 'rebuilt.json'), { ids: new AssetIds(assetsDir) });
+    const record = rebuilt.addImage({ path: 'pets/dog.png', contentHash: assetLibrary.hashFile(path.join(assetsDir, 'pets', 'dog.png')) });
+    assert.strictEqual(record.id, dog.id);
+});
+
+test('lost level assignments are re-linked by hash, name and level name', async () => {
+    const cat = await findRecord('cat.png');
+    const dog = await findRecord('pets/dog.png');
+    const lv3 = await findRecord('Paint_Lv3.png');
+
+    const result = await request('POST', '/api/levels/relink', {
+        levels: [
+            { level: 1, assignedImage: 'img-gone', assignedHash: cat.contentHash },
+            { level: 2, assignedImage: 'img-gone-too', assignedName: 'dog.png' },
+            { level: 3, assignedImage: 'img-also-gone' },
+            { level: 4, assignedImage: 'img-nothing', assignedName: 'missing.png' },
+            { level: 5, assignedImage: null }
+        ]
+    });
+    assert.strictEqual(result.status, 200);
+    assert.deepStrictEqual(result.body.levels.map(level => level.assignedImage), [cat.id, dog.id, lv3.id, 'img-nothing', null]);
+    assert.deepStrictEqual(result.body.report.relinked.map(entry => entry.method), ['hash', 'name', 'level-name']);
+    assert.deepStrictEqual(result.body.report.unresolved, [4]);
+    assert.strictEqual(result.body.levels[1].assignedPath, 'pets/dog.png');
+});
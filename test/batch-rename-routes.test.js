@@ -0,0 +1,71 @@
+// Route tests for the batch rename: swaps keep their catalog records,
+// conflicts rename nothing and a failing batch is rolled back.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { PNG } = require('pngjs');
+
+const { assetsDir, serve, request, pngBuffer, writeImage, findRecord } = require('./helpers/server');
+
+function imageWidth(relPath) {
+    return PNG.sync.read(fs.readFileSync(path.join(assetsDir, relPath))).width;
+}
+
+serve(() => {
+    writeImage('levels/Paint_Lv5.png', pngBuffer(10));
+    writeImage('levels/Paint_Lv6.png', pngBuffer(12));
+    writeImage('levels/cat.png', pngBuffer(14));
+    fs.writeFileSync(path.join(assetsDir, 'blocker'), 'not a folder');
+});
+
+test('swaps two files and keeps their catalog records', async () => {
+    await request('POST', '/api/catalog/scan');
+    const lv5 = await findRecord('levels/Paint_Lv5.png');
+    const lv6 = await findRecord('levels/Paint_Lv6.png');
+
+    const result = await request('POST', '/api/batch-rename', {
+        renames: [
+            { from: 'levels/Paint_Lv5.png', to: 'levels/Paint_Lv6.png' },
+            { from: 'levels/Paint_Lv6.png', to: 'levels/Paint_Lv5.png' }
+        ]
+    });
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(result.body.renamed, 2);
+    assert.deepStrictEqual(result.body.report.map(entry => entry.status), ['renamed', 'renamed']);
+    assert.strictEqual(result.body.cycles.length, 1);
+
+    assert.strictEqual(imageWidth('levels/Paint_Lv6.png'), 10);
+    assert.strictEqual(imageWidth('levels/Paint_Lv5.png'), 12);
+    assert.strictEqual((await findRecord('levels/Paint_Lv6.png')).id, lv5.id);
+    assert.strictEqual((await findRecord('levels/Paint_Lv5.png')).id, lv6.id);
+    assert.deepStrictEqual(fs.readdirSync(path.join(assetsDir, 'levels')).sort(), ['Paint_Lv5.png', 'Paint_Lv6.png', 'cat.png']);
+});
+
+test('conflicts are reported per file and nothing is renamed', async () => {
+    const result = await request('POST', '/api/batch-rename', {
+        renames: [
+            { from: 'levels/cat.png', to: 'levels/Paint_Lv5.png' },
+            { from: 'levels/missing.png', to: 'levels/Paint_Lv7.png' },
+            { from: 'levels/Paint_Lv6.png', to: '../Paint_Lv8.png' }
+        ]
+    });
+    assert.strictEqual(result.status, 409);
+    assert.strictEqual(result.body.code, 'BATCH_CONFLICT');
+    assert.deepStrictEqual(result.body.report.map(entry => entry.code), ['ALREADY_EXISTS', 'NOT_FOUND', 'OUTSIDE_LIBRARY']);
+    assert.strictEqual(imageWidth('levels/cat.png'), 14);
+});
+
+test('a failing batch is rolled back', async () => {
+    const result = await request('POST', '/api/batch-rename', {
+        renames: [
+            { from: 'levels/cat.png', to: 'levels/Paint_Lv1.png' },
+            { from: 'levels/Paint_Lv5.png', to: 'blocker/Paint_Lv2.png' }
+        ]
+    });
+    assert.strictEqual(result.status, 500);
+    assert.strictEqual(result.body.code, 'ROLLED_BACK');
+    assert.deepStrictEqual(result.body.report.map(entry => entry.status), ['rolled-back', 'error']);
+    assert.deepStrictEqual(fs.readdirSync(path.join(assetsDir, 'levels')).sort(), ['Paint_Lv5.png', 'Paint_Lv6.png', 'cat.png']);
+    assert.strictEqual(imageWidth('levels/Paint_Lv5.png'), 12);
+});
@@ -0,0 +1,104 @@
+// Route tests for the catalog records: images, folders, tags and level links
+// are created, edited and deleted through the catalog API.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { assetsDir, serve, request, pngBuffer, toDataUrl, writeImage, findRecord } = require('./helpers/server');
+
+serve(() => {
+    writeImage('animals/dog.png', pngBuffer(20));
+});
+
+test('image records are created, tagged and deleted with their file', async () => {
+    await request('POST', '/api/catalog/scan');
+
+    const created = await request('POST', '/api/catalog/images', {
+        filename: 'cat.png',
+        folder: 'animals',
+        dataUrl: toDataUrl(pngBuffer(12)),
+        tags: 'Pet, cute, pet'
+    });
+    assert.strictEqual(created.status, 200);
+    const cat = created.body.image;
+    assert.strictEqual(cat.path, 'animals/cat.png');
+    assert.strictEqual(cat.width, 12);
+    assert.deepStrictEqual(cat.tags, ['pet', 'cute']);
+    assert.ok(fs.existsSync(path.join(assetsDir, 'animals', 'cat.png')));
+
+    const exists = await request('POST', '/api/catalog/images', { filename: 'cat.png', folder: 'animals', dataUrl: toDataUrl(pngBuffer(12)) });
+    assert.strictEqual(exists.status, 409);
+    assert.strictEqual(exists.body.code, 'ALREADY_EXISTS');
+    const noData = await request('POST', '/api/catalog/images', { filename: 'bird.png', dataUrl: 'data:text/plain;base64,aGk=' });
+    assert.strictEqual(noData.status, 400);
+    assert.strictEqual(noData.body.field, 'dataUrl');
+
+    // Only tags and notes are editable
+    const updated = await request('PUT', `/api/catalog/images/${cat.id}`, { tags: ['pet'], notes: 'Level 4 candidate', path: 'elsewhere.png' });
+    assert.strictEqual(updated.status, 200);
+    assert.deepStrictEqual(updated.body.image.tags, ['pet']);
+    assert.strictEqual(updated.body.image.notes, 'Level 4 candidate');
+    assert.strictEqual(updated.body.image.path, 'animals/cat.png');
+    assert.strictEqual((await request('GET', `/api/catalog/images/${cat.id}`)).body.image.notes, 'Level 4 candidate');
+
+    const dog = await findRecord('animals/dog.png');
+    await request('PUT', `/api/catalog/images/${dog.id}`, { tags: ['pet', 'brown'] });
+    const tags = await request('GET', '/api/catalog/tags');
+    assert.deepStrictEqual(tags.body.tags, [{ name: 'brown', count: 1 }, { name: 'pet', count: 2 }]);
+    const tagged = await request('GET', '/api/catalog/images?tag=brown');
+    assert.deepStrictEqual(tagged.body.images.map(img => img.path), ['animals/dog.png']);
+
+    const deleted = await request('DELETE', `/api/catalog/images/${cat.id}`);
+    assert.strictEqual(deleted.status, 200);
+    assert.ok(deleted.body.trashId);
+    assert.ok(!fs.existsSync(path.join(assetsDir, 'animals', 'cat.png')));
+    assert.strictEqual(await findRecord('animals/cat.png'), undefined);
+
+    for (const [method, url, body] of [
+        ['GET', `/api/catalog/images/${cat.id}`],
+        ['PUT', `/api/catalog/images/${cat.id}`, { tags: ['x'] }],
+        ['DELETE', `/api/catalog/images/${cat.id}`]
+    ]) {
+        const missing = await request(method, url, body);
+        assert.strictEqual(missing.status, 404, `${method} ${url}`);
+        assert.strictEqual(missing.body.success, false);
+    }
+});
+
+test('folders are created with their parents and only deleted when empty', async () => {
+    const created = await request('POST', '/api/catalog/folders', { path: '/plants/trees/' });
+    assert.strictEqual(created.status, 200);
+    assert.strictEqual(created.body.folder.path, 'plants/trees');
+    assert.ok(fs.statSync(path.join(assetsDir, 'plants', 'trees')).isDirectory());
+
+    const folders = (await request('GET', '/api/catalog/folders')).body.folders.map(folder => folder.path);
+    assert.ok(folders.includes('plants') && folders.includes('plants/trees'));
+
+    const missingPath = await request('POST', '/api/catalog/folders', {});
+    assert.strictEqual(missingPath.status, 400);
+    assert.strictEqual(missingPath.body.code, 'MISSING_FIELD');
+
+    const notEmpty = await request('DELETE', '/api/catalog/folders?path=plants');
+    assert.strictEqual(notEmpty.status, 409);
+    assert.ok(fs.existsSync(path.join(assetsDir, 'plants')));
+
+    assert.strictEqual((await request('DELETE', '/api/catalog/folders?path=plants/trees')).status, 200);
+    assert.ok(!fs.existsSync(path.join(assetsDir, 'plants', 'trees')));
+    assert.strictEqual((await request('DELETE', '/api/catalog/folders?path=plants/trees')).status, 404);
+});
+
+test('levels are linked to existing images only', async () => {
+    const dog = await findRecord('animals/dog.png');
+
+    const linked = await request('PUT', '/api/catalog/levels/3', { imageId: dog.id });
+    assert.strictEqual(linked.status, 200);
+    assert.strictEqual(linked.body.levelLinks['3'], dog.id);
+
+    assert.strictEqual((await request('PUT', '/api/catalog/levels/4', { imageId: 'img-unknown' })).status, 400);
+    assert.strictEqual((await request('PUT', '/api/catalog/levels/zero', { imageId: dog.id })).status, 400);
+
+    const unlinked = await request('DELETE', '/api/catalog/levels/3');
+    assert.deepStrictEqual(unlinked.body.levelLinks, {});
+    assert.strictEqual((await request('GET', '/api/catalog')).body.imageCount, 1);
+});
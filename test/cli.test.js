@@ -0,0 +1,81 @@
+// Tests for the command line validation (node cli.js validate), run as a
+// child process against temp projects
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+
+const CLI = path.join(__dirname, '..', 'cli.js');
+const tempDirs = [];
+
+after(() => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+// 20x20 level image: the first `red` pixels red, the rest blue
+function levelPng(red) {
+    const png = new PNG({ width: 20, height: 20 });
+    for (let i = 0; i < 400; i++) {
+        png.data.set(i < red ? [255, 0, 0, 255] : [0, 0, 255, 255], i * 4);
+    }
+    return PNG.sync.write(png);
+}
+
+// Temp project with one PNG per level ({ level: buffer }) and a level file
+// expecting 20x20 images with two colors
+function project(images) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pixelvoxel-'));
+    tempDirs.push(dir);
+    fs.mkdirSync(path.join(dir, 'PixelAssets'));
+    for (const [level, buffer] of Object.entries(images)) {
+        fs.writeFileSync(path.join(dir, 'PixelAssets', `Paint_Lv${level}.png`), buffer);
+    }
+    const levels = Object.keys(images).map(level => ({ level: Number(level), colors: 2, size: '20x20', assignedImage: null }));
+    fs.writeFileSync(path.join(dir, 'levels.json'), JSON.stringify({ levels }));
+    return dir;
+}
+
+// Run `node cli.js validate` on a project: { status, stdout }
+function validate(dir, ...args) {
+    const result = spawnSync(process.execPath, [
+        CLI, 'validate',
+        '--assets', path.join(dir, 'PixelAssets'),
+        '--levels', path.join(dir, 'levels.json'),
+        '--palette', path.join(dir, 'master-palette.txt'),
+        '--catalog', path.join(dir, 'catalog.json'),
+        '--settings', path.join(dir, 'project-settings.json'),
+        ...args
+    ], { encoding: 'utf8', timeout: 30000 });
+    return { status: result.status, stdout: result.stdout };
+}
+
+test('a folder that follows the rules passes', () => {
+    const dir = project({ 1: levelPng(200), 2: levelPng(150) });
+
+    const { status, stdout } = validate(dir);
+    assert.strictEqual(status, 0);
+    assert.match(stdout, /✓ Level 1: Paint_Lv1\.png/);
+    assert.match(stdout, /✓ Level 2: Paint_Lv2\.png/);
+    assert.match(stdout, /✗ Failed: 0/);
+
+    const json = JSON.parse(validate(dir, '--json').stdout);
+    assert.deepStrictEqual(json.summary, { levels: 2, images: 2, paletteColors: 0, ready: 2, failed: 0, unassigned: 0 });
+});
+
+test('a folder that breaks the rules fails with the reasons', () => {
+    const dir = project({ 1: levelPng(200), 2: levelPng(155) });
+    fs.writeFileSync(path.join(dir, 'master-palette.txt'), '#FF0000\n');
+
+    const { status, stdout } = validate(dir);
+    assert.strictEqual(status, 1);
+    assert.match(stdout, /✗ Level 2: Paint_Lv2\.png\n\s+- 1 off-palette color\(s\): #0000FF/);
+    assert.match(stdout, /not ready to dev \(#FF0000=155px, #0000FF=245px\)/);
+    assert.match(stdout, /✗ Failed: 2/);
+
+    // Unknown options and commands are refused
+    assert.strictEqual(validate(dir, '--fast').status, 1);
+    const unknown = spawnSync(process.execPath, [CLI, 'check'], { encoding: 'utf8', timeout: 30000 });
+    assert.strictEqual(unknown.status, 1);
+    assert.match(unknown.stdout, /^Usage: node cli\.js validate/);
+});
@@ -0,0 +1,53 @@
+// Tests for the color distance metrics (color-distance.js)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const ColorDistance = require('../color-distance');
+
+// Lab pairs and their CIEDE2000 difference from the reference data of
+// Sharma, Wu and Dalal, "The CIEDE2000 Color-Difference Formula" (2005)
+const CIEDE2000_PAIRS = [
+    [[50, 2.6772, -79.7751], [50, 0, -82.7485], 2.0425],
+    [[50, 3.1571, -77.2803], [50, 0, -82.7485], 2.8615],
+    [[50, 0, 0], [50, -1, 2], 2.3669],
+    [[50, 2.49, -0.001], [50, -2.49, 0.0009], 7.1792],
+    [[50, 2.5, 0], [73, 25, -18], 27.1492],
+    [[50, 2.5, 0], [50, 3.1736, 0.5854], 1.0],
+    [[60.2574, -34.0099, 36.2677], [60.4626, -34.1751, 39.4387], 1.2644],
+    [[22.7233, 20.0904, -46.694], [23.0331, 14.973, -42.5619], 2.0373],
+    [[2.0776, 0.0795, -1.135], [0.9033, -0.0636, -0.5514], 0.9082]
+];
+
+const lab = ([L, a, b]) => ({ L, a, b });
+
+test('CIEDE2000 matches the published reference pairs', () => {
+    for (const [first, second, expected] of CIEDE2000_PAIRS) {
+        const forward = ColorDistance.deltaE2000(lab(first), lab(second));
+        const backward = ColorDistance.deltaE2000(lab(second), lab(first));
+        assert.ok(Math.abs(forward - expected) < 1e-4, `${first} / ${second}: ${forward}`);
+        assert.ok(Math.abs(backward - expected) < 1e-4, `${second} / ${first}: ${backward}`);
+    }
+});
+
+test('colors convert between hex, Lab and OKLab', () => {
+    assert.deepStrictEqual(ColorDistance.hexToRgb('#FF8000'), { r: 255, g: 128, b: 0 });
+    assert.strictEqual(ColorDistance.rgbToHex(255, 128, 0), '#ff8000');
+
+    const white = ColorDistance.rgbToLab({ r: 255, g: 255, b: 255 });
+    assert.ok(Math.abs(white.L - 100) < 0.01 && Math.abs(white.a) < 0.01 && Math.abs(white.b) < 0.01);
+    const black = ColorDistance.rgbToOklab({ r: 0, g: 0, b: 0 });
+    assert.ok(Math.abs(black.L) < 1e-6);
+
+    for (const id of Object.keys(ColorDistance.METRICS)) {
+        assert.strictEqual(ColorDistance.distance({ r: 10, g: 20, b: 30 }, { r: 10, g: 20, b: 30 }, id), 0);
+    }
+    assert.strictEqual(ColorDistance.distance({ r: 0, g: 0, b: 0 }, { r: 3, g: 4, b: 0 }), 5);
+    assert.strictEqual(ColorDistance.formatDistance(3.24, 'deltaE2000'), 'ΔE00 3.2');
+});
+
+test('only the listed metrics are accepted', () => {
+    assert.strictEqual(ColorDistance.hasMetric('oklab'), true);
+    for (const name of ['constructor', '__proto__', 'toString', 'cie94']) {
+        assert.strictEqual(ColorDistance.hasMetric(name), false, name);
+        assert.throws(() => ColorDistance.getMetric(name), /Unknown color distance metric/);
+    }
+});
@@ -0,0 +1,34 @@
+// Route tests for damaged store files: the server starts with empty stores
+// but keeps the unreadable catalog and id sidecar instead of saving over them.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { tempDir, assetsDir, catalogFile, serve, request, pngBuffer, writeImage, listRecords } = require('./helpers/server');
+
+const GARBAGE = '{ "images": [ { "id": "img-0123456789abcdef", "tags": ["hero"';
+
+serve(() => {
+    writeImage('dog.png', pngBuffer(20));
+    fs.writeFileSync(catalogFile, GARBAGE);
+    fs.writeFileSync(path.join(assetsDir, '.pixelvoxel-ids.json'), GARBAGE);
+});
+
+// Contents of the files a broken store was moved aside to
+function corruptCopies(dir, name) {
+    return fs.readdirSync(dir)
+        .filter(file => file.startsWith(`${name}.corrupt-`))
+        .map(file => fs.readFileSync(path.join(dir, file), 'utf8'));
+}
+
+test('an unreadable catalog and id sidecar are kept, not saved over', async () => {
+    const scan = await request('POST', '/api/catalog/scan');
+    assert.strictEqual(scan.status, 200);
+    assert.deepStrictEqual((await listRecords()).map(img => img.path), ['dog.png']);
+
+    // The new stores are written next to the untouched broken ones
+    assert.deepStrictEqual(corruptCopies(tempDir, 'catalog.json'), [GARBAGE]);
+    assert.deepStrictEqual(corruptCopies(assetsDir, '.pixelvoxel-ids.json'), [GARBAGE]);
+    assert.strictEqual(JSON.parse(fs.readFileSync(catalogFile, 'utf8')).images.length, 1);
+});
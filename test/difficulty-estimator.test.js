@@ -0,0 +1,84 @@
+// Tests for the paint-by-number difficulty estimate (difficulty-estimator.js)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const DifficultyEstimator = require('../difficulty-estimator');
+const PixelAnalysis = require('../image-analysis');
+
+// RGBA image from rows of color keys ('.' is transparent)
+function imageFrom(rows, colors) {
+    const width = rows[0].length;
+    const data = new Uint8ClampedArray(width * rows.length * 4);
+    rows.forEach((row, y) => {
+        [...row].forEach((key, x) => {
+            if (key !== '.') data.set([...colors[key], 255], (y * width + x) * 4);
+        });
+    });
+    return { width, height: rows.length, data };
+}
+
+test('regions, tiny islands, perimeter and similar colors are measured', () => {
+    const image = imageFrom([
+        'aab.',
+        'aab.',
+        'cca.',
+        'ccac'
+    ], { a: [255, 0, 0], b: [0, 0, 255], c: [250, 5, 5] });
+
+    const metrics = DifficultyEstimator.measureComplexity(image);
+    assert.strictEqual(metrics.paintablePixels, 13);
+    assert.strictEqual(metrics.regions, 5); // a block, b, c block, a column, lone c
+    assert.strictEqual(metrics.tinyIslands, 3);
+    assert.strictEqual(metrics.similarColorPairs, 1); // the two reds
+    assert.ok(metrics.perimeterRatio > 1);
+});
+
+test('busy images get a higher tier than flat ones', () => {
+    const flat = imageFrom(Array(16).fill('a'.repeat(8) + 'b'.repeat(8)), { a: [255, 0, 0], b: [0, 0, 255] });
+    const palette = {};
+    'abcdefghijkl'.split('').forEach((key, i) => { palette[key] = [i * 20, 255 - i * 20, (i * 67) % 256]; });
+    const busy = imageFrom(
+        Array.from({ length: 32 }, (_, y) => Array.from({ length: 32 }, (_, x) => 'abcdefghijkl'[(x * 7 + y * 3) % 12]).join('')),
+        palette
+    );
+
+    const easy = DifficultyEstimator.estimateDifficulty(flat);
+    const hard = DifficultyEstimator.estimateDifficulty(busy);
+    assert.strictEqual(easy.tier, 0);
+    assert.strictEqual(easy.label, 'Easy');
+    assert.strictEqual(hard.tier, 3);
+    assert.ok(hard.score > easy.score);
+
+    // The shared analysis (imports, catalog scans) carries the estimate
+    assert.deepStrictEqual(PixelAnalysis.analyzePixels(flat).difficulty, easy);
+});
+
+test('plain and large flat images stay easy', () => {
+    const square = imageFrom(Array(64).fill('a'.repeat(64)), { a: [40, 160, 90] });
+    assert.strictEqual(DifficultyEstimator.estimateDifficulty(square).label, 'Easy');
+
+    // Four big color blocks with a transparent border
+    const blocks = imageFrom(
+        Array.from({ length: 64 }, (_, y) => Array.from({ length: 64 }, (_, x) => {
+            if (x < 2 || y < 2 || x > 61 || y > 61) return '.';
+            return 'abcd'[(x < 32 ? 0 : 1) + (y < 32 ? 0 : 2)];
+        }).join('')),
+        { a: [255, 0, 0], b: [0, 0, 255], c: [255, 220, 0], d: [0, 160, 0] }
+    );
+    const estimate = DifficultyEstimator.estimateDifficulty(blocks);
+    assert.strictEqual(estimate.tier, 0);
+    assert.ok(DifficultyEstimator.isCurrent(estimate));
+    assert.ok(!DifficultyEstimator.isCurrent({ ...estimate, score: 20.8, tier: 2 }));
+});
+
+test('declared difficulties are compared with the estimate', () => {
+    const estimate = { tier: 2, label: 'Hard' };
+    assert.strictEqual(DifficultyEstimator.disagrees('Khó', estimate), false);
+    assert.strictEqual(DifficultyEstimator.disagrees('dễ', estimate), true);
+    assert.strictEqual(DifficultyEstimator.disagrees('Pipe', estimate), false);
+    assert.strictEqual(DifficultyEstimator.disagrees('Easy', null), false);
+
+    // The words of the level sheet
+    const ranks = ['dễ', 'thường', 'Thường', 'khó', 'Khó', 'Rất khó', 'rất khó'].map(DifficultyEstimator.difficultyRank);
+    assert.deepStrictEqual(ranks, [0, 1, 1, 2, 2, 3, 3]);
+    assert.strictEqual(DifficultyEstimator.difficultyRank('thuong'), 1);
+});
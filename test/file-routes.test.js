@@ -0,0 +1,106 @@
+// Route tests for the file endpoints in server.js, run against a temp asset
+// folder: paths must stay inside the library and bad input must get a
+// structured 4xx ({ success, message, code, field }).
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { tempDir, assetsDir, serve, request, pngBuffer, toDataUrl, writeImage, assertRejected } = require('./helpers/server');
+const outsideDir = path.join(tempDir, 'outside');
+
+const dataUrl = toDataUrl(pngBuffer(2));
+
+serve(() => {
+    writeImage('existing.png', pngBuffer(2));
+    fs.mkdirSync(outsideDir);
+    fs.writeFileSync(path.join(outsideDir, 'keep.png'), pngBuffer(2));
+    fs.symlinkSync(outsideDir, path.join(assetsDir, 'link'), 'dir');
+});
+
+function outsideUntouched() {
+    assert.deepStrictEqual(fs.readdirSync(outsideDir), ['keep.png']);
+}
+
+test('save-image writes inside the library', async () => {
+    const result = await request('POST', '/api/save-image', { filename: 'saved.png', folder: 'sub/dir', dataUrl });
+    assert.strictEqual(result.status, 200);
+    assert.ok(fs.existsSync(path.join(assetsDir, 'sub', 'dir', 'saved.png')));
+});
+
+test('save-image rejects folders outside the library', async () => {
+    assertRejected(await request('POST', '/api/save-image', { filename: 'evil.png', folder: '../outside', dataUrl }), 400, 'OUTSIDE_LIBRARY', 'folder');
+    assertRejected(await request('POST', '/api/save-image', { filename: 'evil.png', folder: '/tmp', dataUrl }), 400, 'OUTSIDE_LIBRARY', 'folder');
+    assertRejected(await request('POST', '/api/save-image', { filename: 'evil.png', folder: 'sub\\..\\..\\outside', dataUrl }), 400, 'OUTSIDE_LIBRARY', 'folder');
+    outsideUntouched();
+});
+
+test('save-image rejects symlinks that leave the library', async () => {
+    assertRejected(await request('POST', '/api/save-image', { filename: 'evil.png', folder: 'link', dataUrl }), 400, 'OUTSIDE_LIBRARY', 'folder');
+    outsideUntouched();
+});
+
+test('save-image rejects unsafe names, other extensions and bad data', async () => {
+    assertRejected(await request('POST', '/api/save-image', { filename: '../evil.png', dataUrl }), 400, 'INVALID_NAME', 'filename');
+    assertRejected(await request('POST', '/api/save-image', { filename: '.hidden.png', dataUrl }), 400, 'INVALID_NAME', 'filename');
+    assertRejected(await request('POST', '/api/save-image', { filename: 'CON.png', dataUrl }), 400, 'INVALID_NAME', 'filename');
+    assertRejected(await request('POST', '/api/save-image', { filename: 'notes.txt', dataUrl }), 400, 'NOT_PNG', 'filename');
+    assertRejected(await request('POST', '/api/save-image', { dataUrl }), 400, 'MISSING_FIELD', 'filename');
+    assertRejected(await request('POST', '/api/save-image', { filename: 'a.png', dataUrl: 'data:image/png;base64,aGVsbG8=' }), 400, 'INVALID_DATA_URL', 'dataUrl');
+});
+
+test('delete-image never deletes outside the library', async () => {
+    assertRejected(await request('DELETE', '/api/delete-image', { filename: 'keep.png', folder: '../outside' }), 400, 'OUTSIDE_LIBRARY', 'folder');
+    assertRejected(await request('POST', '/api/delete-image', { filename: 'keep.png', folder: '..' }), 400, 'OUTSIDE_LIBRARY', 'folder');
+    assertRejected(await request('POST', '/api/delete-image', { filename: '../outside/keep.png' }), 400, 'INVALID_NAME', 'filename');
+    assertRejected(await request('POST', '/api/delete-image', { filename: 'keep.png', folder: 'link' }), 400, 'OUTSIDE_LIBRARY', 'folder');
+    outsideUntouched();
+
+    const missing = await request('POST', '/api/delete-image', { filename: 'missing.png' });
+    assertRejected(missing, 404, 'NOT_FOUND', 'filename');
+});
+
+test('move-image confines source and destination', async () => {
+    assertRejected(await request('POST', '/api/move-image', { filename: 'existing.png', toFolder: '../outside' }), 400, 'OUTSIDE_LIBRARY', 'toFolder');
+    assertRejected(await request('POST', '/api/move-image', { filename: 'keep.png', fromFolder: '../outside' }), 400, 'OUTSIDE_LIBRARY', 'fromFolder');
+    outsideUntouched();
+
+    const moved = await request('POST', '/api/move-image', { filename: 'existing.png', toFolder: 'moved' });
+    assert.strictEqual(moved.status, 200);
+    assert.ok(fs.existsSync(path.join(assetsDir, 'moved', 'existing.png')));
+});
+
+test('rename-image and copy-image validate both names', async () => {
+    assertRejected(await request('POST', '/api/rename-image', { oldFilename: 'saved.png', newFilename: 'a/b.png', folder: 'sub/dir' }), 400, 'INVALID_NAME', 'newFilename');
+    assertRejected(await request('POST', '/api/rename-image', { oldFilename: 'saved.png', newFilename: 'saved.jpg', folder: 'sub/dir' }), 400, 'NOT_PNG', 'newFilename');
+    assertRejected(await request('POST', '/api/copy-image', { sourceFilename: 'saved.png', folder: 'sub/dir' }), 400, 'MISSING_FIELD', 'destFilename');
+    assertRejected(await request('POST', '/api/copy-image', { sourceFilename: 'missing.png', destFilename: 'copy.png' }), 404, 'NOT_FOUND', 'sourceFilename');
+
+    const renamed = await request('POST', '/api/rename-image', { oldFilename: 'saved.png', newFilename: 'renamed.png', folder: 'sub/dir' });
+    assert.strictEqual(renamed.status, 200);
+
+    const copied = await request('POST', '/api/copy-image', { sourceFilename: 'renamed.png', destFilename: 'renamed.png', folder: 'sub/dir' });
+    assertRejected(copied, 409, 'ALREADY_EXISTS', 'destFilename');
+});
+
+test('create-folder rejects unsafe folder names', async () => {
+    assertRejected(await request('POST', '/api/create-folder', { folderName: '..' }), 400, 'INVALID_NAME', 'folderName');
+    assertRejected(await request('POST', '/api/create-folder', { folderName: 'a/b' }), 400, 'INVALID_NAME', 'folderName');
+    assertRejected(await request('POST', '/api/create-folder', { folderName: 'new', parentFolder: '../outside' }), 400, 'OUTSIDE_LIBRARY', 'parentFolder');
+    outsideUntouched();
+
+    const created = await request('POST', '/api/create-folder', { folderName: 'fresh' });
+    assert.strictEqual(created.status, 200);
+    assertRejected(await request('POST', '/api/create-folder', { folderName: 'fresh' }), 409, 'ALREADY_EXISTS', 'folderName');
+});
+
+test('catalog and analyze endpoints use the same resolver', async () => {
+    assertRejected(await request('POST', '/api/catalog/images', { filename: 'evil.png', folder: '../outside', dataUrl }), 400, 'OUTSIDE_LIBRARY', 'folder');
+    assertRejected(await request('POST', '/api/catalog/folders', { path: 'a/../../outside' }), 400, 'OUTSIDE_LIBRARY', 'path');
+    assertRejected(await request('GET', '/api/analyze?path=../outside/keep.png'), 400, 'OUTSIDE_LIBRARY', 'path');
+    outsideUntouched();
+
+    const analyzed = await request('GET', '/api/analyze?path=moved/existing.png');
+    assert.strictEqual(analyzed.status, 200);
+    assert.strictEqual(analyzed.body.result.path, 'moved/existing.png');
+});
@@ -0,0 +1,76 @@
+// Route tests for folder management: rename and move carry the catalog
+// records along, delete sends every PNG to the trash.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { assetsDir, serve, request, pngBuffer, writeImage, findRecord } = require('./helpers/server');
+
+serve(() => {
+    writeImage('animals/dog.png', pngBuffer(20));
+    writeImage('animals/cats/tabby.png', pngBuffer(20));
+    writeImage('food/apple.png', pngBuffer(20));
+    fs.writeFileSync(path.join(assetsDir, 'food', 'notes.txt'), 'keep me');
+});
+
+async function folderPaths() {
+    return (await request('GET', '/api/catalog/folders')).body.folders.map(f => f.path).sort();
+}
+
+test('rename and move carry nested folders and images along', async () => {
+    await request('POST', '/api/catalog/scan');
+    const tabby = await findRecord('animals/cats/tabby.png');
+
+    const renamed = await request('POST', '/api/rename-folder', { folder: 'animals', newName: 'pets' });
+    assert.strictEqual(renamed.status, 200);
+    assert.strictEqual(renamed.body.folder.path, 'pets');
+    assert.ok(fs.existsSync(path.join(assetsDir, 'pets', 'cats', 'tabby.png')));
+    assert.strictEqual((await findRecord('pets/cats/tabby.png')).id, tabby.id);
+
+    const moved = await request('POST', '/api/move-folder', { folder: 'pets/cats', toFolder: 'food' });
+    assert.strictEqual(moved.status, 200);
+    assert.strictEqual(moved.body.folder.parent, 'food');
+    const record = await findRecord('food/cats/tabby.png');
+    assert.strictEqual(record.id, tabby.id);
+    assert.strictEqual(record.folder, 'food/cats');
+    assert.deepStrictEqual(await folderPaths(), ['food', 'food/cats', 'pets']);
+});
+
+test('refuses moves into itself, taken names and missing folders', async () => {
+    const intoItself = await request('POST', '/api/move-folder', { folder: 'food', toFolder: 'food/cats' });
+    assert.strictEqual(intoItself.status, 400);
+    assert.strictEqual(intoItself.body.code, 'INVALID_MOVE');
+
+    fs.mkdirSync(path.join(assetsDir, 'pets', 'cats'));
+    const taken = await request('POST', '/api/move-folder', { folder: 'food/cats', toFolder: 'pets' });
+    assert.strictEqual(taken.status, 409);
+    assert.strictEqual(taken.body.code, 'ALREADY_EXISTS');
+    fs.rmdirSync(path.join(assetsDir, 'pets', 'cats'));
+
+    const missing = await request('POST', '/api/rename-folder', { folder: 'nowhere', newName: 'x' });
+    assert.strictEqual(missing.status, 404);
+    assert.strictEqual(missing.body.code, 'NOT_FOUND');
+
+    const outside = await request('POST', '/api/rename-folder', { folder: 'food', newName: '../x' });
+    assert.strictEqual(outside.status, 400);
+});
+
+test('delete moves every PNG to the trash and keeps folders with other files', async () => {
+    const deleted = await request('DELETE', '/api/delete-folder', { folder: 'food' });
+    assert.strictEqual(deleted.status, 200);
+    assert.strictEqual(deleted.body.trashIds.length, 2);
+    assert.deepStrictEqual(deleted.body.kept, ['food/notes.txt']);
+    assert.ok(!fs.existsSync(path.join(assetsDir, 'food', 'cats')));
+    assert.ok(fs.existsSync(path.join(assetsDir, 'food', 'notes.txt')));
+    assert.strictEqual(await findRecord('food/apple.png'), undefined);
+    assert.deepStrictEqual(await folderPaths(), ['food', 'pets']);
+
+    const trash = (await request('GET', '/api/trash')).body.items.map(item => item.path).sort();
+    assert.deepStrictEqual(trash, ['food/apple.png', 'food/cats/tabby.png']);
+
+    const emptied = await request('DELETE', '/api/delete-folder', { folder: 'pets' });
+    assert.strictEqual(emptied.status, 200);
+    assert.ok(!fs.existsSync(path.join(assetsDir, 'pets')));
+    assert.deepStrictEqual(await folderPaths(), ['food']);
+});
@@ -0,0 +1,124 @@
+// Shared harness of the route tests. Requiring it points the server at a
+// temp project (library, catalog, trash, history, level assignments, project
+// settings and master palette - none of them there until written), so no test touches the real files; serve() starts the
+// server on a free port for the tests of a file and removes the temp
+// project after them. Every test file runs in its own process, so each gets
+// its own project and server.
+const { before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pixelvoxel-'));
+
+const paths = {
+    assetsDir: path.join(tempDir, 'PixelAssets'),
+    catalogFile: path.join(tempDir, 'catalog.json'),
+    trashDir: path.join(tempDir, 'Trash'),
+    historyDir: path.join(tempDir, 'History'),
+    levelsFile: path.join(tempDir, 'level-assignments.json'),
+    settingsFile: path.join(tempDir, 'project-settings.json'),
+    masterPaletteFile: path.join(tempDir, 'master-palette.txt')
+};
+
+process.env.PIXEL_ASSETS_DIR = paths.assetsDir;
+process.env.CATALOG_FILE = paths.catalogFile;
+process.env.TRASH_DIR = paths.trashDir;
+process.env.HISTORY_DIR = paths.historyDir;
+process.env.LEVELS_FILE = paths.levelsFile;
+process.env.SETTINGS_FILE = paths.settingsFile;
+process.env.MASTER_PALETTE_FILE = paths.masterPaletteFile;
+
+let server = null;
+let baseUrl = null;
+
+// Start the server before the tests of a file, after setup() wrote the
+// files it should find (the server loads the catalog when it is required)
+function serve(setup) {
+    before(async () => {
+        if (setup) await setup();
+
+        const app = require('../../server');
+        server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => {
+        server.close();
+        server.closeAllConnections(); // live update subscribers never end on their own
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+}
+
+// Full URL of a server path, for requests that do not answer with JSON
+function serverUrl(pathname) {
+    return baseUrl + pathname;
+}
+
+// JSON request: { status, body }
+async function request(method, url, body) {
+    const response = await fetch(baseUrl + url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+}
+
+// Square image of one color, so every file can be told apart by its size.
+// The first `changed` pixels are green instead, for edited versions of a file.
+function pngBuffer(size, color = [0, 128, 255, 255], changed = 0) {
+    const png = new PNG({ width: size, height: size });
+    for (let i = 0; i < size * size; i++) {
+        png.data.set(i < changed ? [0, 255, 0, 255] : color, i * 4);
+    }
+    return PNG.sync.write(png);
+}
+
+// PNG as the data URL the save routes take
+function toDataUrl(buffer) {
+    return 'data:image/png;base64,' + buffer.toString('base64');
+}
+
+// Write a library image, creating its folder
+function writeImage(relPath, buffer) {
+    const filePath = path.join(paths.assetsDir, relPath);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, buffer);
+}
+
+// Every catalog record (the test libraries fit in one page)
+async function listRecords() {
+    return (await request('GET', '/api/catalog/images?limit=500')).body.images;
+}
+
+// Catalog record of a library path (undefined when there is none)
+async function findRecord(relPath) {
+    return (await listRecords()).find(img => img.path === relPath);
+}
+
+// Structured 4xx answer: { success: false, message, code, field }
+function assertRejected(result, status, code, field) {
+    assert.strictEqual(result.status, status);
+    assert.strictEqual(result.body.success, false);
+    assert.strictEqual(result.body.code, code);
+    assert.strictEqual(result.body.field, field);
+    assert.ok(result.body.message);
+}
+
+module.exports = {
+    tempDir,
+    ...paths,
+    serve,
+    serverUrl,
+    request,
+    pngBuffer,
+    toDataUrl,
+    writeImage,
+    listRecords,
+    findRecord,
+    assertRejected
+};
@@ -0,0 +1,69 @@
+// Route tests for the revision history: every save keeps the saved version
+// with a change summary, and a restore is saved as a revision of its own.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { assetsDir, serve, serverUrl, request, pngBuffer, toDataUrl, writeImage, findRecord } = require('./helpers/server');
+
+// 20x20 red image, the first `changed` pixels green
+const heroPng = (changed = 0) => pngBuffer(20, [255, 0, 0, 255], changed);
+
+serve(() => {
+    writeImage('hero.png', heroPng());
+});
+
+const heroId = async () => (await findRecord('hero.png')).id;
+
+test('saves keep every version with author and change summary', async () => {
+    const saved = await request('POST', '/api/save-image', { filename: 'hero.png', dataUrl: toDataUrl(heroPng(10)), author: 'Lan', note: 'Edit Colors' });
+    assert.ok(saved.body.revisionId);
+
+    // Saving the same pixels again is not a new revision
+    const unchanged = await request('POST', '/api/save-image', { filename: 'hero.png', dataUrl: toDataUrl(heroPng(10)) });
+    assert.strictEqual(unchanged.body.revisionId, null);
+
+    const history = await request('GET', `/api/history/${await heroId()}`);
+    const [latest, original] = history.body.revisions;
+    assert.strictEqual(history.body.revisions.length, 2);
+    assert.strictEqual(original.note, 'Version before the first tracked save');
+    assert.strictEqual(latest.author, 'Lan');
+    assert.strictEqual(latest.note, 'Edit Colors');
+    assert.deepStrictEqual(latest.summary.colorsAdded, ['#00ff00']);
+    assert.deepStrictEqual(latest.summary.colorsRemoved, []);
+    assert.strictEqual(latest.summary.pixelsChanged, 10);
+
+    const image = await fetch(serverUrl(`/api/history/${await heroId()}/${original.id}/image`));
+    assert.strictEqual(image.status, 200);
+    assert.ok(Buffer.from(await image.arrayBuffer()).equals(heroPng()));
+});
+
+test('restore writes the old version back as a new revision', async () => {
+    const id = await heroId();
+    const original = (await request('GET', `/api/history/${id}`)).body.revisions[1];
+
+    const restored = await request('POST', `/api/history/${id}/${original.id}/restore`, { author: 'Minh' });
+    assert.strictEqual(restored.status, 200);
+    assert.strictEqual(restored.body.image.id, id);
+    assert.ok(fs.readFileSync(path.join(assetsDir, 'hero.png')).equals(heroPng()));
+
+    const [latest] = (await request('GET', `/api/history/${id}`)).body.revisions;
+    assert.strictEqual(latest.id, restored.body.revisionId);
+    assert.strictEqual(latest.author, 'Minh');
+    assert.deepStrictEqual(latest.summary.colorsRemoved, ['#00ff00']);
+
+    assert.strictEqual((await request('POST', `/api/history/${id}/123/restore`)).status, 404);
+});
+
+test('ids that are keys of every object have no history', async () => {
+    for (const id of ['__proto__', 'constructor', 'hasOwnProperty']) {
+        const list = await request('GET', `/api/history/${id}`);
+        assert.strictEqual(list.status, 200);
+        assert.deepStrictEqual(list.body.revisions, []);
+
+        const image = await request('GET', `/api/history/${id}/1/image`);
+        assert.strictEqual(image.status, 404);
+        assert.strictEqual(image.body.code, 'NOT_FOUND');
+    }
+});
@@ -0,0 +1,99 @@
+// Tests for the shared pixel analysis (image-analysis.js)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const PixelAnalysis = require('../image-analysis');
+
+// RGBA image of a width x height art drawn by color(x, y) -> [r, g, b],
+// upscaled by scale and with crop pixels cut off its left and top
+function upscaled(width, height, scale, color, crop = 0) {
+    const outWidth = width * scale - crop;
+    const outHeight = height * scale - crop;
+    const data = new Uint8ClampedArray(outWidth * outHeight * 4);
+    for (let y = 0; y < outHeight; y++) {
+        for (let x = 0; x < outWidth; x++) {
+            const rgb = color(Math.floor((x + crop) / scale), Math.floor((y + crop) / scale));
+            data.set([...rgb, 255], (y * outWidth + x) * 4);
+        }
+    }
+    return { width: outWidth, height: outHeight, data };
+}
+
+// Checkerboard-like art with edges between most neighbouring pixels
+const busy = (x, y) => [(x * 40) % 256, (y * 70) % 256, ((x + y) % 3) * 100];
+
+test('exact-multiple upscales are detected at their scale', () => {
+    for (const scale of [2, 3, 4, 8]) {
+        const grid = PixelAnalysis.detectGrid(upscaled(20, 24, scale, busy), PixelAnalysis.DEFAULT_RULES);
+        assert.strictEqual(grid.scale, scale, `x${scale}`);
+        assert.deepStrictEqual([grid.image.width, grid.image.height], [20, 24]);
+        assert.strictEqual(grid.confidence, 1);
+        assert.deepStrictEqual(grid.disagreeingBlocks, []);
+    }
+
+    // Images within the pixel art size are left alone
+    assert.strictEqual(PixelAnalysis.detectGrid(upscaled(16, 16, 2, busy)).scale, 1);
+});
+
+test('shifted grids and cropped borders are found', () => {
+    // Two pixels of the first block row and column cut off
+    const grid = PixelAnalysis.detectGrid(upscaled(20, 20, 5, busy, 2));
+    assert.strictEqual(grid.scale, 5);
+    assert.deepStrictEqual([grid.offsetX, grid.offsetY], [3, 3]);
+    assert.deepStrictEqual(grid.crop, { left: 0, top: 0, right: 0, bottom: 0 });
+    assert.deepStrictEqual([grid.image.width, grid.image.height], [20, 20]);
+
+    // Too little of the first block left: it is dropped as a border
+    const cropped = PixelAnalysis.detectGrid(upscaled(20, 20, 5, busy, 4));
+    assert.strictEqual(cropped.scale, 5);
+    assert.deepStrictEqual([cropped.crop.left, cropped.crop.top], [1, 1]);
+    assert.deepStrictEqual([cropped.image.width, cropped.image.height], [19, 19]);
+    assert.deepStrictEqual(Array.from(cropped.image.data.slice(0, 4)), [...busy(1, 1), 255]);
+});
+
+test('flat art is not taken for a larger scale that happens to line up', () => {
+    // 20x20 of one color with a 4x4 square, upscaled x4
+    const square = (x, y) => (x >= 8 && x < 12 && y >= 8 && y < 12 ? [200, 30, 30] : [240, 240, 240]);
+    const grid = PixelAnalysis.detectGrid(upscaled(20, 20, 4, square), PixelAnalysis.DEFAULT_RULES);
+    assert.strictEqual(grid.scale, 4);
+    assert.deepStrictEqual([grid.image.width, grid.image.height], [20, 20]);
+
+    // Scales giving an image outside the size rules are passed over
+    const small = PixelAnalysis.normalizeRules({ minSize: 4, maxSize: 10 });
+    assert.strictEqual(PixelAnalysis.detectGrid(upscaled(20, 20, 4, square), small).scale, 8);
+});
+
+test('colors snap to the nearest palette color and merges are reported', () => {
+    const palette = ['#ff0000', '#00aa00', '#0000ff'];
+    const mapping = PixelAnalysis.snapToPalette(['#f01010', '#e00000', '#10a010', '#ff0000'], palette);
+    assert.deepStrictEqual(mapping.map(entry => [entry.from, entry.to]), [
+        ['#F01010', '#FF0000'],
+        ['#E00000', '#FF0000'],
+        ['#10A010', '#00AA00'],
+        ['#FF0000', '#FF0000']
+    ]);
+    assert.strictEqual(mapping[3].distance, 0);
+
+    // Every palette color stays a candidate, nearest first
+    const distances = mapping[0].candidates.map(candidate => candidate.distance);
+    assert.strictEqual(distances.length, 3);
+    assert.deepStrictEqual(distances, [...distances].sort((a, b) => a - b));
+
+    // An empty palette keeps the color
+    assert.deepStrictEqual(PixelAnalysis.snapToPalette(['#123456'], [])[0].to, '#123456');
+
+    const merged = PixelAnalysis.findMergedColors(mapping);
+    assert.deepStrictEqual(Array.from(merged), [['#FF0000', ['#F01010', '#E00000', '#FF0000']]]);
+});
+
+test('remapping rewrites opaque pixels and leaves transparent ones alone', () => {
+    const image = {
+        width: 3,
+        height: 1,
+        data: new Uint8ClampedArray([240, 16, 16, 255, 16, 160, 16, 255, 240, 16, 16, 0])
+    };
+    const remapped = PixelAnalysis.remapColors(image, [{ from: '#F01010', to: '#FF0000' }]);
+    assert.deepStrictEqual(Array.from(remapped.data), [255, 0, 0, 255, 16, 160, 16, 255, 240, 16, 16, 0]);
+
+    // The source image is not changed
+    assert.strictEqual(image.data[0], 240);
+});
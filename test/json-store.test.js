@@ -0,0 +1,58 @@
+// Tests for loading and saving the server's JSON files (json-store.js)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readJsonFile, writeJsonAtomic } = require('../json-store');
+
+test('missing files give the defaults, others are merged over them', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pixelvoxel-'));
+    try {
+        const filePath = path.join(tempDir, 'index.json');
+        const defaults = { version: 1, items: [] };
+        assert.strictEqual(readJsonFile(filePath, defaults), defaults);
+
+        fs.writeFileSync(filePath, '{ "items": [1], "extra": true }');
+        assert.deepStrictEqual(readJsonFile(filePath, defaults), { version: 1, items: [1], extra: true });
+
+        // Read errors other than a missing file are not taken for an empty store
+        assert.throws(() => readJsonFile(tempDir, defaults), { code: 'EISDIR' });
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+});
+
+test('broken files are moved aside before the defaults are used', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pixelvoxel-'));
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        const filePath = path.join(tempDir, 'index.json');
+        fs.writeFileSync(filePath, '{ "items": [1');
+        const defaults = { version: 1, items: [] };
+        assert.strictEqual(readJsonFile(filePath, defaults), defaults);
+
+        const files = fs.readdirSync(tempDir);
+        assert.strictEqual(files.length, 1);
+        assert.match(files[0], /^index\.json\.corrupt-\d+$/);
+        assert.strictEqual(fs.readFileSync(path.join(tempDir, files[0]), 'utf8'), '{ "items": [1');
+    } finally {
+        console.error = originalError;
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+});
+
+test('writes create the folder and leave no temp file behind', () => {
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pixelvoxel-'));
+    try {
+        const filePath = path.join(tempDir, 'Trash', 'trash.json');
+        writeJsonAtomic(filePath, { items: ['a'] });
+        writeJsonAtomic(filePath, { items: ['a', 'b'] });
+
+        assert.deepStrictEqual(fs.readdirSync(path.dirname(filePath)), ['trash.json']);
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), { items: ['a', 'b'] });
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+});
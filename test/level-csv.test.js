@@ -0,0 +1,72 @@
+// Tests for the level CSV column mapping (level-csv.js)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const LevelCsv = require('../level-csv');
+
+const VIETNAMESE_SHEET = [
+    'Màn chơi,Độ khó,Phần thưởng,Số màu,Kích thước,Tên ảnh,Độ khó ảnh',
+    '1,Easy,"1,000",4,16x16,cat,dễ',
+    '2,Hard,"Note ""A""",5,16 X 16,,Khó',
+    '',
+    'Chapter 2,,,,,,',
+    '3,Hard,,many,,,',
+    '2,Easy,,4,16x16,,'
+].join('\r\n');
+
+test('rows keep quoted commas and quotes, blank lines are dropped', () => {
+    const rows = LevelCsv.parseRows(VIETNAMESE_SHEET);
+    assert.strictEqual(rows.length, 6);
+    assert.strictEqual(rows[1][2], '1,000');
+    assert.strictEqual(rows[2][2], 'Note "A"');
+    assert.strictEqual(LevelCsv.columnLetter(27), 'AB');
+});
+
+test('columns are detected by English or Vietnamese headers and invalid rows reported', () => {
+    const rows = LevelCsv.parseRows(VIETNAMESE_SHEET);
+    const { headerRow, mapping } = LevelCsv.resolveMapping(rows);
+    assert.strictEqual(headerRow, 0);
+    assert.deepStrictEqual(mapping, { level: 0, difficulty: 1, colors: 3, size: 4, imageDifficulty: 6 });
+
+    const english = LevelCsv.detectMapping(['Image Difficulty', 'Size', 'Level', 'Reward', 'Difficulty', 'Colors']);
+    assert.deepStrictEqual(english, { level: 2, difficulty: 4, colors: 5, size: 1, imageDifficulty: 0 });
+
+    const { levels, invalid } = LevelCsv.applyMapping(rows, mapping, headerRow);
+    assert.deepStrictEqual(levels.map(l => [l.level, l.difficulty, l.colors, l.size, l.imageDifficulty]), [
+        [1, 'Easy', 4, '16x16', 'dễ'],
+        [2, 'Hard', 5, '16x16', 'Khó']
+    ]);
+    assert.deepStrictEqual(invalid.map(entry => [entry.row, entry.reason]), [
+        [4, 'level "Chapter 2" is not a level number'],
+        [5, 'colors "many" is not a number'],
+        [6, 'level 2 appears twice']
+    ]);
+
+    // The level column of the design sheet is called "Tên"
+    const sheet = LevelCsv.parseRows('Tên,Độ khó,Ghi chú,Màu,Kích thước,Tên ảnh,Độ khó ảnh\n5,Hard,,6,30x30,fox,Thường');
+    assert.deepStrictEqual(LevelCsv.resolveMapping(sheet).mapping, { level: 0, difficulty: 1, colors: 3, size: 4, imageDifficulty: 6 });
+
+    // A required column without a known header falls back to its original column
+    const unnamed = LevelCsv.parseRows('#,Độ khó,Màu,Kích thước\n8,Easy,4,20x20');
+    assert.strictEqual(LevelCsv.resolveMapping(unnamed).mapping.level, 0);
+    assert.strictEqual(LevelCsv.applyMapping(unnamed, LevelCsv.resolveMapping(unnamed).mapping, 0).levels[0].level, 8);
+
+    // A sheet without a header uses the original columns (A, B, H, I, K)
+    const legacy = LevelCsv.parseRows('7,Hard,,,,,,6,20x20,tree,Khó');
+    assert.deepStrictEqual(LevelCsv.resolveMapping(legacy), { headerRow: -1, mapping: LevelCsv.LEGACY_MAPPING });
+    assert.strictEqual(LevelCsv.applyMapping(legacy, LevelCsv.LEGACY_MAPPING).levels[0].size, '20x20');
+});
+
+test('a saved profile finds its columns by header name after the sheet changes', () => {
+    const original = LevelCsv.parseRows('Lvl,Tier,Palette\n1,Easy,4');
+    const mapping = { level: 0, difficulty: 1, colors: 2, size: null, imageDifficulty: null };
+    const profile = LevelCsv.createProfile(' Design sheet ', original, 0, mapping);
+    assert.strictEqual(profile.name, 'Design sheet');
+
+    // A column was added in front
+    const changed = LevelCsv.parseRows('Note,Lvl,Tier,Palette\nnew,2,Hard,6');
+    const resolved = LevelCsv.resolveMapping(changed, profile);
+    assert.deepStrictEqual(resolved.mapping, { level: 1, difficulty: 2, colors: 3, size: null, imageDifficulty: null });
+    assert.deepStrictEqual(LevelCsv.applyMapping(changed, resolved.mapping, 0).levels.map(l => [l.level, l.colors]), [[2, 6]]);
+
+    assert.throws(() => LevelCsv.applyMapping(changed, { level: 1 }, 0), /Difficulty/);
+});
@@ -0,0 +1,66 @@
+// Route tests for level files: files named after a level (Paint_LvN.png or
+// the configured pattern) are matched with the level assignments.
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { serve, request, pngBuffer, writeImage, findRecord } = require('./helpers/server');
+
+serve(() => {
+    const files = {
+        'Paint_Lv1.png': 10, 'Paint_Lv2.png': 12, 'Paint_Lv3.png': 14, 'paint_lv05.png': 16,
+        'Paint_Lv6.png': 18, 'old/Paint_Lv6.png': 20, 'Paint_Lv9.png': 22, 'cat.png': 24, 'Level-7.png': 26
+    };
+    for (const [relPath, size] of Object.entries(files)) {
+        writeImage(relPath, pngBuffer(size));
+    }
+});
+
+const idOf = async relPath => (await findRecord(relPath)).id;
+
+test('level files are restored, suggested and flagged', async () => {
+    await request('POST', '/api/catalog/scan');
+    const lv2 = await idOf('Paint_Lv2.png');
+    const lv3 = await idOf('Paint_Lv3.png');
+    const cat = await idOf('cat.png');
+
+    const result = await request('POST', '/api/levels/match-files', {
+        levels: [
+            { level: 1, assignedImage: null },
+            { level: 2, assignedImage: lv2 },
+            { level: 3, assignedImage: cat },
+            { level: 4, assignedImage: lv3 },
+            { level: 5, assignedImage: 'img-gone' },
+            { level: 6, assignedImage: null }
+        ]
+    });
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(result.body.pattern, 'Paint_Lv{N}.png');
+    assert.strictEqual(result.body.linked, 1);
+    assert.deepStrictEqual(result.body.restore.map(entry => [entry.level, entry.path]), [[1, 'Paint_Lv1.png'], [5, 'paint_lv05.png']]);
+    assert.deepStrictEqual(result.body.conflicts.map(entry => [entry.level, entry.assignedImage]), [[3, cat]]);
+    assert.deepStrictEqual(result.body.ambiguous, [{ level: 6, paths: ['Paint_Lv6.png', 'old/Paint_Lv6.png'] }]);
+    assert.deepStrictEqual(result.body.noLevel.map(entry => entry.level), [9]);
+    assert.deepStrictEqual(result.body.suggest, []);
+});
+
+test('a file assigned to another level is only suggested', async () => {
+    const lv3 = await idOf('Paint_Lv3.png');
+
+    const result = await request('POST', '/api/levels/match-files', {
+        levels: [{ level: 3, assignedImage: null }, { level: 4, assignedImage: lv3 }]
+    });
+    assert.deepStrictEqual(result.body.restore, []);
+    assert.deepStrictEqual(result.body.suggest.map(entry => [entry.level, entry.assignedLevel]), [[3, 4]]);
+});
+
+test('the naming pattern is a project setting', async () => {
+    const invalid = await request('PUT', '/api/settings', { levelFilePattern: 'Level-N.png' });
+    assert.strictEqual(invalid.status, 400);
+
+    const saved = await request('PUT', '/api/settings', { levelFilePattern: 'Level-{N}.png' });
+    assert.strictEqual(saved.body.settings.levelFilePattern, 'Level-{N}.png');
+    assert.strictEqual(saved.body.settings.importRules.maxSize, 32);
+
+    const result = await request('POST', '/api/levels/match-files', { levels: [{ level: 1 }, { level: 7 }] });
+    assert.deepStrictEqual(result.body.restore.map(entry => [entry.level, entry.path]), [[7, 'Level-7.png']]);
+});
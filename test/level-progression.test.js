@@ -0,0 +1,80 @@
+// Tests for the level progression checks (level-progression.js) and their
+// rules in the project settings
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LevelProgression = require('../level-progression');
+const { ProjectSettings } = require('../project-settings');
+
+const images = {
+    a: { colorCount: 4, width: 16, height: 16, difficulty: { tier: 0, paintablePixels: 200 } },
+    b: { colorCount: 9, width: 16, height: 16, difficulty: { tier: 3, paintablePixels: 256 } }
+};
+
+function series(levels) {
+    return LevelProgression.progressionSeries(levels, level => images[level.assignedImage] || null);
+}
+
+test('the series holds expected and actual values in level order', () => {
+    const points = series([
+        { level: 2, difficulty: 'Hard', colors: 5, size: '16x16', imageDifficulty: 'Khó', assignedImage: 'b' },
+        { level: 1, difficulty: 'Easy', colors: 4, size: '16x16', imageDifficulty: 'dễ', assignedImage: 'a' },
+        { level: 3, difficulty: 'Pipe', colors: 6, size: '', assignedImage: null }
+    ]);
+
+    assert.deepStrictEqual(points.map(p => p.level), [1, 2, 3]);
+    assert.deepStrictEqual(points[1], {
+        level: 2,
+        levelDifficulty: 2,
+        expectedColors: 5,
+        actualColors: 9,
+        expectedPixels: 256,
+        actualPixels: 256,
+        expectedDifficulty: 2,
+        actualDifficulty: 3
+    });
+    assert.strictEqual(points[2].actualColors, null);
+    assert.strictEqual(points[2].expectedPixels, null);
+});
+
+test('color jumps, difficulty jumps and hard streaks are reported', () => {
+    const points = series([
+        { level: 1, difficulty: 'Easy', colors: 4, assignedImage: 'a' },
+        { level: 2, difficulty: 'Hard', colors: 5, assignedImage: 'b' }, // actual 9 colors
+        { level: 3, difficulty: 'Very Hard', colors: 7 },
+        { level: 4, difficulty: 'Easy', colors: 8 }
+    ]);
+
+    const violations = LevelProgression.checkProgression(points, LevelProgression.normalizeRules());
+    assert.deepStrictEqual(violations.map(v => [v.level, v.rule]), [
+        [2, 'maxColorJump'],
+        [2, 'maxDifficultyJump'],
+        [3, 'maxHardStreak']
+    ]);
+    assert.strictEqual(violations[0].message, 'Colors jump from 4 colors (level 1) to 9 colors (max 2)');
+
+    const relaxed = LevelProgression.normalizeRules({ maxColorJump: null, maxDifficultyJump: 3, maxHardStreak: 2 });
+    assert.deepStrictEqual(LevelProgression.checkProgression(points, relaxed), []);
+});
+
+test('progression rules are validated and kept in the project settings', () => {
+    assert.throws(() => LevelProgression.normalizeRules({ maxColorJump: -1 }), /maxColorJump/);
+    assert.throws(() => LevelProgression.normalizeRules({ maxHardStreak: 0 }), /maxHardStreak/);
+
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pixelvoxel-'));
+    try {
+        const filePath = path.join(tempDir, 'project-settings.json');
+        new ProjectSettings(filePath).setProgressionRules({ maxColorJump: 3, maxPixelJump: 100 });
+
+        assert.deepStrictEqual(new ProjectSettings(filePath).progressionRules, {
+            maxColorJump: 3,
+            maxPixelJump: 100,
+            maxDifficultyJump: 2,
+            maxHardStreak: 1
+        });
+    } finally {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    }
+});
@@ -0,0 +1,59 @@
+// Tests for the auto-assign solver shared with the browser (level-solver.js)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const LevelSolver = require('../level-solver');
+
+function image(id, fields = {}) {
+    return { id, width: 16, height: 16, colorCount: 5, ready: true, difficulty: 0, theme: null, ...fields };
+}
+
+function assignedIds(result) {
+    return Object.fromEntries(result.assignments.map(entry => [entry.level, entry.imageId]));
+}
+
+test('every image is used once and size and colors are respected', () => {
+    const result = LevelSolver.solve(
+        [
+            { level: 1, size: '16x16', colors: 5 },
+            { level: 2, size: '16 x 16', colors: 5 },
+            { level: 3, size: '32x32', colors: 5 },
+            { level: 4, colors: 7 }
+        ],
+        [image('a'), image('b'), image('c', { colorCount: 7, width: 20, height: 20 })]
+    );
+
+    assert.deepStrictEqual(assignedIds(result), { 1: 'a', 2: 'b', 4: 'c' });
+    assert.deepStrictEqual(result.unfilled, [3]);
+});
+
+test('ready to dev images and matching difficulty are preferred', () => {
+    const result = LevelSolver.solve(
+        [
+            { level: 1, imageDifficulty: 'Khó' },
+            { level: 2, imageDifficulty: 'dễ' }
+        ],
+        [
+            image('easy-draft', { ready: false }),
+            image('hard', { difficulty: 2 }),
+            image('easy'),
+            image('medium', { difficulty: 1 })
+        ]
+    );
+
+    assert.deepStrictEqual(assignedIds(result), { 1: 'hard', 2: 'easy' });
+    assert.deepStrictEqual(result.assignments.map(entry => entry.cost), [0, 0]);
+    assert.strictEqual(LevelSolver.difficultyRank('Very Hard'), 3);
+    assert.strictEqual(LevelSolver.difficultyRank('Pipe'), null);
+});
+
+test('images of one theme are spread over non-neighbouring levels', () => {
+    const result = LevelSolver.solve(
+        [{ level: 2 }, { level: 3 }, { level: 4 }],
+        [image('cat-1', { theme: 'cats' }), image('cat-2', { theme: 'cats' }), image('dog', { theme: 'dogs' })],
+        { fixed: [{ level: 1, theme: 'dogs' }] }
+    );
+
+    const ids = assignedIds(result);
+    assert.strictEqual(ids[3], 'dog');
+    assert.deepStrictEqual([ids[2], ids[4]].sort(), ['cat-1', 'cat-2']);
+});
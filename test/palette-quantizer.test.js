@@ -0,0 +1,62 @@
+// Tests for the palette quantizer (palette-quantizer.js)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const PixelAnalysis = require('../image-analysis');
+const PaletteQuantizer = require('../palette-quantizer');
+
+const { countColors } = PixelAnalysis;
+
+// 8x16 image: 32 colors of two pixels each in the top half, the bottom
+// half transparent
+function gradientImage() {
+    const data = new Uint8ClampedArray(8 * 16 * 4);
+    for (let i = 0; i < 64; i++) {
+        const shade = Math.floor(i / 2);
+        data.set([shade * 8, 255 - shade * 8, (shade % 4) * 60, 255], i * 4);
+    }
+    return { width: 8, height: 16, data };
+}
+
+test('median cut and k-means keep at most the asked number of source colors', () => {
+    const colorMap = countColors(gradientImage());
+    assert.strictEqual(colorMap.size, 32);
+
+    for (const maxColors of [1, 4, 15]) {
+        for (const colors of [
+            PaletteQuantizer.medianCut(colorMap, maxColors),
+            PaletteQuantizer.kMeans(colorMap, maxColors, 'deltaE2000')
+        ]) {
+            assert.ok(colors.length >= 1 && colors.length <= maxColors, `${colors.length} > ${maxColors}`);
+            assert.strictEqual(new Set(colors).size, colors.length);
+            assert.ok(colors.every(hex => colorMap.has(hex)), colors.join(' '));
+        }
+    }
+
+    // Images within the limit keep all their colors
+    assert.strictEqual(PaletteQuantizer.medianCut(colorMap, 40).length, 32);
+    assert.strictEqual(PaletteQuantizer.kMeans(colorMap, 32).length, 32);
+});
+
+test('palette mode only uses palette colors, the least used dropped first', () => {
+    const colorMap = new Map([['#fe0101', 10], ['#f00000', 5], ['#0000f0', 3], ['#00f000', 1]]);
+    const palette = ['#FF0000', '#00FF00', '#0000FF', '#FFFFFF'];
+
+    assert.deepStrictEqual(PaletteQuantizer.constrainToPalette(colorMap, palette, 4), ['#ff0000', '#00ff00', '#0000ff']);
+    assert.deepStrictEqual(PaletteQuantizer.constrainToPalette(colorMap, palette, 2), ['#ff0000', '#0000ff']);
+    assert.throws(() => PaletteQuantizer.constrainToPalette(colorMap, [], 4), /master palette/);
+});
+
+test('quantized images only hold the colors they report', () => {
+    const image = gradientImage();
+    for (const mode of ['median-cut', 'k-means']) {
+        const result = PaletteQuantizer.quantizeImage(image, countColors(image), { mode, maxColors: 6, metric: 'oklab' });
+        assert.ok(result.colors.length <= 6, mode);
+        assert.deepStrictEqual(countColors(result.image), result.colorMap, mode);
+        assert.strictEqual(result.mapping.size, 32);
+
+        // The transparent half stays fully transparent
+        assert.ok(result.image.data.slice(64 * 4).every(value => value === 0), mode);
+    }
+
+    assert.throws(() => PaletteQuantizer.quantizeImage(image, countColors(image), { mode: 'octree' }), /Unknown quantize mode/);
+});
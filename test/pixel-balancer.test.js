@@ -0,0 +1,77 @@
+// Tests for the Ready-to-Dev pixel balancer (pixel-balancer.js)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const PixelAnalysis = require('../image-analysis');
+const PixelBalancer = require('../pixel-balancer');
+
+const RED = [200, 40, 40, 255];
+const BLUE = [40, 40, 200, 255];
+const CLEAR = [0, 0, 0, 0];
+
+// RGBA image of width x height drawn by pixel(x, y) -> [r, g, b, a]
+function image(width, height, pixel) {
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            data.set(pixel(x, y), (y * width + x) * 4);
+        }
+    }
+    return { width, height, data };
+}
+
+// 10x10 split into red and blue: the first `red` pixels (row by row) are red
+const split = red => image(10, 10, (x, y) => (y * 10 + x < red ? RED : BLUE));
+
+test('targets move every count to a multiple of 10 with the fewest recolors', () => {
+    const targets = PixelBalancer.planTargets(new Map([['#c82828', 47], ['#2828c8', 53]]), 0);
+    assert.deepStrictEqual(Array.from(targets), [['#c82828', 3], ['#2828c8', -3]]);
+
+    // 46 opaque pixels can only reach a multiple of 10 through the outline:
+    // growing by 4 is cheaper than shrinking by 6
+    const outline = PixelBalancer.planTargets(new Map([['#c82828', 46]]), 54);
+    assert.deepStrictEqual(Array.from(outline), [['#c82828', 4], [PixelBalancer.TRANSPARENT, -4]]);
+
+    // A fully opaque image only shrinks into transparency when that is allowed
+    assert.strictEqual(PixelBalancer.planTargets(new Map([['#c82828', 46]]), 0), null);
+    const full = PixelBalancer.planTargets(new Map([['#c82828', 46]]), 0, true);
+    assert.deepStrictEqual(Array.from(full), [['#c82828', -6], [PixelBalancer.TRANSPARENT, 6]]);
+});
+
+test('a balanced image is ready to dev after the proposed recolors', () => {
+    const result = PixelBalancer.proposeBalance(split(47));
+    assert.strictEqual(result.readyToDev, true);
+    assert.strictEqual(result.changes.length, 3);
+    assert.strictEqual(result.outlineChanges, 0);
+    assert.deepStrictEqual(Object.fromEntries(result.counts), { '#c82828': 50, '#2828c8': 50 });
+    assert.ok(PixelAnalysis.isReadyToDev(result.counts));
+
+    // Only pixels on the border between the two colors are recolored
+    for (const change of result.changes) {
+        assert.deepStrictEqual([change.from, change.to], ['#2828c8', '#c82828']);
+        assert.ok(change.y === 4 || change.y === 5, `(${change.x}, ${change.y})`);
+    }
+    assert.deepStrictEqual(PixelBalancer.summarizeChanges(result.changes),
+        [{ from: '#2828c8', to: '#c82828', count: 3 }]);
+});
+
+test('the outline grows or shrinks when the opaque total is off', () => {
+    // 5x9 red block in a 10x10 image: 45 opaque pixels
+    const result = PixelBalancer.proposeBalance(image(10, 10, (x, y) => (x < 5 && y < 9 ? RED : CLEAR)));
+    assert.strictEqual(result.readyToDev, true);
+    assert.strictEqual(result.outlineChanges, 5);
+    assert.deepStrictEqual(Object.fromEntries(result.counts), { '#c82828': 40 });
+
+    // 46 opaque pixels and no transparent ones: only fixable when the import
+    // rules allow transparency
+    const opaque = image(2, 23, () => RED);
+    assert.strictEqual(PixelBalancer.proposeBalance(opaque), null);
+    assert.strictEqual(PixelBalancer.proposeBalance(opaque, PixelAnalysis.normalizeRules({ transparency: 'forbid' })), null);
+    const shrunk = PixelBalancer.proposeBalance(opaque, PixelAnalysis.DEFAULT_RULES);
+    assert.strictEqual(shrunk.outlineChanges, 6);
+    assert.deepStrictEqual(Object.fromEntries(shrunk.counts), { '#c82828': 40 });
+
+    // Already ready: nothing to change
+    const ready = PixelBalancer.proposeBalance(split(50));
+    assert.deepStrictEqual(ready.changes, []);
+    assert.strictEqual(ready.readyToDev, true);
+});
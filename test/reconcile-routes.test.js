@@ -0,0 +1,131 @@
+// Route tests for the reconciliation view: every kind of drift between
+// catalog, disk and level assignments is listed and fixed in one request.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { assetsDir, serve, request, pngBuffer, writeImage, findRecord } = require('./helpers/server');
+
+serve(() => {
+    writeImage('cat.png', pngBuffer(10));
+    writeImage('dog.png', pngBuffer(12));
+    writeImage('bird.png', pngBuffer(14));
+    writeImage('a/tree.png', pngBuffer(16));
+    writeImage('b/tree.png', pngBuffer(18));
+    writeImage('a/rock.png', pngBuffer(20));
+    writeImage('b/rock.png', pngBuffer(20));
+});
+
+test('lists untracked, missing, changed, broken levels and duplicate names', async () => {
+    await request('POST', '/api/catalog/scan');
+    const cat = await findRecord('cat.png');
+
+    // Drift behind the server's back: a move, an edit, a new file
+    fs.renameSync(path.join(assetsDir, 'cat.png'), path.join(assetsDir, 'kitten.png'));
+    fs.writeFileSync(path.join(assetsDir, 'dog.png'), pngBuffer(13));
+    writeImage('new.png', pngBuffer(22));
+
+    const result = await request('POST', '/api/reconcile', {
+        levels: [
+            { level: 1, assignedImage: cat.id, assignedName: 'cat.png' },
+            { level: 2, assignedImage: 'img-unknown', assignedName: 'bird.png' },
+            { level: 3, assignedImage: 'img-lost' }
+        ]
+    });
+    assert.strictEqual(result.status, 200);
+    assert.deepStrictEqual(result.body.missing, [{ id: cat.id, path: 'cat.png', movedTo: 'kitten.png' }]);
+    assert.deepStrictEqual(result.body.untracked.map(entry => [entry.path, entry.movedFrom]), [['kitten.png', 'cat.png'], ['new.png', null]]);
+    assert.deepStrictEqual(result.body.hashMismatch.map(entry => entry.path), ['dog.png']);
+    assert.deepStrictEqual(result.body.brokenLevels.map(entry => [entry.level, entry.reason, entry.suggestion && entry.suggestion.path]), [
+        [1, 'missing-file', null],
+        [2, 'unknown-image', 'bird.png'],
+        [3, 'unknown-image', null]
+    ]);
+    assert.deepStrictEqual(result.body.duplicateNames.map(entry => [entry.name, entry.sameContent]), [['rock.png', true], ['tree.png', false]]);
+});
+
+test('catalog fixes re-attach moved files, track new ones and re-analyze edits', async () => {
+    const cat = await findRecord('cat.png');
+
+    const missing = await request('POST', '/api/reconcile/fix', { category: 'missing' });
+    assert.deepStrictEqual(missing.body.results.map(r => r.action), ['reattached']);
+    assert.strictEqual((await findRecord('kitten.png')).id, cat.id);
+
+    const untracked = await request('POST', '/api/reconcile/fix', { category: 'untracked', keys: ['new.png'] });
+    assert.deepStrictEqual(untracked.body.results.map(r => r.action), ['tracked']);
+
+    const changed = await request('POST', '/api/reconcile/fix', { category: 'hashMismatch' });
+    assert.strictEqual(changed.body.fixed, 1);
+    assert.strictEqual((await findRecord('dog.png')).width, 13);
+
+    const report = await request('POST', '/api/reconcile', { levels: [] });
+    assert.deepStrictEqual([report.body.missing, report.body.untracked, report.body.hashMismatch], [[], [], []]);
+
+    const invalid = await request('POST', '/api/reconcile/fix', { category: 'brokenLevels' });
+    assert.strictEqual(invalid.status, 400);
+    assert.strictEqual(invalid.body.code, 'INVALID_CATEGORY');
+
+    // Keys every object has are not categories either
+    for (const category of ['constructor', '__proto__', 'toString']) {
+        const inherited = await request('POST', '/api/reconcile/fix', { category });
+        assert.strictEqual(inherited.status, 400);
+        assert.strictEqual(inherited.body.code, 'INVALID_CATEGORY');
+    }
+});
+
+test('duplicate names: identical copies are trashed, different files renamed', async () => {
+    const treeB = await findRecord('b/tree.png');
+
+    const result = await request('POST', '/api/reconcile/fix', { category: 'duplicateNames' });
+    assert.deepStrictEqual(result.body.results.map(r => r.action), ['trashed', 'renamed']);
+
+    assert.ok(!fs.existsSync(path.join(assetsDir, 'b', 'rock.png')));
+    assert.strictEqual((await findRecord('b/tree-b.png')).id, treeB.id);
+    assert.strictEqual((await request('GET', '/api/trash')).body.items.length, 1);
+    assert.deepStrictEqual((await request('POST', '/api/reconcile', {})).body.duplicateNames, []);
+});
+
+test('duplicate copies used by levels are kept, or their levels re-linked', async () => {
+    writeImage('a/leaf.png', pngBuffer(24));
+    writeImage('b/leaf.png', pngBuffer(24));
+    writeImage('c/leaf.png', pngBuffer(24));
+    await request('POST', '/api/catalog/scan');
+    const leafB = await findRecord('b/leaf.png');
+    const leafC = await findRecord('c/leaf.png');
+
+    // Level 7 is linked in the catalog, level 8 only in the browser
+    await request('PUT', '/api/catalog/levels/7', { imageId: leafC.id });
+    const result = await request('POST', '/api/reconcile/fix', {
+        category: 'duplicateNames',
+        levels: [{ level: 8, assignedImage: leafB.id }]
+    });
+
+    const [fix] = result.body.results;
+    assert.strictEqual(fix.kept, 'b/leaf.png');
+    assert.deepStrictEqual(fix.paths, ['a/leaf.png', 'c/leaf.png']);
+    assert.deepStrictEqual(fix.relinked, [{ level: 7, from: leafC.id, to: leafB.id }]);
+    assert.ok(fs.existsSync(path.join(assetsDir, 'b', 'leaf.png')));
+    assert.ok(!fs.existsSync(path.join(assetsDir, 'c', 'leaf.png')));
+
+    const catalogInfo = await request('GET', '/api/catalog');
+    assert.strictEqual(catalogInfo.body.levelLinks['7'], leafB.id);
+});
+
+test('report and fixes compare the library under the project level file pattern', async () => {
+    const saved = await request('PUT', '/api/settings', { levelFilePattern: 'Level-{N}.png' });
+    assert.strictEqual(saved.status, 200);
+    writeImage('levels/Paint_Lv9.png', pngBuffer(26));
+    writeImage('levels/Level-9.png', pngBuffer(28));
+    await request('POST', '/api/catalog/scan');
+    writeImage('levels/Level-10.png', pngBuffer(30));
+
+    const levels = [{ level: 9, assignedImage: 'img-gone' }];
+    const report = await request('POST', '/api/reconcile', { levels });
+    assert.deepStrictEqual(report.body.brokenLevels.map(entry => entry.suggestion.path), ['levels/Level-9.png']);
+    assert.deepStrictEqual(report.body.untracked.map(entry => entry.path), ['levels/Level-10.png']);
+
+    const fix = await request('POST', '/api/reconcile/fix', { category: 'untracked', levels });
+    assert.deepStrictEqual(fix.body.results.map(r => [r.key, r.action]), [['levels/Level-10.png', 'tracked']]);
+    assert.deepStrictEqual((await request('POST', '/api/reconcile', { levels })).body.untracked, []);
+});
@@ -0,0 +1,62 @@
+// Route tests for renaming level files after levels were renumbered
+// (inserting a level moves every later level up by one)
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { assetsDir, serve, request, pngBuffer, writeImage, listRecords, findRecord } = require('./helpers/server');
+
+serve(() => {
+    const files = { 'Paint_Lv1.png': 16, 'Paint_Lv2.png': 18, 'animals/Paint_Lv3.png': 20, 'cat.png': 22 };
+    for (const [relPath, size] of Object.entries(files)) {
+        writeImage(relPath, pngBuffer(size));
+    }
+});
+
+async function catalogPaths() {
+    return (await listRecords()).map(img => img.path).sort();
+}
+
+test('level files of later levels move up with their level', async () => {
+    await request('POST', '/api/catalog/scan');
+    const lv2Id = (await findRecord('Paint_Lv2.png')).id;
+
+    // Level inserted after level 1: 2 -> 3, 3 -> 4
+    const result = await request('POST', '/api/levels/renumber-files', { moves: [{ from: 2, to: 3 }, { from: 3, to: 4 }] });
+    assert.strictEqual(result.status, 200);
+    assert.strictEqual(result.body.renamed, 2);
+    assert.ok(fs.existsSync(path.join(assetsDir, 'Paint_Lv3.png')));
+    assert.ok(fs.existsSync(path.join(assetsDir, 'animals/Paint_Lv4.png')));
+    assert.ok(!fs.existsSync(path.join(assetsDir, 'Paint_Lv2.png')));
+    assert.deepStrictEqual(await catalogPaths(), ['Paint_Lv1.png', 'Paint_Lv3.png', 'animals/Paint_Lv4.png', 'cat.png']);
+
+    // The catalog record (and its id) moved with the file
+    assert.strictEqual((await findRecord('Paint_Lv3.png')).id, lv2Id);
+
+    // Undo renames them back
+    const undo = await request('POST', '/api/levels/renumber-files', { moves: [{ from: 3, to: 2 }, { from: 4, to: 3 }] });
+    assert.strictEqual(undo.body.renamed, 2);
+    assert.deepStrictEqual(await catalogPaths(), ['Paint_Lv1.png', 'Paint_Lv2.png', 'animals/Paint_Lv3.png', 'cat.png']);
+});
+
+test('a taken level file name blocks the whole batch', async () => {
+    // File named for a level that does not move
+    fs.writeFileSync(path.join(assetsDir, 'Paint_Lv9.png'), pngBuffer(24));
+    await request('POST', '/api/catalog/scan');
+
+    const conflict = await request('POST', '/api/levels/renumber-files', { moves: [{ from: 1, to: 5 }, { from: 2, to: 9 }] });
+    assert.strictEqual(conflict.status, 409);
+    assert.strictEqual(conflict.body.code, 'BATCH_CONFLICT');
+    assert.ok(fs.existsSync(path.join(assetsDir, 'Paint_Lv1.png')));
+    assert.ok(fs.existsSync(path.join(assetsDir, 'Paint_Lv2.png')));
+});
+
+test('moves must be level numbers', async () => {
+    const result = await request('POST', '/api/levels/renumber-files', { moves: [{ from: 'Lv1', to: 2 }] });
+    assert.strictEqual(result.status, 400);
+    assert.strictEqual(result.body.code, 'INVALID_MOVES');
+
+    const nothing = await request('POST', '/api/levels/renumber-files', { moves: [{ from: 40, to: 41 }] });
+    assert.strictEqual(nothing.body.renamed, 0);
+});
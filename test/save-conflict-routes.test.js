@@ -0,0 +1,46 @@
+// Route tests for optimistic concurrency on saves: a save based on an old
+// version of the file is refused with 409 and leaves the file alone.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { assetsDir, serve, request, pngBuffer, toDataUrl, writeImage, findRecord } = require('./helpers/server');
+
+// 20x20 red image, the first `changed` pixels green
+const heroPng = (changed = 0) => pngBuffer(20, [255, 0, 0, 255], changed);
+
+serve(() => {
+    writeImage('hero.png', heroPng());
+});
+
+test('the second of two saves from the same version is refused', async () => {
+    await request('POST', '/api/catalog/scan');
+    const base = (await findRecord('hero.png')).contentHash;
+    assert.match(base, /^[0-9a-f]{40}$/);
+
+    const first = await request('POST', '/api/save-image', { filename: 'hero.png', dataUrl: toDataUrl(heroPng(10)), baseHash: base });
+    assert.strictEqual(first.status, 200);
+    assert.notStrictEqual(first.body.contentHash, base);
+    assert.strictEqual(first.body.image.contentHash, first.body.contentHash);
+
+    const second = await request('POST', '/api/save-image', { filename: 'hero.png', dataUrl: toDataUrl(heroPng(20)), baseHash: base });
+    assert.strictEqual(second.status, 409);
+    assert.strictEqual(second.body.code, 'VERSION_CONFLICT');
+    assert.strictEqual(second.body.currentHash, first.body.contentHash);
+    assert.strictEqual(second.body.image.contentHash, first.body.contentHash);
+    assert.ok(fs.readFileSync(path.join(assetsDir, 'hero.png')).equals(heroPng(10)));
+
+    const retried = await request('POST', '/api/save-image', { filename: 'hero.png', dataUrl: toDataUrl(heroPng(20)), baseHash: second.body.currentHash });
+    assert.strictEqual(retried.status, 200);
+});
+
+test('a null base version only creates new files', async () => {
+    const taken = await request('POST', '/api/save-image', { filename: 'hero.png', dataUrl: toDataUrl(heroPng()), baseHash: null });
+    assert.strictEqual(taken.status, 409);
+    assert.strictEqual(taken.body.message, 'A file with that name already exists');
+
+    const created = await request('POST', '/api/save-image', { filename: 'hero-copy.png', dataUrl: toDataUrl(heroPng()), baseHash: null });
+    assert.strictEqual(created.status, 200);
+    assert.ok(fs.existsSync(path.join(assetsDir, 'hero-copy.png')));
+});
@@ -0,0 +1,86 @@
+// Route tests for the project settings: partial updates keep the rules they
+// leave out, and images are rendered under the project import rules
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { PNG } = require('pngjs');
+
+const { serve, serverUrl, request, writeImage, findRecord } = require('./helpers/server');
+
+// 8x8 image of eight gray stripes, upscaled x5
+function stripesBuffer() {
+    const png = new PNG({ width: 40, height: 40 });
+    for (let y = 0; y < 40; y++) {
+        for (let x = 0; x < 40; x++) {
+            const gray = Math.floor(x / 5) * 32;
+            png.data.set([gray, gray, gray, 255], (y * 40 + x) * 4);
+        }
+    }
+    return PNG.sync.write(png);
+}
+
+serve(() => {
+    writeImage('stripes.png', stripesBuffer());
+});
+
+test('rules left out of an update keep their current value', async () => {
+    const first = await request('PUT', '/api/settings', { importRules: { maxSize: 24, transparency: 'binary' } });
+    assert.strictEqual(first.status, 200);
+
+    const second = await request('PUT', '/api/settings', { importRules: { maxColors: 6 } });
+    assert.strictEqual(second.body.settings.importRules.maxSize, 24);
+    assert.strictEqual(second.body.settings.importRules.transparency, 'binary');
+    assert.strictEqual(second.body.settings.importRules.maxColors, 6);
+
+    await request('PUT', '/api/settings', { progressionRules: { maxColorJump: 4 } });
+    const progression = await request('PUT', '/api/settings', { progressionRules: { maxHardStreak: 3 } });
+    assert.strictEqual(progression.body.settings.progressionRules.maxColorJump, 4);
+    assert.strictEqual(progression.body.settings.progressionRules.maxHardStreak, 3);
+    assert.strictEqual(progression.body.settings.importRules.maxColors, 6);
+});
+
+test('an update without any setting is refused', async () => {
+    const result = await request('PUT', '/api/settings', {});
+    assert.strictEqual(result.status, 400);
+    assert.strictEqual(result.body.code, 'MISSING_FIELD');
+
+    const current = await request('GET', '/api/settings');
+    assert.strictEqual(current.body.settings.importRules.maxColors, 6);
+});
+
+test('rejected rules are named in the error', async () => {
+    const cases = [
+        [{ importRules: { maxSize: 0 } }, 'importRules.maxSize'],
+        [{ importRules: { minColors: 9, maxColors: 4 } }, 'importRules.minColors'],
+        [{ importRules: { transparency: 'sometimes' } }, 'importRules.transparency'],
+        [{ importRules: 'small' }, 'importRules'],
+        [{ progressionRules: { maxHardStreak: 0 } }, 'progressionRules.maxHardStreak'],
+        [{ levelFilePattern: 'Level.png' }, 'levelFilePattern']
+    ];
+    for (const [body, field] of cases) {
+        const result = await request('PUT', '/api/settings', body);
+        assert.strictEqual(result.status, 400, field);
+        assert.strictEqual(result.body.code, 'INVALID_RULE', field);
+        assert.strictEqual(result.body.field, field);
+        assert.ok(result.body.message);
+    }
+
+    const current = await request('GET', '/api/settings');
+    assert.strictEqual(current.body.settings.importRules.maxColors, 6);
+});
+
+test('the image of an upscaled record is reduced under the project rules', async () => {
+    await request('PUT', '/api/settings', { importRules: { maxSize: 32, maxColors: 4, transparency: 'allow' } });
+    await request('POST', '/api/catalog/scan');
+    const record = await findRecord('stripes.png');
+    assert.strictEqual(record.scale, 5);
+    assert.strictEqual(record.colorCount, 4);
+
+    const response = await fetch(serverUrl(`/api/catalog/images/${record.id}/image`));
+    const png = PNG.sync.read(Buffer.from(await response.arrayBuffer()));
+    const colors = new Set();
+    for (let i = 0; i < png.data.length; i += 4) {
+        colors.add(png.data.readUInt32BE(i));
+    }
+    assert.strictEqual(png.width, 8);
+    assert.strictEqual(colors.size, 4);
+});
@@ -0,0 +1,71 @@
+// Route tests for the recycle bin: deletes move files into the trash and a
+// restore brings back the file, its catalog record and its level link.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { assetsDir, trashDir, serve, request, pngBuffer, writeImage, findRecord } = require('./helpers/server');
+
+serve(() => {
+    writeImage('levels/Paint_Lv1.png', pngBuffer(20));
+    writeImage('other.png', pngBuffer(20));
+});
+
+test('delete moves the file to the trash and restore brings everything back', async () => {
+    await request('POST', '/api/catalog/scan');
+    const record = await findRecord('levels/Paint_Lv1.png');
+    await request('PUT', `/api/catalog/images/${record.id}`, { tags: ['done'] });
+    await request('PUT', '/api/catalog/levels/1', { imageId: record.id });
+
+    const deleted = await request('DELETE', '/api/delete-image', { filename: 'Paint_Lv1.png', folder: 'levels' });
+    assert.strictEqual(deleted.status, 200);
+    assert.ok(!fs.existsSync(path.join(assetsDir, 'levels', 'Paint_Lv1.png')));
+    assert.strictEqual(await findRecord('levels/Paint_Lv1.png'), undefined);
+
+    const list = await request('GET', '/api/trash');
+    assert.strictEqual(list.body.items.length, 1);
+    const item = list.body.items[0];
+    assert.strictEqual(item.id, deleted.body.trashId);
+    assert.strictEqual(item.path, 'levels/Paint_Lv1.png');
+    assert.strictEqual(item.folder, 'levels');
+    assert.deepStrictEqual(item.levels, [1]);
+    assert.ok(fs.existsSync(path.join(trashDir, item.file)));
+
+    const restored = await request('POST', `/api/trash/${item.id}/restore`);
+    assert.strictEqual(restored.status, 200);
+    assert.strictEqual(restored.body.image.id, record.id);
+    assert.deepStrictEqual(restored.body.image.tags, ['done']);
+    assert.deepStrictEqual(restored.body.levels, [1]);
+    assert.ok(fs.existsSync(path.join(assetsDir, 'levels', 'Paint_Lv1.png')));
+
+    const summary = await request('GET', '/api/catalog');
+    assert.strictEqual(summary.body.levelLinks['1'], record.id);
+    assert.strictEqual((await request('GET', '/api/trash')).body.items.length, 0);
+});
+
+test('restore refuses to overwrite a file that took the old path', async () => {
+    const deleted = await request('POST', '/api/delete-image', { filename: 'other.png' });
+    fs.writeFileSync(path.join(assetsDir, 'other.png'), pngBuffer());
+
+    const restored = await request('POST', `/api/trash/${deleted.body.trashId}/restore`);
+    assert.strictEqual(restored.status, 409);
+    assert.strictEqual(restored.body.code, 'ALREADY_EXISTS');
+    assert.strictEqual((await request('GET', '/api/trash')).body.items.length, 1);
+});
+
+test('catalog deletes go to the trash too, purge removes them for good', async () => {
+    const record = await findRecord('levels/Paint_Lv1.png');
+    const deleted = await request('DELETE', `/api/catalog/images/${record.id}`);
+    assert.ok(deleted.body.trashId);
+
+    const item = (await request('GET', '/api/trash')).body.items.find(i => i.id === deleted.body.trashId);
+    const purged = await request('DELETE', `/api/trash/${item.id}`);
+    assert.strictEqual(purged.status, 200);
+    assert.ok(!fs.existsSync(path.join(trashDir, item.file)));
+    assert.strictEqual((await request('DELETE', `/api/trash/${item.id}`)).status, 404);
+
+    const emptied = await request('DELETE', '/api/trash');
+    assert.strictEqual(emptied.body.purged, 1);
+    assert.deepStrictEqual(fs.readdirSync(trashDir), ['trash.json']);
+});
@@ -0,0 +1,89 @@
+// Route tests for live updates: files written, renamed and deleted on disk
+// reach the /api/events subscribers as catalog events through the watcher.
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const { assetsDir, serve, serverUrl, request, pngBuffer, writeImage, listRecords } = require('./helpers/server');
+
+serve(() => {
+    writeImage('animals/dog.png', pngBuffer(20));
+});
+
+// Collect the catalog events pushed to one subscriber
+async function subscribe() {
+    const controller = new AbortController();
+    const response = await fetch(serverUrl('/api/events'), { signal: controller.signal });
+    assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+    const events = [];
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    const reading = (async () => {
+        for (;;) {
+            const { value, done } = await reader.read();
+            if (done) return;
+            buffer += decoder.decode(value, { stream: true });
+
+            let end;
+            while ((end = buffer.indexOf('\n\n')) >= 0) {
+                const lines = buffer.slice(0, end).split('\n');
+                buffer = buffer.slice(end + 2);
+                const event = lines.find(line => line.startsWith('event: '));
+                const data = lines.find(line => line.startsWith('data: '));
+                if (event && event.slice(7) === 'catalog' && data) {
+                    events.push(JSON.parse(data.slice(6)));
+                }
+            }
+        }
+    })().catch(() => {}); // aborted by close()
+
+    return {
+        events,
+        // First event matching, waiting for it up to a few seconds
+        async waitFor(match) {
+            const deadline = Date.now() + 5000;
+            while (Date.now() < deadline) {
+                const event = events.find(match);
+                if (event) return event;
+                await new Promise(resolve => setTimeout(resolve, 20));
+            }
+            throw new Error(`No matching catalog event in ${JSON.stringify(events)}`);
+        },
+        async close() {
+            controller.abort();
+            await reading;
+        }
+    };
+}
+
+test('files written, renamed and deleted on disk are pushed as catalog events', async () => {
+    await request('POST', '/api/catalog/scan');
+    const live = await subscribe();
+    const watcher = require('../server').watchAssets({ delay: 50 });
+
+    try {
+        writeImage('animals/cat.png', pngBuffer(24));
+        const added = await live.waitFor(event => event.type === 'add' && event.image.path === 'animals/cat.png');
+        assert.strictEqual(added.image.width, 24);
+
+        // A rename keeps the record: same id, no delete
+        fs.renameSync(path.join(assetsDir, 'animals', 'cat.png'), path.join(assetsDir, 'animals', 'kitten.png'));
+        const renamed = await live.waitFor(event => event.type === 'rename');
+        assert.strictEqual(renamed.from, 'animals/cat.png');
+        assert.strictEqual(renamed.image.path, 'animals/kitten.png');
+        assert.strictEqual(renamed.image.id, added.image.id);
+        assert.ok(!live.events.some(event => event.type === 'delete'));
+
+        fs.unlinkSync(path.join(assetsDir, 'animals', 'kitten.png'));
+        const deleted = await live.waitFor(event => event.type === 'delete');
+        assert.deepStrictEqual(deleted.image, { id: added.image.id, path: 'animals/kitten.png', name: 'kitten.png' });
+
+        assert.deepStrictEqual((await listRecords()).map(img => img.path), ['animals/dog.png']);
+    } finally {
+        watcher.close();
+        await live.close();
+    }
+});
@@ -0,0 +1,113 @@
+// ===== Trash =====
+// Server-managed recycle bin. Deleted PNGs are moved (never unlinked) into
+// the trash folder together with what is needed to undo the delete: the
+// original path, the catalog record and the levels the image was assigned
+// to. The index is persisted as trash.json inside the trash folder.
+const fs = require('fs');
+const path = require('path');
+const { readJsonFile, writeJsonAtomic } = require('./json-store');
+
+const TRASH_VERSION = 1;
+
+class Trash {
+    constructor(dirPath) {
+        this.dirPath = dirPath;
+        this.indexPath = path.join(dirPath, 'trash.json');
+        this.data = this.load();
+    }
+
+    // Load the index from disk (or start an empty one)
+    load() {
+        return readJsonFile(this.indexPath, {
+            version: TRASH_VERSION,
+            items: []
+        });
+    }
+
+    save() {
+        writeJsonAtomic(this.indexPath, this.data);
+    }
+
+    // Newest first
+    list() {
+        return this.data.items.slice().sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+    }
+
+    get(id) {
+        return this.data.items.find(item => item.id === id) || null;
+    }
+
+    // Move a file into the trash. meta: { path (relative to the library),
+    // record (catalog record or null), levels (level numbers) }
+    add(filePath, { path: relPath, record = null, levels = [] }) {
+        const id = Date.now() + Math.random();
+        const name = path.basename(filePath);
+        const folder = path.posix.dirname(relPath);
+
+        // Unique name inside the trash, the same file can be deleted twice
+        const file = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}-${name}`;
+
+        fs.mkdirSync(this.dirPath, { recursive: true });
+        moveFile(filePath, path.join(this.dirPath, file));
+
+        const item = {
+            id,
+            name,
+            path: relPath,
+            folder: folder === '.' ? '' : folder,
+            file,
+            fileSize: fs.statSync(path.join(this.dirPath, file)).size,
+            deletedAt: new Date().toISOString(),
+            record,
+            levels
+        };
+
+        this.data.items.push(item);
+        this.save();
+        return item;
+    }
+
+    // Move a trashed file back to destPath and drop its entry
+    restore(id, destPath) {
+        const item = this.get(id);
+        if (!item) return null;
+
+        moveFile(path.join(this.dirPath, item.file), destPath);
+        this.data.items = this.data.items.filter(i => i.id !== id);
+        this.save();
+        return item;
+    }
+
+    // Delete a trashed file for good
+    purge(id) {
+        const item = this.get(id);
+        if (!item) return null;
+
+        const filePath = path.join(this.dirPath, item.file);
+        if (fs.existsSync(filePath)) {
+            fs.unlinkSync(filePath);
+        }
+        this.data.items = this.data.items.filter(i => i.id !== id);
+        this.save();
+        return item;
+    }
+
+    purgeAll() {
+        const items = this.data.items.slice();
+        items.forEach(item => this.purge(item.id));
+        return items.length;
+    }
+}
+
+// rename() cannot cross devices (trash folder on another drive), copy then
+function moveFile(fromPath, toPath) {
+    try {
+        fs.renameSync(fromPath, toPath);
+    } catch (error) {
+        if (error.code !== 'EXDEV') throw error;
+        fs.copyFileSync(fromPath, toPath);
+        fs.unlinkSync(fromPath);
+    }
+}
+
+module.exports = { Trash };